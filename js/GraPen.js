@@ -4,6 +4,7 @@
  * 開発者ツールのコンソールや内部処理での使用を想定
  */
 import * as NumberUtil from './util/NumberUtil.js';
+import { polynomialToBezierPath } from './util/PolynomialUtil.js';
 
 export class GraPen {
     // プライベートフィールド - 外部からアクセス不可
@@ -380,6 +381,106 @@ export class GraPen {
         }
     }
 
+    /**
+     * 曲線を拡大縮小
+     * @param {number} curveId - 曲線ID
+     * @param {number} scaleX - X方向の倍率
+     * @param {number} [scaleY] - Y方向の倍率（省略時は scaleX と同じ）
+     * @param {string|Array<number>} [pivot='center'] - 変形の中心（'center' | 'origin' | [x, y]）
+     * @returns {Object} 変形結果 {success: boolean, message: string}
+     */
+    scaleCurve(curveId, scaleX, scaleY = scaleX, pivot = 'center') {
+        if (typeof scaleX !== 'number' || typeof scaleY !== 'number' ||
+            !isFinite(scaleX) || !isFinite(scaleY) || scaleX === 0 || scaleY === 0) {
+            return this.#createErrorResult('倍率は0以外の有限の数値で指定してください');
+        }
+        return this.#applyCurveTransform(curveId, handler => handler.scaleCurve(curveId, scaleX, scaleY, pivot),
+            '曲線が拡大縮小されました');
+    }
+
+    /**
+     * 曲線を回転
+     * @param {number} curveId - 曲線ID
+     * @param {number} angle - 回転角（度、反時計回りが正）
+     * @param {string|Array<number>} [pivot='center'] - 変形の中心（'center' | 'origin' | [x, y]）
+     * @returns {Object} 変形結果 {success: boolean, message: string}
+     */
+    rotateCurve(curveId, angle, pivot = 'center') {
+        if (typeof angle !== 'number' || !isFinite(angle)) {
+            return this.#createErrorResult('回転角は有限の数値で指定してください');
+        }
+        return this.#applyCurveTransform(curveId, handler => handler.rotateCurve(curveId, angle * Math.PI / 180, pivot),
+            '曲線が回転されました');
+    }
+
+    /**
+     * 曲線を反転
+     * @param {number} curveId - 曲線ID
+     * @param {string} [axis='horizontal'] - 'horizontal'（左右反転）| 'vertical'（上下反転）
+     * @param {string|Array<number>} [pivot='center'] - 変形の中心（'center' | 'origin' | [x, y]）
+     * @returns {Object} 変形結果 {success: boolean, message: string}
+     */
+    mirrorCurve(curveId, axis = 'horizontal', pivot = 'center') {
+        if (axis !== 'horizontal' && axis !== 'vertical') {
+            return this.#createErrorResult("反転方向は 'horizontal' または 'vertical' で指定してください");
+        }
+        return this.#applyCurveTransform(curveId, handler => handler.mirrorCurve(curveId, axis, pivot),
+            '曲線が反転されました');
+    }
+
+    /**
+     * CurveMovementHandler による変形の共通処理
+     * @private
+     */
+    #applyCurveTransform(curveId, transform, successMessage) {
+        const validation = this.#validateCurveId(curveId);
+        if (!validation.valid) {
+            return this.#createErrorResult(validation.message);
+        }
+        if (!this.#curveMovementHandler) {
+            return this.#createErrorResult('曲線変形機能が利用できません');
+        }
+
+        try {
+            if (transform(this.#curveMovementHandler)) {
+                this.#uiManager.updateHistoryButtons();
+                return this.#createSuccessResult(successMessage);
+            }
+            return this.#createErrorResult('曲線の変形に失敗しました');
+        } catch (error) {
+            return this.#createErrorResult(`エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * 曲線を複製
+     * @param {number} curveId - 曲線ID
+     * @param {number} [deltaX=0] - 複製先までのX方向の移動量（ドメイン座標）
+     * @param {number} [deltaY=0] - 複製先までのY方向の移動量（ドメイン座標）
+     * @returns {Object} 複製結果 {success: boolean, curveId: number, message: string}
+     */
+    duplicateCurve(curveId, deltaX = 0, deltaY = 0) {
+        const validation = this.#validateCurveId(curveId);
+        if (!validation.valid) {
+            return this.#createErrorResult(validation.message);
+        }
+
+        if (typeof deltaX !== 'number' || typeof deltaY !== 'number' || !isFinite(deltaX) || !isFinite(deltaY)) {
+            return this.#createErrorResult('移動量は有限の数値で指定してください');
+        }
+
+        try {
+            const [newCurveId] = this.#curveManager.duplicateCurves([curveId], { dx: deltaX, dy: deltaY });
+            if (newCurveId === undefined) {
+                return this.#createErrorResult('曲線の複製に失敗しました');
+            }
+            this.#uiManager.updateHistoryButtons();
+            return this.#createSuccessResult('曲線が複製されました', { curveId: newCurveId });
+        } catch (error) {
+            return this.#createErrorResult(`エラー: ${error.message}`);
+        }
+    }
+
     // ========== 情報取得 API ==========
 
     /**
@@ -791,6 +892,25 @@ export class GraPen {
         return commands.join(' ');
     }
 
+    generateSVGPathFromFormula_polynomial(latexEquations = []) {
+        if (!Array.isArray(latexEquations) || latexEquations.length === 0) return '';
+        const paths = [];
+        for (const eq of latexEquations) {
+            if (eq && eq.type === 'cubicBezier') {
+                // 回転で三次ベジェに変換された区間
+                paths.push(this.generateSVGPathFromFormula_cubicBezierSegment([eq]));
+                continue;
+            }
+            const coefficients = eq && eq.params ? eq.params.coefficients : null;
+            if (!Array.isArray(coefficients) || !coefficients.every(Number.isFinite)) continue;
+            const start = eq.domain ? Number(eq.domain.start) : NaN;
+            const end = eq.domain ? Number(eq.domain.end) : NaN;
+            if (!isFinite(start) || !isFinite(end)) continue;
+            paths.push(polynomialToBezierPath(coefficients, start, end));
+        }
+        return paths.join(' ');
+    }
+
     generateSVGPathFromFormula_arc(latexEquations = []) {
         if (!Array.isArray(latexEquations) || latexEquations.length === 0) return '';
         const commands = [];
@@ -890,6 +1010,7 @@ export class GraPen {
         if (type === 'quadratic') return this.generateSVGPathFromFormula_quadratic(latexEquations, originalPoints, options);
         if (type === 'quadraticBezier') return this.generateSVGPathFromFormula_quadraticBezierSegment(latexEquations, originalPoints, options);
         if (type === 'cubicBezier') return this.generateSVGPathFromFormula_cubicBezierSegment(latexEquations, originalPoints, options);
+        if (type === 'polynomial' || type === 'cubicSpline') return this.generateSVGPathFromFormula_polynomial(latexEquations, originalPoints, options);
         if (type === 'circle') return this.generateSVGPathFromFormula_circle(latexEquations, originalPoints, options);
         if (type === 'ellipse') return this.generateSVGPathFromFormula_ellipse(latexEquations, originalPoints, options);
         if (type === 'arc') return this.generateSVGPathFromFormula_arc(latexEquations, originalPoints, options);
@@ -996,6 +1117,61 @@ export class GraPen {
         }
     }
 
+    /**
+     * 以降の API 操作を1回の元に戻すで取り消せるようにまとめ始める
+     * 入れ子で呼んだ場合は一番外側の commitTransaction でまとめる
+     * @param {string} [label] - 履歴パネルに表示する名前
+     * @returns {Object} 実行結果 {success: boolean, message: string}
+     */
+    beginTransaction(label = null) {
+        if (label !== null && typeof label !== 'string') {
+            return this.#createErrorResult('名前は文字列で指定してください');
+        }
+
+        try {
+            this.#historyManager.beginTransaction(label);
+            return this.#createSuccessResult('トランザクションを開始しました');
+        } catch (error) {
+            return this.#createErrorResult(`エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * beginTransaction 以降の操作を1件の履歴として確定
+     * @returns {Object} 実行結果 {success: boolean, message: string}
+     */
+    commitTransaction() {
+        try {
+            if (!this.#historyManager.isInTransaction()) {
+                return this.#createErrorResult('トランザクションが開始されていません');
+            }
+
+            this.#historyManager.commitTransaction();
+            this.#uiManager.updateHistoryButtons();
+            return this.#createSuccessResult('トランザクションを確定しました');
+        } catch (error) {
+            return this.#createErrorResult(`エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * beginTransaction 以降の操作をすべて取り消す（履歴にも残さない）
+     * @returns {Object} 実行結果 {success: boolean, message: string}
+     */
+    rollback() {
+        try {
+            if (!this.#historyManager.isInTransaction()) {
+                return this.#createErrorResult('トランザクションが開始されていません');
+            }
+
+            this.#historyManager.rollback();
+            this.#uiManager.updateHistoryButtons();
+            return this.#createSuccessResult('トランザクションの操作を取り消しました');
+        } catch (error) {
+            return this.#createErrorResult(`エラー: ${error.message}`);
+        }
+    }
+
     /**
      * スライダーの値をプログラムから設定する（公開API）
      * @param {number} curveId - 曲線ID
@@ -1214,6 +1390,9 @@ export class GraPen {
 === 履歴操作 ===
 • undo() - 元に戻す
 • redo() - やり直し
+• beginTransaction(label) / commitTransaction() - 間の操作を1回の元に戻すにまとめる
+    例: GraPen.beginTransaction('図の作成'); GraPen.addCurve({...}); GraPen.translateCurve(0, 1, 0); GraPen.commitTransaction()
+• rollback() - beginTransaction 以降の操作をすべて取り消す
 
 === その他 ===
 • help() - このヘルプを表示
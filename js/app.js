@@ -4,8 +4,12 @@ import { HistoryManager } from './history/HistoryManager.js';
 import { UIManager } from './ui/UIManager.js';
 import { TutorialModal } from './modal/TutorialModal.js';
 import { CurveMovementHandler } from './curve/CurveMovementHandler.js';
+import { KnotEditHandler } from './curve/KnotEditHandler.js';
+import { CurveSelectionHandler } from './curve/CurveSelectionHandler.js';
+import { BezierHandleEditor } from './curve/BezierHandleEditor.js';
 import { LanguageManager } from './i18n/LanguageManager.js';
-import { GraphStorageManager } from './storage/GraphStorageManager.js';
+import { GraphStorageManager, createStorageAdapter, readStorageConfig } from './storage/GraphStorageManager.js';
+import { AutosaveManager } from './storage/AutosaveManager.js';
 import { NewFeatureModal } from './modal/NewFeatureModal.js';
 import { URLParamsUtil } from './util/URLParamsUtil.js';
 import { GraPen } from './GraPen.js';
@@ -20,6 +24,7 @@ document.addEventListener('DOMContentLoaded', async function () {
         prevSize: 6,
         currentTool: 'pen',
         selectCurveId: null,
+        selectedCurveIds: [],
         nextCurveId: 0,
         advancedMode: false
     };
@@ -50,8 +55,19 @@ document.addEventListener('DOMContentLoaded', async function () {
     // 曲線移動ハンドラの初期化
     const curveMovementHandler = new CurveMovementHandler(curveManager, settings, graphCalculator);
 
-    // GraphStorageManagerの初期化
-    const graphStorageManager = new GraphStorageManager();
+    // 節点ドラッグ編集ハンドラの初期化
+    new KnotEditHandler(curveManager, settings, graphCalculator);
+
+    // 複数選択（修飾キー+クリック、マーキー選択）ハンドラの初期化
+    new CurveSelectionHandler(curveManager, settings, graphCalculator);
+
+    // ベジェ制御点ハンドルの初期化
+    curveManager.setBezierHandleEditor(new BezierHandleEditor(curveManager, settings, graphCalculator));
+
+    // GraphStorageManagerの初期化（保存先は index.html の meta タグ grapen-storage で配置時に指定）
+    const storageConfig = readStorageConfig();
+    const storageAdapter = createStorageAdapter(storageConfig.type, { url: storageConfig.url });
+    const graphStorageManager = new GraphStorageManager(undefined, storageAdapter);
 
     // UI管理の初期化
     const uiManager = new UIManager(
@@ -130,7 +146,16 @@ document.addEventListener('DOMContentLoaded', async function () {
     }
 
     // グラフを読み込んだあと、初期表示を更新
-    await URLParamsUtil.loadGraphFromHashParameter(graphStorageManager, uiManager);
+    // ?hash= はFirestoreから、#graph= はURLに埋め込まれた共有リンクから読み込む
+    const loadedFromHash = await URLParamsUtil.loadGraphFromHashParameter(graphStorageManager, uiManager);
+    if (!loadedFromHash) {
+        await URLParamsUtil.loadGraphFromShareFragment(uiManager);
+    }
+    URLParamsUtil.watchShareFragment(uiManager);
+
+    // 前回保存されなかった作業（タブが破棄された場合など）があれば復元を確認し、自動保存を開始
+    const autosaveManager = new AutosaveManager(historyManager, uiManager);
+    await autosaveManager.offerRestore();
     // 初期状態に応じてホームボタンを更新（読み込みでドメインが変わるため）
     try { updateHomeVisibility(); } catch (e) { /* ignore */ }
 });
@@ -38,7 +38,9 @@ export class ApproximatorManager {
             { id: 'display', labelKey: 'approximator.tab.display', fallback: '表示' },
             { id: 'linear-single', labelKey: 'approximator.tab.linear_single', fallback: '一次直線近似' },
             { id: 'linear-piecewise', labelKey: 'approximator.tab.linear_piecewise', fallback: '折れ線近似' },
+            { id: 'polynomial', labelKey: 'approximator.tab.polynomial', fallback: '多項式近似' },
             { id: 'quadratic-bspline', labelKey: 'approximator.tab.quadratic_bspline', fallback: '二次Bスプライン' },
+            { id: 'cubic-spline', labelKey: 'approximator.tab.cubic_spline', fallback: '三次スプライン' },
             { id: 'quadratic-single', labelKey: 'approximator.tab.quadratic_single', fallback: '単一二次ベジェ' },
             { id: 'quadratic-chain', labelKey: 'approximator.tab.quadratic_chain', fallback: '二次ベジェチェーン' },
             { id: 'circle-single', labelKey: 'approximator.tab.circle_single', fallback: '円・楕円近似' },
@@ -187,6 +189,103 @@ export class ApproximatorManager {
                 decimals: 2,
                 path: ['piecewiseLinear', 'horizontalSlopeThreshold']
             },
+            polynomialEnabled: {
+                type: 'toggle',
+                tab: 'polynomial',
+                icon: 'functions',
+                labelKey: 'approximator.settings.polynomial.enabled',
+                fallback: '1つの多項式で表せる曲線は多項式で近似する',
+                path: ['polynomial', 'enabled']
+            },
+            polynomialAutoDegree: {
+                type: 'toggle',
+                tab: 'polynomial',
+                icon: 'auto_graph',
+                labelKey: 'approximator.settings.polynomial.auto_degree',
+                fallback: '次数を自動選択 (BIC)',
+                path: ['polynomial', 'autoDegree']
+            },
+            polynomialQuantizeCoefficients: {
+                type: 'toggle',
+                tab: 'polynomial',
+                icon: 'straighten',
+                labelKey: 'approximator.settings.polynomial.quantize_coefficients',
+                fallback: '係数を量子化',
+                path: ['polynomial', 'quantizeCoefficients']
+            },
+            polynomialMinDegree: {
+                type: 'range',
+                tab: 'polynomial',
+                labelKey: 'approximator.settings.polynomial.min_degree',
+                fallback: '最小次数',
+                min: 1,
+                max: 6,
+                step: 1,
+                path: ['polynomial', 'minDegree']
+            },
+            polynomialMaxDegree: {
+                type: 'range',
+                tab: 'polynomial',
+                labelKey: 'approximator.settings.polynomial.max_degree',
+                fallback: '最大次数',
+                min: 1,
+                max: 6,
+                step: 1,
+                path: ['polynomial', 'maxDegree']
+            },
+            polynomialErrorToleranceRatio: {
+                type: 'range',
+                tab: 'polynomial',
+                labelKey: 'approximator.settings.polynomial.error_tolerance_ratio',
+                fallback: 'RMS誤差許容比',
+                min: 0,
+                max: 0.1,
+                step: 0.001,
+                decimals: 3,
+                path: ['polynomial', 'errorToleranceRatio']
+            },
+            polynomialMaxErrorRatio: {
+                type: 'range',
+                tab: 'polynomial',
+                labelKey: 'approximator.settings.polynomial.max_error_ratio',
+                fallback: '最大誤差許容比',
+                min: 0,
+                max: 0.2,
+                step: 0.005,
+                decimals: 3,
+                path: ['polynomial', 'maxErrorRatio']
+            },
+            polynomialMonotonicToleranceRatio: {
+                type: 'range',
+                tab: 'polynomial',
+                labelKey: 'approximator.settings.polynomial.monotonic_tolerance_ratio',
+                fallback: '単調性許容比',
+                min: 0,
+                max: 0.2,
+                step: 0.01,
+                decimals: 2,
+                path: ['polynomial', 'monotonicToleranceRatio']
+            },
+            polynomialSmoothWindow: {
+                type: 'range',
+                tab: 'polynomial',
+                labelKey: 'approximator.settings.polynomial.smooth_window',
+                fallback: 'スムージング窓',
+                min: 1,
+                max: 25,
+                step: 1,
+                path: ['polynomial', 'smoothWindow']
+            },
+            polynomialResampleCount: {
+                type: 'range',
+                tab: 'polynomial',
+                labelKey: 'approximator.settings.polynomial.resample_count',
+                fallback: 'リサンプル数',
+                min: 32,
+                max: 256,
+                step: 1,
+                path: ['polynomial', 'resampleCount']
+            },
             maxKnots: {
                 type: 'range',
                 tab: 'quadratic-bspline',
@@ -227,6 +326,45 @@ export class ApproximatorManager {
                 decimals: 2,
                 path: ['quadraticBSpline', 'minKnotDistance']
             },
+            cubicSplineEnabled: {
+                type: 'toggle',
+                tab: 'cubic-spline',
+                icon: 'gesture',
+                labelKey: 'approximator.settings.cubic_spline.enabled',
+                fallback: '二次Bスプラインの代わりに使う',
+                path: ['cubicSpline', 'enabled']
+            },
+            cubicSplineMinKnots: {
+                type: 'range',
+                tab: 'cubic-spline',
+                labelKey: 'approximator.settings.cubic_spline.min_knots',
+                fallback: '最小節点数',
+                min: 2,
+                max: 10,
+                step: 1,
+                path: ['cubicSpline', 'minKnots']
+            },
+            cubicSplineMaxKnots: {
+                type: 'range',
+                tab: 'cubic-spline',
+                labelKey: 'approximator.settings.cubic_spline.max_knots',
+                fallback: '最大節点数',
+                min: 2,
+                max: 16,
+                step: 1,
+                path: ['cubicSpline', 'maxKnots']
+            },
+            cubicSplineMinKnotDistance: {
+                type: 'range',
+                tab: 'cubic-spline',
+                labelKey: 'approximator.settings.cubic_spline.min_knot_distance',
+                fallback: '節点最小間隔',
+                min: 0.01,
+                max: 0.5,
+                step: 0.01,
+                decimals: 2,
+                path: ['cubicSpline', 'minKnotDistance']
+            },
             singleQuadAllowSelfIntersection: {
                 type: 'toggle',
                 tab: 'quadratic-single',
@@ -0,0 +1,185 @@
+import { BSplineApproximator } from "../quadratic/BSplineApproximator.js";
+import { EquationBuilder } from "../../util/EquationBuilder.js";
+import { composePolynomialAffine, polynomialToCubicControlPoints } from "../../util/PolynomialUtil.js";
+
+/**
+ * 3次B-スプライン曲線近似クラス
+ * 節点の選び方・削除優先度（GetPriority, setKnotsNum）は2次B-スプラインと共通で、
+ * 区間の多項式を3次にすることで節点で二階微分（曲率）まで連続な C2 曲線にする
+ */
+export class CubicBSplineApproximator extends BSplineApproximator {
+    /**
+     * @param {Array} points - 点列データ [[x1, y1], ...]
+     * @param {Object} options - 近似オプション
+     */
+    constructor(points, options = {}) {
+        super(points, { ...options, degree: 3 });
+    }
+
+    /**
+     * preKnotsの初期化
+     * 3次では始点・終点の外側にノットが3点ずつ必要なため、2次の配置に1点ずつ追加する
+     */
+    _initPreKnots() {
+        super._initPreKnots();
+        this.preKnots.unshift({ knot: -0.3, priority: -1, diff: -9999 });
+        this.preKnots.push({ knot: 1.3, priority: -1, diff: -9999 });
+    }
+
+    /**
+     * 描画範囲の設定
+     */
+    _setGraphRange() {
+        this.graph = {
+            min: this.knots[3],
+            max: this.knots[this.knots.length - 4]
+        };
+    }
+
+    /**
+     * 基底関数同士や関数fとの内積を数値積分で計算し、係数行列Abを構築
+     * 3次の基底関数は前後3つの基底関数と重なるため、各行は帯部分7成分と右辺1成分を持つ
+     */
+    setAb() {
+        const d = (this.graph.max - this.graph.min) / 1000;
+        this.Ab = [];
+        for (let i = 0; i < this.knots_m - 4; i++) {
+            this.Ab[i] = new Array(8).fill(0);
+            for (let j = 0; j < 7; j++) {
+                const m = this.knots[Math.max(j - 3, 0) + i];
+                const M = this.knots[Math.min(j, 3) + 1 + i];
+                for (let t = m; t <= M; t += d) {
+                    this.Ab[i][j] += this.getBasis(i, 3, t) * this.getBasis(i + j - 3, 3, t);
+                }
+            }
+            for (let t = this.knots[i]; t <= this.knots[i + 4]; t += d) {
+                this.Ab[i][7] += this.getBasis(i, 3, t) * this.getf(t);
+            }
+            this.Ab[i] = this.Ab[i].map(e => e * d);
+        }
+    }
+
+    /**
+     * 帯行列の正規方程式をガウス消去法で解き、スプラインの係数を得る
+     * Ab[i][j] は A の (i, i + j - 3) 成分、Ab[i][7] は右辺
+     */
+    solveAb() {
+        const k = this.knots_m - 4;
+        const w = 3;
+        const rhs = 7;
+
+        // 前進消去
+        for (let i = 0; i < k; i++) {
+            const pivot = this.Ab[i][w];
+            if (Math.abs(pivot) < 1e-14) {
+                throw new Error('Singular spline system');
+            }
+            for (let j = w; j < rhs; j++) this.Ab[i][j] /= pivot;
+            this.Ab[i][rhs] /= pivot;
+
+            for (let r = 1; r <= w && i + r < k; r++) {
+                const factor = this.Ab[i + r][w - r];
+                if (factor === 0) continue;
+                for (let c = 0; c <= w; c++) {
+                    this.Ab[i + r][w - r + c] -= factor * this.Ab[i][w + c];
+                }
+                this.Ab[i + r][rhs] -= factor * this.Ab[i][rhs];
+            }
+        }
+
+        // 後退代入
+        this.coef = new Array(k).fill(0);
+        for (let i = k - 1; i >= 0; i--) {
+            let value = this.Ab[i][rhs];
+            for (let r = 1; r <= w && i + r < k; r++) {
+                value -= this.Ab[i][w + r] * this.coef[i + r];
+            }
+            this.coef[i] = value;
+        }
+    }
+
+    /**
+     * 各区間の三次多項式係数をPoYに格納
+     */
+    getCoefficient() {
+        this.PoY = [];
+        for (let j = 0; j < this.knots_m - 7; j++) {
+            this.PoY[j] = [0, 0, 0, 0];
+            for (let i = 0; i < 4; i++) {
+                const b = this.getPolynomial(j + i, 3, this.knots[j + 3]);
+                const by = b.map(a => a * this.coef[j + i]);
+                for (let k = 0; k <= 3; k++) this.PoY[j][k] += by[k] || 0;
+            }
+        }
+    }
+
+    /**
+     * 各区間の三階微分値の差分からノット削除優先度を決定し、preKnotsに格納
+     * 3次スプラインは節点で二階微分まで連続なため、節点での不連続は三階微分に現れる
+     * （setKnotsNum・GetPriorityから呼ばれるため、名前は2次と共通にしている）
+     */
+    getSecondDeri() {
+        const td = this.PoY.map(e => e[3]);
+        this._assignKnotPriorities(td, 4);
+    }
+
+    /**
+     * 近似結果を元座標系で返す
+     * 各区間は定義域付きの三次関数 y = f(x) として返す
+     * @returns {Object}
+     */
+    getApproximationResult() {
+        const dx = this.maxX - this.minX || 1;
+        const dy = this.maxY - this.minY || 1;
+
+        const segments = this.PoY.map((coefficients, i) => {
+            const x0 = this.minX + this.knots[i + 3] * dx;
+            const x1 = this.minX + this.knots[i + 4] * dx;
+
+            // (y - minY) / dy = P((x - minX) / dx) を y = f(x) に戻す
+            const coef = composePolynomialAffine(coefficients, 1 / dx, -this.minX / dx).map(c => c * dy);
+            coef[0] += this.minY;
+
+            const [start, control1, control2, end] = polynomialToCubicControlPoints(coef, x0, x1);
+            return { start, control1, control2, end, coef };
+        });
+
+        const preKnots = this.preKnots;
+
+        // ノット列（元座標系）
+        const originalKnots = this.knots.map(t => [
+            this.minX + t * dx,
+            this.minY + this.getf(t) * dy
+        ]);
+
+        // 表示するノット列（元座標系）
+        const knots = segments.map(seg => seg.start);
+        if (segments.length > 0) knots.push(segments[segments.length - 1].end);
+
+        // latex（各区間は始点 x_0 を中心とした a(x - x_0)^3 + b(x - x_0)^2 + c(x - x_0) + d の形で表す）
+        const latexEquations = segments.map(seg => EquationBuilder.polynomial({
+            coefficients: seg.coef,
+            domain: [seg.start[0], seg.end[0]],
+            origin: seg.start[0],
+            meta: { coefficients: seg.coef }
+        }, { decimals: 3 }));
+
+        // ベジェ
+        const bezierSegments = segments.map(seg => ({
+            start: seg.start,
+            control1: seg.control1,
+            control2: seg.control2,
+            end: seg.end
+        }));
+        // 係数
+        const splineCoefficients = segments.map(s => s.coef);
+        return {
+            knots,
+            preKnots,
+            originalKnots,
+            bezierSegments,
+            splineCoefficients,
+            latexEquations
+        };
+    }
+}
@@ -0,0 +1,46 @@
+import { QuadraticBSplineCurveApproximator } from '../quadratic/QuadraticBSplineCurveApproximator.js';
+import { CubicBSplineApproximator } from './CubicBSplineApproximator.js';
+
+/**
+ * グラフ座標系で3次Bスプライン近似を行い、定義域付きの三次関数の列を返す
+ * 単調性の判定・節点の優先度付け・節点指定での再近似は2次Bスプライン近似と共通
+ */
+export class CubicSplineCurveApproximator extends QuadraticBSplineCurveApproximator {
+    /**
+     * @param {Object} options - 近似オプション
+     */
+    constructor(options = {}) {
+        super(options);
+        this.logPrefix = "[CubicSplineCurveApproximator]";
+        this.curveType = "cubicSpline";
+    }
+
+    /**
+     * 近似本体（3次B-スプライン近似）のインスタンスを作成
+     * @param {Array} points - グラフ座標系の点列 [[x, y], ...]
+     * @param {Object} options - 近似オプション
+     * @returns {CubicBSplineApproximator}
+     */
+    createApproximator(points, options) {
+        return new CubicBSplineApproximator(points, options);
+    }
+
+    /**
+     * 三次ベジェの区間列からSVGパスを作成
+     * @param {Array} data - 区間ごとの制御点 {start, control1, control2, end}
+     * @returns {string}
+     */
+    generateSvgPath(data) {
+        if (!data || data.length === 0) {
+            return "";
+        }
+
+        const pathCommands = [`M ${data[0].start[0]} ${data[0].start[1]}`];
+        for (const segment of data) {
+            const { control1, control2, end } = segment;
+            pathCommands.push(`C ${control1[0]} ${control1[1]} ${control2[0]} ${control2[1]} ${end[0]} ${end[1]}`);
+        }
+
+        return pathCommands.join(" ");
+    }
+}
@@ -0,0 +1,318 @@
+import { preprocessCurve } from "../../util/curvePreprocess.js";
+import { EquationBuilder } from "../../util/EquationBuilder.js";
+import {
+    evaluatePolynomial,
+    composePolynomialAffine,
+    polynomialToBezierPath,
+    trimPolynomial
+} from "../../util/PolynomialUtil.js";
+import { leastSquares } from "../../util/LeastSquaresUtil.js";
+
+const DEFAULT_OPTIONS = {
+    // 自動近似で候補にするかどうか（曲線タイプを指定した近似では常に使える）
+    enabled: false,
+    minDegree: 2,
+    maxDegree: 4,
+    autoDegree: true,
+    quantizeCoefficients: true,
+    errorToleranceRatio: 0.01,
+    maxErrorRatio: 0.03,
+    monotonicToleranceRatio: 0.05,
+    smoothWindow: 3,
+    resampleCount: 96
+};
+
+/** 扱う次数の上限（これより高い次数は係数の誤差が大きくなるため扱わない） */
+const MAX_SUPPORTED_DEGREE = 6;
+
+/** 係数の量子化で細かくしていく段階数 */
+const QUANTIZATION_LEVELS = 4;
+
+/** 量子化による RMS 誤差の増加をどこまで許すか（量子化前に対する比） */
+const QUANTIZATION_SLACK = 0.25;
+
+const EPSILON = 1e-9;
+
+/**
+ * 正規化した座標 (u, v) に最小二乗で degree 次の多項式を当てはめる
+ * @returns {number[]|null} u についての係数
+ */
+function fitNormalized(us, vs, degree) {
+    const rows = us.map(u => Array.from({ length: degree + 1 }, (_, k) => Math.pow(u, k)));
+    const fit = leastSquares(rows, vs);
+    return fit ? fit.coeffs : null;
+}
+
+function computeResiduals(points, coefficients) {
+    let sumSq = 0;
+    let maxError = 0;
+    for (let i = 0; i < points.length; i += 1) {
+        const error = Math.abs(points[i][1] - evaluatePolynomial(coefficients, points[i][0]));
+        sumSq += error * error;
+        if (error > maxError) maxError = error;
+    }
+    return {
+        rss: sumSq,
+        rms: Math.sqrt(sumSq / Math.max(points.length, 1)),
+        maxError
+    };
+}
+
+/**
+ * ベイズ情報量規準 n ln(RSS / n) + k ln n
+ * RSS が 0 に近いと ln が発散するため、残差の下限を設ける
+ */
+function computeBIC(rss, count, parameterCount, floor) {
+    const variance = Math.max(rss / count, floor);
+    return count * Math.log(variance) + parameterCount * Math.log(count);
+}
+
+/**
+ * 点列に degree 次の多項式を最小二乗で当てはめる
+ * 条件数を抑えるため、x と y を [-1, 1] 程度に正規化して解き、x についての係数に戻す
+ * @returns {number[]|null} x についての係数（次数の低い順）
+ */
+function fitPolynomial(points, degree) {
+    let xMin = Number.POSITIVE_INFINITY;
+    let xMax = Number.NEGATIVE_INFINITY;
+    let yMin = Number.POSITIVE_INFINITY;
+    let yMax = Number.NEGATIVE_INFINITY;
+    points.forEach(([x, y]) => {
+        xMin = Math.min(xMin, x);
+        xMax = Math.max(xMax, x);
+        yMin = Math.min(yMin, y);
+        yMax = Math.max(yMax, y);
+    });
+    const centerX = (xMin + xMax) / 2;
+    const halfX = Math.max((xMax - xMin) / 2, EPSILON);
+    const centerY = (yMin + yMax) / 2;
+    const halfY = Math.max((yMax - yMin) / 2, EPSILON);
+
+    const normalized = fitNormalized(
+        points.map(p => (p[0] - centerX) / halfX),
+        points.map(p => (p[1] - centerY) / halfY),
+        degree
+    );
+    if (!normalized) return null;
+
+    const coefficients = composePolynomialAffine(normalized, 1 / halfX, -centerX / halfX).map(c => c * halfY);
+    coefficients[0] += centerY;
+    return coefficients;
+}
+
+/**
+ * 係数を 10 の累乗の刻みに丸める
+ * 最高次から順に丸め、丸めた項を差し引いた残りに低い次数を当てはめ直すことで、丸めによるずれを低い次数で吸収する
+ * 刻みは各項の定義域内での大きさ（|c_k| R^k）が y の刻み quantum にそろうように決める
+ * @returns {number[]|null}
+ */
+function quantizeCoefficients(points, degree, quantum, radius) {
+    const fixed = new Array(degree + 1).fill(0);
+    for (let k = degree; k >= 0; k -= 1) {
+        const residualPoints = points.map(([x, y]) => {
+            let rest = y;
+            for (let j = k + 1; j <= degree; j += 1) {
+                rest -= fixed[j] * Math.pow(x, j);
+            }
+            return [x, rest];
+        });
+        const fit = fitPolynomial(residualPoints, k);
+        if (!fit) return null;
+
+        const step = Math.pow(10, Math.floor(Math.log10(quantum / Math.pow(radius, k))));
+        const rounded = Math.round(fit[k] / step) * step;
+        // 丸め誤差（0.30000000000000004 など）を取り除く
+        const decimals = Math.max(0, Math.min(15, -Math.floor(Math.log10(step))));
+        fixed[k] = Number(rounded.toFixed(decimals));
+    }
+    return fixed;
+}
+
+/**
+ * x についての戻り量の合計（y = f(x) として描かれているかの判定用）
+ */
+function computeBacktrack(points, increasing) {
+    let backtrack = 0;
+    for (let i = 1; i < points.length; i += 1) {
+        const dx = points[i][0] - points[i - 1][0];
+        if (increasing ? dx < 0 : dx > 0) backtrack += Math.abs(dx);
+    }
+    return backtrack;
+}
+
+/**
+ * 点列を1つの多項式 y = f(x) で最小二乗近似する
+ * 次数は BIC で自動選択し（autoDegree が false の場合は maxDegree に固定）、係数は誤差が許す範囲で丸める
+ */
+export class PolynomialApproximator {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    static get approximatorType() {
+        return "polynomial";
+    }
+
+    getDefaultOptions() {
+        return { ...DEFAULT_OPTIONS };
+    }
+
+    setOptions(options) {
+        this.options = {
+            ...this.options,
+            ...options
+        };
+    }
+
+    /**
+     * @param {Array<[number, number]>} points グラフ座標系の点列
+     * @param {{ xMin: number, xMax: number, yMin: number, yMax: number }} domain 表示範囲
+     * @param {Object} overrides UI からの上書き設定
+     * @returns {{ success: boolean, type: string, svgPath: string, latexEquations: Array<Object>, knots: Array, domain: any, diagnostics: Object }}
+     */
+    approximate(points = [], domain = null, overrides = {}) {
+        const effectiveOptions = { ...this.options, ...overrides };
+        const fail = (reason, extra = {}, resultDomain = domain) => ({
+            success: false,
+            type: PolynomialApproximator.approximatorType,
+            svgPath: "",
+            latexEquations: [],
+            knots: [],
+            domain: resultDomain,
+            diagnostics: { reason, ...extra }
+        });
+
+        if (!Array.isArray(points) || points.length < 3) {
+            return fail("Insufficient points", {
+                required: 3,
+                received: Array.isArray(points) ? points.length : 0
+            });
+        }
+
+        const preprocess = preprocessCurve(points, {
+            smoothWindow: effectiveOptions.smoothWindow,
+            resampleCount: effectiveOptions.resampleCount,
+            domain
+        });
+        const processedPoints = preprocess.points;
+        if (!Array.isArray(processedPoints) || processedPoints.length < 3) {
+            return fail("Preprocessing removed too many points", {
+                pointCount: Array.isArray(processedPoints) ? processedPoints.length : 0
+            }, preprocess.domain);
+        }
+
+        const xs = processedPoints.map(p => p[0]);
+        const xMin = Math.min(...xs);
+        const xMax = Math.max(...xs);
+        const xSpan = xMax - xMin;
+        const scale = Math.max(1, Math.max(preprocess.domain.width ?? 0, preprocess.domain.height ?? 0));
+
+        // y = f(x) として描かれていること（x 方向に行き来していないこと）
+        const increasing = processedPoints[processedPoints.length - 1][0] >= processedPoints[0][0];
+        const backtrack = computeBacktrack(processedPoints, increasing);
+        if (xSpan <= EPSILON || backtrack > effectiveOptions.monotonicToleranceRatio * xSpan) {
+            return fail("Stroke is not a function of x", { xSpan, backtrack }, preprocess.domain);
+        }
+
+        const maxDegree = Math.round(Math.min(Math.max(effectiveOptions.maxDegree, 1), MAX_SUPPORTED_DEGREE));
+        const minDegree = effectiveOptions.autoDegree
+            ? Math.round(Math.min(Math.max(effectiveOptions.minDegree, 1), maxDegree))
+            : maxDegree;
+        const count = processedPoints.length;
+        // 誤差の下限（表示範囲に対して十分小さい値）
+        const varianceFloor = Math.pow(scale * 1e-6, 2);
+
+        const candidates = [];
+        for (let degree = minDegree; degree <= maxDegree; degree += 1) {
+            if (degree + 1 >= count) break;
+            const coefficients = fitPolynomial(processedPoints, degree);
+            if (!coefficients) continue;
+            const residuals = computeResiduals(processedPoints, coefficients);
+            candidates.push({
+                degree,
+                coefficients,
+                ...residuals,
+                bic: computeBIC(residuals.rss, count, degree + 1, varianceFloor)
+            });
+        }
+        if (!candidates.length) {
+            return fail("Least-squares fit failed", { minDegree, maxDegree }, preprocess.domain);
+        }
+
+        const chosen = candidates.reduce((best, candidate) => candidate.bic < best.bic ? candidate : best);
+        const rmsTolerance = effectiveOptions.errorToleranceRatio * scale;
+        const maxTolerance = effectiveOptions.maxErrorRatio * scale;
+        const withinTolerance = (fit) => fit.rms <= rmsTolerance && fit.maxError <= maxTolerance;
+        const candidateSummary = candidates.map(({ degree, rms, maxError, bic }) => ({ degree, rms, maxError, bic }));
+
+        if (!withinTolerance(chosen)) {
+            return fail("Polynomial error exceeds tolerance", {
+                degree: chosen.degree,
+                rmsError: chosen.rms,
+                maxError: chosen.maxError,
+                rmsTolerance,
+                maxTolerance,
+                candidates: candidateSummary
+            }, preprocess.domain);
+        }
+
+        // 係数を粗い刻みから順に丸め、誤差が許容範囲に収まる最も粗い刻みを使う
+        let finalFit = chosen;
+        let quantization = { enabled: !!effectiveOptions.quantizeCoefficients, applied: false };
+        if (effectiveOptions.quantizeCoefficients) {
+            const radius = Math.max(Math.abs(xMin), Math.abs(xMax), 1);
+            const baseExponent = Math.floor(Math.log10(scale));
+            for (let level = 1; level <= QUANTIZATION_LEVELS; level += 1) {
+                const quantum = Math.pow(10, baseExponent - level);
+                const coefficients = quantizeCoefficients(processedPoints, chosen.degree, quantum, radius);
+                if (!coefficients) continue;
+                const residuals = computeResiduals(processedPoints, coefficients);
+                const fit = { ...chosen, coefficients, ...residuals };
+                if (withinTolerance(fit) && residuals.rms <= chosen.rms * (1 + QUANTIZATION_SLACK) + quantum * 0.1) {
+                    finalFit = fit;
+                    quantization = { enabled: true, applied: true, level, quantum };
+                    break;
+                }
+            }
+        }
+
+        const coefficients = trimPolynomial(finalFit.coefficients);
+        const startX = increasing ? processedPoints[0][0] : processedPoints[processedPoints.length - 1][0];
+        const endX = increasing ? processedPoints[processedPoints.length - 1][0] : processedPoints[0][0];
+        const formatValue = value => Number(value.toFixed(6));
+        const knots = [
+            [formatValue(startX), formatValue(evaluatePolynomial(coefficients, startX))],
+            [formatValue(endX), formatValue(evaluatePolynomial(coefficients, endX))]
+        ];
+        const equation = EquationBuilder.polynomial({
+            coefficients,
+            domain: [startX, endX],
+            meta: { degree: coefficients.length - 1, rmsError: finalFit.rms }
+        });
+
+        return {
+            success: true,
+            type: PolynomialApproximator.approximatorType,
+            originalPoints: points,
+            svgPath: polynomialToBezierPath(coefficients, startX, endX, { format: value => String(formatValue(value)) }),
+            latexEquations: [equation],
+            knots,
+            domain: preprocess.domain,
+            exportData: {
+                coefficients,
+                degree: coefficients.length - 1,
+                domain: [startX, endX]
+            },
+            diagnostics: {
+                degree: coefficients.length - 1,
+                selectedDegree: chosen.degree,
+                rmsError: finalFit.rms,
+                maxError: finalFit.maxError,
+                rmsTolerance,
+                maxTolerance,
+                quantization,
+                candidates: candidateSummary
+            }
+        };
+    }
+}
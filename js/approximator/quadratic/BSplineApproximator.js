@@ -474,12 +474,21 @@ export class BSplineApproximator {
      */
     getSecondDeri() {
         const sd = this.PoY.map(e => e[2]);
-        for (let i = 0; i < sd.length - 1; i++) {
-            this.preKnots[i + 3].diff = Math.abs(sd[i] - sd[i + 1]);
+        this._assignKnotPriorities(sd, 3);
+    }
+
+    /**
+     * 隣り合う区間の値の差をその間の節点のdiffとし、差が大きい順にノット削除優先度を割り当てる
+     * @param {Array<number>} values - 区間ごとの値（二次なら二階微分、三次なら三階微分）
+     * @param {number} offset - 区間iと区間i+1の間の節点のpreKnots上の位置は i + offset
+     */
+    _assignKnotPriorities(values, offset) {
+        for (let i = 0; i < values.length - 1; i++) {
+            this.preKnots[i + offset].diff = Math.abs(values[i] - values[i + 1]);
         }
         // 差でソート、節点削除優先度を決定
         this.preKnots.sort((a, b) => b.diff - a.diff);
-        for (let i = 0; i < sd.length - 1; i++) {
+        for (let i = 0; i < values.length - 1; i++) {
             this.preKnots[i].priority = i;
         }
         // knotでソート(もどす)
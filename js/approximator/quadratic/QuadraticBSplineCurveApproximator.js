@@ -15,6 +15,7 @@ export class QuadraticBSplineCurveApproximator {
             ...options
         };
         this.logPrefix = "[QuadraticBSplineCurveApproximator]";
+        this.curveType = "quadratic";
 
         this.result = null;
     }
@@ -66,14 +67,14 @@ export class QuadraticBSplineCurveApproximator {
 
         try {
             // 近似本体
-            const approx = new BSplineApproximator(points, options);
+            const approx = this.createApproximator(points, options);
 
             // 元座標系での近似結果を取得
             const result = approx.getApproximationResult(true);
 
             this.result = {
                 success: true,
-                type: "quadratic",
+                type: this.curveType,
                 originalPoints: points, // 元の点列
                 processedPoints: optimizedPoints, // 処理後の点列
                 knots: result.knots,
@@ -129,6 +130,16 @@ export class QuadraticBSplineCurveApproximator {
         }
     }
 
+    /**
+     * 近似本体（B-スプライン近似）のインスタンスを作成
+     * @param {Array} points - グラフ座標系の点列 [[x, y], ...]
+     * @param {Object} options - 近似オプション
+     * @returns {BSplineApproximator}
+     */
+    createApproximator(points, options) {
+        return new BSplineApproximator(points, options);
+    }
+
     /**
      * カスタムノットを使用して点列データから近似曲線を生成
      * @param {Array} inputPoints - グラフ座標系の点列 [[x, y], ...]
@@ -174,7 +185,7 @@ export class QuadraticBSplineCurveApproximator {
         try {
 
             // 近似本体のインスタンス作成
-            const approx = new BSplineApproximator(points, options);
+            const approx = this.createApproximator(points, options);
 
             // カスタムノットを設定
             approx.setCustomKnots(customKnots);
@@ -184,7 +195,7 @@ export class QuadraticBSplineCurveApproximator {
 
             this.result = {
                 success: true,
-                type: "quadratic",
+                type: this.curveType,
                 originalPoints: points,
                 customKnots: customKnots,
                 knots: result.knots,
@@ -0,0 +1,423 @@
+/**
+ * ベジェ制御点ハンドル
+ * 選択中のベジェ曲線（単一二次ベジェ・二次ベジェチェーン・選択的曲線近似）の制御多角形を表示し、
+ * カーソルツールで制御点をドラッグして曲線を編集する
+ */
+/**
+ * 制御多角形のSVGパスを作成
+ * @param {Array<Array<[number, number]>|null>} controlPoints - 区間ごとの制御点
+ * @returns {string}
+ */
+function buildControlPolygon(controlPoints) {
+    return controlPoints
+        .filter(Boolean)
+        .map(points => points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p[0]} ${p[1]}`).join(' '))
+        .join(' ');
+}
+
+export class BezierHandleEditor {
+    /**
+     * @param {CurveManager} curveManager
+     * @param {Object} settings - 共通設定（currentTool, selectCurveIdを参照）
+     * @param {GraphCalculator} graphCalculator
+     */
+    constructor(curveManager, settings, graphCalculator) {
+        this.curveManager = curveManager;
+        this.settings = settings;
+        this.graphCalculator = graphCalculator;
+
+        // 表示中の曲線と、制御多角形を描くGraphCalculator上の曲線ID
+        this.curveId = null;
+        this.handleCurveId = null;
+        // 区間ごとの制御点（ベジェ以外の区間は null）
+        this.controlPoints = null;
+        // ハンドルごとの点オブジェクトと、対応する制御点 [区間, 制御点番号] の一覧
+        this.handles = [];
+        // 二次ベジェチェーンで C1 連続を保つかどうか
+        this.enforceC1 = false;
+
+        this.dragState = {
+            isDragging: false,
+            handle: null,
+            startPosition: null,
+            startControlPoints: null,
+            startPath: null,
+            nextControlPoints: null
+        };
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerCancel = this.handlePointerCancel.bind(this);
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーを設定
+     * 曲線移動や選択解除より先にハンドルを判定するため、pointerdown はキャプチャで受け取る
+     */
+    setupEventListeners() {
+        if (!this.graphCalculator) return;
+
+        const svg = this.graphCalculator.getSvg();
+        svg.addEventListener('pointerdown', this.handlePointerDown, true);
+        d3.select(document).on('pointermove.bezierHandle', this.handlePointerMove);
+        d3.select(document).on('pointerup.bezierHandle', this.handlePointerUp);
+        d3.select(document).on('pointercancel.bezierHandle', this.handlePointerCancel);
+    }
+
+    /**
+     * 曲線の制御多角形とハンドルを表示する（編集できない曲線の場合は何もしない）
+     * @param {number} curveId
+     */
+    show(curveId) {
+        this.hide();
+        if (this.settings.currentTool !== 'cursor') return;
+
+        const curve = this.curveManager.curves[curveId];
+        if (!curve || curve.locked || curve.isHidden || !curve.graphCurve) return;
+
+        const controlPoints = this.curveManager.getBezierControlPoints(curveId);
+        if (!controlPoints || !controlPoints.some(Boolean)) return;
+
+        this.curveId = curveId;
+        this.controlPoints = controlPoints;
+        this.handleCurveId = `bezier-handles-${curve.graphCurve.id}`;
+        this.enforceC1 = curve.type === 'quadraticChain' && this._isC1Enforced(curve);
+        this.handles = this._collectHandles(controlPoints);
+        this._render();
+    }
+
+    /**
+     * 制御多角形とハンドルを非表示にする
+     */
+    hide() {
+        if (this.dragState.isDragging) {
+            this.endDrag();
+        }
+        if (this.handleCurveId && this.graphCalculator.getCurve(this.handleCurveId)) {
+            this.graphCalculator.removeCurve(this.handleCurveId);
+        }
+        this.curveId = null;
+        this.handleCurveId = null;
+        this.controlPoints = null;
+        this.handles = [];
+    }
+
+    /**
+     * 選択中の曲線に合わせて表示し直す
+     */
+    refresh() {
+        const selectedId = this.settings.selectCurveId;
+        if (selectedId === null || selectedId === undefined) {
+            this.hide();
+            return;
+        }
+        this.show(selectedId);
+    }
+
+    /**
+     * 近似時に C1 連続が指定されていたかどうか
+     * @private
+     */
+    _isC1Enforced(curve) {
+        const options = curve.approximationDiagnostics && curve.approximationDiagnostics.options;
+        if (options && typeof options.enforceC1 === 'boolean') return options.enforceC1;
+        const chainSettings = curve.approximatorSettings && curve.approximatorSettings.quadraticChain;
+        if (chainSettings && typeof chainSettings.enforceC1 === 'boolean') return chainSettings.enforceC1;
+        return false;
+    }
+
+    /**
+     * ハンドルの一覧を作成
+     * 区間の境界の端点は前後の区間で共有し、ベジェ以外の区間に接する端点は動かさない
+     * @private
+     */
+    _collectHandles(controlPoints) {
+        const handles = [];
+        const count = controlPoints.length;
+
+        controlPoints.forEach((points, index) => {
+            if (!points) return;
+            const last = points.length - 1;
+
+            if (index === 0) {
+                handles.push({ kind: 'anchor', refs: [[0, 0]] });
+            }
+            for (let k = 1; k < last; k++) {
+                handles.push({ kind: 'control', refs: [[index, k]] });
+            }
+
+            if (index + 1 < count) {
+                if (controlPoints[index + 1]) {
+                    handles.push({ kind: 'anchor', refs: [[index, last], [index + 1, 0]] });
+                }
+            } else {
+                handles.push({ kind: 'anchor', refs: [[index, last]] });
+            }
+        });
+
+        // 閉じた曲線は始点と終点を1つのハンドルにまとめる
+        const first = handles[0];
+        const lastHandle = handles[handles.length - 1];
+        if (handles.length > 2 && first.kind === 'anchor' && lastHandle.kind === 'anchor' && first.refs[0][0] === 0) {
+            const [li, lk] = lastHandle.refs[lastHandle.refs.length - 1];
+            const a = controlPoints[0][0];
+            const b = controlPoints[li][lk];
+            if (Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9) {
+                first.refs.push(...lastHandle.refs);
+                handles.pop();
+            }
+        }
+
+        return handles;
+    }
+
+    /**
+     * 制御多角形とハンドルを描画する
+     * @private
+     */
+    _render() {
+        if (this.graphCalculator.getCurve(this.handleCurveId)) {
+            this.graphCalculator.removeCurve(this.handleCurveId);
+        }
+
+        const polygon = buildControlPolygon(this.controlPoints);
+
+        const handleCurve = this.graphCalculator.addCurve(polygon, {
+            id: this.handleCurveId,
+            color: '#1976d2',
+            width: 1,
+            opacity: 0.6
+        });
+        if (!handleCurve) return;
+
+        // 制御多角形は曲線としてクリックされないようにする
+        if (handleCurve.group) {
+            handleCurve.group.querySelectorAll('path').forEach(path => {
+                path.style.pointerEvents = 'none';
+            });
+        }
+
+        this.handles.forEach(handle => {
+            const [segmentIndex, pointIndex] = handle.refs[0];
+            const [x, y] = this.controlPoints[segmentIndex][pointIndex];
+            handle.point = this.graphCalculator.addPoint(this.handleCurveId, x, y, {
+                shape: handle.kind === 'anchor' ? 'square' : 'circle',
+                size: 9,
+                stroke: '#1976d2',
+                fill: handle.kind === 'anchor' ? '#ffffff' : '#1976d2'
+            });
+            if (handle.point && handle.point.group) {
+                handle.point.group.style.cursor = 'move';
+            }
+        });
+    }
+
+    /**
+     * 表示中の制御点で制御多角形とハンドルの位置を更新する
+     * @private
+     */
+    _updateHandlePositions(controlPoints) {
+        const polygon = buildControlPolygon(controlPoints);
+        this.graphCalculator.updateCurve(this.handleCurveId, { path: polygon });
+
+        this.handles.forEach(handle => {
+            if (!handle.point) return;
+            const [segmentIndex, pointIndex] = handle.refs[0];
+            const [x, y] = controlPoints[segmentIndex][pointIndex];
+            handle.point.x = x;
+            handle.point.y = y;
+            handle.point.group.setAttribute('transform', `translate(${x}, ${y})`);
+        });
+    }
+
+    /**
+     * ポインタのドメイン座標を取得
+     * @private
+     */
+    _getDomainPosition(event) {
+        const svgRect = this.graphCalculator.getSvg().getBoundingClientRect();
+        return this.graphCalculator.screenToDomain(event.clientX - svgRect.left, event.clientY - svgRect.top);
+    }
+
+    /**
+     * ポインタダウンイベントハンドラ
+     * @param {PointerEvent} event
+     */
+    handlePointerDown(event) {
+        if (this.dragState.isDragging || this.curveId === null || this.settings.currentTool !== 'cursor') return;
+
+        let target = event.target;
+        let group = null;
+        for (let i = 0; i < 4 && target; i++) {
+            if (target.classList && target.classList.contains('point-group')) {
+                group = target;
+                break;
+            }
+            target = target.parentElement;
+        }
+        if (!group || group.getAttribute('data-curve-id') !== this.handleCurveId) return;
+
+        const handle = this.handles.find(h => h.point && h.point.group === group);
+        if (!handle) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const curve = this.curveManager.curves[this.curveId];
+        const graphCurve = this.graphCalculator.getCurve(curve.graphCurve.id);
+
+        this.dragState.isDragging = true;
+        this.dragState.handle = handle;
+        this.dragState.startPosition = this._getDomainPosition(event);
+        this.dragState.startControlPoints = this.controlPoints.map(points => (points ? points.map(p => p.slice()) : null));
+        this.dragState.startPath = graphCurve && graphCurve.path ? graphCurve.path.getAttribute('d') : null;
+        this.dragState.nextControlPoints = null;
+
+        this.graphCalculator.enableZoom(false);
+        this.graphCalculator.enableCanvas(false);
+    }
+
+    /**
+     * ポインタ移動イベントハンドラ（曲線と制御多角形をプレビュー表示する）
+     * @param {PointerEvent} event
+     */
+    handlePointerMove(event) {
+        if (!this.dragState.isDragging) return;
+        if (event && event.cancelable) event.preventDefault();
+
+        const position = this._getDomainPosition(event);
+        const dx = position.x - this.dragState.startPosition.x;
+        const dy = position.y - this.dragState.startPosition.y;
+        const next = this.moveHandle(this.dragState.startControlPoints, this.dragState.handle, dx, dy);
+
+        const svgPath = this.curveManager.buildBezierPath(this.curveId, next);
+        if (!svgPath) return;
+
+        this.dragState.nextControlPoints = next;
+        const curve = this.curveManager.curves[this.curveId];
+        this.graphCalculator.updateCurve(curve.graphCurve.id, { path: svgPath });
+        this.curveManager.syncEmphasisCurvePath(this.curveId, curve.graphCurve.id, svgPath);
+        this._updateHandlePositions(next);
+    }
+
+    /**
+     * ポインタアップイベントハンドラ（数式を書き換えて履歴に記録する）
+     */
+    handlePointerUp() {
+        if (!this.dragState.isDragging) return;
+
+        const curveId = this.curveId;
+        const { startControlPoints, nextControlPoints } = this.dragState;
+        this.endDrag();
+        if (!nextControlPoints) return;
+
+        if (!this.curveManager.applyBezierControlPoints(curveId, nextControlPoints)) {
+            this.curveManager.applyBezierControlPoints(curveId, startControlPoints);
+            this.show(curveId);
+            return;
+        }
+
+        if (this.curveManager.historyManager) {
+            this.curveManager.historyManager.addAction({
+                type: 'bezierEdit',
+                id: curveId,
+                oldControlPoints: startControlPoints,
+                newControlPoints: nextControlPoints
+            });
+        }
+        if (this.curveManager.uiManager) {
+            this.curveManager.uiManager.updateHistoryButtons();
+        }
+
+        this.show(curveId);
+    }
+
+    /**
+     * ポインタキャンセルイベントハンドラ（ドラッグ前の形状に戻す）
+     */
+    handlePointerCancel() {
+        if (!this.dragState.isDragging) return;
+
+        const curve = this.curveManager.curves[this.curveId];
+        const { startPath, startControlPoints } = this.dragState;
+        this.endDrag();
+        if (curve && curve.graphCurve && startPath) {
+            this.graphCalculator.updateCurve(curve.graphCurve.id, { path: startPath });
+            this.curveManager.syncEmphasisCurvePath(this.curveId, curve.graphCurve.id, startPath);
+        }
+        this._updateHandlePositions(startControlPoints);
+    }
+
+    /**
+     * ドラッグ状態をリセットしてキャンバス操作を戻す
+     */
+    endDrag() {
+        this.dragState.isDragging = false;
+        this.dragState.handle = null;
+        this.dragState.startPosition = null;
+        this.dragState.nextControlPoints = null;
+
+        if (this.settings.currentTool === 'cursor') {
+            this.graphCalculator.enableZoom(true);
+            this.graphCalculator.enableCanvas(true);
+        }
+    }
+
+    /**
+     * ハンドルを移動した後の制御点を求める
+     * 端点を動かした場合は隣接する三次ベジェの制御点も一緒に平行移動する
+     * @param {Array<Array<[number, number]>|null>} controlPoints - 移動前の制御点
+     * @param {{kind: string, refs: Array<[number, number]>}} handle
+     * @param {number} dx
+     * @param {number} dy
+     * @returns {Array<Array<[number, number]>|null>} 移動後の制御点
+     */
+    moveHandle(controlPoints, handle, dx, dy) {
+        const next = controlPoints.map(points => (points ? points.map(p => p.slice()) : null));
+        const translate = (segmentIndex, pointIndex) => {
+            const p = controlPoints[segmentIndex][pointIndex];
+            next[segmentIndex][pointIndex] = [p[0] + dx, p[1] + dy];
+        };
+
+        handle.refs.forEach(([segmentIndex, pointIndex]) => {
+            translate(segmentIndex, pointIndex);
+            if (handle.kind !== 'anchor' || next[segmentIndex].length !== 4) return;
+            translate(segmentIndex, pointIndex === 0 ? 1 : 2);
+        });
+
+        if (this.enforceC1) {
+            this._enforceC1(next, Math.min(...handle.refs.map(([segmentIndex]) => segmentIndex)));
+        }
+        return next;
+    }
+
+    /**
+     * 編集した区間の前後へ接線をそろえて C1 連続を保つ
+     * 二次ベジェは制御点が1つなので、接線の変化が次の区間へ伝わる
+     * @private
+     * @param {Array<Array<[number, number]>|null>} points - 書き換える制御点
+     * @param {number} startIndex - 編集した区間（端点の場合は境界の前側の区間）
+     */
+    _enforceC1(points, startIndex) {
+        // 後ろの区間: 始点側の制御点を前の区間の終点の接線に合わせる
+        for (let i = startIndex; i + 1 < points.length && points[i] && points[i + 1]; i++) {
+            const prev = points[i];
+            const anchor = prev[prev.length - 1];
+            const handle = prev[prev.length - 2];
+            points[i + 1][1] = [2 * anchor[0] - handle[0], 2 * anchor[1] - handle[1]];
+            if (points[i + 1].length === 4) break;
+        }
+
+        // 前の区間: 終点側の制御点を次の区間の始点の接線に合わせる
+        for (let i = startIndex; i - 1 >= 0 && points[i] && points[i - 1]; i--) {
+            const prev = points[i - 1];
+            const anchor = points[i][0];
+            const handle = points[i][1];
+            prev[prev.length - 2] = [2 * anchor[0] - handle[0], 2 * anchor[1] - handle[1]];
+            if (prev.length === 4) break;
+        }
+    }
+}
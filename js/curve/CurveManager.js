@@ -1,9 +1,13 @@
 // 必要なインポートを追加
 import { EquationHighlighter } from './EquationHighlighter.js';
 import { toRPN } from '../util/NumberUtil.js';
+import { EquationBuilder } from '../util/EquationBuilder.js';
+import { getCurvesJSONString, parseCurvesFromJSON } from '../graph/GraphSaveUtils.js';
 import { QuadraticBSplineCurveApproximator } from '../approximator/quadratic/QuadraticBSplineCurveApproximator.js';
+import { CubicSplineCurveApproximator } from '../approximator/cubic/CubicSplineCurveApproximator.js';
 import { LinearFunctionApproximator } from '../approximator/linear/LinearFunctionApproximator.js';
 import { PiecewiseLinearApproximator } from '../approximator/linear/PiecewiseLinearApproximator.js';
+import { PolynomialApproximator } from '../approximator/polynomial/PolynomialApproximator.js';
 import { SingleQuadraticBezierApproximator } from '../approximator/quadratic/SingleQuadraticBezierApproximator.js';
 import { QuadraticBezierChainApproximator } from '../approximator/quadratic/QuadraticBezierChainApproximator.js';
 import { SingleCircleApproximator } from '../approximator/circle/SingleCircleApproximator.js';
@@ -14,6 +18,12 @@ import {
     resolveSettings as resolveApproxSettings,
     cloneModel as cloneApproxSettingsModel
 } from '../util/ApproximatorSettings.js';
+
+/** 制御点ハンドルで編集できる曲線のタイプ */
+const BEZIER_CURVE_TYPES = ['singleQuadratic', 'quadraticChain', 'selectiveHybrid'];
+/** 制御点を持つ数式のタイプ */
+const BEZIER_EQUATION_TYPES = ['quadraticBezier', 'cubicBezier'];
+
 /**
  * カーブ管理クラス
  * 曲線の追加、更新、削除などの操作を担当
@@ -28,15 +38,19 @@ export class CurveManager {
         this.emphasisPath = null;
         this.emphasisGraphCurveId = null; // GraphCalculator内の強調表示用曲線ID
         this.emphasisTargetCurveId = null; // 強調表示中の元曲線ID
+        this.selectionEmphasisIds = []; // 複数選択時の副選択曲線の強調表示ID
         this.uiManager = null;
+        this.bezierHandleEditor = null; // 選択中のベジェ曲線の制御点ハンドル
         this.languageManager = languageManager;
 
         // 数式ハイライト機能クラスを初期化
         this.equationHighlighter = graphCalculator ? new EquationHighlighter(graphCalculator) : null;
 
         this.quadraticApproximator = new QuadraticBSplineCurveApproximator(this.settings);
+        this.cubicSplineApproximator = new CubicSplineCurveApproximator(this.settings);
         this.linearApproximator = new LinearFunctionApproximator(this.settings);
         this.piecewiseLinearApproximator = new PiecewiseLinearApproximator(this.settings);
+        this.polynomialApproximator = new PolynomialApproximator(this.settings);
         this.singleQuadraticApproximator = new SingleQuadraticBezierApproximator(this.settings);
         this.singleCircleApproximator = new SingleCircleApproximator(this.settings);
         this.quadraticBezierChainApproximator = new QuadraticBezierChainApproximator(this.settings);
@@ -55,6 +69,11 @@ export class CurveManager {
      * @param {boolean} suppressHistory
      */
     setKnotCountSliderValue(curveId, value, suppressHistory = false) {
+        // 履歴用に変更前の節点数と、ドラッグで編集した節点を保存
+        const curve = this.curves[curveId];
+        const oldValue = curve ? (curve.knotCount || (curve.latexEquations ? curve.latexEquations.length + 1 : null)) : null;
+        const oldKnots = curve && Array.isArray(curve.customKnots) ? curve.customKnots.map(k => ({ ...k })) : null;
+
         // スライダー要素を探して値を反映
         const slider = document.querySelector(`.curve-item[data-id="${curveId}"] .knot-count-slider`);
         if (slider) slider.value = value;
@@ -65,6 +84,17 @@ export class CurveManager {
 
         // 実際の適用は setKnotCount に委譲
         this.setKnotCount(curveId, Number(value), suppressHistory);
+
+        // スライダーを操作した場合と同じ形で履歴に記録
+        if (!suppressHistory && curve && this.historyManager && oldValue !== Number(value)) {
+            this.historyManager.addAction({
+                type: 'knotCountChanged',
+                id: curveId,
+                oldValue,
+                newValue: Number(value),
+                oldKnots
+            });
+        }
     }
 
     /**
@@ -77,18 +107,78 @@ export class CurveManager {
         const curve = this.curves[curveId];
         if (!curve || !curve.originalPoints || !this.graphCalculator) return;
 
-        const domain = this.graphCalculator.getDomain();
         const customKnots = (curve.preKnots || [])
             .filter(k => k.priority < (knotCount - 2))
             .sort((a, b) => a.knot - b.knot);
 
-        const result = this.quadraticApproximator.approximateWithCustomKnots(
+        if (!this._refitWithKnots(curveId, customKnots)) return;
+
+        // スライダーで節点数を変えた場合は手動で編集した節点を破棄する
+        curve.customKnots = null;
+        curve.knotCount = knotCount;
+        this._syncKnotCountUI(curveId, knotCount);
+    }
+
+    /**
+     * 現在の近似に使われている節点列（正規化座標、範囲外の補助節点を含む）を取得する
+     * @param {number} curveId
+     * @returns {Array<{knot: number, priority: number, diff: number}>} knot 昇順の節点列
+     */
+    getActiveKnots(curveId) {
+        const curve = this.curves[curveId];
+        if (!curve) return [];
+        if (Array.isArray(curve.customKnots)) {
+            return curve.customKnots.map(k => ({ ...k }));
+        }
+        const knotCount = curve.knotCount || (curve.latexEquations ? curve.latexEquations.length + 1 : 0);
+        return (curve.preKnots || [])
+            .filter(k => k.priority < (knotCount - 2))
+            .sort((a, b) => a.knot - b.knot)
+            .map(k => ({ ...k }));
+    }
+
+    /**
+     * 手動で編集した節点列で曲線を再近似する
+     * @param {number} curveId
+     * @param {Array<{knot: number}>|null} knots - 正規化座標の節点列（null の場合はスライダーの節点数に戻す）
+     * @param {number|null} knotCount - knots が null の場合に戻す節点数
+     * @returns {boolean} 再近似に成功したかどうか
+     */
+    applyCustomKnots(curveId, knots, knotCount = null) {
+        const curve = this.curves[curveId];
+        if (!curve || !curve.originalPoints || !this.graphCalculator) return false;
+
+        if (!Array.isArray(knots)) {
+            this.setKnotCount(curveId, knotCount || curve.knotCount, true);
+            return true;
+        }
+
+        const sorted = knots.map(k => ({ ...k })).sort((a, b) => a.knot - b.knot);
+        if (!this._refitWithKnots(curveId, sorted)) return false;
+
+        curve.customKnots = sorted;
+        curve.knotCount = sorted.filter(k => k.knot >= 0 && k.knot <= 1).length;
+        this._syncKnotCountUI(curveId, curve.knotCount);
+        return true;
+    }
+
+    /**
+     * 正規化座標の節点列でB-スプライン近似（二次または三次）をやり直し、曲線・節点・数式を置き換える
+     * @private
+     * @returns {Object|null} 近似結果（失敗時は null）
+     */
+    _refitWithKnots(curveId, knots) {
+        const curve = this.curves[curveId];
+        const domain = this.graphCalculator.getDomain();
+        const approximator = curve.type === 'cubicSpline' ? this.cubicSplineApproximator : this.quadraticApproximator;
+
+        const result = approximator.approximateWithCustomKnots(
             curve.originalPoints,
-            customKnots,
+            knots,
             domain
         );
 
-        if (!result.success) return;
+        if (!result.success) return null;
 
         // 曲線を置換
         if (curve.graphCurve) {
@@ -105,24 +195,180 @@ export class CurveManager {
 
             curve.latexEquations = result.latexEquations;
             curve.knotPoints = result.knots;
-            curve.knotCount = knotCount;
 
             this.updateCurveListById(curve.graphCurve.id);
+            this.syncEmphasisCurvePath(curveId, curve.graphCurve.id, result.svgPath);
+        }
+
+        return result;
+    }
+
+    /**
+     * ベジェ曲線の制御点を区間ごとに取得
+     * 数式（EquationBuilderのquadraticBezier/cubicBezier）の制御点を優先し、
+     * 数式を持たない二次ベジェチェーンは近似結果の区間データから取得する
+     * @param {number} curveId
+     * @returns {Array<Array<[number, number]>|null>|null} 区間ごとの制御点（ベジェ以外の区間は null）
+     */
+    getBezierControlPoints(curveId) {
+        const curve = this.curves[curveId];
+        if (!curve || !BEZIER_CURVE_TYPES.includes(curve.type)) return null;
+
+        const copyPoints = (points) => points.map(p => [Number(p[0]), Number(p[1])]);
+        const equations = Array.isArray(curve.latexEquations) ? curve.latexEquations : [];
+        const hasBezierEquation = equations.some(eq => eq && BEZIER_EQUATION_TYPES.includes(eq.type));
+
+        if (hasBezierEquation) {
+            return equations.map(eq => {
+                const points = eq && BEZIER_EQUATION_TYPES.includes(eq.type) && eq.params
+                    ? eq.params.controlPoints
+                    : null;
+                return Array.isArray(points) && points.length >= 3 ? copyPoints(points) : null;
+            });
+        }
+
+        const segments = curve.approximationData && Array.isArray(curve.approximationData.segments)
+            ? curve.approximationData.segments
+            : null;
+        if (curve.type === 'quadraticChain' && segments) {
+            return segments.map(seg => (
+                seg && Array.isArray(seg.controlPoints) && seg.controlPoints.length >= 3
+                    ? copyPoints(seg.controlPoints)
+                    : null
+            ));
+        }
+        return null;
+    }
+
+    /**
+     * 制御点からSVGパスを組み立てる
+     * パスは「M + 区間ごとに1コマンド」の構成なので、ベジェ区間のコマンドだけを置き換える
+     * @param {number} curveId
+     * @param {Array<Array<[number, number]>|null>} controlPoints - getBezierControlPoints と同じ形式
+     * @returns {string|null} 新しいパス（構成が一致しない場合は null）
+     */
+    buildBezierPath(curveId, controlPoints) {
+        const curve = this.curves[curveId];
+        if (!curve || !curve.graphCurve || !Array.isArray(controlPoints) || !this.graphCalculator) return null;
 
-            // UI スライダーと表示を更新（undo/redo などプログラムからの呼び出しを反映）
+        const graphCurve = this.graphCalculator.getCurve(curve.graphCurve.id);
+        const pathData = graphCurve && graphCurve.path ? graphCurve.path.getAttribute('d') : null;
+        const commands = typeof pathData === 'string' ? pathData.match(/[MLQCA][^MLQCA]*/gi) : null;
+        if (!commands || commands.length !== controlPoints.length + 1) return null;
+
+        controlPoints.forEach((points, index) => {
+            if (!points) return;
+            const tail = points.slice(1).map(p => `${p[0]} ${p[1]}`).join(' ');
+            commands[index + 1] = `${points.length === 4 ? 'C' : 'Q'} ${tail}`;
+            if (index === 0) {
+                commands[0] = `M ${points[0][0]} ${points[0][1]}`;
+            }
+        });
+        return commands.map(command => command.trim()).join(' ');
+    }
+
+    /**
+     * ベジェ曲線の制御点を適用し、数式・パス・節点を更新する
+     * @param {number} curveId
+     * @param {Array<Array<[number, number]>|null>} controlPoints - getBezierControlPoints と同じ形式
+     * @returns {boolean} 適用できたかどうか
+     */
+    applyBezierControlPoints(curveId, controlPoints) {
+        const curve = this.curves[curveId];
+        const previousPoints = this.getBezierControlPoints(curveId);
+        if (!curve || !previousPoints || !Array.isArray(controlPoints) || previousPoints.length !== controlPoints.length) {
+            return false;
+        }
+
+        const svgPath = this.buildBezierPath(curveId, controlPoints);
+        if (!svgPath) return false;
+
+        // 区間ごとに数式を作り直す（精度・パラメータ範囲・メタ情報は引き継ぐ）
+        const equations = Array.isArray(curve.latexEquations) ? curve.latexEquations.slice() : [];
+        controlPoints.forEach((points, index) => {
+            if (!points) return;
+            const previous = equations[index] && typeof equations[index] === 'object' ? equations[index] : {};
+            const decimals = Number.isInteger(previous.precision) ? previous.precision : 3;
+            const [p0, p1, p2, p3] = points.map(p => p.slice());
+            const equation = points.length === 4
+                ? EquationBuilder.cubicBezier({ p0, p1, p2, p3, parameterRange: previous.parameterRange, meta: previous.meta }, { decimals })
+                : EquationBuilder.quadraticBezier({ p0, p1, p2, parameterRange: previous.parameterRange, meta: previous.meta }, { decimals });
             try {
-                const curveItem = document.querySelector(`.curve-item[data-id="${curveId}"]`);
-                if (curveItem) {
-                    const valueDisplay = curveItem.querySelector('.knot-count-value');
-                    const slider = curveItem.querySelector('.knot-count-slider');
-                    if (valueDisplay) valueDisplay.textContent = String(knotCount);
-                    if (slider) slider.value = String(knotCount);
-                }
+                equation.rpn = toRPN(equation.formula);
             } catch (e) {
-                // ignore UI update errors
+                equation.rpn = null;
             }
+            equations[index] = equation;
+        });
 
-            this.syncEmphasisCurvePath(curveId, curve.graphCurve.id, result.svgPath);
+        // 端点が動いた節点マーカーを移動する
+        const movedAnchors = [];
+        controlPoints.forEach((points, index) => {
+            const before = previousPoints[index];
+            if (!points || !before) return;
+            movedAnchors.push([before[0], points[0]]);
+            movedAnchors.push([before[before.length - 1], points[points.length - 1]]);
+        });
+        const findMoved = (x, y) => {
+            const entry = movedAnchors.find(([from]) => Math.abs(from[0] - x) < 1e-9 && Math.abs(from[1] - y) < 1e-9);
+            return entry ? entry[1] : null;
+        };
+
+        this.graphCalculator.updateCurve(curve.graphCurve.id, { path: svgPath });
+        const graphCurve = this.graphCalculator.getCurve(curve.graphCurve.id);
+        if (graphCurve && Array.isArray(graphCurve.points)) {
+            graphCurve.points.forEach(point => {
+                const next = findMoved(point.x, point.y);
+                if (!next) return;
+                point.x = next[0];
+                point.y = next[1];
+                if (point.group) {
+                    point.group.setAttribute('transform', `translate(${point.x}, ${point.y})`);
+                }
+            });
+        }
+        if (Array.isArray(curve.knotPoints)) {
+            curve.knotPoints = curve.knotPoints.map(knot => {
+                const next = knot ? findMoved(knot.x, knot.y) : null;
+                return next ? { ...knot, x: next[0], y: next[1] } : knot;
+            });
+        }
+
+        // 書き出し用の近似データも制御点に合わせる
+        if (curve.approximationData) {
+            if (Array.isArray(curve.approximationData.segments)) {
+                curve.approximationData.segments.forEach((seg, index) => {
+                    if (seg && controlPoints[index]) {
+                        seg.controlPoints = controlPoints[index].map(p => p.slice());
+                    }
+                });
+            } else if (Array.isArray(curve.approximationData.controlPoints) && controlPoints[0]) {
+                curve.approximationData.controlPoints = controlPoints[0].map(p => p.slice());
+            }
+            curve.approximationData.svgPath = svgPath;
+        }
+
+        curve.latexEquations = equations;
+        this.updateCurveListById(curveId);
+        this.syncEmphasisCurvePath(curveId, curve.graphCurve.id, svgPath);
+        return true;
+    }
+
+    /**
+     * 節点数スライダーと表示を更新（undo/redo などプログラムからの呼び出しを反映）
+     * @private
+     */
+    _syncKnotCountUI(curveId, knotCount) {
+        try {
+            const curveItem = document.querySelector(`.curve-item[data-id="${curveId}"]`);
+            if (curveItem) {
+                const valueDisplay = curveItem.querySelector('.knot-count-value');
+                const slider = curveItem.querySelector('.knot-count-slider');
+                if (valueDisplay) valueDisplay.textContent = String(knotCount);
+                if (slider) slider.value = String(knotCount);
+            }
+        } catch (e) {
+            // ignore UI update errors
         }
     }
 
@@ -137,6 +383,10 @@ export class CurveManager {
         this.uiManager = uiManager;
     }
 
+    setBezierHandleEditor(bezierHandleEditor) {
+        this.bezierHandleEditor = bezierHandleEditor;
+    }
+
     setApproximatorSettings(options, meta = {}) {
         const previousSnapshot = JSON.stringify(this.approximatorSettings);
         const mergedModel = mergeApproxSettings(this._approximatorSettingsModel, options);
@@ -208,6 +458,18 @@ export class CurveManager {
             }
         }
 
+        const polynomialOptions = categories.polynomial || resolvedSettings.polynomial;
+        if (polynomialOptions && this.polynomialApproximator) {
+            if (typeof this.polynomialApproximator.setOptions === 'function') {
+                this.polynomialApproximator.setOptions({ ...polynomialOptions });
+            } else if (this.polynomialApproximator.options) {
+                this.polynomialApproximator.options = {
+                    ...this.polynomialApproximator.options,
+                    ...polynomialOptions
+                };
+            }
+        }
+
         const quadraticOptions = categories.quadraticBSpline || resolvedSettings.quadraticBSpline;
         if (quadraticOptions && this.quadraticApproximator) {
             if (typeof this.quadraticApproximator.setOptions === 'function') {
@@ -220,6 +482,18 @@ export class CurveManager {
             }
         }
 
+        const cubicSplineOptions = categories.cubicSpline || resolvedSettings.cubicSpline;
+        if (cubicSplineOptions && this.cubicSplineApproximator) {
+            if (typeof this.cubicSplineApproximator.setOptions === 'function') {
+                this.cubicSplineApproximator.setOptions({ ...cubicSplineOptions });
+            } else if (this.cubicSplineApproximator.options) {
+                this.cubicSplineApproximator.options = {
+                    ...this.cubicSplineApproximator.options,
+                    ...cubicSplineOptions
+                };
+            }
+        }
+
         const singleQuadraticOptions = categories.singleQuadratic || resolvedSettings.singleQuadratic;
         if (singleQuadraticOptions && this.singleQuadraticApproximator) {
             if (typeof this.singleQuadraticApproximator.setOptions === 'function') {
@@ -301,6 +575,8 @@ export class CurveManager {
             approximationDiagnostics: descriptor.approximationDiagnostics || null,
             selectedApproximator: descriptor.selectedApproximator || null,
             approximatorPriority: descriptor.approximatorPriority ?? null,
+            // 曲線を描いたときの近似設定（複製・貼り付けで引き継ぐ）
+            approximatorSettings: descriptor.approximatorSettings ? JSON.parse(JSON.stringify(descriptor.approximatorSettings)) : null,
         };
 
         const targetId = descriptor.id;
@@ -321,10 +597,13 @@ export class CurveManager {
         }
 
         // 履歴に追加（placeholder があっても実体曲線を渡す）
-        this.historyManager.addAction({
-            type: 'add',
-            curve: this.curves[targetId]
-        });
+        // 複数の曲線をまとめて追加する場合は呼び出し側で記録する
+        if (descriptor.recordHistory !== false) {
+            this.historyManager.addAction({
+                type: 'add',
+                curve: this.curves[targetId]
+            });
+        }
     }
 
     /**
@@ -366,6 +645,9 @@ export class CurveManager {
                 <button class="curve-option-btn lock-toggle ignore-selection" data-id="${id}" title="Lock movement">
                     <i class="material-symbols-rounded none-event">lock_open</i>
                 </button>
+                <button class="curve-option-btn duplicate-curve-btn ignore-selection" data-id="${id}" title="Duplicate curve">
+                    <i class="material-symbols-rounded none-event">content_copy</i>
+                </button>
                 <button class="details-dropdown ignore-selection ${isDetailShown ? "" : "rotated"}" data-id="${id}">
                     <i class="material-symbols-rounded none-event">expand_more</i>
                 </button>
@@ -428,8 +710,10 @@ export class CurveManager {
             // ignore UI binding errors
         }
 
-        // 二次曲線近似（quadratic）の場合のみ、節点数の調整スライダーを追加
-        if (curve && curve.type === 'quadratic') {
+        // B-スプライン近似（二次・三次）の場合のみ、節点数の調整スライダーを追加
+        // 回転した三次スプラインは媒介変数表示になり節点による再近似はできないため、節点情報があるものに限る
+        if (curve && (curve.type === 'quadratic' ||
+            (curve.type === 'cubicSpline' && Array.isArray(curve.preKnots) && curve.preKnots.length > 0))) {
             this.createKnotCountSlider(curveOptions, id);
         }
 
@@ -640,7 +924,14 @@ export class CurveManager {
                 }
 
                 if (!moved) {
-                    this.selectCurve(d3.select(curveItemElem), id);
+                    // Ctrl/Cmd+クリックで選択の追加・解除、Shift+クリックで範囲選択
+                    if (event.ctrlKey || event.metaKey) {
+                        this.toggleCurveSelection(id);
+                    } else if (event.shiftKey) {
+                        this.selectCurveRange(id);
+                    } else {
+                        this.selectCurve(d3.select(curveItemElem), id);
+                    }
                 } else {
                     this._onDragEnd(upEvent);
                 }
@@ -658,7 +949,7 @@ export class CurveManager {
             document.addEventListener('pointercancel', upHandler, { capture: true });
         });
 
-        // ボタン類のクリックはここで委譲処理する（jump/details/delete/visibility）
+        // ボタン類のクリックはここで委譲処理する（jump/duplicate/details/delete/visibility）
         curveSetting.on('click', (event) => {
             // ジャンプボタン
             const jumpBtn = event.target.closest('.jump-to-curve-btn');
@@ -669,6 +960,18 @@ export class CurveManager {
                 return;
             }
 
+            // 複製ボタン（複数選択中の曲線ならば選択中のすべてを複製）
+            const duplicateBtn = event.target.closest('.duplicate-curve-btn');
+            if (duplicateBtn) {
+                event.stopPropagation();
+                const cid = Number(duplicateBtn.getAttribute('data-id'));
+                const ids = this.isInMultiSelection(cid) ? this.getSelectedCurveIds() : [cid];
+                const offset = this.uiManager ? this.uiManager.getPasteOffset(1) : { dx: 0, dy: 0 };
+                this.duplicateCurves(ids, offset);
+                if (this.uiManager) this.uiManager.updateHistoryButtons();
+                return;
+            }
+
             // 詳細表示切替ボタン
             const detailsBtn = event.target.closest('.details-dropdown');
             if (detailsBtn) {
@@ -954,7 +1257,14 @@ export class CurveManager {
                 const fromId = this._draggedCurveId;
                 const toIndex = this._dragInsertIndex;
 
-                if (typeof fromId === 'number' && typeof toIndex === 'number') {
+                if (typeof fromId === 'number' && typeof toIndex === 'number' && this.isInMultiSelection(fromId)) {
+                    // 複数選択中は選択中の曲線をまとめて移動
+                    const ids = this.getSelectedCurveIds();
+                    const primary = this.curves[this.settings.selectCurveId];
+                    this.deselectCurve();
+                    const movedIds = this.reorderSelection(ids, toIndex);
+                    this.setCurveSelection(movedIds, this.curves.indexOf(primary));
+                } else if (typeof fromId === 'number' && typeof toIndex === 'number') {
                     if (fromId !== toIndex && fromId !== toIndex - 1) {
                         if (fromId < toIndex) {
                             this.reorderCurves(fromId, toIndex - 1);
@@ -1046,17 +1356,28 @@ export class CurveManager {
         // 表示/非表示状態を反転
         const newHiddenState = !isHidden;
 
-        // 履歴に追加
-        this.historyManager.addAction({
-            type: 'toggleVisibility',
-            id: curveId,
-            oldHidden: isHidden,
-            newHidden: newHiddenState
+        // 複数選択中の曲線ならば選択中のすべてを同じ状態に揃える
+        const targetIds = this.isInMultiSelection(curveId) ? this.getSelectedCurveIds() : [curveId];
+        const actions = [];
+        targetIds.forEach(id => {
+            const target = this.curves[id];
+            const targetHidden = target.isHidden || false;
+            if (targetHidden === newHiddenState) return;
+
+            actions.push({
+                type: 'toggleVisibility',
+                id: id,
+                oldHidden: targetHidden,
+                newHidden: newHiddenState
+            });
+
+            // 曲線の表示/非表示を切り替え
+            this.setCurveVisibility(id, !newHiddenState);
         });
 
-        // 曲線の表示/非表示を切り替え
-        this.setCurveVisibility(curveId, !newHiddenState);
-        console.log(`Curve ${curveId} visibility toggled to ${!newHiddenState}`);
+        // 履歴に追加
+        this._addGroupAction('visibility', actions);
+        console.log(`Curve ${targetIds.join(', ')} visibility toggled to ${!newHiddenState}`);
     }
 
     /**
@@ -1085,10 +1406,12 @@ export class CurveManager {
 
         if (!this.curves[id]) return;
 
-        // すでに選択されていた場合は選択解除
-        if (this.settings.selectCurveId === id) {
+        // すでに選択されていた場合は選択解除（複数選択中はその曲線だけの選択に戻す）
+        if (this.settings.selectCurveId === id && !this.isMultiSelection()) {
             this.deselectCurve();
         } else {
+            this.settings.selectedCurveIds = [id];
+
             // 選択された曲線項目にselectedクラスを追加
             curveItem.classed('selected', true);
 
@@ -1099,29 +1422,136 @@ export class CurveManager {
             this.settings.prevColor = this.settings.currentColor;
             this.settings.prevSize = this.settings.currentSize;
 
-            // 選択された曲線の色とサイズを取得
-            const curveColor = this.curves[id].color;
-            const curveSize = this.curves[id].size;
+            this.settings.selectCurveId = id;
+            this._syncStyleControlsWithCurve(id);
+        }
+    }
 
-            // UIコントロールを更新
-            d3.select("#size").property('value', curveSize);
+    /**
+     * 選択された曲線の色とサイズをペンツールのUIに反映
+     * @param {number} id - 曲線ID
+     */
+    _syncStyleControlsWithCurve(id) {
+        // 選択された曲線の色とサイズを取得
+        const curveColor = this.curves[id].color;
+        const curveSize = this.curves[id].size;
 
-            // ミニカラーディスプレイを更新
+        // UIコントロールを更新
+        d3.select("#size").property('value', curveSize);
+
+        // 内部設定を更新
+        this.settings.currentColor = curveColor;
+        this.settings.currentSize = curveSize;
+
+        // ミニカラーディスプレイを更新し、PenToolManagerに通知（存在する場合）
+        if (this.uiManager && this.uiManager.penToolManager) {
             this.uiManager.penToolManager.updateColorDisplayMini(curveColor);
             this.uiManager.penToolManager.updateSizeDisplayMini(curveSize);
+            this.uiManager.penToolManager.updateFromCurveSelection(curveColor, curveSize);
+        }
+    }
 
-            // 内部設定を更新
-            this.settings.currentColor = curveColor;
-            this.settings.currentSize = curveSize;
-            this.settings.selectCurveId = id;
+    /**
+     * 選択中の曲線ID一覧を取得
+     * 複数選択していない場合は選択中の1本（未選択なら空配列）を返す
+     * @returns {number[]} 昇順の曲線ID
+     */
+    getSelectedCurveIds() {
+        if (this.settings.selectCurveId === null) return [];
 
-            // PenToolManagerに通知（存在する場合）
-            if (this.uiManager && this.uiManager.penToolManager) {
-                this.uiManager.penToolManager.updateFromCurveSelection(curveColor, curveSize);
-            }
+        const ids = Array.isArray(this.settings.selectedCurveIds) ? this.settings.selectedCurveIds : [];
+        const valid = [...new Set(ids)].filter(id => this.curves[id]);
+        if (valid.length === 0) {
+            const id = this.settings.selectCurveId;
+            return this.curves[id] ? [id] : [];
+        }
+        return valid.sort((a, b) => a - b);
+    }
+
+    /**
+     * 複数の曲線を選択中かどうか
+     * @returns {boolean}
+     */
+    isMultiSelection() {
+        return this.getSelectedCurveIds().length > 1;
+    }
+
+    /**
+     * 指定した曲線が複数選択に含まれているかどうか
+     * @param {number} id - 曲線ID
+     * @returns {boolean}
+     */
+    isInMultiSelection(id) {
+        const ids = this.getSelectedCurveIds();
+        return ids.length > 1 && ids.includes(id);
+    }
+
+    /**
+     * 曲線の選択を追加・解除する（Ctrl/Cmd+クリック）
+     * @param {number} id - 曲線ID
+     */
+    toggleCurveSelection(id) {
+        if (!this.curves[id]) return;
+
+        const ids = this.getSelectedCurveIds();
+        if (ids.includes(id)) {
+            const rest = ids.filter(other => other !== id);
+            const primaryId = this.settings.selectCurveId === id ? rest[rest.length - 1] : this.settings.selectCurveId;
+            this.setCurveSelection(rest, primaryId);
+        } else {
+            this.setCurveSelection([...ids, id], id);
         }
     }
 
+    /**
+     * 主選択の曲線から指定した曲線までを範囲選択する（Shift+クリック）
+     * @param {number} id - 曲線ID
+     */
+    selectCurveRange(id) {
+        if (!this.curves[id]) return;
+
+        const anchorId = this.settings.selectCurveId;
+        if (anchorId === null || !this.curves[anchorId]) {
+            this.setCurveSelection([id], id);
+            return;
+        }
+
+        const ids = [];
+        for (let i = Math.min(anchorId, id); i <= Math.max(anchorId, id); i++) {
+            if (this.curves[i]) ids.push(i);
+        }
+        this.setCurveSelection(ids, anchorId);
+    }
+
+    /**
+     * 選択する曲線をまとめて設定する
+     * @param {number[]} ids - 選択する曲線ID
+     * @param {number} [primaryId] - 主選択（色・太さの表示や強調表示の基準）とする曲線ID
+     */
+    setCurveSelection(ids, primaryId = null) {
+        const valid = [...new Set(ids)].filter(id => this.curves[id]);
+        if (valid.length === 0) {
+            if (this.settings.selectCurveId !== null) this.deselectCurve();
+            return;
+        }
+
+        const primary = valid.includes(primaryId) ? primaryId : valid[valid.length - 1];
+
+        // 未選択からの選択では、選択解除時に戻すペンの色とサイズを保存
+        if (this.settings.selectCurveId === null) {
+            this.settings.prevColor = this.settings.currentColor;
+            this.settings.prevSize = this.settings.currentSize;
+        }
+
+        this.settings.selectedCurveIds = valid;
+        this.settings.selectCurveId = primary;
+
+        d3.selectAll('.curve-item').classed('selected', false);
+        d3.select(`.curve-item[data-id='${primary}']`).classed('selected', true);
+        this.emphasisCurve(primary);
+        this._syncStyleControlsWithCurve(primary);
+    }
+
     /**
      * 曲線の選択解除
      */
@@ -1135,6 +1565,7 @@ export class CurveManager {
         this.settings.currentColor = this.settings.prevColor;
         this.settings.currentSize = this.settings.prevSize;
         this.settings.selectCurveId = null;
+        this.settings.selectedCurveIds = [];
     }
 
     /**
@@ -1182,6 +1613,12 @@ export class CurveManager {
         // Guard against missing curve (could be placeholder removed)
         if (!this.curves[id]) return;
 
+        // 複数選択中の曲線ならば選択中のすべてを削除
+        if (this.isInMultiSelection(id)) {
+            this.deleteCurves(this.getSelectedCurveIds());
+            return;
+        }
+
         this.historyManager.addAction({
             type: 'delete',
             curve: this.curves[id],
@@ -1189,6 +1626,35 @@ export class CurveManager {
             nextCurveId: this.settings.nextCurveId
         });
 
+        this._removeCurveAt(id);
+        this._finishCurveRemoval();
+    }
+
+    /**
+     * 複数の曲線をまとめて削除（1つの履歴として記録）
+     * @param {number[]} ids - 削除する曲線ID
+     */
+    deleteCurves(ids) {
+        // 後ろから削除すれば、削除前のインデックスがそのまま有効
+        const targets = [...new Set(ids)].filter(id => this.curves[id]).sort((a, b) => b - a);
+        if (targets.length === 0) return;
+
+        this._addGroupAction('delete', targets.map((id, i) => ({
+            type: 'delete',
+            curve: this.curves[id],
+            index: id,
+            nextCurveId: this.settings.nextCurveId - i
+        })));
+
+        targets.forEach(id => this._removeCurveAt(id));
+        this._finishCurveRemoval();
+    }
+
+    /**
+     * 曲線を描画と配列から取り除く
+     * @param {number} id - 曲線ID
+     */
+    _removeCurveAt(id) {
         // D3パスの削除
         this.curves[id].path.remove();
 
@@ -1200,6 +1666,12 @@ export class CurveManager {
 
         // 配列から削除
         this.curves.splice(id, 1);
+    }
+
+    /**
+     * 曲線削除後にIDを詰めて表示を更新
+     */
+    _finishCurveRemoval() {
 
         // IDを再割り当て
         this.curves.forEach((curve, index) => {
@@ -1292,12 +1764,49 @@ export class CurveManager {
                     // 注: レイヤー順は新しいグループ構造で自動的に処理されるのでコードを削除
                 }
             }
+
+            if (this.bezierHandleEditor) {
+                this.bezierHandleEditor.show(id);
+            }
+
+            this._emphasisSecondarySelection(id);
         } catch (error) {
             console.error('Error in emphasisCurve:', error);
             this.emphasisTargetCurveId = null;
         }
     }
 
+    /**
+     * 複数選択時、主選択以外の選択中の曲線も強調表示する
+     * @param {number} primaryId - 主選択の曲線ID
+     */
+    _emphasisSecondarySelection(primaryId) {
+        const ids = this.getSelectedCurveIds();
+        if (ids.length < 2) return;
+
+        ids.forEach(id => {
+            if (id === primaryId) return;
+            const curve = this.curves[id];
+            d3.select(`.curve-item[data-id='${id}']`).classed('selected', true);
+
+            if (!this.graphCalculator || !curve.graphCurve) return;
+            const originalCurve = this.graphCalculator.getCurve(curve.graphCurve.id);
+            if (!originalCurve || !originalCurve.path) return;
+
+            const emphasisId = `emphasis-${curve.graphCurve.id}`;
+            if (this.graphCalculator.getCurve(emphasisId)) {
+                this.graphCalculator.removeCurve(emphasisId);
+            }
+            this.graphCalculator.addCurve(originalCurve.path.getAttribute('d'), {
+                id: emphasisId,
+                color: curve.color,
+                width: curve.size + 8,
+                opacity: 0.4
+            });
+            this.selectionEmphasisIds.push(emphasisId);
+        });
+    }
+
     /**
      * 強調表示した曲線の色を更新
      */
@@ -1377,6 +1886,16 @@ export class CurveManager {
             this.emphasisGraphCurveId = null;
         }
 
+        // 複数選択時の副選択曲線の強調表示を削除
+        if (this.graphCalculator) {
+            this.selectionEmphasisIds.forEach(emphasisId => this.graphCalculator.removeCurve(emphasisId));
+        }
+        this.selectionEmphasisIds = [];
+
+        if (this.bezierHandleEditor) {
+            this.bezierHandleEditor.hide();
+        }
+
         this.emphasisTargetCurveId = null;
     }
 
@@ -1386,40 +1905,46 @@ export class CurveManager {
      */
     updateCurveColor(color) {
         if (this.settings.selectCurveId !== null) {
-            const id = this.settings.selectCurveId;
-            const curve = this.curves[id];
-            if (!curve) return;
+            // 複数選択中は選択中のすべての曲線に適用
+            this.getSelectedCurveIds().forEach(id => {
+                const curve = this.curves[id];
+                if (!curve) return;
 
-            const previousColor = curve.color;
-            const normalizedPrevious = typeof previousColor === 'string' ? previousColor.toUpperCase() : previousColor;
-            const normalizedNext = typeof color === 'string' ? color.toUpperCase() : color;
+                const previousColor = curve.color;
+                const normalizedPrevious = typeof previousColor === 'string' ? previousColor.toUpperCase() : previousColor;
+                const normalizedNext = typeof color === 'string' ? color.toUpperCase() : color;
 
-            if (curve._pendingColorHistory === undefined && normalizedPrevious !== normalizedNext) {
-                curve._pendingColorHistory = previousColor;
-            }
+                if (curve._pendingColorHistory === undefined && normalizedPrevious !== normalizedNext) {
+                    curve._pendingColorHistory = previousColor;
+                }
 
-            if (normalizedPrevious === normalizedNext) {
-                return;
-            }
+                if (normalizedPrevious === normalizedNext) {
+                    return;
+                }
 
-            // D3パスの色を更新
-            curve.path.attr('stroke', color);
-            d3.select(`.color-icon[data-id='${id}']`).style('background-color', color);
-            this.updateEmphasisCurveColor(color);
+                // D3パスの色を更新
+                curve.path.attr('stroke', color);
+                d3.select(`.color-icon[data-id='${id}']`).style('background-color', color);
+
+                // GraphCalculatorの曲線も更新
+                if (this.graphCalculator && curve.graphCurve) {
+                    const graphCalcCurve = curve.graphCurve;
+                    this.graphCalculator.updateCurve(graphCalcCurve.id, { color: color });
 
+                    const emphasisId = `emphasis-${graphCalcCurve.id}`;
+                    if (this.selectionEmphasisIds.includes(emphasisId)) {
+                        this.graphCalculator.updateCurve(emphasisId, { color: color });
+                    }
+                }
+
+                curve.color = color;
+            });
+
+            this.updateEmphasisCurveColor(color);
             if (this.uiManager && this.uiManager.penToolManager) {
                 this.uiManager.penToolManager.updateColorDisplayMini(color);
             }
-
-            // GraphCalculatorの曲線も更新
-            if (this.graphCalculator && curve.graphCurve) {
-                const graphCalcCurve = curve.graphCurve;
-                this.graphCalculator.updateCurve(graphCalcCurve.id, { color: color });
-            }
-
-            curve.color = color;
             this.settings.currentColor = color;
-
         }
     }
 
@@ -1429,37 +1954,44 @@ export class CurveManager {
      */
     updateCurveSize(size) {
         if (this.settings.selectCurveId !== null) {
-            const id = this.settings.selectCurveId;
-            const curve = this.curves[id];
-            if (!curve) return;
-
             const numericSize = Number(size);
             if (Number.isNaN(numericSize)) return;
 
-            const previousSize = Number(curve.size);
-            if (curve._pendingSizeHistory === undefined && previousSize !== numericSize) {
-                curve._pendingSizeHistory = previousSize;
-            }
+            // 複数選択中は選択中のすべての曲線に適用
+            this.getSelectedCurveIds().forEach(id => {
+                const curve = this.curves[id];
+                if (!curve) return;
 
-            if (previousSize === numericSize) {
-                return;
-            }
+                const previousSize = Number(curve.size);
+                if (curve._pendingSizeHistory === undefined && previousSize !== numericSize) {
+                    curve._pendingSizeHistory = previousSize;
+                }
 
-            // D3パスの太さを更新
-            curve.path.attr('stroke-width', numericSize);
-            this.updateEmphasisCurveSize(numericSize);
+                if (previousSize === numericSize) {
+                    return;
+                }
 
-            // GraphCalculatorの曲線も更新
-            if (this.graphCalculator && curve.graphCurve) {
-                const graphCalcCurve = curve.graphCurve;
-                this.graphCalculator.updateCurve(graphCalcCurve.id, { width: numericSize });
-            }
+                // D3パスの太さを更新
+                curve.path.attr('stroke-width', numericSize);
+
+                // GraphCalculatorの曲線も更新
+                if (this.graphCalculator && curve.graphCurve) {
+                    const graphCalcCurve = curve.graphCurve;
+                    this.graphCalculator.updateCurve(graphCalcCurve.id, { width: numericSize });
+
+                    const emphasisId = `emphasis-${graphCalcCurve.id}`;
+                    if (this.selectionEmphasisIds.includes(emphasisId)) {
+                        this.graphCalculator.updateCurve(emphasisId, { width: numericSize + 8 });
+                    }
+                }
 
+                curve.size = numericSize;
+            });
+
+            this.updateEmphasisCurveSize(numericSize);
             if (this.uiManager && this.uiManager.penToolManager) {
                 this.uiManager.penToolManager.updateSizeDisplayMini(numericSize);
             }
-
-            curve.size = numericSize;
             this.settings.currentSize = numericSize;
         }
     }
@@ -1470,29 +2002,37 @@ export class CurveManager {
      */
     recordSizeChange(newSize, oldSizeOverride = null) {
         if (this.settings.selectCurveId !== null) {
-            const id = this.settings.selectCurveId;
-            const curve = this.curves[id];
-            if (!curve) return;
             const numericNewSize = Number(newSize);
-            if (Number.isNaN(numericNewSize)) {
-                delete curve._pendingSizeHistory;
-                return;
-            }
+            const actions = [];
+
+            // 複数選択中は曲線ごとの変更を1つの履歴にまとめる
+            this.getSelectedCurveIds().forEach(id => {
+                const curve = this.curves[id];
+                if (!curve) return;
+                if (Number.isNaN(numericNewSize)) {
+                    delete curve._pendingSizeHistory;
+                    return;
+                }
+
+                // 呼び出し元が保持する変更前の値は主選択の曲線のもの
+                const override = id === this.settings.selectCurveId ? oldSizeOverride : null;
+                const fallbackOldSize = override ?? curve._pendingSizeHistory;
+                const oldSize = (typeof fallbackOldSize === 'number') ? Number(fallbackOldSize) : Number(curve.size);
+
+                if (oldSize !== numericNewSize) {
+                    actions.push({
+                        type: 'size',
+                        id: id,
+                        oldSize: oldSize,
+                        newSize: numericNewSize
+                    });
+                }
 
-            const fallbackOldSize = oldSizeOverride ?? curve._pendingSizeHistory;
-            const oldSize = (typeof fallbackOldSize === 'number') ? Number(fallbackOldSize) : Number(curve.size);
+                delete curve._pendingSizeHistory;
+            });
 
             // 履歴に記録
-            if (oldSize !== numericNewSize) {
-                this.historyManager.addAction({
-                    type: 'size',
-                    id: id,
-                    oldSize: oldSize,
-                    newSize: numericNewSize
-                });
-            }
-
-            delete curve._pendingSizeHistory;
+            this._addGroupAction('size', actions);
         }
     }
 
@@ -1502,31 +2042,42 @@ export class CurveManager {
      */
     recordColorChange(newColor, oldColorOverride = null) {
         if (this.settings.selectCurveId !== null) {
-            const id = this.settings.selectCurveId;
-            const curve = this.curves[id];
-            if (!curve) return;
-
-            const fallbackOldColor = oldColorOverride ?? curve._pendingColorHistory;
-            const oldColorValue = (typeof fallbackOldColor === 'string') ? fallbackOldColor : curve.color;
-            const normalizedOldColor = typeof oldColorValue === 'string' ? oldColorValue.toUpperCase() : oldColorValue;
             const normalizedNewColor = typeof newColor === 'string' ? newColor.toUpperCase() : newColor;
+            const actions = [];
+
+            // 複数選択中は曲線ごとの変更を1つの履歴にまとめる
+            this.getSelectedCurveIds().forEach(id => {
+                const curve = this.curves[id];
+                if (!curve) return;
+
+                // 呼び出し元が保持する変更前の値は主選択の曲線のもの
+                const override = id === this.settings.selectCurveId ? oldColorOverride : null;
+                const fallbackOldColor = override ?? curve._pendingColorHistory;
+                const oldColorValue = (typeof fallbackOldColor === 'string') ? fallbackOldColor : curve.color;
+                const normalizedOldColor = typeof oldColorValue === 'string' ? oldColorValue.toUpperCase() : oldColorValue;
+
+                if (normalizedOldColor !== normalizedNewColor) {
+                    actions.push({
+                        type: 'color',
+                        id: id,
+                        oldColor: oldColorValue,
+                        newColor: newColor
+                    });
+                }
+
+                if (typeof newColor === 'string') {
+                    curve.color = newColor;
+                }
+
+                delete curve._pendingColorHistory;
+            });
 
             // 履歴に記録
-            if (normalizedOldColor !== normalizedNewColor) {
-                this.historyManager.addAction({
-                    type: 'color',
-                    id: id,
-                    oldColor: oldColorValue,
-                    newColor: newColor
-                });
-            }
+            this._addGroupAction('color', actions);
 
             if (typeof newColor === 'string') {
-                curve.color = newColor;
                 this.settings.currentColor = newColor;
             }
-
-            delete curve._pendingColorHistory;
         }
     }
 
@@ -1607,8 +2158,11 @@ export class CurveManager {
 
     /**
      * 曲線の描画順番変更
+     * @param {number} fromId - 移動元のインデックス
+     * @param {number} toId - 移動先のインデックス
+     * @param {boolean} recordHistory - 履歴に記録するかどうか（Undo/Redo時はfalse）
      */
-    reorderCurves(fromId, toId) {
+    reorderCurves(fromId, toId, recordHistory = true) {
         const curve = this.curves[fromId];
         this.curves.splice(fromId, 1);
         this.curves.splice(toId, 0, curve);
@@ -1639,10 +2193,183 @@ export class CurveManager {
         });
 
         this.redrawCurves();
+        if (recordHistory) {
+            this.historyManager.addAction({
+                type: 'reorder',
+                fromId: fromId,
+                toId: toId
+            });
+        }
+    }
+
+    /**
+     * 複数の曲線をまとめて指定位置へ移動する（選択順序は保持）
+     * @param {number[]} ids - 移動する曲線ID
+     * @param {number} insertIndex - 移動前の並びにおける挿入位置（この位置の曲線の直前へ挿入）
+     * @returns {number[]} 移動後の曲線ID
+     */
+    reorderSelection(ids, insertIndex) {
+        const moving = [...new Set(ids)].sort((a, b) => a - b).filter(id => this.curves[id]);
+        if (moving.length === 0) return [];
+
+        // 最終的な並びを求める
+        const movingCurves = moving.map(id => this.curves[id]);
+        const rest = this.curves.filter(curve => !movingCurves.includes(curve));
+        const restBefore = this.curves.slice(0, insertIndex).filter(curve => !movingCurves.includes(curve)).length;
+        const target = [...rest.slice(0, restBefore), ...movingCurves, ...rest.slice(restBefore)];
+
+        // 先頭から順に目的の曲線を引き寄せる（各移動は前方への移動なので確定済みの位置は崩れない）
+        const actions = [];
+        target.forEach((curve, index) => {
+            const from = this.curves.indexOf(curve);
+            if (from !== index) {
+                this.reorderCurves(from, index, false);
+                actions.push({ type: 'reorder', fromId: from, toId: index });
+            }
+        });
+
+        this._addGroupAction('reorder', actions);
+        return movingCurves.map(curve => this.curves.indexOf(curve));
+    }
+
+    /**
+     * 曲線を GraPen JSON 形式の文字列として取得する（コピー用）
+     * @param {number[]} ids - 曲線ID
+     * @returns {string} JSON文字列（曲線がない場合は空文字列）
+     */
+    getCurvesJSON(ids) {
+        const curves = ids.map(id => this.curves[id]).filter(Boolean);
+        if (curves.length === 0 || !this.graphCalculator) return '';
+        return getCurvesJSONString(this.graphCalculator, curves);
+    }
+
+    /**
+     * 曲線を複製する
+     * @param {number[]} ids - 複製する曲線ID
+     * @param {{dx: number, dy: number}} offset - 複製先までの平行移動量（ドメイン座標）
+     * @returns {number[]} 追加した曲線ID
+     */
+    duplicateCurves(ids, offset = { dx: 0, dy: 0 }) {
+        const entries = parseCurvesFromJSON(this.getCurvesJSON(ids));
+        return entries ? this.pasteCurves(entries, offset) : [];
+    }
+
+    /**
+     * GraPen JSON 形式の曲線データを新しい曲線として追加する（複製・貼り付け）
+     * 数式・近似設定・節点・スタイルを引き継ぎ、追加した曲線は1つの履歴にまとめて選択状態にする
+     * @param {Array} entries - GraPen JSON の curves 要素
+     * @param {{dx: number, dy: number}} offset - 平行移動量（ドメイン座標）
+     * @returns {number[]} 追加した曲線ID
+     */
+    pasteCurves(entries, offset = { dx: 0, dy: 0 }) {
+        if (!this.graphCalculator || !Array.isArray(entries) || entries.length === 0) return [];
+
+        const movementHandler = this.uiManager ? this.uiManager.curveMovementHandler : null;
+        const dx = Number(offset && offset.dx) || 0;
+        const dy = Number(offset && offset.dy) || 0;
+        const moved = (dx !== 0 || dy !== 0) && !!movementHandler;
+
+        const addedIds = [];
+        entries.forEach(source => {
+            // 元データを書き換えないように複製してから平行移動する
+            const entry = JSON.parse(JSON.stringify(source));
+            const id = this.settings.nextCurveId;
+
+            let svgPath = entry.data;
+            if (!svgPath && typeof window !== 'undefined' && window.GraPen) {
+                svgPath = window.GraPen.generateSVGPathFromFormula(entry.latexEquations, entry.originalPoints || [], {
+                    type: entry.type || null,
+                    approximationData: entry.approximationData || null
+                });
+            }
+
+            let latexEquations = entry.latexEquations;
+            let knots = (entry.knotPoints || [])
+                .filter(knot => knot && Number.isFinite(knot.x) && Number.isFinite(knot.y))
+                .map(knot => [knot.x, knot.y]);
+            let originalPoints = Array.isArray(entry.originalPoints) ? entry.originalPoints : [];
+
+            if (moved) {
+                latexEquations = latexEquations.map(eq => movementHandler.applyParallelMoveToStoredEquation(eq.type, eq, dx, dy));
+                svgPath = Array.isArray(svgPath)
+                    ? movementHandler.translatePointCollections(svgPath, dx, dy)
+                    : movementHandler.translateSvgPathData(svgPath, dx, dy);
+                knots = knots.map(([x, y]) => [x + dx, y + dy]);
+                originalPoints = originalPoints.map(point => [point[0] + dx, point[1] + dy]);
+            }
+
+            const result = this.addEquationCurve({
+                id: id,
+                graphCurveId: this._getAvailableGraphCurveId(id),
+                type: entry.type,
+                svgPath: svgPath,
+                latexEquations: latexEquations,
+                knots: knots,
+                originalPoints: originalPoints,
+                color: entry.color || this.settings.currentColor,
+                size: Number(entry.width) || this.settings.currentSize,
+                approximatorSettings: entry.approximatorSettings || this.approximatorSettings,
+                preKnots: entry.preKnots,
+                minKnots: entry.minKnots,
+                maxKnots: entry.maxKnots,
+                approximationType: entry.approximationType,
+                // 近似データは元の位置のものなので、平行移動した場合は引き継がない
+                approximationData: moved ? null : entry.approximationData,
+                selectedApproximator: entry.selectedApproximator,
+                approximatorPriority: entry.approximatorPriority,
+                customKnots: entry.customKnots,
+                showKnots: entry.showKnots,
+                recordHistory: false
+            });
+
+            if (result.success) {
+                this.settings.nextCurveId++;
+                addedIds.push(id);
+            } else {
+                console.warn('曲線を貼り付けできませんでした:', result.message);
+            }
+        });
+
+        this._addGroupAction('paste', addedIds.map(id => ({
+            type: 'add',
+            curve: this.curves[id]
+        })));
+
+        if (addedIds.length > 0) {
+            this.setCurveSelection(addedIds, addedIds[addedIds.length - 1]);
+        }
+        return addedIds;
+    }
+
+    /**
+     * 既存の曲線と重ならない GraphCalculator 上の曲線IDを返す
+     * @param {number} id - 曲線ID
+     * @returns {string}
+     */
+    _getAvailableGraphCurveId(id) {
+        let candidate = id.toString();
+        let suffix = 1;
+        while (this.graphCalculator.getCurve(candidate)) {
+            candidate = `${id}-${suffix++}`;
+        }
+        return candidate;
+    }
+
+    /**
+     * 複数曲線への操作を1つの履歴として記録する
+     * @param {string} operation - 操作名（color, size, visibility, delete, reorder など）
+     * @param {Object[]} actions - 曲線ごとの履歴アクション
+     */
+    _addGroupAction(operation, actions) {
+        if (!this.historyManager || actions.length === 0) return;
+        if (actions.length === 1) {
+            this.historyManager.addAction(actions[0]);
+            return;
+        }
         this.historyManager.addAction({
-            type: 'reorder',
-            fromId: fromId,
-            toId: toId
+            type: 'compound',
+            operation: operation,
+            actions: actions
         });
     }
 
@@ -1983,6 +2710,7 @@ export class CurveManager {
     /**
      * 手書き曲線を追加（曲線近似を含む処理）
      * @param {Object} descriptor - 曲線の記述子 { id, domainPath, color, size, useAdvancedMode, approximatorSettings }
+     *   まとめて追加する場合は recordHistory: false を指定し、呼び出し側で履歴に記録する
      * @returns {Object} 追加結果 {success: boolean, message: string, curve: Object}
      */
     addHandDrawnCurve(descriptor) {
@@ -1999,6 +2727,8 @@ export class CurveManager {
         const size = descriptor.size;
         const useAdvancedMode = descriptor.useAdvancedMode;
         const approximatorSettings = descriptor.approximatorSettings || this.approximatorSettings;
+        // 指定された近似器が成功した場合は優先度に関わらずそれを採用する（例: 'selectiveHybrid'）
+        const preferredApproximator = descriptor.preferredApproximator || null;
 
         // --- placeholder 戦略: 早期に this.curves[id] を確保して UI が参照できるようにする ---
         // 既に存在する場合は上書きしない
@@ -2086,12 +2816,24 @@ export class CurveManager {
             : null;
         registerAttempt('singleCircle', singleCircleResult, 4);
 
+        // 多項式は設定で有効にした場合のみ、1つの多項式で表せる曲線を区分的な二次Bスプラインより優先する
+        const polynomialResult = this.polynomialApproximator && this.polynomialApproximator.options.enabled
+            ? this.polynomialApproximator.approximate(domainPath, domainInfo, this.approximatorSettings)
+            : null;
+        registerAttempt('polynomial', polynomialResult, 5);
+
+        // 三次スプラインは設定で有効にした場合のみ、曲率が連続な滑らかな近似として二次Bスプラインより優先する
+        const cubicSplineResult = this.cubicSplineApproximator && this.cubicSplineApproximator.options.enabled
+            ? this.cubicSplineApproximator.approximate(domainPath, domainInfo, this.approximatorSettings)
+            : null;
+        registerAttempt('cubicSpline', cubicSplineResult, 6);
+
         const quadraticBSplineResult = this.quadraticApproximator.approximate(
             domainPath,
             domainInfo,
             this.approximatorSettings
         );
-        registerAttempt('quadraticBSpline', quadraticBSplineResult, 5);
+        registerAttempt('quadraticBSpline', quadraticBSplineResult, 7);
 
         // const quadraticChainResult = this.quadraticBezierChainApproximator
         //     ? this.quadraticBezierChainApproximator.approximate(domainPath, domainInfo, this.approximatorSettings)
@@ -2105,7 +2847,7 @@ export class CurveManager {
                 this.approximatorSettings?.selective || {}
             )
             : null;
-        registerAttempt('selectiveHybrid', selectiveResult, 7);
+        registerAttempt('selectiveHybrid', selectiveResult, 8);
 
         const successfulAttempts = attempts.filter(entry => entry.approximation && entry.approximation.success);
 
@@ -2122,7 +2864,7 @@ export class CurveManager {
                 }
                 return a.label.localeCompare(b.label);
             });
-            bestAttempt = successfulAttempts[0];
+            bestAttempt = successfulAttempts.find(entry => entry.label === preferredApproximator) || successfulAttempts[0];
         }
 
         const attemptDiagnostics = attempts.map(entry => ({
@@ -2230,7 +2972,8 @@ export class CurveManager {
                 approximationData: approximation.exportData || null,
                 approximationDiagnostics: approximation.diagnostics || null,
                 selectedApproximator: bestAttempt.label,
-                approximatorPriority: bestAttempt.priority
+                approximatorPriority: bestAttempt.priority,
+                recordHistory: descriptor.recordHistory
             });
 
             // 節点表示のデフォルトが false の場合、既に追加した点を非表示にする
@@ -2319,6 +3062,102 @@ export class CurveManager {
         return result;
     }
 
+    /**
+     * 数式が確定している曲線を近似を経ずに追加する（SVGのベジェ曲線の読み込みや曲線の貼り付けなど）
+     * @param {Object} descriptor - { id, type, svgPath, latexEquations, knots, originalPoints, color, size, approximatorSettings }
+     *   貼り付けでは graphCurveId, preKnots, maxKnots, approximationData, customKnots, showKnots, recordHistory も指定できる
+     * @returns {{success: boolean, message: string, curve: Object|null}}
+     */
+    addEquationCurve(descriptor) {
+        const result = { success: false, message: '', curve: null };
+
+        if (!descriptor || typeof descriptor !== 'object') {
+            result.message = 'addEquationCurve requires a descriptor object';
+            return result;
+        }
+
+        const { id, type, svgPath, color, size } = descriptor;
+        const latexEquations = Array.isArray(descriptor.latexEquations) ? descriptor.latexEquations : [];
+        const approximatorSettings = descriptor.approximatorSettings || this.approximatorSettings;
+
+        if (!svgPath || latexEquations.length === 0) {
+            result.message = '曲線の数式がありません';
+            return result;
+        }
+
+        try {
+            const graphCurve = this.graphCalculator.addCurve(svgPath, {
+                id: (descriptor.graphCurveId || id).toString(),
+                color: color,
+                width: size,
+                opacity: 1
+            });
+
+            latexEquations.forEach(eq => {
+                if (eq && eq.formula && typeof eq.formula === 'string') {
+                    try {
+                        eq.rpn = toRPN(eq.formula);
+                    } catch (e) {
+                        eq.rpn = null;
+                    }
+                }
+            });
+
+            const showKnots = typeof descriptor.showKnots === 'boolean'
+                ? descriptor.showKnots
+                : !(approximatorSettings && approximatorSettings.showKnotsDefault === false);
+            const savedKnots = [];
+            (descriptor.knots || []).forEach(knot => {
+                if (!Array.isArray(knot) || knot.length < 2) return;
+                const point = this.graphCalculator.addPoint(graphCurve.id, knot[0], knot[1], {});
+                if (point) {
+                    savedKnots.push({ x: knot[0], y: knot[1] });
+                    if (!showKnots && point.group && point.group.style) {
+                        point.group.style.display = 'none';
+                    }
+                }
+            });
+
+            this.addCurve({
+                id: id,
+                type: type,
+                path: d3.select(graphCurve.path),
+                color: color,
+                size: size,
+                graphCurve: graphCurve,
+                latexEquations: latexEquations,
+                approximatorSettings: approximatorSettings,
+                preKnots: descriptor.preKnots,
+                minKnots: descriptor.minKnots || 2,
+                maxKnots: descriptor.maxKnots || this.approximatorSettings.maxKnots,
+                originalPoints: descriptor.originalPoints || [],
+                approximationType: descriptor.approximationType || type,
+                approximationData: descriptor.approximationData,
+                selectedApproximator: descriptor.selectedApproximator,
+                approximatorPriority: descriptor.approximatorPriority,
+                recordHistory: descriptor.recordHistory
+            });
+
+            const curve = this.curves[id];
+            if (curve) {
+                curve.knotPoints = savedKnots;
+                curve.showKnots = showKnots;
+                if (Array.isArray(descriptor.customKnots)) {
+                    curve.customKnots = descriptor.customKnots.map(k => ({ ...k }));
+                }
+            }
+
+            result.success = true;
+            result.message = `${type}として追加しました`;
+            result.curve = graphCurve;
+        } catch (error) {
+            console.error('曲線の追加に失敗しました:', error);
+            result.message = '曲線の追加に失敗しました: ' + error.message;
+        }
+
+        return result;
+    }
+
     /**
      * 二次曲線近似の節点数を調整するスライダーを作成
      * @param {d3.Selection} container - スライダーを追加するコンテナ要素
@@ -2366,11 +3205,15 @@ export class CurveManager {
         // 値変更時のハンドラ（即時表示は input で、確定は change で履歴に記録）
         let timeout = null;
         let oldValueForHistory = currentKnotCount;
+        let oldKnotsForHistory = null;
 
-        // インタラクション開始時の古い値を保存
+        // インタラクション開始時の古い値（ドラッグで編集した節点を含む）を保存
         const node = slider.node();
         if (node) {
-            node.addEventListener('pointerdown', () => { oldValueForHistory = Number(node.value); });
+            node.addEventListener('pointerdown', () => {
+                oldValueForHistory = Number(node.value);
+                oldKnotsForHistory = Array.isArray(curve.customKnots) ? curve.customKnots.map(k => ({ ...k })) : null;
+            });
             node.addEventListener('change', (ev) => {
                 const newValue = parseInt(ev.target.value);
                 // 履歴に記録（古い値と異なる場合）
@@ -2380,7 +3223,8 @@ export class CurveManager {
                             type: 'knotCountChanged',
                             id: curveId,
                             oldValue: oldValueForHistory,
-                            newValue: newValue
+                            newValue: newValue,
+                            oldKnots: oldKnotsForHistory
                         });
                     }
                 } catch (e) {
@@ -2437,9 +3281,21 @@ export class CurveManager {
                     domain,
                     mergedOptions
                 );
+            case 'cubicSpline':
+                // 三次スプライン近似
+                return this.cubicSplineApproximator.approximate(
+                    points,
+                    domain,
+                    mergedOptions
+                );
             case 'piecewiseLinear':
                 // 折れ線近似
                 return this.piecewiseLinearApproximator.approximate(points, domain);
+            case 'polynomial':
+                // 多項式近似
+                return this.polynomialApproximator
+                    ? this.polynomialApproximator.approximate(points, domain, mergedOptions)
+                    : null;
             case 'singleQuadratic':
                 return this.singleQuadraticApproximator
                     ? this.singleQuadraticApproximator.approximate(points, domain, mergedOptions)
@@ -2669,6 +3525,10 @@ export class CurveManager {
                 return `<svg viewBox="0 0 20 20" width="100%" height="100%" style="pointer-events:none;">
                     <path d="M4,13 Q10,4 16,13" fill="none" stroke="${color}" stroke-width="3" stroke-linecap="round"/>
                 </svg>`;
+            case 'cubicSpline':
+                return `<svg viewBox="0 0 20 20" width="100%" height="100%" style="pointer-events:none;">
+                    <path d="M3,13 C6,4 9,4 10,10 S14,16 17,7" fill="none" stroke="${color}" stroke-width="3" stroke-linecap="round"/>
+                </svg>`;
             case 'singleQuadratic':
                 return `<svg viewBox="0 0 20 20" width="100%" height="100%" style="pointer-events:none;">
                     <path d="M3,15 Q10,3 17,15" fill="none" stroke="${color}" stroke-width="2.8" stroke-linecap="round" stroke-linejoin="round"/>
@@ -2679,6 +3539,10 @@ export class CurveManager {
                     <path d="M2,14 Q6.5,5 10,10" fill="none" stroke="${color}" stroke-width="2.4" stroke-linecap="round" stroke-linejoin="round"/>
                     <path d="M10,10 Q13.5,17 18,7" fill="none" stroke="${color}" stroke-width="2.4" stroke-linecap="round" stroke-linejoin="round"/>
                 </svg>`;
+            case 'polynomial':
+                return `<svg viewBox="0 0 20 20" width="100%" height="100%" style="pointer-events:none;">
+                    <path d="M3,16 C7,-1 13,21 17,4" fill="none" stroke="${color}" stroke-width="2.8" stroke-linecap="round"/>
+                </svg>`;
             case 'singleCircle':
                 return `<svg viewBox="0 0 20 20" width="100%" height="100%" style="pointer-events:none;">
                     <circle cx="10" cy="10" r="5.5" fill="none" stroke="${color}" stroke-width="2.4"/>
@@ -1,4 +1,4 @@
-import { signedFixedString, applyDeltaToFormulaNumeric } from '../util/NumberUtil.js';
+import { signedFixedString, applyDeltaToFormulaNumeric, toRPN } from '../util/NumberUtil.js';
 import { EquationBuilder } from '../util/EquationBuilder.js';
 export class CurveMovementHandler {
     /**
@@ -23,7 +23,9 @@ export class CurveMovementHandler {
             dummyCurve: null,
             guidelines: null,
             displacementText: null,
-            penToolState: 'pen'
+            penToolState: 'pen',
+            // 複数選択時に一緒に移動する曲線（{ curveId, dummyId, baseTransform }）
+            groupMembers: []
         };
 
         // マウスイベントハンドラをバインド
@@ -345,8 +347,8 @@ export class CurveMovementHandler {
             event.preventDefault();
         }
 
-        // ドラッグ開始時は既に選択されている場合は選択状態を維持する
-        if (this.curveManager.settings.selectCurveId !== curveId) {
+        // ドラッグ開始時は既に選択されている場合は選択状態を維持する（複数選択中の曲線も含む）
+        if (!this.curveManager.getSelectedCurveIds().includes(curveId)) {
             this.curveManager.selectCurve(d3.select(`.curve-item:nth-child(${curveId + 1})`), curveId);
         }
 
@@ -367,6 +369,11 @@ export class CurveMovementHandler {
         this.dragState.startDomainY = mouseDomain.y;
         this.dragState.curveId = curveId;
 
+        // 移動中は制御点ハンドルを隠す（ドラッグ終了時に表示し直す）
+        if (this.curveManager.bezierHandleEditor) {
+            this.curveManager.bezierHandleEditor.hide();
+        }
+
         // 元の曲線を半透明にする
         const graphCurve = graphCalculator.getCurve(curve.graphCurve.id);
         if (graphCurve && graphCurve.path) {
@@ -381,6 +388,9 @@ export class CurveMovementHandler {
                 graphCalculator.updateCurve(this.curveManager.emphasisGraphCurveId, { opacity: 0 });
             }
         }
+        this.curveManager.selectionEmphasisIds.forEach(emphasisId => {
+            graphCalculator.updateCurve(emphasisId, { opacity: 0 });
+        });
 
         graphCalculator.enableZoom(false);
         graphCalculator.enableCanvas(false);
@@ -388,6 +398,16 @@ export class CurveMovementHandler {
         // ダミー曲線を作成
         this.createDummyCurve(curve);
 
+        // 複数選択中の曲線をドラッグした場合は、ロックされていない選択中の曲線も一緒に移動する
+        if (this.curveManager.isInMultiSelection(curveId)) {
+            this.curveManager.getSelectedCurveIds().forEach(id => {
+                const member = this.curveManager.curves[id];
+                if (id === curveId || !member || member.locked || !member.graphCurve) return;
+                graphCalculator.updateCurve(member.graphCurve.id, { opacity: 0.3 });
+                this.createGroupDummyCurve(id);
+            });
+        }
+
         // ガイドラインと移動量表示を作成
         this.createGuidelines(mouseX, mouseY);
 
@@ -442,6 +462,35 @@ export class CurveMovementHandler {
         return dummyCurve;
     }
 
+    /**
+     * 一緒に移動する曲線のダミー曲線を作成
+     * @param {number} curveId 曲線ID
+     */
+    createGroupDummyCurve(curveId) {
+        const graphCalculator = this.curveManager.graphCalculator;
+        const curve = this.curveManager.curves[curveId];
+        const originalCurve = graphCalculator.getCurve(curve.graphCurve.id);
+        if (!originalCurve || !originalCurve.path) return;
+
+        const dummyId = `dummy-${curve.graphCurve.id}`;
+        graphCalculator.addCurve(originalCurve.path.getAttribute('d'), {
+            id: dummyId,
+            color: curve.color,
+            width: curve.size,
+            opacity: 0.8
+        });
+
+        const svgRoot = graphCalculator.svg;
+        const originalGroup = svgRoot.querySelector(`g[data-curve-base-id="${curve.graphCurve.id}"]`);
+        const dummyGroup = svgRoot.querySelector(`g[data-curve-base-id="${dummyId}"]`);
+        const baseTransform = originalGroup ? (originalGroup.getAttribute('transform') || '') : '';
+        if (dummyGroup && baseTransform) {
+            dummyGroup.setAttribute('transform', baseTransform);
+        }
+
+        this.dragState.groupMembers.push({ curveId, dummyId, baseTransform });
+    }
+
     /**
      * ガイドラインと移動量表示の作成
      * @param {number} startX 開始点のX座標（スクリーン座標）
@@ -540,6 +589,14 @@ export class CurveMovementHandler {
             dummyGroup.setAttribute('transform', `${base} ${translate}`.trim());
         }
 
+        // 一緒に移動する曲線のダミーも移動
+        this.dragState.groupMembers.forEach(member => {
+            const group = graphCalculator.svg.querySelector(`g[data-curve-base-id="${member.dummyId}"]`);
+            if (group) {
+                group.setAttribute('transform', `${member.baseTransform} translate(${deltaX},${deltaY})`.trim());
+            }
+        });
+
         // 数式の更新（リアルタイム表示用）
 
         if (curve.latexEquations && Array.isArray(curve.latexEquations)) {
@@ -609,6 +666,44 @@ export class CurveMovementHandler {
         const curve = this.curveManager.curves[curveId];
         if (!curve || !curve.originalPoints) return;
 
+        this.dragState.lastDelta = { dx: deltaX, dy: deltaY };
+        this.applyMoveToCurve(curveId, deltaX, deltaY, this.dragState.curveBaseTransform);
+
+        const members = this.dragState.groupMembers.filter(member => {
+            const memberCurve = this.curveManager.curves[member.curveId];
+            return memberCurve && memberCurve.originalPoints;
+        });
+        if (members.length === 0) {
+            this.recordMoveHistory(curveId, deltaX, deltaY);
+            return;
+        }
+
+        // 複数選択の移動は1つの履歴にまとめる
+        members.forEach(member => this.applyMoveToCurve(member.curveId, deltaX, deltaY, member.baseTransform));
+        if (this.curveManager.historyManager) {
+            this.curveManager.historyManager.addAction({
+                type: 'compound',
+                operation: 'move',
+                actions: [curveId, ...members.map(member => member.curveId)].map(id => ({
+                    type: 'moveCurve',
+                    id: id,
+                    deltaX: deltaX,
+                    deltaY: deltaY
+                }))
+            });
+        }
+    }
+
+    /**
+     * 1本の曲線の内部データと表示を平行移動する（確定は finalizeTranslateMove で行う）
+     * @param {number} curveId 曲線ID
+     * @param {number} deltaX X方向の移動量（ドメイン座標）
+     * @param {number} deltaY Y方向の移動量（ドメイン座標）
+     * @param {string} baseTransform 移動前の g の transform
+     */
+    applyMoveToCurve(curveId, deltaX, deltaY, baseTransform) {
+        const curve = this.curveManager.curves[curveId];
+
         // 移動前の点列を保存（履歴用）
         const oldPoints = [...curve.originalPoints];
 
@@ -618,7 +713,6 @@ export class CurveMovementHandler {
         // デフォルト: 内部データをデルタで更新し、表示は g の transform で行う（再近似は行わない）
         const graphCalculator = this.curveManager.graphCalculator;
         curve.originalPoints = movedPoints;
-        this.dragState.lastDelta = { dx: deltaX, dy: deltaY };
 
         // 視覚フィードバックのため、グループに transform を適用する
         const svgRoot = graphCalculator && graphCalculator.svg;
@@ -626,7 +720,7 @@ export class CurveMovementHandler {
             const group = svgRoot.querySelector(`g[data-curve-base-id="${curve.graphCurve.id}"]`);
             const translate = `translate(${deltaX},${deltaY})`;
             if (group) {
-                const baseCurve = this.dragState.curveBaseTransform || (group.getAttribute('transform') || '');
+                const baseCurve = baseTransform || (group.getAttribute('transform') || '');
                 group.setAttribute('transform', `${baseCurve} ${translate}`.trim());
             }
             const emphasisGroup = svgRoot.querySelector(`g[data-curve-base-id="emphasis-${curve.graphCurve.id}"]`);
@@ -648,9 +742,6 @@ export class CurveMovementHandler {
         } else {
             this.curveManager.updateEquationsContainer(curveId);
         }
-
-        this.recordMoveHistory(curveId, deltaX, deltaY);
-
     }
 
     /**
@@ -681,11 +772,17 @@ export class CurveMovementHandler {
         if (!graphCalculator) return;
 
         if (!cancel && this.dragState && this.dragState.lastDelta && this.dragState.curveId !== null) {
+            const lastDelta = this.dragState.lastDelta;
             try {
                 this.finalizeTranslateMove(this.dragState.curveId);
+                this.dragState.groupMembers.forEach(member => {
+                    this.dragState.lastDelta = lastDelta;
+                    this.finalizeTranslateMove(member.curveId, member.baseTransform);
+                });
             } catch (err) {
                 console.warn('finalizeTranslateMove failed', err);
             }
+            this.dragState.lastDelta = null;
         }
 
         // ダミー曲線を削除
@@ -694,6 +791,16 @@ export class CurveMovementHandler {
             this.dragState.dummyCurve = null;
         }
 
+        // 一緒に移動した曲線のダミーを削除し、透明度を元に戻す
+        this.dragState.groupMembers.forEach(member => {
+            graphCalculator.removeCurve(member.dummyId);
+            const curve = this.curveManager.curves[member.curveId];
+            if (curve && curve.graphCurve) {
+                graphCalculator.updateCurve(curve.graphCurve.id, { opacity: 1 });
+            }
+        });
+        this.dragState.groupMembers = [];
+
         // ガイドラインを削除
         if (this.dragState.guidelines) {
             this.dragState.guidelines.remove();
@@ -713,6 +820,9 @@ export class CurveMovementHandler {
         if (this.curveManager.emphasisGraphCurveId) {
             graphCalculator.updateCurve(this.curveManager.emphasisGraphCurveId, { opacity: 0.4 });
         }
+        this.curveManager.selectionEmphasisIds.forEach(emphasisId => {
+            graphCalculator.updateCurve(emphasisId, { opacity: 0.4 });
+        });
 
         // ツール設定を復元
         this.setActiveTool(this.dragState.penToolState);
@@ -720,6 +830,10 @@ export class CurveMovementHandler {
         // ドラッグ状態をリセット
         this.dragState.isDragging = false;
         this.dragState.curveId = null;
+
+        if (this.curveManager.bezierHandleEditor) {
+            this.curveManager.bezierHandleEditor.refresh();
+        }
     }
 
     /**
@@ -1289,17 +1403,438 @@ export class CurveMovementHandler {
         });
     }
 
+    /**
+     * 変形の中心を取得する（'center' は曲線の外接矩形の中心、'origin' は原点）
+     * @param {number} curveId
+     * @param {string|Array<number>} pivot - 'center' | 'origin' | [x, y]
+     * @returns {Array<number>|null}
+     */
+    getTransformPivot(curveId, pivot = 'center') {
+        if (Array.isArray(pivot) && Number.isFinite(pivot[0]) && Number.isFinite(pivot[1])) {
+            return [pivot[0], pivot[1]];
+        }
+        if (pivot === 'origin') return [0, 0];
+
+        const curve = this.curveManager.curves[curveId];
+        if (!curve) return null;
+        const source = (Array.isArray(curve.originalPoints) && curve.originalPoints.length > 0)
+            ? curve.originalPoints
+            : (curve.graphCurve && Array.isArray(curve.graphCurve.points) ? curve.graphCurve.points : []);
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        source.forEach(p => {
+            const x = Array.isArray(p) ? p[0] : p && p.x;
+            const y = Array.isArray(p) ? p[1] : p && p.y;
+            if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        });
+        if (!Number.isFinite(minX)) return null;
+        return [(minX + maxX) / 2, (minY + maxY) / 2];
+    }
+
+    /**
+     * 曲線を拡大縮小
+     * @param {number} curveId
+     * @param {number} scaleX - X方向の倍率
+     * @param {number} scaleY - Y方向の倍率（省略時は scaleX と同じ一様拡大縮小）
+     * @param {string|Array<number>} pivot - 変形の中心
+     */
+    scaleCurve(curveId, scaleX, scaleY = scaleX, pivot = 'center') {
+        if (!Number.isFinite(scaleX) || !Number.isFinite(scaleY) || scaleX === 0 || scaleY === 0) return false;
+        const center = this.getTransformPivot(curveId, pivot);
+        if (!center) return false;
+        const [px, py] = center;
+        return this.transformCurve(curveId, {
+            a: scaleX, b: 0, c: 0, d: scaleY,
+            e: px - scaleX * px,
+            f: py - scaleY * py
+        }, 'scale');
+    }
+
+    /**
+     * 曲線を回転
+     * @param {number} curveId
+     * @param {number} angle - 回転角（ラジアン、反時計回りが正）
+     * @param {string|Array<number>} pivot - 変形の中心
+     */
+    rotateCurve(curveId, angle, pivot = 'center') {
+        if (!Number.isFinite(angle) || angle === 0) return false;
+        const center = this.getTransformPivot(curveId, pivot);
+        if (!center) return false;
+        const [px, py] = center;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return this.transformCurve(curveId, {
+            a: cos, b: sin, c: -sin, d: cos,
+            e: px - cos * px + sin * py,
+            f: py - sin * px - cos * py
+        }, 'rotate');
+    }
+
+    /**
+     * 曲線を反転
+     * @param {number} curveId
+     * @param {string} axis - 'horizontal'（左右反転）| 'vertical'（上下反転）
+     * @param {string|Array<number>} pivot - 変形の中心
+     */
+    mirrorCurve(curveId, axis = 'horizontal', pivot = 'center') {
+        const center = this.getTransformPivot(curveId, pivot);
+        if (!center) return false;
+        const [px, py] = center;
+        const matrix = axis === 'vertical'
+            ? { a: 1, b: 0, c: 0, d: -1, e: 0, f: 2 * py }
+            : { a: -1, b: 0, c: 0, d: 1, e: 2 * px, f: 0 };
+        return this.transformCurve(curveId, matrix, 'mirror');
+    }
+
+    /**
+     * 曲線にアフィン変換を適用し、履歴に1つのアクションとして記録する
+     * @param {number} curveId
+     * @param {{a:number,b:number,c:number,d:number,e:number,f:number}} matrix - x' = a x + c y + e, y' = b x + d y + f
+     * @param {string} operation - 'scale' | 'rotate' | 'mirror'
+     * @param {Object} options - { recordHistory: false で履歴に追加しない, restoreState: 変形前の状態（undo用） }
+     * @returns {boolean} 変形できたかどうか（変形できない数式を含む曲線は何も変更せず false）
+     */
+    transformCurve(curveId, matrix, operation = 'transform', options = {}) {
+        const graphCalculator = this.curveManager.graphCalculator;
+        const curve = this.curveManager.curves[curveId];
+        if (!curve || curve.locked || !matrix) return false;
+        const determinant = matrix.a * matrix.d - matrix.b * matrix.c;
+        if (!Number.isFinite(determinant) || Math.abs(determinant) < 1e-12) return false;
+
+        const oldState = {
+            type: curve.type,
+            latexEquations: curve.latexEquations,
+            preKnots: curve.preKnots,
+            customKnots: curve.customKnots
+        };
+
+        // 数式を先に変形し、1つでも変形できない数式があれば描画や節点も含めて何も変更しない
+        // （undo では変形前の数式をそのまま戻すため不要）
+        let transformed = null;
+        if (!options.restoreState && Array.isArray(curve.latexEquations) && curve.latexEquations.length > 0) {
+            transformed = [];
+            for (const eq of curve.latexEquations) {
+                if (!eq || typeof eq !== 'object') {
+                    transformed.push(eq);
+                    continue;
+                }
+                const next = EquationBuilder.transformEquation(eq, matrix);
+                if (!next) return false;
+                try {
+                    next.rpn = toRPN(next.formula);
+                } catch (e) {
+                    next.rpn = null;
+                }
+                transformed.push(next);
+            }
+        }
+
+        // 描画パス
+        let newPath = null;
+        if (graphCalculator && curve.graphCurve) {
+            const graphCurve = curve.graphCurve;
+            if (Array.isArray(graphCurve.originalData)) {
+                graphCalculator.updateCurve(graphCurve.id, { path: this.transformPointCollections(graphCurve.originalData, matrix) });
+            } else {
+                const currentPath = typeof graphCurve.originalData === 'string'
+                    ? graphCurve.originalData
+                    : (graphCurve.path ? graphCurve.path.getAttribute('d') : null);
+                if (typeof currentPath === 'string') {
+                    newPath = this.transformSvgPathData(currentPath, matrix);
+                    graphCalculator.updateCurve(graphCurve.id, { path: newPath });
+                    if (curve.path && typeof curve.path.attr === 'function') {
+                        curve.path.attr('d', newPath);
+                    }
+                }
+            }
+
+            // 節点マーカー
+            if (Array.isArray(graphCurve.points)) {
+                graphCurve.points.forEach(point => {
+                    if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) return;
+                    const x = matrix.a * point.x + matrix.c * point.y + matrix.e;
+                    const y = matrix.b * point.x + matrix.d * point.y + matrix.f;
+                    point.x = x;
+                    point.y = y;
+                    if (point.group) {
+                        point.group.setAttribute('transform', `translate(${x}, ${y})`);
+                    }
+                });
+            }
+        }
+
+        if (Array.isArray(curve.originalPoints)) {
+            curve.originalPoints = this.transformPointCollections(curve.originalPoints, matrix);
+        }
+        if (Array.isArray(curve.knotPoints)) {
+            curve.knotPoints = this.transformPointCollections(curve.knotPoints, matrix);
+        }
+
+        if (options.restoreState) {
+            // undo: 変形前の数式・節点情報をそのまま戻す（媒介変数表示への変換も元に戻る）
+            const state = options.restoreState;
+            curve.type = state.type;
+            curve.latexEquations = state.latexEquations;
+            curve.preKnots = state.preKnots;
+            curve.customKnots = state.customKnots;
+        } else if (transformed) {
+            curve.latexEquations = transformed;
+
+            if (curve.type === 'quadratic' || curve.type === 'cubicSpline') {
+                if (transformed.some(eq => eq && (eq.type === 'quadraticBezier' || eq.type === 'cubicBezier'))) {
+                    // y=f(x) の B-スプラインは回転で媒介変数表示のベジェ列になるため、節点による再近似はできない
+                    // 三次スプラインには対応するベジェチェーンの曲線タイプがないため、タイプはそのままにする
+                    if (curve.type === 'quadratic') curve.type = 'quadraticChain';
+                    curve.preKnots = [];
+                    curve.customKnots = null;
+                } else if (matrix.a < 0) {
+                    // 左右反転では正規化座標の節点位置も反転する
+                    const flipKnots = (knots) => knots
+                        .map(k => ({ ...k, knot: 1 - k.knot }))
+                        .sort((p, q) => p.knot - q.knot);
+                    if (Array.isArray(curve.preKnots)) curve.preKnots = flipKnots(curve.preKnots);
+                    if (Array.isArray(curve.customKnots)) curve.customKnots = flipKnots(curve.customKnots);
+                }
+            }
+        }
+
+        const hasKnots = (knots) => Array.isArray(knots) && knots.length > 0;
+        if (curve.type !== oldState.type || hasKnots(curve.preKnots) !== hasKnots(oldState.preKnots)) {
+            // 曲線タイプや節点の有無が変わると詳細表示（節点数スライダーなど）も変わるため一覧を作り直す
+            this.curveManager.updateCurveList();
+        } else {
+            this.curveManager.updateCurveListById(curveId);
+        }
+        if (newPath && curve.graphCurve) {
+            this.curveManager.syncEmphasisCurvePath(curveId, curve.graphCurve.id, newPath);
+        }
+        if (this.curveManager.bezierHandleEditor) {
+            this.curveManager.bezierHandleEditor.refresh();
+        }
+
+        if (options.recordHistory !== false && this.curveManager.historyManager) {
+            this.curveManager.historyManager.addAction({
+                type: 'transformCurve',
+                operation,
+                id: curveId,
+                matrix: { ...matrix },
+                oldState
+            });
+        }
+        return true;
+    }
+
+    /**
+     * 逆変換の行列を返す
+     * @param {{a:number,b:number,c:number,d:number,e:number,f:number}} matrix
+     */
+    invertMatrix(matrix) {
+        const det = matrix.a * matrix.d - matrix.b * matrix.c;
+        return {
+            a: matrix.d / det,
+            b: -matrix.b / det,
+            c: -matrix.c / det,
+            d: matrix.a / det,
+            e: (matrix.c * matrix.f - matrix.d * matrix.e) / det,
+            f: (matrix.b * matrix.e - matrix.a * matrix.f) / det
+        };
+    }
+
+    /**
+     * SVGパスにアフィン変換を適用する
+     * 相対コマンドや H/V は絶対座標の L に変換し、円弧は半径・回転角・掃引方向を再計算する
+     * @param {string} pathData
+     * @param {{a:number,b:number,c:number,d:number,e:number,f:number}} matrix
+     * @returns {string}
+     */
+    transformSvgPathData(pathData, matrix) {
+        if (typeof pathData !== 'string' || !pathData.trim()) {
+            return pathData;
+        }
+
+        const tokens = [];
+        const regex = /([AaCcHhLlMmQqSsTtVvZz])|([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)/g;
+        let match;
+        while ((match = regex.exec(pathData)) !== null) {
+            if (match[1]) {
+                tokens.push({ type: 'command', value: match[1] });
+            } else if (match[2]) {
+                tokens.push({ type: 'number', value: parseFloat(match[2]) });
+            }
+        }
+
+        const formatNumber = (value) => {
+            if (!Number.isFinite(value)) return '0';
+            const rounded = Math.abs(value) < 1e-12 ? 0 : value;
+            let str = rounded.toFixed(6);
+            str = str.replace(/\.0+$/, '').replace(/(\.\d*?[1-9])0+$/, '$1');
+            if (str === '-0') return '0';
+            return str;
+        };
+        const mapPoint = (x, y) => {
+            const tx = matrix.a * x + matrix.c * y + matrix.e;
+            const ty = matrix.b * x + matrix.d * y + matrix.f;
+            return `${formatNumber(tx)} ${formatNumber(ty)}`;
+        };
+        const mirrored = (matrix.a * matrix.d - matrix.b * matrix.c) < 0;
+
+        const result = [];
+        let current = [0, 0];
+        let subpathStart = [0, 0];
+        let index = 0;
+
+        while (index < tokens.length) {
+            const token = tokens[index];
+            if (token.type !== 'command') {
+                index++;
+                continue;
+            }
+            const command = token.value;
+            const upper = command.toUpperCase();
+            const isRelative = command !== upper;
+            index++;
+            const numbers = [];
+            while (index < tokens.length && tokens[index].type === 'number') {
+                numbers.push(tokens[index].value);
+                index++;
+            }
+            const absolute = (x, y) => (isRelative ? [current[0] + x, current[1] + y] : [x, y]);
+
+            switch (upper) {
+                case 'M':
+                    for (let i = 0; i + 1 < numbers.length; i += 2) {
+                        const p = absolute(numbers[i], numbers[i + 1]);
+                        result.push(`${i === 0 ? 'M' : 'L'} ${mapPoint(p[0], p[1])}`);
+                        current = p;
+                        if (i === 0) subpathStart = p;
+                    }
+                    break;
+                case 'L':
+                case 'T':
+                    for (let i = 0; i + 1 < numbers.length; i += 2) {
+                        const p = absolute(numbers[i], numbers[i + 1]);
+                        result.push(`${upper} ${mapPoint(p[0], p[1])}`);
+                        current = p;
+                    }
+                    break;
+                case 'H':
+                    numbers.forEach(value => {
+                        const p = [isRelative ? current[0] + value : value, current[1]];
+                        result.push(`L ${mapPoint(p[0], p[1])}`);
+                        current = p;
+                    });
+                    break;
+                case 'V':
+                    numbers.forEach(value => {
+                        const p = [current[0], isRelative ? current[1] + value : value];
+                        result.push(`L ${mapPoint(p[0], p[1])}`);
+                        current = p;
+                    });
+                    break;
+                case 'C':
+                case 'S':
+                case 'Q': {
+                    const pairCount = upper === 'C' ? 3 : 2;
+                    const stride = pairCount * 2;
+                    for (let i = 0; i + stride - 1 < numbers.length; i += stride) {
+                        const mapped = [];
+                        let last = current;
+                        for (let k = 0; k < pairCount; k++) {
+                            last = absolute(numbers[i + k * 2], numbers[i + k * 2 + 1]);
+                            mapped.push(mapPoint(last[0], last[1]));
+                        }
+                        result.push(`${upper} ${mapped.join(' ')}`);
+                        current = last;
+                    }
+                    break;
+                }
+                case 'A':
+                    for (let i = 0; i + 6 < numbers.length; i += 7) {
+                        const [rx, ry, rotationDeg, largeArc, sweep] = numbers.slice(i, i + 5);
+                        const p = absolute(numbers[i + 5], numbers[i + 6]);
+                        const shape = this._transformEllipseAxes(matrix, rx, ry, rotationDeg * Math.PI / 180);
+                        const nextSweep = mirrored ? (sweep ? 0 : 1) : (sweep ? 1 : 0);
+                        result.push(`A ${formatNumber(shape.rx)} ${formatNumber(shape.ry)} ${formatNumber(shape.rotation * 180 / Math.PI)} ${largeArc ? 1 : 0} ${nextSweep} ${mapPoint(p[0], p[1])}`);
+                        current = p;
+                    }
+                    break;
+                case 'Z':
+                    result.push('Z');
+                    current = subpathStart;
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return result.join(' ');
+    }
+
+    /**
+     * 楕円の半径・回転角に行列の線形部分を適用した結果を返す（SVG円弧用）
+     * @private
+     */
+    _transformEllipseAxes(matrix, rx, ry, rotation) {
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const k00 = (matrix.a * cos + matrix.c * sin) * rx;
+        const k10 = (matrix.b * cos + matrix.d * sin) * rx;
+        const k01 = (-matrix.a * sin + matrix.c * cos) * ry;
+        const k11 = (-matrix.b * sin + matrix.d * cos) * ry;
+        const shift = 0.5 * Math.atan2(2 * (k00 * k01 + k10 * k11), (k00 * k00 + k10 * k10) - (k01 * k01 + k11 * k11));
+        const u1 = [k00 * Math.cos(shift) + k01 * Math.sin(shift), k10 * Math.cos(shift) + k11 * Math.sin(shift)];
+        const u2 = [-k00 * Math.sin(shift) + k01 * Math.cos(shift), -k10 * Math.sin(shift) + k11 * Math.cos(shift)];
+        return {
+            rx: Math.hypot(u1[0], u1[1]),
+            ry: Math.hypot(u2[0], u2[1]),
+            rotation: Math.atan2(u1[1], u1[0])
+        };
+    }
+
+    /**
+     * 点列（配列・{x, y}・入れ子配列）にアフィン変換を適用する
+     */
+    transformPointCollections(points, matrix) {
+        if (!Array.isArray(points)) return points;
+        return points.map(entry => {
+            if (Array.isArray(entry)) {
+                if (entry.length >= 2 && Number.isFinite(entry[0]) && Number.isFinite(entry[1])) {
+                    const transformed = entry.slice();
+                    transformed[0] = matrix.a * entry[0] + matrix.c * entry[1] + matrix.e;
+                    transformed[1] = matrix.b * entry[0] + matrix.d * entry[1] + matrix.f;
+                    return transformed;
+                }
+                return this.transformPointCollections(entry, matrix);
+            }
+            if (entry && typeof entry === 'object' && Number.isFinite(entry.x) && Number.isFinite(entry.y)) {
+                return {
+                    ...entry,
+                    x: matrix.a * entry.x + matrix.c * entry.y + matrix.e,
+                    y: matrix.b * entry.x + matrix.d * entry.y + matrix.f
+                };
+            }
+            return entry;
+        });
+    }
+
     /**
      * finalizeTranslateMove
      * - translate-only PoC の移動を確定させるため、近似を再実行して path を更新し、
      *   g の transform をリセットする。履歴の登録は moveCurve 側で行われる想定。
+     * @param {number} curveId 曲線ID
+     * @param {string|null} baseTransformOverride 一緒に移動した曲線の移動前の transform
      */
-    finalizeTranslateMove(curveId) {
+    finalizeTranslateMove(curveId, baseTransformOverride = null) {
         const graphCalculator = this.curveManager.graphCalculator;
         const curve = this.curveManager.curves[curveId];
         if (!graphCalculator || !curve || !curve.originalPoints) return;
 
-        const baseTransform = this.dragState ? (this.dragState.curveBaseTransform || '') : '';
+        const baseTransform = baseTransformOverride !== null
+            ? baseTransformOverride
+            : (this.dragState ? (this.dragState.curveBaseTransform || '') : '');
         const lastDelta = this.dragState && this.dragState.lastDelta || { dx: 0, dy: 0 };
         const dx = Number.isFinite(lastDelta.dx) ? lastDelta.dx : 0;
         const dy = Number.isFinite(lastDelta.dy) ? lastDelta.dy : 0;
@@ -0,0 +1,233 @@
+/**
+ * 複数選択ハンドラ
+ * カーソルツールでキャンバス上の曲線を複数選択する
+ * - Shift/Ctrl/Cmd+曲線をクリック: 選択に追加・解除
+ * - Shift/Ctrl/Cmd+背景をドラッグ: 矩形（マーキー）で囲んだ曲線を選択に追加
+ */
+
+/** ドラッグではなくクリックとみなすポインタの移動量（px） */
+const CLICK_TOLERANCE = 3;
+
+/** 曲線が矩形内にあるか判定するときのパス上のサンプル数 */
+const PATH_SAMPLE_COUNT = 64;
+
+export class CurveSelectionHandler {
+    /**
+     * @param {CurveManager} curveManager
+     * @param {Object} settings - 共通設定（currentToolを参照）
+     * @param {GraphCalculator} graphCalculator
+     */
+    constructor(curveManager, settings, graphCalculator) {
+        this.curveManager = curveManager;
+        this.settings = settings;
+        this.graphCalculator = graphCalculator;
+
+        // マーキー選択の状態を管理
+        this.marqueeState = {
+            isSelecting: false,
+            startX: 0,
+            startY: 0,
+            currentX: 0,
+            currentY: 0,
+            rect: null
+        };
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerCancel = this.handlePointerCancel.bind(this);
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーを設定
+     * 曲線移動や選択解除より先に修飾キーを判定するため、pointerdown はキャプチャで受け取る
+     */
+    setupEventListeners() {
+        if (!this.graphCalculator) return;
+
+        const svg = this.graphCalculator.getSvg();
+        svg.addEventListener('pointerdown', this.handlePointerDown, true);
+        d3.select(document).on('pointermove.curveSelection', this.handlePointerMove);
+        d3.select(document).on('pointerup.curveSelection', this.handlePointerUp);
+        d3.select(document).on('pointercancel.curveSelection', this.handlePointerCancel);
+    }
+
+    /**
+     * ポインタ下の曲線IDを探す
+     * @private
+     * @returns {number|null} 曲線ID
+     */
+    _findCurveId(target) {
+        for (let i = 0; i < 3 && target; i++) {
+            if (target.classList &&
+                (target.classList.contains('curve-hit-area') || target.classList.contains('curve-path'))) {
+                return this.curveManager.getCurveIdByGraphCurveId(target.getAttribute('data-curve-id'));
+            }
+            target = target.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * ポインタのSVG座標を取得
+     * @private
+     */
+    _getSvgPosition(event) {
+        const svgRect = this.graphCalculator.getSvg().getBoundingClientRect();
+        return { x: event.clientX - svgRect.left, y: event.clientY - svgRect.top };
+    }
+
+    /**
+     * ポインタダウンイベントハンドラ
+     * @param {PointerEvent} event
+     */
+    handlePointerDown(event) {
+        if (this.settings.currentTool !== 'cursor') return;
+        if (!(event.shiftKey || event.ctrlKey || event.metaKey)) return;
+
+        const curveId = this._findCurveId(event.target);
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (curveId !== null) {
+            this.curveManager.toggleCurveSelection(curveId);
+            return;
+        }
+
+        // 背景ではマーキー選択を開始（キャンバスのパンを止める）
+        const pos = this._getSvgPosition(event);
+        this.marqueeState.isSelecting = true;
+        this.marqueeState.startX = pos.x;
+        this.marqueeState.startY = pos.y;
+        this.marqueeState.currentX = pos.x;
+        this.marqueeState.currentY = pos.y;
+
+        this.graphCalculator.enableZoom(false);
+        this.graphCalculator.enableCanvas(false);
+
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('class', 'selection-marquee');
+        this.graphCalculator.getSvg().appendChild(rect);
+        this.marqueeState.rect = rect;
+        this._updateMarqueeRect();
+    }
+
+    /**
+     * ポインタムーブイベントハンドラ
+     * @param {PointerEvent} event
+     */
+    handlePointerMove(event) {
+        if (!this.marqueeState.isSelecting) return;
+
+        const pos = this._getSvgPosition(event);
+        this.marqueeState.currentX = pos.x;
+        this.marqueeState.currentY = pos.y;
+        this._updateMarqueeRect();
+    }
+
+    /**
+     * ポインタアップイベントハンドラ
+     * @param {PointerEvent} event
+     */
+    handlePointerUp(event) {
+        if (!this.marqueeState.isSelecting) return;
+
+        const { startX, startY } = this.marqueeState;
+        const pos = this._getSvgPosition(event);
+        this._endMarquee();
+
+        // 移動せずに離した場合は何もしない（選択を維持）
+        if (Math.abs(pos.x - startX) <= CLICK_TOLERANCE && Math.abs(pos.y - startY) <= CLICK_TOLERANCE) return;
+
+        const p1 = this.graphCalculator.screenToDomain(startX, startY);
+        const p2 = this.graphCalculator.screenToDomain(pos.x, pos.y);
+        const bounds = {
+            minX: Math.min(p1.x, p2.x),
+            maxX: Math.max(p1.x, p2.x),
+            minY: Math.min(p1.y, p2.y),
+            maxY: Math.max(p1.y, p2.y)
+        };
+
+        const hitIds = [];
+        this.curveManager.curves.forEach((curve, id) => {
+            if (curve && !curve.isHidden && this._intersectsBounds(curve, bounds)) {
+                hitIds.push(id);
+            }
+        });
+        if (hitIds.length === 0) return;
+
+        // 既存の選択に追加する
+        const ids = [...this.curveManager.getSelectedCurveIds(), ...hitIds];
+        const primaryId = this.settings.selectCurveId !== null ? this.settings.selectCurveId : hitIds[0];
+        this.curveManager.setCurveSelection(ids, primaryId);
+    }
+
+    /**
+     * ポインタキャンセルイベントハンドラ
+     */
+    handlePointerCancel() {
+        if (!this.marqueeState.isSelecting) return;
+        this._endMarquee();
+    }
+
+    /**
+     * マーキー矩形の表示を更新
+     * @private
+     */
+    _updateMarqueeRect() {
+        const { rect, startX, startY, currentX, currentY } = this.marqueeState;
+        if (!rect) return;
+        rect.setAttribute('x', Math.min(startX, currentX));
+        rect.setAttribute('y', Math.min(startY, currentY));
+        rect.setAttribute('width', Math.abs(currentX - startX));
+        rect.setAttribute('height', Math.abs(currentY - startY));
+    }
+
+    /**
+     * マーキー選択を終了してキャンバス操作を元に戻す
+     * @private
+     */
+    _endMarquee() {
+        if (this.marqueeState.rect) {
+            this.marqueeState.rect.remove();
+            this.marqueeState.rect = null;
+        }
+        this.marqueeState.isSelecting = false;
+
+        this.graphCalculator.enableZoom(true);
+        this.graphCalculator.enableCanvas(true);
+    }
+
+    /**
+     * 曲線の一部が矩形（ドメイン座標）内にあるかどうか
+     * @private
+     * @param {Object} curve - CurveManagerの曲線オブジェクト
+     * @param {{minX: number, maxX: number, minY: number, maxY: number}} bounds
+     * @returns {boolean}
+     */
+    _intersectsBounds(curve, bounds) {
+        const inside = (x, y) => x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY;
+
+        // 描画中のパス（ドメイン座標）上の点で判定する
+        const graphCurve = curve.graphCurve ? this.graphCalculator.getCurve(curve.graphCurve.id) : null;
+        const path = graphCurve && graphCurve.path;
+        if (path && typeof path.getTotalLength === 'function') {
+            try {
+                const length = path.getTotalLength();
+                for (let i = 0; i <= PATH_SAMPLE_COUNT; i++) {
+                    const point = path.getPointAtLength(length * i / PATH_SAMPLE_COUNT);
+                    if (inside(point.x, point.y)) return true;
+                }
+                return false;
+            } catch (e) {
+                // 描画されていないパスは手描きの点列で判定する
+            }
+        }
+
+        return Array.isArray(curve.originalPoints) &&
+            curve.originalPoints.some(point => inside(point[0], point[1]));
+    }
+}
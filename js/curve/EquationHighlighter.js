@@ -1,3 +1,5 @@
+import { evaluatePolynomial } from '../util/PolynomialUtil.js';
+
 /**
  * 数式ハイライト機能クラス
  * 数式にマウスホバーしたときに対応する数式をグラフ上に表示する
@@ -154,6 +156,8 @@ export class EquationHighlighter {
 				return this._buildLinearPaths(equation, viewport);
 			case 'quadratic':
 				return this._buildQuadraticPaths(equation, viewport);
+			case 'polynomial':
+				return this._buildPolynomialPaths(equation, viewport);
 			case 'arc':
 				return this._buildArcPaths(equation);
 			case 'ellipse':
@@ -299,6 +303,38 @@ export class EquationHighlighter {
 		return { basePath, restrictedPath };
 	}
 
+	_buildPolynomialPaths(equation, viewport) {
+		const coefficients = equation?.params?.coefficients;
+		if (!Array.isArray(coefficients) || !coefficients.length) return null;
+		if (!coefficients.every(Number.isFinite)) return null;
+
+		// 高次では変化が急になるため、二次関数より細かくサンプリングする
+		const evaluate = (x) => evaluatePolynomial(coefficients, x);
+
+		const baseRange = [viewport.xMin, viewport.xMax];
+		const basePoints = this._sampleFunction(evaluate, baseRange, 96);
+		const basePath = this._buildPath(basePoints);
+
+		const domainRange = this._getNumericRange(equation.domain);
+		if (!domainRange) {
+			return { basePath: null, restrictedPath: basePath };
+		}
+
+		const clamped = this._clampRange(domainRange, baseRange);
+		if (!clamped) {
+			return { basePath: null, restrictedPath: basePath };
+		}
+
+		const restrictedPoints = this._sampleFunction(evaluate, [clamped.start, clamped.end], 96);
+		const restrictedPath = this._buildPath(restrictedPoints);
+
+		if (this._rangesApproximatelyEqual(clamped, { start: baseRange[0], end: baseRange[1] })) {
+			return { basePath: null, restrictedPath };
+		}
+
+		return { basePath, restrictedPath };
+	}
+
 	_buildArcPaths(equation) {
 		const params = equation?.params;
 		if (!params) return null;
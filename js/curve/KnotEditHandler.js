@@ -0,0 +1,381 @@
+/**
+ * 節点編集ハンドラ
+ * カーソルツールで二次B-スプライン曲線の節点を編集し、編集後の節点列で再近似する
+ * - 節点をドラッグ: 節点を移動
+ * - 節点をクリック: 節点を削除
+ * - 選択中の曲線の節点間をクリック: 節点を挿入
+ */
+
+/** ドラッグではなくクリックとみなすポインタの移動量（px） */
+const CLICK_TOLERANCE = 3;
+
+export class KnotEditHandler {
+    /**
+     * @param {CurveManager} curveManager
+     * @param {Object} settings - 共通設定（currentToolを参照）
+     * @param {GraphCalculator} graphCalculator
+     */
+    constructor(curveManager, settings, graphCalculator) {
+        this.curveManager = curveManager;
+        this.settings = settings;
+        this.graphCalculator = graphCalculator;
+
+        // 隣り合う節点との最小間隔（正規化座標）
+        this.minKnotGap = 0.01;
+
+        // ドラッグ操作の状態を管理
+        this.dragState = {
+            isDragging: false,
+            curveId: null,
+            knotIndex: -1,
+            newKnot: null,
+            lowerKnot: 0,
+            upperKnot: 1,
+            minX: 0,
+            maxX: 1,
+            startClientX: 0,
+            startClientY: 0,
+            markers: []
+        };
+
+        // 選択中の曲線上でのクリック（節点の挿入候補）
+        this.pendingInsert = null;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerCancel = this.handlePointerCancel.bind(this);
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーを設定
+     * 曲線移動や選択解除より先に節点を判定するため、pointerdown はキャプチャで受け取る
+     */
+    setupEventListeners() {
+        if (!this.graphCalculator) return;
+
+        const svg = this.graphCalculator.getSvg();
+        svg.addEventListener('pointerdown', this.handlePointerDown, true);
+        d3.select(document).on('pointermove.knotEdit', this.handlePointerMove);
+        d3.select(document).on('pointerup.knotEdit', this.handlePointerUp);
+        d3.select(document).on('pointercancel.knotEdit', this.handlePointerCancel);
+    }
+
+    /**
+     * 節点をドラッグで編集できる曲線かどうか
+     * @param {Object} curve - CurveManagerの曲線オブジェクト
+     * @returns {boolean}
+     */
+    isKnotEditable(curve) {
+        return !!curve && (curve.type === 'quadratic' || curve.type === 'cubicSpline') && !curve.locked && !curve.isHidden &&
+            curve.showKnots !== false &&
+            Array.isArray(curve.originalPoints) && curve.originalPoints.length > 0 &&
+            Array.isArray(curve.preKnots) && curve.preKnots.length > 0;
+    }
+
+    /**
+     * ポインタ下の節点マーカーを探す
+     * @private
+     * @returns {{group: SVGGElement, graphCurveId: string}|null}
+     */
+    _findKnotMarker(target) {
+        for (let i = 0; i < 4 && target; i++) {
+            if (target.classList && target.classList.contains('point-group')) {
+                return { group: target, graphCurveId: target.getAttribute('data-curve-id') };
+            }
+            target = target.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * ポインタのドメイン座標を取得
+     * @private
+     */
+    _getDomainPosition(event) {
+        const svgRect = this.graphCalculator.getSvg().getBoundingClientRect();
+        return this.graphCalculator.screenToDomain(event.clientX - svgRect.left, event.clientY - svgRect.top);
+    }
+
+    /**
+     * ポインタダウンイベントハンドラ
+     * @param {PointerEvent} event
+     */
+    handlePointerDown(event) {
+        if (this.dragState.isDragging || this.settings.currentTool !== 'cursor') return;
+        // 修飾キー付きの操作は複数選択（CurveSelectionHandler）に任せる
+        if (event.shiftKey || event.ctrlKey || event.metaKey) return;
+
+        const marker = this._findKnotMarker(event.target);
+        if (!marker) {
+            this._prepareInsert(event);
+            return;
+        }
+
+        const curveId = this.curveManager.getCurveIdByGraphCurveId(marker.graphCurveId);
+        const curve = curveId !== null ? this.curveManager.curves[curveId] : null;
+        if (!this.isKnotEditable(curve)) return;
+
+        const graphCurve = this.graphCalculator.getCurve(curve.graphCurve.id);
+        const point = graphCurve && Array.isArray(graphCurve.points)
+            ? graphCurve.points.find(p => p.group === marker.group)
+            : null;
+        if (!point) return;
+
+        // 節点のx座標を近似器の正規化座標に変換して、対応する内部節点を探す
+        const xs = curve.originalPoints.map(p => p[0]);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        if (!(maxX > minX)) return;
+
+        const knots = this.curveManager.getActiveKnots(curveId);
+        const t = (point.x - minX) / (maxX - minX);
+        let knotIndex = -1;
+        let bestDistance = Infinity;
+        knots.forEach((k, index) => {
+            const distance = Math.abs(k.knot - t);
+            if (k.knot > 0 && k.knot < 1 && distance < bestDistance) {
+                bestDistance = distance;
+                knotIndex = index;
+            }
+        });
+        // 両端の節点は曲線の定義域を決めるため動かさない
+        if (knotIndex === -1 || t <= 1e-9 || t >= 1 - 1e-9) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        this.dragState.isDragging = true;
+        this.dragState.curveId = curveId;
+        this.dragState.knotIndex = knotIndex;
+        this.dragState.knots = knots;
+        this.dragState.newKnot = knots[knotIndex].knot;
+        this.dragState.lowerKnot = knots[knotIndex - 1].knot;
+        this.dragState.upperKnot = knots[knotIndex + 1].knot;
+        this.dragState.minX = minX;
+        this.dragState.maxX = maxX;
+        this.dragState.startClientX = event.clientX;
+        this.dragState.startClientY = event.clientY;
+        // 同じ位置に重なっている節点マーカー（前後の区間の端点）をまとめて動かす
+        this.dragState.markers = graphCurve.points.filter(p => Math.abs(p.x - point.x) < 1e-9);
+
+        this.graphCalculator.enableZoom(false);
+        this.graphCalculator.enableCanvas(false);
+        this.graphCalculator.getSvg().style.cursor = 'ew-resize';
+    }
+
+    /**
+     * 選択中の曲線上で押された場合、節点の挿入候補として記録する
+     * 曲線の選択・移動はCurveMovementHandlerに任せ、移動せずに離された場合のみ挿入する
+     * @private
+     * @param {PointerEvent} event
+     */
+    _prepareInsert(event) {
+        this.pendingInsert = null;
+
+        let target = event.target;
+        let graphCurveId = null;
+        for (let i = 0; i < 3 && target; i++) {
+            if (target.classList &&
+                (target.classList.contains('curve-hit-area') || target.classList.contains('curve-path'))) {
+                graphCurveId = target.getAttribute('data-curve-id');
+                break;
+            }
+            target = target.parentElement;
+        }
+        if (!graphCurveId) return;
+
+        const curveId = this.curveManager.getCurveIdByGraphCurveId(graphCurveId);
+        if (curveId === null || curveId !== this.settings.selectCurveId) return;
+
+        const curve = this.curveManager.curves[curveId];
+        if (!this.isKnotEditable(curve)) return;
+
+        this.pendingInsert = {
+            curveId,
+            originalPoints: curve.originalPoints,
+            clientX: event.clientX,
+            clientY: event.clientY
+        };
+    }
+
+    /**
+     * ポインタの移動量がクリックの範囲内かどうか
+     * @private
+     */
+    _isClick(event, startX, startY) {
+        return Math.hypot(event.clientX - startX, event.clientY - startY) <= CLICK_TOLERANCE;
+    }
+
+    /**
+     * ポインタ移動イベントハンドラ
+     * @param {PointerEvent} event
+     */
+    handlePointerMove(event) {
+        if (!this.dragState.isDragging) return;
+        if (event && event.cancelable) event.preventDefault();
+
+        const { minX, maxX, lowerKnot, upperKnot } = this.dragState;
+        const position = this._getDomainPosition(event);
+        const gap = this.minKnotGap;
+        const t = Math.min(Math.max((position.x - minX) / (maxX - minX), lowerKnot + gap), upperKnot - gap);
+        if (!(upperKnot - lowerKnot > gap * 2)) return;
+
+        this.dragState.newKnot = t;
+        const x = minX + t * (maxX - minX);
+        this.dragState.markers.forEach(marker => {
+            marker.group.setAttribute('transform', `translate(${x}, ${marker.y})`);
+        });
+    }
+
+    /**
+     * ポインタアップイベントハンドラ
+     * 節点のドラッグは位置を確定し、移動しなかった場合は節点を削除する
+     * @param {PointerEvent} event
+     */
+    handlePointerUp(event) {
+        if (!this.dragState.isDragging) {
+            this._finishInsert(event);
+            return;
+        }
+
+        const { curveId, knotIndex, knots, newKnot, startClientX, startClientY } = this.dragState;
+        const isClick = this._isClick(event, startClientX, startClientY);
+        const moved = Math.abs(knots[knotIndex].knot - newKnot) > 1e-9;
+        this.endDrag();
+
+        if (isClick) {
+            this.deleteKnot(curveId, knotIndex);
+            return;
+        }
+        if (!moved) return;
+
+        const newKnots = knots.map((k, index) => (index === knotIndex ? { ...k, knot: newKnot } : { ...k }));
+        this.commitKnots(curveId, newKnots, 'move');
+    }
+
+    /**
+     * 挿入候補のクリックを確定する
+     * @private
+     * @param {PointerEvent} event
+     */
+    _finishInsert(event) {
+        const pending = this.pendingInsert;
+        this.pendingInsert = null;
+        if (!pending || !this._isClick(event, pending.clientX, pending.clientY)) return;
+
+        // 曲線が移動された場合（点列が置き換わった場合）は挿入しない
+        const curve = this.curveManager.curves[pending.curveId];
+        if (!curve || curve.originalPoints !== pending.originalPoints) return;
+
+        const position = this._getDomainPosition(event);
+        this.insertKnot(pending.curveId, position.x);
+    }
+
+    /**
+     * 指定したx座標に節点を挿入する
+     * @param {number} curveId
+     * @param {number} x - 挿入位置のx座標（ドメイン座標）
+     * @returns {boolean} 挿入できたかどうか
+     */
+    insertKnot(curveId, x) {
+        const curve = this.curveManager.curves[curveId];
+        if (!this.isKnotEditable(curve)) return false;
+
+        const xs = curve.originalPoints.map(p => p[0]);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        if (!(maxX > minX)) return false;
+
+        const t = (x - minX) / (maxX - minX);
+        const knots = this.curveManager.getActiveKnots(curveId);
+        // 既存の節点に近すぎる位置には挿入しない
+        if (t <= 0 || t >= 1 || knots.some(k => Math.abs(k.knot - t) < this.minKnotGap)) return false;
+
+        const newKnots = knots.map(k => ({ ...k }));
+        newKnots.push({ knot: t, priority: knots.length, diff: -9999 });
+        return this.commitKnots(curveId, newKnots, 'insert');
+    }
+
+    /**
+     * 節点を削除する（両端の節点は削除できない）
+     * @param {number} curveId
+     * @param {number} knotIndex - getActiveKnots が返す節点列でのインデックス
+     * @returns {boolean} 削除できたかどうか
+     */
+    deleteKnot(curveId, knotIndex) {
+        const knots = this.curveManager.getActiveKnots(curveId);
+        const target = knots[knotIndex];
+        if (!target || target.knot <= 0 || target.knot >= 1) return false;
+
+        const newKnots = knots.filter((_, index) => index !== knotIndex).map(k => ({ ...k }));
+        return this.commitKnots(curveId, newKnots, 'delete');
+    }
+
+    /**
+     * 節点列を適用して再近似し、1つの履歴として記録する
+     * 再近似できない場合は編集前の節点列に戻す
+     * @param {number} curveId
+     * @param {Array<{knot: number}>} newKnots - 正規化座標の節点列
+     * @param {string} operation - 'move' | 'insert' | 'delete'
+     * @returns {boolean} 適用できたかどうか
+     */
+    commitKnots(curveId, newKnots, operation) {
+        const curve = this.curveManager.curves[curveId];
+        if (!curve) return false;
+
+        const oldKnots = Array.isArray(curve.customKnots) ? curve.customKnots.map(k => ({ ...k })) : null;
+        const oldKnotCount = curve.knotCount;
+
+        if (!this.curveManager.applyCustomKnots(curveId, newKnots)) {
+            this.curveManager.applyCustomKnots(curveId, oldKnots, oldKnotCount);
+            return false;
+        }
+
+        if (this.curveManager.historyManager) {
+            this.curveManager.historyManager.addAction({
+                type: 'knotEdit',
+                operation: operation,
+                id: curveId,
+                oldKnots: oldKnots,
+                oldKnotCount: oldKnotCount,
+                newKnots: newKnots
+            });
+        }
+
+        if (this.curveManager.uiManager) {
+            this.curveManager.uiManager.updateHistoryButtons();
+        }
+        return true;
+    }
+
+    /**
+     * ポインタキャンセルイベントハンドラ（マーカーを元の位置に戻す）
+     */
+    handlePointerCancel() {
+        if (!this.dragState.isDragging) return;
+        this.dragState.markers.forEach(marker => {
+            marker.group.setAttribute('transform', `translate(${marker.x}, ${marker.y})`);
+        });
+        this.endDrag();
+    }
+
+    /**
+     * ドラッグ状態をリセットしてキャンバス操作を戻す
+     */
+    endDrag() {
+        this.dragState.isDragging = false;
+        this.dragState.curveId = null;
+        this.dragState.knotIndex = -1;
+        this.dragState.knots = null;
+        this.dragState.markers = [];
+
+        if (this.settings.currentTool === 'cursor') {
+            this.graphCalculator.enableZoom(true);
+            this.graphCalculator.enableCanvas(true);
+            this.graphCalculator.getSvg().style.cursor = 'move';
+        }
+    }
+}
@@ -78,6 +78,10 @@ export default class GraphCalculator {
         this.curves = [];
         this.graphGroup = null;
 
+        // 背景の参照画像（グリッドと曲線の下に表示する）
+        this.referenceImage = null;
+        this.referenceGroup = null;
+
         // 機能の有効/無効状態を追跡
         this.interactionState = {
             zoomEnabled: true,
@@ -615,6 +619,182 @@ export default class GraphCalculator {
         }
     }
 
+    /**
+     * プレビュー用のオーバーレイを表示する
+     * 曲線としては登録せず、パン・ズームには曲線グループと一緒に追従する
+     * @param {string} id - オーバーレイのID（同じIDの場合は置き換える）
+     * @param {Array<Array<Array<number>>>} polylines - ドメイン座標の点列の配列
+     * @param {Object} options - { color, width, opacity }
+     * @returns {SVGGElement|null} 作成したオーバーレイのグループ
+     */
+    setOverlay(id, polylines, options = {}) {
+        try {
+            this.removeOverlay(id);
+
+            if (!this.graphGroup) {
+                this.graphGroup = this._createSVGElement('g', {
+                    'class': 'graph-curves'
+                });
+                this._updateGraphGroupTransform();
+                this.svg.appendChild(this.graphGroup);
+            }
+
+            const group = this._createSVGElement('g', {
+                'class': 'graph-overlay',
+                'data-overlay-id': id,
+                'pointer-events': 'none'
+            });
+
+            (polylines || []).forEach(points => {
+                if (!Array.isArray(points) || points.length < 2) return;
+                group.appendChild(this._createSVGElement('path', {
+                    'd': this._createPathFromPoints(points),
+                    'fill': 'none',
+                    'stroke': options.color || '#e91e63',
+                    'stroke-width': options.width || 2,
+                    'stroke-opacity': options.opacity !== undefined ? options.opacity : 0.8,
+                    'stroke-linecap': 'round',
+                    'stroke-linejoin': 'round',
+                    // 線の太さはズームに関わらず画面上で一定にする
+                    'vector-effect': 'non-scaling-stroke'
+                }));
+            });
+
+            this.graphGroup.appendChild(group);
+            return group;
+        } catch (error) {
+            this._logError(`Error setting overlay ${id}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 背景の参照画像を設定する
+     * 画像はドメイン座標に固定され、パン・ズームに追従する
+     * @param {string} href - 画像のURL（保存する場合はデータURL）
+     * @param {Object} options - { x, y: 画像中心のドメイン座標, width: ドメイン単位の幅, aspectRatio: 高さ/幅,
+     *                             rotation: 反時計回りの回転角（度）, opacity, visible, includeInExport: SVG/PNG出力に含めるか }
+     * @returns {Object|null} 設定後の参照画像の状態
+     */
+    setReferenceImage(href, options = {}) {
+        if (!href) {
+            this.removeReferenceImage();
+            return null;
+        }
+
+        const domain = this.getDomain();
+        this.referenceImage = {
+            href,
+            x: (domain.xMin + domain.xMax) / 2,
+            y: (domain.yMin + domain.yMax) / 2,
+            width: (domain.xMax - domain.xMin) / 2,
+            aspectRatio: 1,
+            rotation: 0,
+            opacity: 0.5,
+            visible: true,
+            includeInExport: false
+        };
+        return this.updateReferenceImage(options);
+    }
+
+    /**
+     * 参照画像の位置・大きさ・回転・不透明度などを更新する
+     * @param {Object} options - setReferenceImage と同じプロパティと href（指定したもののみ更新）
+     * @returns {Object|null} 更新後の参照画像の状態
+     */
+    updateReferenceImage(options = {}) {
+        if (!this.referenceImage) return null;
+
+        if (typeof options.href === 'string' && options.href) {
+            this.referenceImage.href = options.href;
+        }
+
+        ['x', 'y', 'width', 'aspectRatio', 'rotation', 'opacity'].forEach(key => {
+            const value = Number(options[key]);
+            if (options[key] !== undefined && Number.isFinite(value)) {
+                this.referenceImage[key] = value;
+            }
+        });
+        ['visible', 'includeInExport'].forEach(key => {
+            if (typeof options[key] === 'boolean') {
+                this.referenceImage[key] = options[key];
+            }
+        });
+        this.referenceImage.width = Math.max(this.referenceImage.width, 1e-9);
+        this.referenceImage.opacity = Math.min(Math.max(this.referenceImage.opacity, 0), 1);
+
+        if (!this.referenceGroup) {
+            this.referenceGroup = this._createSVGElement('g', {
+                'class': 'graph-reference-image',
+                'pointer-events': 'none'
+            });
+            this.referenceGroup.appendChild(this._createSVGElement('image', {
+                'preserveAspectRatio': 'none'
+            }));
+            // グリッドより下に表示する
+            this.svg.insertBefore(this.referenceGroup, this.svg.firstChild);
+        }
+
+        const { href, x, y, width, aspectRatio, rotation, opacity, visible } = this.referenceImage;
+        const height = width * aspectRatio;
+        const image = this.referenceGroup.firstChild;
+        image.setAttribute('href', href);
+        image.setAttribute('x', -width / 2);
+        image.setAttribute('y', -height / 2);
+        image.setAttribute('width', width);
+        image.setAttribute('height', height);
+        image.setAttribute('opacity', opacity);
+        // ドメイン座標はy軸が上向きのため、画像が反転しないように上下を戻す
+        image.setAttribute('transform', `translate(${x},${y}) rotate(${rotation}) scale(1,-1)`);
+        this.referenceGroup.style.display = visible ? '' : 'none';
+
+        this._updateReferenceImageTransform();
+        return this.getReferenceImage();
+    }
+
+    /**
+     * 参照画像の状態を取得する
+     * @returns {Object|null} 参照画像の状態のコピー
+     */
+    getReferenceImage() {
+        return this.referenceImage ? { ...this.referenceImage } : null;
+    }
+
+    /**
+     * 参照画像を削除する
+     */
+    removeReferenceImage() {
+        if (this.referenceGroup && this.referenceGroup.parentNode) {
+            this.referenceGroup.parentNode.removeChild(this.referenceGroup);
+        }
+        this.referenceGroup = null;
+        this.referenceImage = null;
+    }
+
+    /**
+     * 参照画像のグループを現在のドメインに合わせて配置する
+     * @private
+     */
+    _updateReferenceImageTransform() {
+        if (!this.referenceGroup) return;
+        const transform = this._getDomainTransform();
+        if (transform) {
+            this.referenceGroup.setAttribute('transform', transform);
+        }
+    }
+
+    /**
+     * プレビュー用のオーバーレイを削除する
+     * @param {string} id - オーバーレイのID
+     */
+    removeOverlay(id) {
+        if (!this.graphGroup) return;
+        const group = this.graphGroup.querySelector(`g.graph-overlay[data-overlay-id="${id}"]`);
+        if (group && group.parentNode) {
+            group.parentNode.removeChild(group);
+        }
+    }
+
     /**
      * ズーム機能の有効/無効を切り替える
      * @param {boolean} enabled - ズームを有効にするかどうか
@@ -1243,9 +1423,12 @@ export default class GraphCalculator {
      * @private
      */
     _clearSvg() {
-        // graph-curves グループは維持しつつ、他の要素を削除
+        // 参照画像と graph-curves グループは維持しつつ、他の要素を削除
         const curves = this.svg.querySelector('.graph-curves');
         this.svg.innerHTML = '';
+        if (this.referenceGroup) {
+            this.svg.appendChild(this.referenceGroup);
+        }
         if (curves) {
             this.svg.appendChild(curves);
         }
@@ -1358,6 +1541,9 @@ export default class GraphCalculator {
         });
         this.svg.appendChild(mainGroup);
 
+        // 参照画像をドメインに合わせて配置
+        this._updateReferenceImageTransform();
+
         // グリッドとラベルの描画
         if (this.options.draw.microGrid) this._drawMicroGrid(mainGroup);
         if (this.options.draw.subGrid) this._drawSubGrid(mainGroup);
@@ -2193,16 +2379,15 @@ export default class GraphCalculator {
     }
 
     /**
-     * グラフグループのtransform属性を更新
+     * ドメイン座標を画面座標に写すtransform属性の値を取得
      * @private
+     * @returns {string|null} SVGの大きさが未確定の場合はnull
      */
-    _updateGraphGroupTransform() {
-        if (!this.graphGroup) return;
-
+    _getDomainTransform() {
         const svgWidth = this.svg.clientWidth;
         const svgHeight = this.svg.clientHeight;
 
-        if (svgWidth <= 0 || svgHeight <= 0) return;
+        if (svgWidth <= 0 || svgHeight <= 0) return null;
 
         // ドメインサイズ
         const domainWidth = this.domainState.xMax - this.domainState.xMin;
@@ -2216,9 +2401,23 @@ export default class GraphCalculator {
         const translateX = -this.domainState.xMin * scaleX;
         const translateY = -this.domainState.yMax * scaleY;
 
+        return `translate(${translateX},${translateY}) scale(${scaleX},${scaleY})`;
+    }
+
+    /**
+     * グラフグループのtransform属性を更新
+     * @private
+     */
+    _updateGraphGroupTransform() {
+        this._updateReferenceImageTransform();
+
+        if (!this.graphGroup) return;
+
+        const transform = this._getDomainTransform();
+        if (!transform) return;
+
         // transform属性を設定
-        this.graphGroup.setAttribute('transform',
-            `translate(${translateX},${translateY}) scale(${scaleX},${scaleY})`);
+        this.graphGroup.setAttribute('transform', transform);
 
         // すべての曲線の線の太さを更新
         this.curves.forEach(curve => {
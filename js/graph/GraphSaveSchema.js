@@ -0,0 +1,415 @@
+/**
+ * GraPen JSON（保存データ）のスキーマ・検証・マイグレーション
+ * - SAVE_DATA_SCHEMA: 現在の保存形式を表すJSONスキーマ
+ * - validateSaveData: スキーマに沿って検証し、問題の場所（例: curves[2].latexEquations[0].formula）を返す
+ * - migrateSaveData: 過去のバージョンで保存されたデータを現在の形式へ順に変換する
+ */
+import { detectFormulaType } from '../util/NumberUtil.js';
+
+/** 現在の保存形式のバージョン */
+export const SAVE_DATA_VERSION = 'v-1.1.0';
+
+const numberOrNumericString = { type: ['number', 'string'] };
+
+const pointSchema = {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: {
+        x: { type: 'number' },
+        y: { type: 'number' }
+    }
+};
+
+const equationSchema = {
+    type: 'object',
+    anyOf: [{ required: ['formula'] }, { required: ['latex'] }],
+    properties: {
+        formula: { type: 'string' },
+        latex: { type: 'string' },
+        type: { type: 'string' },
+        domain: {
+            type: ['object', 'null'],
+            properties: {
+                start: numberOrNumericString,
+                end: numberOrNumericString
+            }
+        }
+    }
+};
+
+const curveSchema = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        color: { type: 'string' },
+        width: { type: 'number', minimum: 0 },
+        opacity: { type: 'number', minimum: 0, maximum: 1 },
+        visibility: { type: 'boolean' },
+        isHidden: { type: 'boolean' },
+        isDetailShown: { type: 'boolean' },
+        type: { type: ['string', 'null'] },
+        data: { type: 'string' },
+        latexEquations: { type: 'array', items: equationSchema },
+        knotPoints: { type: 'array', items: pointSchema },
+        originalPoints: {
+            type: ['array', 'null'],
+            items: { type: 'array', minItems: 2 }
+        },
+        preKnots: { type: 'array' },
+        minKnots: { type: 'integer', minimum: 2 },
+        maxKnots: { type: 'integer', minimum: 2 },
+        approximationType: { type: ['string', 'null'] },
+        approximationData: { type: ['object', 'null'] },
+        selectedApproximator: { type: ['string', 'null'] },
+        approximatorPriority: { type: ['number', 'null'] },
+        approximatorSettings: { type: ['object', 'null'] }
+    }
+};
+
+/**
+ * 保存データのJSONスキーマ（JSON Schema draft-07 のサブセット）
+ * validateSaveData は type / required / properties / items / enum / pattern / minLength / minItems / minimum / maximum / anyOf を解釈する
+ */
+export const SAVE_DATA_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'https://teth-main.github.io/GraPen/schema/save-data.json',
+    title: 'GraPen save data',
+    type: 'object',
+    required: ['version', 'curves'],
+    properties: {
+        version: { type: 'string', pattern: '^(v-|b-)?\\d+(\\.\\d+)*$' },
+        timestamp: { type: 'string' },
+        content: { type: 'string', enum: ['curves'] },
+        domain: {
+            type: 'object',
+            required: ['xMin', 'xMax', 'yMin', 'yMax'],
+            properties: {
+                xMin: { type: 'number' },
+                xMax: { type: 'number' },
+                yMin: { type: 'number' },
+                yMax: { type: 'number' }
+            }
+        },
+        curves: { type: 'array', items: curveSchema },
+        options: { type: 'object' },
+        settings: { type: 'object' },
+        referenceImage: {
+            type: 'object',
+            required: ['href'],
+            properties: { href: { type: 'string' } }
+        },
+        history: {
+            type: 'object',
+            required: ['format'],
+            // 形式1はスタック、形式2は木
+            anyOf: [
+                { required: ['undo', 'redo'] },
+                { required: ['nodes', 'root', 'current'] }
+            ],
+            properties: {
+                format: { type: 'integer', minimum: 1 },
+                undo: { type: 'array', items: { type: 'object', required: ['type'] } },
+                redo: { type: 'array', items: { type: 'object', required: ['type'] } },
+                nodes: { type: 'array', items: { type: 'object', required: ['id'] } },
+                root: { type: 'integer' },
+                current: { type: 'integer' },
+                paths: { type: 'array' }
+            }
+        }
+    }
+};
+
+/**
+ * 保存データをスキーマで検証する
+ * @param {Object} data - 保存データ
+ * @param {Object} [schema=SAVE_DATA_SCHEMA] - 検証に使うスキーマ
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}} 検証結果
+ */
+export function validateSaveData(data, schema = SAVE_DATA_SCHEMA) {
+    const errors = [];
+    validateNode(data, schema, '', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 検証エラーを「場所: 内容」の行に整形する
+ * @param {Array<{path: string, message: string}>} errors
+ * @param {number} [limit=10] - 表示する最大件数（超えた分は件数のみ表示）
+ * @returns {string}
+ */
+export function formatSaveDataErrors(errors, limit = 10) {
+    const lines = errors.slice(0, limit).map(error => `・${error.path || '(ルート)'}: ${error.message}`);
+    if (errors.length > limit) {
+        lines.push(`…ほか ${errors.length - limit} 件`);
+    }
+    return lines.join('\n');
+}
+
+// ----------------------------
+// 検証ヘルパ
+// ----------------------------
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function childPath(path, key) {
+    return typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+}
+
+function validateNode(value, schema, path, errors) {
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `${types.join(' または ')} である必要があります（実際: ${typeOf(value)}）` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `${schema.enum.map(v => JSON.stringify(v)).join(', ')} のいずれかである必要があります` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: '空文字列は使用できません' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `形式が正しくありません（${JSON.stringify(value)}）` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            errors.push({ path, message: '有限の数値である必要があります' });
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `${schema.minimum} 以上である必要があります（実際: ${value}）` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `${schema.maximum} 以下である必要があります（実際: ${value}）` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `${schema.minItems} 個以上の要素が必要です（実際: ${value.length} 個）` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateNode(item, schema.items, childPath(path, index), errors));
+        }
+        return;
+    }
+
+    if (!value || typeof value !== 'object') return;
+
+    (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+            errors.push({ path: childPath(path, key), message: '必須の項目がありません' });
+        }
+    });
+
+    if (schema.anyOf) {
+        const satisfied = schema.anyOf.some(option => (option.required || []).every(key => value[key] !== undefined));
+        if (!satisfied) {
+            const keys = schema.anyOf.map(option => (option.required || []).join(', '));
+            errors.push({ path, message: `${keys.join(' または ')} のいずれかが必要です` });
+        }
+    }
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined) {
+            validateNode(value[key], propertySchema, childPath(path, key), errors);
+        }
+    });
+}
+
+// ----------------------------
+// マイグレーション
+// ----------------------------
+
+/**
+ * バージョン文字列を比較用の数値配列に変換する
+ * ベータ版（b-1.4.x）は v-1.0.0 より前として扱う
+ * @param {string} version
+ * @returns {number[]|null} 解釈できない場合は null
+ */
+export function parseSaveDataVersion(version) {
+    const match = /^(v-|b-)?(\d+(?:\.\d+)*)$/.exec(String(version || ''));
+    if (!match) return null;
+    const parts = match[2].split('.').map(Number);
+    return match[1] === 'b-' ? [0, ...parts] : parts;
+}
+
+/**
+ * バージョンを比較する
+ * @returns {number} a < b なら負、a > b なら正、等しければ 0
+ */
+export function compareSaveDataVersions(a, b) {
+    const pa = parseSaveDataVersion(a) || [];
+    const pb = parseSaveDataVersion(b) || [];
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * 各バージョンへの変換処理（古い順）
+ * version より前のバージョンで保存されたデータに migrate を適用する
+ * migrate(data, note) の note(path, message) で変更内容を記録する
+ */
+const MIGRATIONS = [
+    {
+        // ベータ版: 曲線IDが数値で保存されていた
+        version: 'v-1.0.0',
+        migrate(data, note) {
+            eachCurve(data, (curve, path) => {
+                if (typeof curve.id === 'number') {
+                    curve.id = String(curve.id);
+                    note(`${path}.id`, '数値のIDを文字列に変換しました');
+                }
+            });
+        }
+    },
+    {
+        // v-1.0.3.4 で保存データを削減する前は、節点を [x, y] の組、元の点列を {x, y} で保存している場合があった
+        version: 'v-1.0.3.4',
+        migrate(data, note) {
+            eachCurve(data, (curve, path) => {
+                if (Array.isArray(curve.knotPoints) && curve.knotPoints.some(Array.isArray)) {
+                    curve.knotPoints = curve.knotPoints
+                        .map(point => Array.isArray(point) ? { x: Number(point[0]), y: Number(point[1]) } : point);
+                    note(`${path}.knotPoints`, '[x, y] 形式の節点を {x, y} 形式に変換しました');
+                }
+                if (Array.isArray(curve.originalPoints) && curve.originalPoints.some(p => p && !Array.isArray(p))) {
+                    curve.originalPoints = curve.originalPoints
+                        .map(point => (point && !Array.isArray(point)) ? [Number(point.x), Number(point.y)] : point);
+                    note(`${path}.originalPoints`, '{x, y} 形式の点列を [x, y] 形式に変換しました');
+                }
+                // RPN は読み込み時に作り直すため、古い形式のものは捨てる
+                (curve.latexEquations || []).forEach((eq, index) => {
+                    if (eq && eq.rpn !== undefined) {
+                        delete eq.rpn;
+                        note(`${path}.latexEquations[${index}].rpn`, '保存されていたRPNを削除しました（読み込み時に再生成）');
+                    }
+                });
+            });
+        }
+    },
+    {
+        // v-1.1.0 で近似方法ごとの曲線タイプ（approximationType）と式のタイプが保存されるようになった
+        version: 'v-1.1.0',
+        migrate(data, note) {
+            eachCurve(data, (curve, path) => {
+                if (!curve.approximationType && curve.type) {
+                    curve.approximationType = curve.type;
+                    note(`${path}.approximationType`, `type (${curve.type}) から補完しました`);
+                }
+                (curve.latexEquations || []).forEach((eq, index) => {
+                    if (eq && (!eq.type || eq.type === 'unknown') && (eq.formula || eq.latex)) {
+                        eq.type = detectFormulaType(eq.formula || eq.latex);
+                        note(`${path}.latexEquations[${index}].type`, `式から ${eq.type} と判定しました`);
+                    }
+                });
+            });
+        }
+    }
+];
+
+/**
+ * 数値と文字列の取り違えをスキーマの型に合わせて直す（どのバージョンのデータにも適用する）
+ * 以前の読み込み処理は数値のIDや文字列の数値（"5" など）をそのまま受け付けていたため、
+ * そうしたデータを検証で拒否しないよう、数値の文字列表現は数値に、数値のIDは文字列に変換する
+ * @param {*} value - 変換する値（オブジェクト・配列はその場で書き換える）
+ * @param {Object} schema - 値に対応するスキーマ
+ * @param {string} path - 値の場所
+ * @param {Function} note - note(path, message) で変更内容を記録する
+ * @returns {*} 変換後の値
+ */
+function normalizeValueTypes(value, schema, path, note) {
+    const types = schema.type ? (Array.isArray(schema.type) ? schema.type : [schema.type]) : [];
+    const acceptsNumber = types.includes('number') || types.includes('integer');
+
+    if (typeof value === 'string' && acceptsNumber && !types.includes('string')) {
+        const number = value.trim() === '' ? NaN : Number(value);
+        if (Number.isFinite(number)) {
+            note(path, `文字列の数値 (${JSON.stringify(value)}) を数値に変換しました`);
+            return number;
+        }
+        return value;
+    }
+    if (typeof value === 'number' && types.includes('string') && !acceptsNumber && Number.isFinite(value)) {
+        note(path, `数値 (${value}) を文字列に変換しました`);
+        return String(value);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.items) {
+            value.forEach((item, index) => {
+                value[index] = normalizeValueTypes(item, schema.items, childPath(path, index), note);
+            });
+        }
+    } else if (value && typeof value === 'object' && schema.properties) {
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                value[key] = normalizeValueTypes(value[key], propertySchema, childPath(path, key), note);
+            }
+        });
+    }
+    return value;
+}
+
+function eachCurve(data, callback) {
+    if (!Array.isArray(data.curves)) return;
+    data.curves.forEach((curve, index) => {
+        if (curve && typeof curve === 'object') {
+            callback(curve, `curves[${index}]`);
+        }
+    });
+}
+
+/**
+ * 保存データを現在のバージョンの形式に変換する（元のデータは変更しない）
+ * 数値のIDや文字列の数値など、スキーマの型との取り違えはバージョンによらず直す
+ * @param {Object} data - 保存データ
+ * @returns {{data: Object, fromVersion: string, applied: string[], notes: Array<{path: string, message: string}>}}
+ *          変換後のデータ・元のバージョン・適用した変換・変更内容
+ */
+export function migrateSaveData(data) {
+    const migrated = JSON.parse(JSON.stringify(data));
+    const fromVersion = migrated && migrated.version;
+    const result = { data: migrated, fromVersion, applied: [], notes: [] };
+
+    // バージョンが読めないデータは変換せず、検証でエラーにする
+    if (!migrated || typeof migrated !== 'object' || !parseSaveDataVersion(fromVersion)) {
+        return result;
+    }
+
+    const note = (path, message) => result.notes.push({ path, message });
+
+    if (compareSaveDataVersions(fromVersion, SAVE_DATA_VERSION) > 0) {
+        note('version', `新しいバージョン (${fromVersion}) のデータです。一部の情報が読み込まれない可能性があります`);
+    } else {
+        MIGRATIONS.forEach(step => {
+            if (compareSaveDataVersions(fromVersion, step.version) >= 0) return;
+            step.migrate(migrated, note);
+            migrated.version = step.version;
+            result.applied.push(step.version);
+        });
+    }
+
+    normalizeValueTypes(migrated, SAVE_DATA_SCHEMA, '', note);
+    return result;
+}
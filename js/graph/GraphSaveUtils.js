@@ -5,6 +5,10 @@
 
 import { toRPN, detectFormulaType } from '../util/NumberUtil.js';
 import { GraPen } from '../GraPen.js';
+import { buildDesmosState, convertDesmosStateToGraPen } from '../util/DesmosStateUtil.js';
+import { parseSVG, buildSVGImportItems } from '../util/SvgImportUtil.js';
+import { SAVE_DATA_VERSION, migrateSaveData, validateSaveData, formatSaveDataErrors } from './GraphSaveSchema.js';
+import { buildTimelapseSVG } from '../history/StrokeTimelapse.js';
 
 /**
  * SVGをPNG形式で保存する
@@ -34,6 +38,7 @@ export async function saveToPNG(calculator, filename = 'graph', scale = 2) {
         // すべての要素を含むSVGをクローン
         const clonedSvg = svg.cloneNode(true);
         clonedSvg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        removeNonExportElements(calculator, clonedSvg);
 
         // スタイルを埋め込む
         const styleElement = document.createElement('style');
@@ -153,6 +158,7 @@ export function saveToSVG(calculator, filename = 'graph') {
         // 正しい名前空間を設定
         clonedSvg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
         clonedSvg.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+        removeNonExportElements(calculator, clonedSvg);
 
         // スタイルシートをSVGに埋め込む
         const styleElement = document.createElement('style');
@@ -217,12 +223,13 @@ export function saveToSVG(calculator, filename = 'graph') {
  * @param {string} filename - 保存するファイル名（.jsonは自動追加）
  * @param {Object} additionalSettings - 追加の設定情報（SettingsManagerなどの状態）
  * @param {Array} curves - CurveManagerからの曲線情報（表示状態と詳細表示状態を含む）
+ * @param {Object} history - 元に戻す/やり直しの履歴（HistoryManager.serializeHistoryTree の結果）
  * @returns {boolean} 保存に成功したかどうか
  */
-export function saveToJSON(calculator, filename = 'graph-data', additionalSettings = null, curves = null) {
+export function saveToJSON(calculator, filename = 'graph-data', additionalSettings = null, curves = null, history = null) {
     try {
         // GraphCalculatorの曲線データを取得
-        const graphCurves = calculator.getAllCurves().map(curve => {
+        const graphCurves = calculator.getAllCurves().filter(isSavedGraphCurve).map(curve => {
             // 基本的な曲線データ
             const curveData = {
                 id: curve.id,
@@ -318,7 +325,7 @@ export function saveToJSON(calculator, filename = 'graph-data', additionalSettin
 
         // 保存するデータを収集
         const saveData = {
-            version: 'v-1.1.0',
+            version: SAVE_DATA_VERSION,
             timestamp: new Date().toISOString(),
             domain: calculator.getDomain(),
             curves: strippedCurves,
@@ -330,6 +337,11 @@ export function saveToJSON(calculator, filename = 'graph-data', additionalSettin
             saveData.settings = additionalSettings;
         }
 
+        // 元に戻す/やり直しの履歴（HistoryManager.serializeHistoryTree）
+        if (history) {
+            saveData.history = history;
+        }
+
         // JSONに変換
         const jsonString = JSON.stringify(saveData, null, 2);
         const jsonBlob = new Blob([jsonString], { type: 'application/json' });
@@ -342,55 +354,122 @@ export function saveToJSON(calculator, filename = 'graph-data', additionalSettin
     }
 }
 
+/**
+ * Desmosのグラフ状態（calculator state）形式のJSONで保存する
+ * 曲線ごとにフォルダを作成し、色・線幅・表示状態・定義域を含めて出力する
+ * @param {GraphCalculator} calculator - グラフ計算機のインスタンス
+ * @param {string} filename - 保存するファイル名（.jsonは自動追加）
+ * @param {Array} curves - CurveManagerの曲線配列
+ * @returns {boolean} 保存に成功したかどうか
+ */
+export function saveToDesmos(calculator, filename = 'desmos-state', curves = []) {
+    try {
+        const state = buildDesmosState(calculator, curves);
+        const jsonString = JSON.stringify(state, null, 2);
+        const jsonBlob = new Blob([jsonString], { type: 'application/json' });
+        downloadBlob(jsonBlob, `${filename}.json`);
+        return true;
+    } catch (error) {
+        console.error('Desmos形式での保存中にエラーが発生しました:', error);
+        return false;
+    }
+}
+
+/**
+ * 記録した描画のタイムラプスをアニメーションSVG（SMIL）で保存する
+ * 生のストロークを描いた速さで描き、描き終わったら近似曲線に切り替わる
+ * @param {Array} strokes - StrokeRecorder のストローク
+ * @param {string} filename - 保存するファイル名（.svgは自動追加）
+ * @param {Object} options - buildTimelapseSVG のオプション（width, speed など）
+ * @returns {boolean} 保存に成功したかどうか（記録が無い場合は false）
+ */
+export function saveToTimelapseSVG(strokes, filename = 'grapen-timelapse', options = {}) {
+    try {
+        const svgString = buildTimelapseSVG(strokes, options);
+        if (!svgString) return false;
+
+        const svgBlob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
+        downloadBlob(svgBlob, `${filename}.svg`);
+        return true;
+    } catch (error) {
+        console.error('タイムラプスSVGの保存中にエラーが発生しました:', error);
+        return false;
+    }
+}
+
 /**
  * JSON形式のデータからグラフを復元する
  * @param {GraphCalculator} calculator - グラフ計算機のインスタンス
  * @param {Object|string} jsonData - JSONデータオブジェクトまたは文字列
  * @param {Function} settingsCallback - 設定を復元するためのコールバック関数
- * @param {Object} options - 復元オプション { preserveDomain: ドメインを保持するか }
- * @returns {boolean} 復元に成功したかどうか
+ * @param {Object} options - 復元オプション
+ * @param {boolean} [options.preserveDomain] - ドメインを保持するか（置き換え時）
+ * @param {'replace'|'merge'} [options.mode='replace'] - 'merge' の場合は既存の曲線を残して追加し、ドメイン・オプション・設定は現在のものを維持する
+ * @param {number} [options.nextCurveId=0] - 追加する曲線に割り当てる最初のID（'merge' 時）
+ * @returns {{success: boolean, curves?: Array, remappedIds?: Object, migration?: Object, warnings?: Array, errors?: Array}}
+ *          復元結果（remappedIds は 'merge' 時の 元のID → 新しいID、migration は適用した形式変換、
+ *          warnings は補完できなかった情報、errors は形式が正しくない場合の検証エラー）
  */
 export function loadFromJSON(calculator, jsonData, settingsCallback = null, options = { preserveDomain: true }) {
     try {
         // 文字列の場合はパース
-        const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
-
-        // バージョン確認
-        if (!data.version) {
-            console.error('互換性のないJSON形式です: バージョン情報がありません');
-            return false;
+        const parsed = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+
+        // 古いバージョンのデータを現在の形式に変換してから検証する（元データは変更しない）
+        const migration = migrateSaveData(parsed);
+        const { errors } = validateSaveData(migration.data);
+        if (errors.length > 0) {
+            console.error(`保存データの形式が正しくありません:\n${formatSaveDataErrors(errors)}`);
+            return { success: false, errors };
         }
-
-        // 既存の曲線をすべて削除
-        const curves = calculator.getAllCurves();
-        curves.forEach(curve => {
-            calculator.removeCurve(curve.id);
-        });
-
-        // オプションでドメイン保持指定がなければドメインを復元
-        if (!options.preserveDomain && data.domain) {
-            calculator.setDomain(data.domain, false);
+        if (migration.notes.length > 0) {
+            console.warn(`保存データを ${migration.fromVersion} から ${SAVE_DATA_VERSION} の形式に変換しました:`, migration.notes);
         }
+        const data = migration.data;
 
-        // 曲線をIDでグループ化して、同じグループに属するべき曲線を一緒に復元
-        const curveGroups = {};
+        const merge = options.mode === 'merge';
         const restoredCurves = []; // 復元された曲線情報を格納
+        const remappedIds = {};
+        // 読み込み時に補完できなかった情報（節点が欠ける原因の調査用）
+        const warnings = [];
+        let curveGroups;
+
+        if (merge) {
+            // 追加読み込みでは強調表示曲線を除き、データの順序のまま新しいIDで追加する
+            curveGroups = _remapMergedCurves(calculator, data.curves, options.nextCurveId || 0, remappedIds)
+                .map(curveData => [curveData]);
+        } else {
+            // 既存の曲線をすべて削除
+            const curves = calculator.getAllCurves();
+            curves.forEach(curve => {
+                calculator.removeCurve(curve.id);
+            });
 
-        // まず曲線をグループ化
-        if (Array.isArray(data.curves)) {
-            data.curves.forEach(curveData => {
-                const id = curveData.id.toString();
-                const baseId = id.startsWith('emphasis-') ? id.replace('emphasis-', '') : id;
+            // オプションでドメイン保持指定がなければドメインを復元
+            if (!options.preserveDomain && data.domain) {
+                calculator.setDomain(data.domain, false);
+            }
 
-                if (!curveGroups[baseId]) {
-                    curveGroups[baseId] = [];
-                }
-                curveGroups[baseId].push(curveData);
-            });
+            // 曲線をIDでグループ化して、同じグループに属するべき曲線を一緒に復元
+            const groups = {};
+            if (Array.isArray(data.curves)) {
+                data.curves.forEach(curveData => {
+                    const id = curveData.id.toString();
+                    // 以前のバージョンで保存されたベジェハンドルの表示用曲線は復元しない
+                    if (BEZIER_HANDLE_ID_PATTERN.test(id)) return;
+                    const baseId = id.startsWith('emphasis-') ? id.replace('emphasis-', '') : id;
+
+                    if (!groups[baseId]) {
+                        groups[baseId] = [];
+                    }
+                    groups[baseId].push(curveData);
+                });
+            }
+            curveGroups = Object.values(groups);
         }
 
         // グループごとに曲線を復元
-        Object.values(curveGroups).forEach(groupCurves => {
+        curveGroups.forEach(groupCurves => {
             // グループ内の曲線を強調表示とそれ以外に分類
             const emphasisCurves = groupCurves.filter(c => c.id.toString().startsWith('emphasis-'));
             const mainCurves = groupCurves.filter(c => !c.id.toString().startsWith('emphasis-'));
@@ -424,6 +503,20 @@ export function loadFromJSON(calculator, jsonData, settingsCallback = null, opti
                             // knotPoints を再計算（既存がない場合のみ）
                             if (!Array.isArray(curveData.knotPoints) || curveData.knotPoints.length === 0) {
                                 curveData.knotPoints = computeKnotPointsFromLatex(curveData.latexEquations, calculator.getDomain());
+
+                                // RPNで評価できない式（ベジェ・円など）は節点を再計算できない
+                                const expected = curveData.latexEquations.length + 1;
+                                const computed = Array.isArray(curveData.knotPoints) ? curveData.knotPoints.length : 0;
+                                if (computed < expected) {
+                                    const types = Array.from(new Set(curveData.latexEquations
+                                        .filter(eq => eq && Array.isArray(eq.rpn) && eq.rpn.length === 0)
+                                        .map(eq => eq.type)));
+                                    warnings.push({
+                                        id: curveData.id,
+                                        message: `節点データがないため数式から再計算しましたが、${expected} 個中 ${computed} 個しか求まりませんでした` +
+                                            (types.length ? `（数式から評価できない式: ${types.join(', ')}）` : '')
+                                    });
+                                }
                             }
                             // originalPoints を再生成（既存がない場合のみ）
                             if (!Array.isArray(curveData.originalPoints) || curveData.originalPoints.length === 0) {
@@ -522,6 +615,44 @@ export function loadFromJSON(calculator, jsonData, settingsCallback = null, opti
                                 curveData.minKnots = curveData.minKnots || 2;
                             }
                         }
+
+                        // type="cubicSpline" は各区間の定義域の端を節点とし、三次の係数の差から優先度を割り当てる
+                        if (curveData.type === 'cubicSpline' && (!Array.isArray(curveData.preKnots) || curveData.preKnots.length === 0)) {
+                            const eqs = (Array.isArray(curveData.latexEquations) ? curveData.latexEquations : [])
+                                .filter(eq => eq && eq.type === 'polynomial' && eq.params && Array.isArray(eq.params.coefficients) && eq.domain);
+                            // 回転などで三次ベジェになった区間がある場合は節点による再近似ができないため復元しない
+                            if (eqs.length > 0 && eqs.length === curveData.latexEquations.length) {
+                                const xs = [Number(eqs[0].domain.start), ...eqs.map(eq => Number(eq.domain.end))];
+                                if (xs.every(Number.isFinite)) {
+                                    const minX = xs[0], range = (xs[xs.length - 1] - minX) || 1;
+                                    const pres = xs.map(x => ({ knot: (x - minX) / range, priority: -1, diff: -9999 }));
+                                    pres.unshift(
+                                        { knot: -0.3, priority: -1, diff: -9999 },
+                                        { knot: -0.2, priority: -1, diff: -9999 },
+                                        { knot: -0.1, priority: -1, diff: -9999 }
+                                    );
+                                    pres.push(
+                                        { knot: 1.1, priority: -1, diff: -9999 },
+                                        { knot: 1.2, priority: -1, diff: -9999 },
+                                        { knot: 1.3, priority: -1, diff: -9999 }
+                                    );
+
+                                    // 区間iと区間i+1の間の節点は先頭のダミーノット3つと始点の後ろ（i + 4）
+                                    const cubicTerms = eqs.map(eq => Number(eq.params.coefficients[3]) || 0);
+                                    for (let i = 0; i < cubicTerms.length - 1; i++) {
+                                        pres[i + 4].diff = Math.abs(cubicTerms[i] - cubicTerms[i + 1]);
+                                    }
+                                    pres
+                                        .filter(k => k.diff !== -9999)
+                                        .sort((a, b) => b.diff - a.diff)
+                                        .forEach((k, p) => { k.priority = p; });
+
+                                    curveData.preKnots = pres;
+                                    curveData.maxKnots = curveData.maxKnots || xs.length;
+                                    curveData.minKnots = curveData.minKnots || 2;
+                                }
+                            }
+                        }
                     }
                 } catch (e) {
                     console.warn('ロード時の強制再計算でエラー:', e, curveData && curveData.id);
@@ -540,6 +671,24 @@ export function loadFromJSON(calculator, jsonData, settingsCallback = null, opti
             });
         });
 
+        if (warnings.length > 0) {
+            console.warn('保存データから復元できなかった情報があります:', warnings);
+        }
+        const report = {
+            migration: { fromVersion: migration.fromVersion, applied: migration.applied, notes: migration.notes },
+            warnings
+        };
+
+        // 追加読み込みでは現在のグラフの表示設定を維持する
+        if (merge) {
+            return {
+                success: true,
+                curves: restoredCurves,
+                remappedIds,
+                ...report
+            };
+        }
+
         // オプションの復元（エラーでも処理継続）
         try {
             if (data.options) {
@@ -549,15 +698,30 @@ export function loadFromJSON(calculator, jsonData, settingsCallback = null, opti
             console.warn('オプション復元でエラーが発生しました:', optError);
         }
 
+        // 参照画像の復元（保存データにない場合は消去する）
+        try {
+            if (data.referenceImage && data.referenceImage.href) {
+                const { href, ...imageOptions } = data.referenceImage;
+                calculator.setReferenceImage(href, imageOptions);
+            } else {
+                calculator.removeReferenceImage();
+            }
+        } catch (imageError) {
+            console.warn('参照画像の復元でエラーが発生しました:', imageError);
+        }
+
         // 追加の設定情報の復元（設定コールバックがある場合）
         if (data.settings && typeof settingsCallback === 'function') {
             settingsCallback(data.settings);
         }
 
         // JSON曲線データを返す（CurveManagerでの復元用）
+        // 履歴は曲線を CurveManager に追加した後で復元するため、そのまま返す
         return {
             success: true,
-            curves: restoredCurves
+            curves: restoredCurves,
+            history: data.history || null,
+            ...report
         };
     } catch (error) {
         console.error('JSONからの復元中にエラーが発生しました:', error);
@@ -565,6 +729,36 @@ export function loadFromJSON(calculator, jsonData, settingsCallback = null, opti
     }
 }
 
+/**
+ * 追加読み込みする曲線に、既存の曲線と重ならない新しいIDを割り当てる（内部ヘルパー関数）
+ * IDは nextCurveId から順に振り、既に使われている場合は "<ID>-<連番>" にずらす
+ * @private
+ * @param {GraphCalculator} calculator
+ * @param {Array} curves - 読み込むJSONの曲線データ
+ * @param {number} nextCurveId - 最初に割り当てるID
+ * @param {Object} remappedIds - 元のID → 新しいID の対応を書き込むオブジェクト
+ * @returns {Array} IDを付け替えた曲線データ（元データは変更しない）
+ */
+function _remapMergedCurves(calculator, curves, nextCurveId, remappedIds) {
+    if (!Array.isArray(curves)) return [];
+
+    const usedIds = new Set();
+    return curves
+        .filter(curveData => curveData && curveData.id !== undefined &&
+            !/^(emphasis|dummy|bezier-handles)-/.test(String(curveData.id)))
+        .map((curveData, index) => {
+            const baseId = String(nextCurveId + index);
+            let newId = baseId;
+            let suffix = 1;
+            while (calculator.getCurve(newId) || usedIds.has(newId)) {
+                newId = `${baseId}-${suffix++}`;
+            }
+            usedIds.add(newId);
+            remappedIds[curveData.id] = newId;
+            return { ...curveData, id: newId };
+        });
+}
+
 /**
  * 曲線を復元する（内部ヘルパー関数）
  * @private
@@ -908,6 +1102,103 @@ export function importJSONFile(onLoadCallback) {
     return true;
 }
 
+/**
+ * DesmosのグラフJSONファイルを選択して、GraPenの保存データ形式に変換して読み込む
+ * 変換できなかった式は report.unsupported に理由とともに列挙される
+ * @param {Function} onLoadCallback - (data, report) を受け取るコールバック関数
+ * @param {Object} options - { domain: 制限のない式に使う範囲 }
+ */
+export function importDesmosFile(onLoadCallback, options = {}) {
+    if (typeof onLoadCallback !== 'function') {
+        console.error('コールバック関数が必要です');
+        return false;
+    }
+
+    return importJSONFile((state) => {
+        try {
+            const { data, report } = convertDesmosStateToGraPen(state, options);
+            onLoadCallback(data, report);
+        } catch (error) {
+            console.error('Desmosデータの変換に失敗しました:', error);
+            alert('Desmosデータの変換に失敗しました。Desmosのグラフ状態を保存したJSONファイルを選択してください。');
+        }
+    });
+}
+
+/**
+ * SVGファイルを選択して、図形要素を曲線追加用のデータに変換する
+ * viewBoxは現在の表示範囲の中央に収まるように配置される
+ * @param {Function} onLoadCallback - 変換結果の配列を受け取るコールバック関数
+ * @param {Object} options - { domain: 配置先の表示範囲 }
+ */
+export function importSVGFile(onLoadCallback, options = {}) {
+    if (typeof onLoadCallback !== 'function') {
+        console.error('コールバック関数が必要です');
+        return false;
+    }
+
+    // 隠しファイル入力要素を作成
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.svg,image/svg+xml';
+    fileInput.style.display = 'none';
+    document.body.appendChild(fileInput);
+
+    // ファイル選択イベント
+    fileInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) {
+            document.body.removeChild(fileInput);
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const items = buildSVGImportItems(parseSVG(e.target.result), options.domain);
+                onLoadCallback(items);
+            } catch (error) {
+                console.error('SVGファイルの解析に失敗しました:', error);
+                alert('SVGファイルの解析に失敗しました。有効なSVGファイルを選択してください。');
+            }
+            document.body.removeChild(fileInput);
+        };
+
+        reader.onerror = () => {
+            console.error('ファイルの読み込みに失敗しました');
+            alert('ファイルの読み込みに失敗しました。');
+            document.body.removeChild(fileInput);
+        };
+
+        reader.readAsText(file);
+    });
+
+    // ファイル選択ダイアログを開く
+    fileInput.click();
+
+    return true;
+}
+
+/**
+ * 出力用に複製したSVGから、画面上の補助要素を取り除く
+ * プレビュー用のオーバーレイは常に、参照画像は出力に含める設定でない場合に取り除く
+ * @private
+ * @param {GraphCalculator} calculator - グラフ計算機のインスタンス
+ * @param {SVGElement} clonedSvg - 複製したSVG要素
+ */
+function removeNonExportElements(calculator, clonedSvg) {
+    const referenceImage = calculator.getReferenceImage();
+    const selectors = [
+        '.graph-overlay',
+        'g.curve-group[data-curve-base-id^="bezier-handles-"]',
+        '.point-group[data-curve-id^="bezier-handles-"]'
+    ];
+    if (!referenceImage || !referenceImage.includeInExport) {
+        selectors.push('.graph-reference-image');
+    }
+    clonedSvg.querySelectorAll(selectors.join(',')).forEach(el => el.parentNode.removeChild(el));
+}
+
 /**
  * Blobをファイルとしてダウンロードする
  * @private
@@ -952,8 +1243,24 @@ function stripCurveForSave(curve) {
     return out;
 }
 
+/**
+ * ベジェハンドル編集の表示用曲線のID（BezierHandleEditor が編集中だけ追加する）
+ * @private
+ */
+const BEZIER_HANDLE_ID_PATTERN = /^bezier-handles-/;
+
+/**
+ * 保存・共有の対象にする曲線かどうか（編集中だけ表示する補助曲線を除く）
+ * @private
+ * @param {Object} curve - GraphCalculator の曲線
+ * @returns {boolean}
+ */
+function isSavedGraphCurve(curve) {
+    return !BEZIER_HANDLE_ID_PATTERN.test(String(curve.id));
+}
+
 function collectGraphCurves(calculator) {
-    return calculator.getAllCurves().map(curve => ({
+    return calculator.getAllCurves().filter(isSavedGraphCurve).map(curve => ({
         id: curve.id,
         color: curve.color,
         width: curve.width,
@@ -990,6 +1297,7 @@ function mergeCurveManagerData(graphCurves, curves) {
             approximationDiagnostics: cmCurve.approximationDiagnostics || null,
             selectedApproximator: cmCurve.selectedApproximator || null,
             approximatorPriority: typeof cmCurve.approximatorPriority === 'number' ? cmCurve.approximatorPriority : null,
+            approximatorSettings: cmCurve.approximatorSettings || null,
         };
 
         if (cmCurve.knotPoints && cmCurve.knotPoints.length > 0) {
@@ -1020,23 +1328,32 @@ function mergeCurveManagerData(graphCurves, curves) {
     });
 }
 
-function buildSaveData(calculator, additionalSettings = null, curves = null) {
+function buildSaveData(calculator, additionalSettings = null, curves = null, history = null) {
     const graphCurves = collectGraphCurves(calculator);
     const mergedCurves = mergeCurveManagerData(graphCurves, curves);
     const strippedCurves = mergedCurves.map(stripCurveForSave);
 
     const saveData = {
-        version: 'v-1.1.0',
+        version: SAVE_DATA_VERSION,
         timestamp: new Date().toISOString(),
         domain: calculator.getDomain(),
         curves: strippedCurves,
         options: calculator.options,
     };
 
+    const referenceImage = calculator.getReferenceImage();
+    if (referenceImage) {
+        saveData.referenceImage = referenceImage;
+    }
+
     if (additionalSettings) {
         saveData.settings = additionalSettings;
     }
 
+    if (history) {
+        saveData.history = history;
+    }
+
     return saveData;
 }
 
@@ -1054,6 +1371,7 @@ export async function getPNGBase64(calculator, width = 128, height = 128, qualit
         if (!svg) return '';
         const clonedSvg = svg.cloneNode(true);
         clonedSvg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        removeNonExportElements(calculator, clonedSvg);
         // スタイル埋め込み（省略可: saveToPNG参照）
         const styleElement = document.createElement('style');
         const cssRules = [];
@@ -1112,11 +1430,17 @@ export async function getPNGBase64(calculator, width = 128, height = 128, qualit
  * @param {GraphCalculator} calculator
  * @param {Object} additionalSettings - 追加の設定情報（SettingsManagerなどの状態）
  * @param {Array} curves - CurveManagerからの曲線情報（表示状態と詳細表示状態を含む）
+ * @param {Object} history - 元に戻す/やり直しの履歴（HistoryManager.serializeHistoryTree の結果）
+ * @param {Object} [options]
+ * @param {boolean} [options.includeReferenceImage=true] - 背景画像（データURL）を含めるかどうか
  * @returns {string} JSON文字列
  */
-export function getJSONDataString(calculator, additionalSettings = null, curves = null) {
+export function getJSONDataString(calculator, additionalSettings = null, curves = null, history = null, options = {}) {
     try {
-        const saveData = buildSaveData(calculator, additionalSettings, curves);
+        const saveData = buildSaveData(calculator, additionalSettings, curves, history);
+        if (options.includeReferenceImage === false) {
+            delete saveData.referenceImage;
+        }
         return JSON.stringify(saveData, null, 2);
     } catch (e) {
         console.error('JSON文字列作成中にエラーが発生しました:', e);
@@ -1124,3 +1448,130 @@ export function getJSONDataString(calculator, additionalSettings = null, curves
     }
 }
 
+/**
+ * 共有リンクに埋め込むグラフのJSON文字列を取得する
+ * リンクの長さを抑えるため、背景画像（データURLで数百KB以上になる）と履歴は含めず、インデントも付けない
+ * @param {GraphCalculator} calculator
+ * @param {Object} additionalSettings - 追加の設定情報（SettingsManagerなどの状態）
+ * @param {Array} curves - CurveManagerからの曲線情報
+ * @returns {string} JSON文字列（失敗時は空文字列）
+ */
+export function getShareJSONString(calculator, additionalSettings = null, curves = null) {
+    try {
+        const saveData = buildSaveData(calculator, additionalSettings, curves);
+        delete saveData.referenceImage;
+        return JSON.stringify(saveData);
+    } catch (e) {
+        console.error('共有用のJSON文字列作成中にエラーが発生しました:', e);
+        return '';
+    }
+}
+
+/** クリップボード上の GraPen JSON（曲線のみ）を示すデータ形式 */
+export const GRAPEN_CURVES_CLIPBOARD_TYPE = 'application/x-grapen+json';
+
+/**
+ * 指定した曲線だけを GraPen JSON 形式の文字列として取得する（コピー・複製用）
+ * 貼り付け先で再近似せずに同じ曲線を復元できるよう、保存時には省くパス・点列・節点も含める
+ * @param {GraphCalculator} calculator
+ * @param {Array} curves - CurveManagerの曲線オブジェクト（この順序で出力する）
+ * @returns {string} JSON文字列
+ */
+export function getCurvesJSONString(calculator, curves) {
+    try {
+        const graphCurves = collectGraphCurves(calculator);
+        const entries = (curves || [])
+            .filter(curve => curve && curve.graphCurve)
+            .map(curve => {
+                const graphCurve = graphCurves.find(c => c.id === curve.graphCurve.id);
+                if (!graphCurve) return null;
+                const [merged] = mergeCurveManagerData([graphCurve], [curve]);
+                return stripCurveForClipboard(merged, curve);
+            })
+            .filter(Boolean);
+
+        return JSON.stringify({
+            version: SAVE_DATA_VERSION,
+            timestamp: new Date().toISOString(),
+            // グラフ全体ではなく曲線の断片であることを示す
+            content: 'curves',
+            curves: entries
+        });
+    } catch (e) {
+        console.error('曲線のJSON文字列作成中にエラーが発生しました:', e);
+        return '';
+    }
+}
+
+/**
+ * GraPen JSON 形式のデータから貼り付け可能な曲線データを取り出す
+ * @param {Object|string} jsonData - JSONデータオブジェクトまたは文字列
+ * @returns {Array|null} 曲線データの配列（GraPen JSON でない場合は null）
+ */
+export function parseCurvesFromJSON(jsonData) {
+    let data = jsonData;
+    if (typeof jsonData === 'string') {
+        try {
+            data = JSON.parse(jsonData);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    if (!data || typeof data !== 'object' || !data.version || !Array.isArray(data.curves)) {
+        return null;
+    }
+
+    // 強調表示やドラッグ中のダミー曲線は除き、数式を持つ曲線だけを対象にする
+    return data.curves.filter(curve => curve &&
+        curve.id !== undefined &&
+        !/^(emphasis|dummy|bezier-handles)-/.test(String(curve.id)) &&
+        Array.isArray(curve.latexEquations) && curve.latexEquations.length > 0);
+}
+
+/**
+ * GraPen JSON 形式のグラフ全体のデータかどうかを判定して取り出す（貼り付け・ドロップでの読み込み用）
+ * コピーした曲線の断片（content: 'curves'）はグラフとして扱わない
+ * @param {Object|string} jsonData - JSONデータオブジェクトまたは文字列
+ * @returns {Object|null} グラフデータ（GraPen のグラフでない場合は null）
+ */
+export function parseGraphFromJSON(jsonData) {
+    let data = jsonData;
+    if (typeof jsonData === 'string') {
+        try {
+            data = JSON.parse(jsonData);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    if (!data || typeof data !== 'object' || !data.version || !Array.isArray(data.curves)) {
+        return null;
+    }
+    return data.content === 'curves' ? null : data;
+}
+
+// コピー用に一時的なフィールドを削除し、曲線固有の編集状態を追加
+function stripCurveForClipboard(entry, curve) {
+    const out = { ...entry };
+    delete out.strokeDasharray;
+    delete out.style;
+    delete out.knotCount;
+
+    if (Array.isArray(out.knotPoints)) {
+        out.knotPoints = out.knotPoints.map(knot => ({ x: knot.x, y: knot.y }));
+    }
+
+    if (Array.isArray(out.latexEquations)) {
+        out.latexEquations = out.latexEquations.map(eq => {
+            const clone = { ...eq };
+            delete clone.rpn;
+            return clone;
+        });
+    }
+
+    out.customKnots = Array.isArray(curve.customKnots) ? curve.customKnots.map(k => ({ ...k })) : null;
+    out.showKnots = curve.showKnots !== false;
+
+    return out;
+}
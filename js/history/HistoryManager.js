@@ -1,20 +1,30 @@
 /**
  * 履歴管理クラス
  * 元に戻す/やり直し機能を担当
+ *
+ * 履歴は木構造で保持する。元に戻してから別の操作をしても元の枝は消えず、
+ * 履歴パネルから任意の状態に移動できる
+ *   node: { id, parent, children, next, action, time, thumbnail }
+ *     action - その状態にするために行った操作（起点は null）
+ *     next   - やり直しで進む子（最後に通った枝）
  */
 import { applyDeltaToFormulaNumeric, signedFixedString } from '../util/NumberUtil.js';
 import { EquationBuilder } from '../util/EquationBuilder.js';
+import { serializeHistory, deserializeHistory } from './HistorySerializer.js';
+
+/** 元に戻す/やり直しで曲線IDがずれる一括操作（選択を解除する） */
+const ID_SHIFTING_OPERATIONS = ['delete', 'reorder', 'transaction'];
 
 export class HistoryManager {
     constructor() {
-        this.undoStack = [];
-        this.redoStack = [];
+        this._resetTree();
 
         this.penToolManager = null;
         this.curveManager = null;
         this.graphCalculator = null;
         this.uiManager = null;
         this.saveGraphManager = null;
+        this.autosaveManager = null;
     }
 
     initManagers(uiManager) {
@@ -30,6 +40,144 @@ export class HistoryManager {
         }
     }
 
+    /**
+     * 自動保存マネージャーを設定（履歴が変わるたびに保存を予約する）
+     * @param {Object} autosaveManager
+     */
+    setAutosaveManager(autosaveManager) {
+        this.autosaveManager = autosaveManager;
+    }
+
+    /**
+     * 履歴を空にする（現在の状態を新しい起点にする）
+     */
+    clear() {
+        this._resetTree();
+        this._notifyChange();
+    }
+
+    /**
+     * 履歴の木を初期化
+     * @private
+     */
+    _resetTree() {
+        this._transaction = null;
+        this.nodes = new Map();
+        this.rootId = 0;
+        this.currentId = 0;
+        this._nextNodeId = 1;
+        this.nodes.set(0, this._createNode(0, null, null));
+    }
+
+    /**
+     * @private
+     */
+    _createNode(id, parent, action, time = Date.now()) {
+        return { id, parent, children: [], next: null, action, time, thumbnail: '' };
+    }
+
+    /**
+     * 起点から現在の状態までの操作（末尾が直前の操作）
+     * @returns {Object[]}
+     */
+    get undoStack() {
+        return this._pathFromRoot(this.currentId).slice(1).map(id => this.nodes.get(id).action);
+    }
+
+    /**
+     * やり直せる操作（末尾が次にやり直す操作）
+     * @returns {Object[]}
+     */
+    get redoStack() {
+        const actions = [];
+        for (let id = this.nodes.get(this.currentId).next; id !== null; id = this.nodes.get(id).next) {
+            actions.push(this.nodes.get(id).action);
+        }
+        return actions.reverse();
+    }
+
+    /**
+     * 起点から指定した状態までの ID の列
+     * @param {number} nodeId
+     * @returns {number[]}
+     */
+    getPathFromRoot(nodeId) {
+        return this._pathFromRoot(nodeId);
+    }
+
+    /**
+     * @private
+     */
+    _pathFromRoot(nodeId) {
+        const path = [];
+        for (let id = nodeId; id !== null && this.nodes.has(id); id = this.nodes.get(id).parent) {
+            path.push(id);
+        }
+        return path.reverse();
+    }
+
+    /**
+     * 状態のサムネイルを設定（履歴パネルで表示する）
+     * @param {number} nodeId
+     * @param {string} thumbnail - 画像のデータURL
+     */
+    setNodeThumbnail(nodeId, thumbnail) {
+        const node = this.nodes.get(nodeId);
+        if (node) node.thumbnail = thumbnail || '';
+    }
+
+    /**
+     * 履歴が変わったことを通知（履歴パネルの更新用）
+     * @private
+     */
+    _notifyChange() {
+        if (typeof document === 'undefined') return;
+        document.dispatchEvent(new CustomEvent('grapen:history-changed', {
+            detail: { currentId: this.currentId }
+        }));
+    }
+
+    /**
+     * 元に戻す/やり直しの履歴をJSONに変換できる形で取得（グラフと一緒に保存する）
+     * @returns {Object}
+     */
+    serializeHistoryTree() {
+        const curves = this.curveManager ? this.curveManager.curves : [];
+        return serializeHistory({ nodes: this.nodes, rootId: this.rootId, currentId: this.currentId }, curves);
+    }
+
+    /**
+     * 保存した履歴を復元する（保存データの曲線を読み込んだ後に呼ぶ）
+     * @param {Object} data - serializeHistoryTree の結果
+     * @returns {boolean} 復元できた場合 true
+     */
+    restoreHistoryTree(data) {
+        try {
+            const curves = this.curveManager ? this.curveManager.curves : [];
+            const tree = deserializeHistory(data, curves);
+            if (!tree) return false;
+
+            this.nodes = new Map();
+            tree.nodes.forEach(entry => {
+                const node = this._createNode(entry.id, entry.parent, entry.action, entry.time);
+                node.next = entry.next;
+                this.nodes.set(entry.id, node);
+            });
+            this.nodes.forEach(node => {
+                if (node.parent !== null) this.nodes.get(node.parent).children.push(node.id);
+            });
+            this.rootId = tree.rootId;
+            this.currentId = tree.currentId;
+            this._nextNodeId = Math.max(...this.nodes.keys()) + 1;
+            this._notifyChange();
+            return true;
+        } catch (e) {
+            console.warn('履歴の復元に失敗しました:', e);
+            this.clear();
+            return false;
+        }
+    }
+
     /**
      * オブジェクトのディープコピーを作成する
      * @private
@@ -66,8 +214,146 @@ export class HistoryManager {
      * GraphCalculatorの曲線オブジェクトを適切に処理する
      */
     addAction(action) {
-        // アクションのタイプに応じて必要なデータを保存
+        this._prepareAction(action);
+
+        // アクションのディープコピーを作成
+        const actionCopy = this._deepCopy(action);
+
+        // トランザクション中は確定するまで溜めておく
+        if (this._transaction) {
+            this._transaction.actions.push(actionCopy);
+            return;
+        }
+
+        this._pushAction(actionCopy);
+    }
+
+    /**
+     * 準備済みのアクションを現在の状態の子として追加（やり直せた枝は残す）
+     * @private
+     */
+    _pushAction(actionCopy) {
+        const parent = this.nodes.get(this.currentId);
+        const node = this._createNode(this._nextNodeId++, parent.id, actionCopy);
+        this.nodes.set(node.id, node);
+        parent.children.push(node.id);
+        parent.next = node.id;
+        this.currentId = node.id;
+
+        // 新しい履歴が追加されたらSaveGraphManagerの状態をリセット
+        if (this.saveGraphManager) {
+            this.saveGraphManager.resetSaveState();
+        }
+
+        if (this.autosaveManager) {
+            this.autosaveManager.scheduleSave();
+        }
+
+        this._notifyChange();
+    }
+
+    /**
+     * 以降の操作を1つの履歴にまとめ始める（GraPen API で図を組み立てる場合など）
+     * 入れ子で呼んだ場合は一番外側の commitTransaction でまとめる
+     * @param {string|null} label - 履歴パネルに表示する名前
+     */
+    beginTransaction(label = null) {
+        if (this._transaction) {
+            this._transaction.depth++;
+            return;
+        }
+        this._transaction = { depth: 1, label, actions: [] };
+    }
+
+    /**
+     * beginTransaction 以降の操作を1件の履歴として確定する
+     * @returns {boolean} トランザクション中だった場合 true
+     */
+    commitTransaction() {
+        const transaction = this._transaction;
+        if (!transaction) return false;
+        if (--transaction.depth > 0) return true;
+        this._transaction = null;
+
+        if (transaction.actions.length === 1 && !transaction.label) {
+            this._pushAction(transaction.actions[0]);
+        } else if (transaction.actions.length > 0) {
+            this._pushAction({
+                type: 'compound',
+                operation: 'transaction',
+                label: transaction.label,
+                actions: transaction.actions
+            });
+        }
+
+        if (this.uiManager) {
+            this.uiManager.updateHistoryButtons();
+        }
+        return true;
+    }
+
+    /**
+     * beginTransaction 以降の操作をすべて取り消し、履歴にも残さない（入れ子の場合も全体を取り消す）
+     * @returns {boolean} トランザクション中だった場合 true
+     */
+    rollback() {
+        const transaction = this._transaction;
+        if (!transaction) return false;
+        this._transaction = null;
+
+        try {
+            for (let i = transaction.actions.length - 1; i >= 0; i--) {
+                this._undoAction(transaction.actions[i]);
+                this._reassignCurveIds();
+            }
+        } catch (e) {
+            console.error('トランザクションの取り消し中にエラーが発生しました:', e);
+        }
+
+        if (transaction.actions.length > 0) {
+            // 追加・削除で曲線IDがずれるため選択を解除する
+            this.curveManager.deselectCurve();
+            this.curveManager.updateCurveList();
+            this.curveManager.redrawCurves();
+        }
+        if (this.uiManager) {
+            this.uiManager.updateHistoryButtons();
+        }
+        return true;
+    }
+
+    /**
+     * トランザクション中かどうか
+     * @returns {boolean}
+     */
+    isInTransaction() {
+        return this._transaction !== null;
+    }
+
+    /**
+     * 元に戻す・やり直し・移動の前に、開いたままのトランザクションを確定する
+     * @private
+     */
+    _closeOpenTransaction() {
+        if (!this._transaction) return;
+        console.warn('HistoryManager: トランザクション中に履歴を移動したため、ここまでの操作を確定します');
+        this._transaction.depth = 1;
+        this.commitTransaction();
+    }
+
+    /**
+     * アクションのタイプに応じて履歴に必要なデータを付加する
+     * @private
+     */
+    _prepareAction(action) {
         switch (action.type) {
+            case 'compound':
+                // 一括操作は子アクションごとに準備する
+                if (Array.isArray(action.actions)) {
+                    action.actions.forEach(child => this._prepareAction(child));
+                }
+                break;
+
             case 'add':
                 if (action.curve && action.curve.graphCurve) {
                     // GraphCalculator参照の主要データを保存
@@ -166,16 +452,6 @@ export class HistoryManager {
                 }
                 break;
         }
-
-        // アクションのディープコピーを作成
-        const actionCopy = this._deepCopy(action);
-        this.undoStack.push(actionCopy);
-        this.redoStack = [];
-
-        // 新しい履歴が追加されたらSaveGraphManagerの状態をリセット
-        if (this.saveGraphManager) {
-            this.saveGraphManager.resetSaveState();
-        }
     }
 
     /**
@@ -191,36 +467,38 @@ export class HistoryManager {
      * アクションの取得
      */
     getUndoAction() {
-        if (this.undoStack.length === 0) return null;
-        const action = this.undoStack.pop();
-        const actionCopy = this._deepCopy(action);
-        this.redoStack.push(actionCopy);
-        return actionCopy;
+        const node = this.nodes.get(this.currentId);
+        if (node.parent === null) return null;
+        node.action = this._deepCopy(node.action);
+        this.currentId = node.parent;
+        this.nodes.get(node.parent).next = node.id;
+        return node.action;
     }
 
     /**
      * やり直しアクションの取得
      */
     getRedoAction() {
-        if (this.redoStack.length === 0) return null;
-        const action = this.redoStack.pop();
-        const actionCopy = this._deepCopy(action);
-        this.undoStack.push(actionCopy);
-        return actionCopy;
+        const nextId = this.nodes.get(this.currentId).next;
+        if (nextId === null) return null;
+        const node = this.nodes.get(nextId);
+        node.action = this._deepCopy(node.action);
+        this.currentId = node.id;
+        return node.action;
     }
 
     /**
      * 履歴が空かどうかを確認
      */
     isUndoStackEmpty() {
-        return this.undoStack.length === 0;
+        return this.currentId === this.rootId;
     }
 
     /**
      * やり直し履歴が空かどうかを確認
      */
     isRedoStackEmpty() {
-        return this.redoStack.length === 0;
+        return this.nodes.get(this.currentId).next === null;
     }
 
     /**
@@ -228,20 +506,123 @@ export class HistoryManager {
      */
     peekUndoAction() {
         if (this.isUndoStackEmpty()) return null;
-        return this._deepCopy(this.undoStack[this.undoStack.length - 1]);
+        return this._deepCopy(this.nodes.get(this.currentId).action);
     }
 
     /**
      * 元に戻す処理
      */
     undo() {
+        this._closeOpenTransaction();
         const action = this.getUndoAction();
         if (!action) return;
 
         // 現在選択中の曲線IDを記録
-        const currentSelectedId = this.uiManager.settings.selectCurveId;
+        let currentSelectedId = this.uiManager.settings.selectCurveId;
 
+        this._undoAction(action);
+
+        // 一括削除・一括並べ替え・トランザクションでは曲線IDがずれ、読み込みの取り消しでは選択中の曲線が消えるため選択を解除する
+        if ((action.type === 'compound' && ID_SHIFTING_OPERATIONS.includes(action.operation)) ||
+            action.type === 'import') {
+            this.curveManager.deselectCurve();
+            currentSelectedId = null;
+        }
+
+        // IDを再割り当て
+        this._reassignCurveIds();
+
+        // 現在選択中の曲線がある場合、強調表示をリセット
+        if (currentSelectedId !== null && currentSelectedId < this.curveManager.curves.length) {
+            this.curveManager.delEmphasisCurve();
+            this.curveManager.emphasisCurve(currentSelectedId);
+        }
+
+        this.curveManager.updateCurveList();
+        this.curveManager.redrawCurves();
+
+        // SaveGraphManagerの状態を更新
+        if (this.saveGraphManager) {
+            this.saveGraphManager.updateSaveButtonState();
+        }
+
+        if (this.autosaveManager) {
+            this.autosaveManager.scheduleSave();
+        }
+
+        this._notifyChange();
+    }
+
+    /**
+     * 指定した状態に移動する（共通の祖先まで元に戻してから、目的の状態までやり直す）
+     * @param {number} nodeId
+     * @returns {boolean} 移動した場合 true
+     */
+    jumpTo(nodeId) {
+        this._closeOpenTransaction();
+        if (!this.nodes.has(nodeId) || nodeId === this.currentId) return false;
+
+        const targetPath = this._pathFromRoot(nodeId);
+        const onTargetPath = new Set(targetPath);
+
+        try {
+            while (!onTargetPath.has(this.currentId)) {
+                this._undoAction(this.getUndoAction());
+                this._reassignCurveIds();
+            }
+            for (let i = targetPath.indexOf(this.currentId) + 1; i < targetPath.length; i++) {
+                this.nodes.get(targetPath[i - 1]).next = targetPath[i];
+                this._redoAction(this.getRedoAction());
+                this._reassignCurveIds();
+            }
+        } catch (e) {
+            console.error('履歴の移動中にエラーが発生しました:', e);
+        }
+
+        // 途中で曲線IDがずれるため選択を解除する
+        this.curveManager.deselectCurve();
+        this.curveManager.updateCurveList();
+        this.curveManager.redrawCurves();
+
+        if (this.saveGraphManager) {
+            this.saveGraphManager.updateSaveButtonState();
+        }
+        if (this.autosaveManager) {
+            this.autosaveManager.scheduleSave();
+        }
+        if (this.uiManager) {
+            this.uiManager.updateHistoryButtons();
+        }
+
+        this._notifyChange();
+        return true;
+    }
+
+    /**
+     * 曲線IDを配列の位置に合わせて振り直す
+     * @private
+     */
+    _reassignCurveIds() {
+        this.curveManager.curves.forEach((curve, index) => {
+            if (curve) {
+                curve.id = index;
+            }
+        });
+    }
+
+    /**
+     * 1件のアクションを元に戻す（複合アクションは子アクションを逆順に戻す）
+     * @private
+     */
+    _undoAction(action) {
         switch (action.type) {
+            case 'compound':
+                // 複数曲線への一括操作
+                for (let i = action.actions.length - 1; i >= 0; i--) {
+                    this._undoAction(action.actions[i]);
+                }
+                break;
+
             case 'add':
                 // パスの削除
                 if (action.curve && action.curve.path) {
@@ -417,9 +798,14 @@ export class HistoryManager {
                 break;
 
             case 'reorder':
-                this.curveManager.reorderCurves(action.toId, action.fromId);
-                // 重複を避けるために削除
-                this.undoStack.pop();
+                this.curveManager.reorderCurves(action.toId, action.fromId, false);
+                break;
+
+            case 'import':
+                // 読み込んで追加した曲線を後ろから取り除く
+                for (let i = action.curves.length - 1; i >= 0; i--) {
+                    this._undoAction({ type: 'add', curve: action.curves[i] });
+                }
                 break;
 
             case 'toggleDetails':
@@ -588,17 +974,63 @@ export class HistoryManager {
                 if (action.id !== undefined) {
                     const id = action.id;
                     const oldV = action.oldValue;
-                    window.GraPen.setKnotCountSliderValue(id, oldV, true);
+                    if (Array.isArray(action.oldKnots)) {
+                        // ドラッグで編集した節点があった場合はその配置に戻す
+                        this.curveManager.applyCustomKnots(id, action.oldKnots, oldV);
+                    } else {
+                        window.GraPen.setKnotCountSliderValue(id, oldV, true);
+                    }
+                }
+                break;
+
+            case 'knotEdit':
+                // 節点の移動・挿入・削除を元に戻す（oldKnots が null の場合はスライダーの節点数に戻す）
+                if (action.id !== undefined) {
+                    this.curveManager.applyCustomKnots(action.id, action.oldKnots, action.oldKnotCount);
+                }
+                break;
+
+            case 'bezierEdit':
+                // ベジェ制御点の編集を元に戻す
+                if (action.id !== undefined) {
+                    this.curveManager.applyBezierControlPoints(action.id, action.oldControlPoints);
+                }
+                break;
+
+            case 'transformCurve':
+                // 逆変換で形状を戻し、数式・節点情報は変形前の状態を復元する
+                if (action.id !== undefined && this.uiManager.curveMovementHandler) {
+                    const handler = this.uiManager.curveMovementHandler;
+                    handler.transformCurve(action.id, handler.invertMatrix(action.matrix), action.operation, {
+                        recordHistory: false,
+                        restoreState: action.oldState
+                    });
                 }
                 break;
         }
+    }
+
+    /**
+     * やり直し処理
+     */
+    redo() {
+        this._closeOpenTransaction();
+        const action = this.getRedoAction();
+        if (!action) return;
+
+        // 現在選択中の曲線IDを記録
+        let currentSelectedId = this.uiManager.settings.selectCurveId;
+
+        this._redoAction(action);
+
+        // 一括削除・一括並べ替え・トランザクションでは曲線IDがずれるため選択を解除する
+        if (action.type === 'compound' && ID_SHIFTING_OPERATIONS.includes(action.operation)) {
+            this.curveManager.deselectCurve();
+            currentSelectedId = null;
+        }
 
         // IDを再割り当て
-        this.curveManager.curves.forEach((curve, index) => {
-            if (curve) {
-                curve.id = index;
-            }
-        });
+        this._reassignCurveIds();
 
         // 現在選択中の曲線がある場合、強調表示をリセット
         if (currentSelectedId !== null && currentSelectedId < this.curveManager.curves.length) {
@@ -613,19 +1045,25 @@ export class HistoryManager {
         if (this.saveGraphManager) {
             this.saveGraphManager.updateSaveButtonState();
         }
+
+        if (this.autosaveManager) {
+            this.autosaveManager.scheduleSave();
+        }
+
+        this._notifyChange();
     }
 
     /**
-     * やり直し処理
+     * 1件のアクションを再適用する（複合アクションは子アクションを順に再適用する）
+     * @private
      */
-    redo() {
-        const action = this.getRedoAction();
-        if (!action) return;
-
-        // 現在選択中の曲線IDを記録
-        const currentSelectedId = this.uiManager.settings.selectCurveId;
-
+    _redoAction(action) {
         switch (action.type) {
+            case 'compound':
+                // 複数曲線への一括操作
+                action.actions.forEach(child => this._redoAction(child));
+                break;
+
             case 'add':
                 // action.curve.idが有効かチェック
                 if (action.curve && action.curve.id !== undefined) {
@@ -794,9 +1232,19 @@ export class HistoryManager {
                 break;
 
             case 'reorder':
-                this.curveManager.reorderCurves(action.fromId, action.toId);
-                // 重複を避けるために削除
-                this.redoStack.pop();
+                this.curveManager.reorderCurves(action.fromId, action.toId, false);
+                break;
+
+            case 'import':
+                // 読み込んだ曲線を順に追加し直す
+                action.curves.forEach(curve => {
+                    this._redoAction({
+                        type: 'add',
+                        curve: curve,
+                        graphCurveData: curve.graphCurveData,
+                        isHidden: curve.isHidden
+                    });
+                });
                 break;
 
             case 'toggleDetails':
@@ -972,27 +1420,29 @@ export class HistoryManager {
                 }
                 break;
 
-        }
-
-        // IDを再割り当て
-        this.curveManager.curves.forEach((curve, index) => {
-            if (curve) {
-                curve.id = index;
-            }
-        });
+            case 'knotEdit':
+                // 節点の移動・挿入・削除を再適用する
+                if (action.id !== undefined) {
+                    this.curveManager.applyCustomKnots(action.id, action.newKnots);
+                }
+                break;
 
-        // 現在選択中の曲線がある場合、強調表示をリセット
-        if (currentSelectedId !== null && currentSelectedId < this.curveManager.curves.length) {
-            this.curveManager.delEmphasisCurve();
-            this.curveManager.emphasisCurve(currentSelectedId);
-        }
+            case 'bezierEdit':
+                // ベジェ制御点の編集を再適用する
+                if (action.id !== undefined) {
+                    this.curveManager.applyBezierControlPoints(action.id, action.newControlPoints);
+                }
+                break;
 
-        this.curveManager.updateCurveList();
-        this.curveManager.redrawCurves();
+            case 'transformCurve':
+                // 拡大縮小・回転・反転を再適用する
+                if (action.id !== undefined && this.uiManager.curveMovementHandler) {
+                    this.uiManager.curveMovementHandler.transformCurve(action.id, action.matrix, action.operation, {
+                        recordHistory: false
+                    });
+                }
+                break;
 
-        // SaveGraphManagerの状態を更新
-        if (this.saveGraphManager) {
-            this.saveGraphManager.updateSaveButtonState();
         }
     }
 }
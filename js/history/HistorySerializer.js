@@ -0,0 +1,308 @@
+/**
+ * 元に戻す/やり直しの履歴（木構造）をJSONに保存・復元する
+ *
+ * 履歴のアクションには d3 の選択（curve.path）や GraphCalculator の曲線・点（DOM要素を含む）が入っているため、
+ * そのままでは JSON.stringify できない。保存時は次のように置き換える
+ *   - curve.path        → { $ref: 番号 }（同じ SVG 要素を指す曲線は同じ番号。復元時に同じパスを共有させる）
+ *   - graphCurve        → { id, originalData }（復元時に曲線が表示中であれば実体に戻す。
+ *                          削除済みの曲線はやり直しのときに originalData から描き直す）
+ *   - DOM要素・関数      → 除く
+ *   - NaN / Infinity    → null
+ */
+
+/**
+ * 保存する履歴の形式のバージョン
+ *   1: 元に戻す/やり直しのスタック { undo, redo }
+ *   2: 枝分かれを含む履歴の木 { nodes, root, current }
+ */
+export const HISTORY_FORMAT = 2;
+
+/** 保存する操作の上限（現在の状態から遡る数。これより古い状態を新しい起点にする） */
+export const MAX_PERSISTED_ACTIONS = 100;
+
+/** 保存する状態の総数の上限（超えた分は古い枝から捨てる） */
+export const MAX_PERSISTED_NODES = 300;
+
+/**
+ * 保存する操作の大きさの合計の上限（JSON の文字数）
+ * 操作には曲線のデータがそのまま入るため、保存データ全体が Firestore の 1 MiB や localStorage の容量を超えないよう、
+ * 状態の数とは別に上限を設ける（超えた分は操作の数の上限と同じ順で捨てる）
+ */
+export const MAX_PERSISTED_HISTORY_LENGTH = 256 * 1024;
+
+/**
+ * 履歴をJSONに変換できる形にする
+ * @param {{nodes: Map<number, Object>, rootId: number, currentId: number}} tree - HistoryManager の履歴の木
+ * @param {Object[]} liveCurves - 現在の CurveManager の曲線（表示中の曲線のパスを特定するため）
+ * @returns {{format: number, nodes: Object[], root: number, current: number, paths: Object[]}}
+ */
+export function serializeHistory(tree, liveCurves = []) {
+    const context = { nodes: new Map(), paths: [], liveCurves };
+
+    // 保存する状態を選ぶときに大きさを測るため、操作は一度だけ変換して使い回す
+    const actions = new Map();
+    const actionOf = id => {
+        if (!actions.has(id)) {
+            const node = tree.nodes.get(id);
+            const action = node.action ? toJSONSafe(node.action, context, new Set()) : undefined;
+            actions.set(id, { action, length: action === undefined ? 0 : JSON.stringify(action).length });
+        }
+        return actions.get(id);
+    };
+    const { rootId, keep } = selectPersistedNodes(tree, id => actionOf(id).length);
+
+    // 親は子より先に作られるため、ID順に並べれば親が先になる
+    const nodes = Array.from(keep)
+        .sort((a, b) => a - b)
+        .map(id => {
+            const node = tree.nodes.get(id);
+            const entry = {
+                id,
+                parent: id === rootId ? null : node.parent,
+                next: keep.has(node.next) ? node.next : null,
+                time: node.time
+            };
+            if (id !== rootId && node.action) {
+                entry.action = actionOf(id).action;
+            }
+            return entry;
+        });
+
+    return {
+        format: HISTORY_FORMAT,
+        nodes,
+        root: rootId,
+        current: tree.currentId,
+        paths: context.paths
+    };
+}
+
+/**
+ * serializeHistory の結果から履歴の木を復元する（形式1のスタックは1本の枝として読み込む）
+ * 復元前に保存データの曲線を CurveManager に読み込んでおくこと
+ * @param {Object} data - serializeHistory の結果
+ * @param {Object[]} liveCurves - 現在の CurveManager の曲線
+ * @returns {{nodes: Object[], rootId: number, currentId: number}|null} 形式が違う場合は null
+ */
+export function deserializeHistory(data, liveCurves = []) {
+    const tree = data && data.format === 1 ? stacksToTree(data) : data;
+    if (!tree || !Array.isArray(tree.nodes)) return null;
+
+    const ids = new Set(tree.nodes.map(node => node && node.id));
+    const validTree = ids.has(tree.root) && ids.has(tree.current) &&
+        tree.nodes.every(node => node && node.id === tree.root
+            ? node.parent === null
+            : node && ids.has(node.parent) && node.action && node.action.type);
+    if (!validTree) return null;
+
+    // 参照番号ごとにパスを用意する（表示中の曲線はそのパスを使い、削除済みの曲線は未接続のパスを作る）
+    const refs = (Array.isArray(data.paths) ? data.paths : []).map(info => {
+        const liveId = info && info.liveId !== undefined && info.liveId !== null ? String(info.liveId) : null;
+        const live = liveId !== null
+            ? liveCurves.find(curve => curve && curve.graphCurve && String(curve.graphCurve.id) === liveId)
+            : null;
+        return live
+            ? { path: live.path, graphCurve: live.graphCurve }
+            : { path: createDetachedPath(), graphCurve: null };
+    });
+
+    const revive = value => {
+        if (Array.isArray(value)) return value.map(revive);
+        if (!value || typeof value !== 'object') return value;
+
+        const result = {};
+        Object.entries(value).forEach(([key, child]) => {
+            result[key] = revive(child);
+        });
+
+        if (result.path && typeof result.path === 'object' && result.path.$ref !== undefined) {
+            const ref = refs[result.path.$ref] || { path: createDetachedPath(), graphCurve: null };
+            result.path = ref.path;
+            if (ref.graphCurve && result.graphCurve && String(result.graphCurve.id) === String(ref.graphCurve.id)) {
+                result.graphCurve = ref.graphCurve;
+            }
+        }
+        return result;
+    };
+
+    return {
+        nodes: tree.nodes.map(node => ({
+            id: node.id,
+            parent: node.parent,
+            next: ids.has(node.next) ? node.next : null,
+            time: node.time || 0,
+            action: node.id === tree.root ? null : revive(node.action)
+        })),
+        rootId: tree.root,
+        currentId: tree.current
+    };
+}
+
+/**
+ * 保存する状態を選ぶ
+ * 現在の状態までの枝とやり直せる操作を優先し、残りは新しい枝から上限まで残す
+ * @private
+ * @param {Object} tree - HistoryManager の履歴の木
+ * @param {(id: number) => number} actionLength - 状態に至る操作を保存したときの大きさ（JSON の文字数）
+ */
+function selectPersistedNodes(tree, actionLength) {
+    const parentOf = id => {
+        const node = tree.nodes.get(id);
+        return node ? node.parent : null;
+    };
+
+    let used = 0;
+    const fits = id => {
+        const length = actionLength(id);
+        if (used + length > MAX_PERSISTED_HISTORY_LENGTH) return false;
+        used += length;
+        return true;
+    };
+
+    // 現在の状態から MAX_PERSISTED_ACTIONS 個（大きさの上限に達した場合はそこまで）遡った状態を新しい起点にする
+    let rootId = tree.currentId;
+    for (let i = 0; i < MAX_PERSISTED_ACTIONS && parentOf(rootId) !== null && fits(rootId); i++) {
+        rootId = parentOf(rootId);
+    }
+
+    const keep = new Set();
+    for (let id = tree.currentId; ; id = parentOf(id)) {
+        keep.add(id);
+        if (id === rootId) break;
+    }
+    let next = tree.nodes.get(tree.currentId).next;
+    for (let i = 0; next !== null && next !== undefined && i < MAX_PERSISTED_ACTIONS && fits(next); i++) {
+        keep.add(next);
+        next = tree.nodes.get(next).next;
+    }
+
+    // 起点より下にある他の枝（新しいものから）
+    const descendants = [];
+    const stack = [...tree.nodes.get(rootId).children];
+    while (stack.length) {
+        const id = stack.pop();
+        descendants.push(id);
+        stack.push(...tree.nodes.get(id).children);
+    }
+    descendants.sort((a, b) => b - a);
+    for (const id of descendants) {
+        if (keep.size >= MAX_PERSISTED_NODES) break;
+        const branch = [];
+        for (let ancestor = id; !keep.has(ancestor); ancestor = parentOf(ancestor)) {
+            branch.push(ancestor);
+        }
+        const length = branch.reduce((sum, ancestor) => sum + actionLength(ancestor), 0);
+        if (used + length > MAX_PERSISTED_HISTORY_LENGTH) continue;
+        used += length;
+        branch.forEach(ancestor => keep.add(ancestor));
+    }
+
+    return { rootId, keep };
+}
+
+/**
+ * 形式1（スタック）の履歴を1本の枝の木に変換
+ * @private
+ */
+function stacksToTree(data) {
+    if (!Array.isArray(data.undo) || !Array.isArray(data.redo)) return null;
+
+    // やり直しスタックは末尾が次にやり直す操作
+    const actions = [...data.undo, ...data.redo.slice().reverse()];
+    const nodes = [{ id: 0, parent: null, next: actions.length ? 1 : null, time: 0 }];
+    actions.forEach((action, index) => {
+        const id = index + 1;
+        nodes.push({ id, parent: index, next: id < actions.length ? id + 1 : null, time: 0, action });
+    });
+    return { nodes, root: 0, current: data.undo.length };
+}
+
+/**
+ * 値をJSONに変換できる形にする（DOM要素・関数・循環参照は除く）
+ * @private
+ */
+function toJSONSafe(value, context, ancestors, key = null) {
+    if (value === null || value === undefined) return value;
+
+    switch (typeof value) {
+        case 'number':
+            return Number.isFinite(value) ? value : null;
+        case 'string':
+        case 'boolean':
+            return value;
+        case 'bigint':
+            return String(value);
+        case 'function':
+        case 'symbol':
+            return undefined;
+    }
+
+    if (isDomNode(value)) return undefined;
+
+    if (isSelection(value)) {
+        // 曲線のパス（d3の選択）は参照番号に置き換える
+        return key === 'path' ? pathRef(value, context) : undefined;
+    }
+
+    if (ancestors.has(value)) return undefined;
+    ancestors.add(value);
+
+    let result;
+    if (Array.isArray(value)) {
+        result = value.map(item => {
+            const safe = toJSONSafe(item, context, ancestors);
+            return safe === undefined ? null : safe;
+        });
+    } else if (key === 'graphCurve') {
+        // GraphCalculator の曲線は ID と描き直しに使う元データだけを残す
+        result = value.id !== undefined ? { id: String(value.id) } : null;
+        if (result && value.originalData !== undefined) {
+            const originalData = toJSONSafe(value.originalData, context, ancestors);
+            if (originalData !== undefined) result.originalData = originalData;
+        }
+    } else {
+        result = {};
+        Object.keys(value).forEach(childKey => {
+            // 節点が参照する GraphCalculator の点は保存しない
+            if (childKey === 'point' && value[childKey] && typeof value[childKey] === 'object') return;
+            const safe = toJSONSafe(value[childKey], context, ancestors, childKey);
+            if (safe !== undefined) result[childKey] = safe;
+        });
+    }
+
+    ancestors.delete(value);
+    return result;
+}
+
+/**
+ * パスの参照番号を取得（同じSVG要素には同じ番号を振る）
+ * @private
+ */
+function pathRef(selection, context) {
+    const node = selection.node();
+    if (!node) return null;
+
+    if (!context.nodes.has(node)) {
+        const live = context.liveCurves.find(curve => curve && curve.path && curve.path.node && curve.path.node() === node);
+        context.nodes.set(node, context.paths.length);
+        context.paths.push({ liveId: live && live.graphCurve ? String(live.graphCurve.id) : null });
+    }
+    return { $ref: context.nodes.get(node) };
+}
+
+function isDomNode(value) {
+    return typeof Node !== 'undefined' && value instanceof Node;
+}
+
+function isSelection(value) {
+    return typeof value.node === 'function' && Array.isArray(value._groups);
+}
+
+/**
+ * どこにも接続されていない SVG パスの d3 選択を作る
+ * 削除済みの曲線は元に戻すときに GraphCalculator 側で描き直されるため、空のパスでよい
+ * @private
+ */
+function createDetachedPath() {
+    return d3.select(document.createElementNS('http://www.w3.org/2000/svg', 'path'));
+}
@@ -0,0 +1,128 @@
+/** 記録するストロークの上限（古いものから捨てる） */
+const MAX_STROKES = 500;
+
+/** 1ストロークで記録する点の上限（超えた点は記録しない） */
+const MAX_SAMPLES_PER_STROKE = 5000;
+
+/**
+ * 手書きのストロークの記録（タイムラプスの再生・出力用）
+ * ペンの生の入力点を時刻つきで記録し、確定した近似曲線と一緒に保持する
+ *   stroke: { start, color, size, samples, approximation }
+ *     start         - 最初のストロークからの経過時間 (ms)
+ *     samples       - [[t, x, y], ...] t はストローク開始からの経過時間 (ms)、x, y はドメイン座標
+ *     approximation - { curveId, type, d }（d はドメイン座標のSVGパス。近似に失敗した場合は null）
+ */
+export class StrokeRecorder {
+    constructor() {
+        this.strokes = [];
+        this.current = null;
+        this._sessionStart = null;
+        this._strokeStart = null;
+    }
+
+    /**
+     * ストロークの記録を開始
+     * @param {Object} style - { color, size }
+     */
+    beginStroke({ color, size } = {}) {
+        const now = this._now();
+        if (this._sessionStart === null) this._sessionStart = now;
+        this._strokeStart = now;
+        this.current = {
+            start: Math.round(now - this._sessionStart),
+            color,
+            size,
+            samples: [],
+            approximation: null
+        };
+    }
+
+    /**
+     * 入力点を記録
+     * @param {number} x - ドメインX座標
+     * @param {number} y - ドメインY座標
+     */
+    addSample(x, y) {
+        if (!this.current || !Number.isFinite(x) || !Number.isFinite(y)) return;
+        if (this.current.samples.length >= MAX_SAMPLES_PER_STROKE) return;
+        this.current.samples.push([Math.round(this._now() - this._strokeStart), x, y]);
+    }
+
+    /**
+     * ストロークを確定
+     * @param {Object|null} approximation - describeApproximation の結果
+     * @returns {Object|null} 記録したストローク（点が足りない場合は null）
+     */
+    endStroke(approximation = null) {
+        const stroke = this.current;
+        this.current = null;
+        if (!stroke || stroke.samples.length < 2) return null;
+
+        stroke.approximation = approximation;
+        this.strokes.push(stroke);
+        if (this.strokes.length > MAX_STROKES) {
+            this.strokes.splice(0, this.strokes.length - MAX_STROKES);
+        }
+        return stroke;
+    }
+
+    /**
+     * 記録中のストロークを破棄
+     */
+    cancelStroke() {
+        this.current = null;
+    }
+
+    /**
+     * 記録したストローク
+     * @returns {Object[]}
+     */
+    getStrokes() {
+        return this.strokes.slice();
+    }
+
+    hasStrokes() {
+        return this.strokes.length > 0;
+    }
+
+    /**
+     * 記録を消去（別のグラフを読み込んだときなど）
+     */
+    clear() {
+        this.strokes = [];
+        this.current = null;
+        this._sessionStart = null;
+        this._strokeStart = null;
+    }
+
+    /**
+     * @private
+     */
+    _now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+}
+
+/**
+ * CurveManager の曲線から、記録用の近似曲線の情報を取り出す
+ * @param {Object} curve - CurveManager の曲線
+ * @returns {{curveId: number, type: string, d: string}|null}
+ */
+export function describeApproximation(curve) {
+    if (!curve || !curve.graphCurve) return null;
+
+    const data = curve.graphCurve.originalData;
+    let d = '';
+    if (typeof data === 'string') {
+        d = data;
+    } else if (Array.isArray(data) && data.length > 1) {
+        d = data.map((point, i) => `${i === 0 ? 'M' : 'L'} ${point[0]} ${point[1]}`).join(' ');
+    }
+    if (!d) return null;
+
+    return {
+        curveId: curve.id,
+        type: curve.approximationType || curve.type || 'unknown',
+        d
+    };
+}
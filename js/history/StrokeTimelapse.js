@@ -0,0 +1,230 @@
+/**
+ * 記録したストローク（StrokeRecorder）のタイムラプス
+ * 再生（StrokeReplayManager）とアニメーションSVGの出力で同じタイムラインを使う
+ */
+
+/** ストローク間の待ち時間の上限 (ms)。これより長い間は詰めて再生する */
+export const DEFAULT_MAX_GAP_MS = 800;
+
+/** 近似曲線に切り替わるときのフェード時間 (ms) */
+export const APPROXIMATION_FADE_MS = 300;
+
+/** 近似曲線が表示された後の生のストロークの不透明度 */
+export const RAW_STROKE_GHOST_OPACITY = 0.25;
+
+/** SVG出力で1ストロークに使うキーフレームの上限 */
+const MAX_KEYFRAMES = 60;
+
+/**
+ * 再生用のタイムラインを作る
+ * @param {Object[]} strokes - StrokeRecorder のストローク
+ * @param {Object} options
+ * @param {number} [options.maxGapMs] - ストローク間の待ち時間の上限
+ * @param {number} [options.speed] - 再生速度（2 で2倍速）
+ * @returns {{items: Array<{stroke: Object, start: number, end: number}>, duration: number}} 時間は再生時の ms
+ */
+export function buildTimeline(strokes, { maxGapMs = DEFAULT_MAX_GAP_MS, speed = 1 } = {}) {
+    const rate = speed > 0 ? speed : 1;
+    let cursor = 0;
+    let previousEnd = null;
+
+    const items = (strokes || []).map(stroke => {
+        const length = strokeDuration(stroke);
+        const gap = previousEnd === null ? 0 : Math.min(Math.max(stroke.start - previousEnd, 0), maxGapMs);
+        const start = cursor + gap;
+        cursor = start + length;
+        previousEnd = stroke.start + length;
+        return { stroke, start: start / rate, end: cursor / rate };
+    });
+
+    return { items, duration: cursor / rate };
+}
+
+/**
+ * ストロークの長さ (ms)
+ * @param {Object} stroke
+ * @returns {number}
+ */
+export function strokeDuration(stroke) {
+    const samples = stroke && stroke.samples;
+    return samples && samples.length ? samples[samples.length - 1][0] : 0;
+}
+
+/**
+ * ストローク開始から elapsed ms までに描かれた点（最後の点は前後の点から補間する）
+ * @param {Object} stroke
+ * @param {number} elapsed - ストローク開始からの経過時間 (ms)
+ * @returns {Array<[number, number]>}
+ */
+export function samplesUntil(stroke, elapsed) {
+    const samples = stroke.samples;
+    const points = [];
+    for (let i = 0; i < samples.length; i++) {
+        const [t, x, y] = samples[i];
+        if (t <= elapsed) {
+            points.push([x, y]);
+            continue;
+        }
+        if (i > 0) {
+            const [t0, x0, y0] = samples[i - 1];
+            const ratio = t > t0 ? (elapsed - t0) / (t - t0) : 1;
+            points.push([x0 + (x - x0) * ratio, y0 + (y - y0) * ratio]);
+        }
+        break;
+    }
+    return points;
+}
+
+/**
+ * 点列を折れ線のSVGパスにする
+ * @param {Array<[number, number]>} points
+ * @returns {string}
+ */
+export function pointsToPath(points) {
+    return points.map((point, i) => `${i === 0 ? 'M' : 'L'} ${formatNumber(point[0])} ${formatNumber(point[1])}`).join(' ');
+}
+
+/**
+ * ストロークを囲む範囲（ドメイン座標）
+ * @param {Object[]} strokes
+ * @returns {{xMin: number, xMax: number, yMin: number, yMax: number}|null}
+ */
+export function getStrokesBounds(strokes) {
+    let bounds = null;
+    (strokes || []).forEach(stroke => {
+        stroke.samples.forEach(([, x, y]) => {
+            if (!bounds) {
+                bounds = { xMin: x, xMax: x, yMin: y, yMax: y };
+                return;
+            }
+            bounds.xMin = Math.min(bounds.xMin, x);
+            bounds.xMax = Math.max(bounds.xMax, x);
+            bounds.yMin = Math.min(bounds.yMin, y);
+            bounds.yMax = Math.max(bounds.yMax, y);
+        });
+    });
+    return bounds;
+}
+
+/**
+ * タイムラプスをアニメーションSVG（SMIL）の文字列にする
+ * 生のストロークを記録した速さで描き、描き終わったら近似曲線に切り替える
+ * @param {Object[]} strokes - StrokeRecorder のストローク
+ * @param {Object} options
+ * @param {number} [options.width] - 出力する画像の幅 (px)
+ * @param {number} [options.maxGapMs] - ストローク間の待ち時間の上限
+ * @param {number} [options.speed] - 再生速度
+ * @param {string} [options.background] - 背景色
+ * @param {{xMin: number, xMax: number, yMin: number, yMax: number}} [options.bounds] - 表示範囲（省略時はストロークを囲む範囲）
+ * @returns {string} SVG文字列（ストロークが無い場合は空文字）
+ */
+export function buildTimelapseSVG(strokes, options = {}) {
+    const {
+        width = 800,
+        maxGapMs = DEFAULT_MAX_GAP_MS,
+        speed = 1,
+        background = '#ffffff'
+    } = options;
+
+    const validStrokes = (strokes || []).filter(stroke => stroke && stroke.samples && stroke.samples.length > 1);
+    const bounds = options.bounds || getStrokesBounds(validStrokes);
+    if (!validStrokes.length || !bounds) return '';
+
+    // 余白を付け、縦横同じ縮尺にする（線の太さを画面と同じ px で指定するため）
+    const spanX = Math.max(bounds.xMax - bounds.xMin, 1e-9);
+    const spanY = Math.max(bounds.yMax - bounds.yMin, 1e-9);
+    const pad = Math.max(spanX, spanY) * 0.05;
+    const viewX = bounds.xMin - pad;
+    const viewW = spanX + pad * 2;
+    const viewH = spanY + pad * 2;
+    const scale = width / viewW;
+    const height = Math.max(1, Math.round(viewH * scale));
+    // y 軸を上向きにするため、グループを上下反転して描く
+    const viewY = -(bounds.yMax + pad);
+
+    const { items, duration } = buildTimeline(validStrokes, { maxGapMs, speed });
+    const seconds = ms => `${formatNumber(ms / 1000)}s`;
+    const fade = seconds(APPROXIMATION_FADE_MS / speed);
+
+    const body = items.map(({ stroke, start, end }) => {
+        const color = escapeAttribute(stroke.color || '#000000');
+        const strokeWidth = formatNumber((stroke.size || 2) / scale);
+        const points = stroke.samples.map(([, x, y]) => [x, y]);
+        const common = `fill="none" stroke="${color}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round"`;
+
+        // 描いた長さの割合を、記録した時刻に合わせて進める
+        const frames = strokeKeyframes(stroke);
+        const draw = end > start
+            ? `<animate attributeName="stroke-dashoffset" values="${frames.values}" keyTimes="${frames.keyTimes}" begin="${seconds(start)}" dur="${seconds(end - start)}" fill="freeze"/>`
+            : `<set attributeName="stroke-dashoffset" to="0" begin="${seconds(start)}" fill="freeze"/>`;
+
+        // 描き始めるまでは線端の丸が点として見えないよう隠しておく
+        const show = `<set attributeName="visibility" to="visible" begin="${seconds(start)}" fill="freeze"/>`;
+        let raw = `<path d="${pointsToPath(points)}" ${common} pathLength="1" stroke-dasharray="1 1" stroke-dashoffset="1" visibility="hidden">${show}${draw}`;
+        let approximation = '';
+        if (stroke.approximation && stroke.approximation.d) {
+            raw += `<animate attributeName="stroke-opacity" from="1" to="${RAW_STROKE_GHOST_OPACITY}" begin="${seconds(end)}" dur="${fade}" fill="freeze"/>`;
+            approximation = `<path d="${escapeAttribute(stroke.approximation.d)}" ${common} opacity="0">` +
+                `<animate attributeName="opacity" from="0" to="1" begin="${seconds(end)}" dur="${fade}" fill="freeze"/></path>`;
+        }
+        raw += '</path>';
+        return `    ${raw}${approximation ? `\n    ${approximation}` : ''}`;
+    }).join('\n');
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${formatNumber(viewX)} ${formatNumber(viewY)} ${formatNumber(viewW)} ${formatNumber(viewH)}">`,
+        `  <title>GraPen timelapse (${formatNumber(duration / 1000)}s)</title>`,
+        `  <rect x="${formatNumber(viewX)}" y="${formatNumber(viewY)}" width="${formatNumber(viewW)}" height="${formatNumber(viewH)}" fill="${escapeAttribute(background)}"/>`,
+        '  <g transform="scale(1,-1)">',
+        body,
+        '  </g>',
+        '</svg>'
+    ].join('\n');
+}
+
+/**
+ * ストロークの描いた長さの割合（stroke-dashoffset の値）とその時刻の割合
+ * @private
+ */
+function strokeKeyframes(stroke) {
+    const samples = stroke.samples;
+    const duration = strokeDuration(stroke) || 1;
+
+    const lengths = [0];
+    for (let i = 1; i < samples.length; i++) {
+        const dx = samples[i][1] - samples[i - 1][1];
+        const dy = samples[i][2] - samples[i - 1][2];
+        lengths.push(lengths[i - 1] + Math.hypot(dx, dy));
+    }
+    const total = lengths[lengths.length - 1] || 1;
+
+    // キーフレームが多すぎないよう間引く（最初と最後は必ず残す）
+    const step = Math.max(1, Math.ceil(samples.length / MAX_KEYFRAMES));
+    const indices = [];
+    for (let i = 0; i < samples.length - 1; i += step) indices.push(i);
+    indices.push(samples.length - 1);
+
+    const keyTimes = indices.map((index, i) => {
+        if (i === 0) return 0;
+        if (i === indices.length - 1) return 1;
+        return Math.min(1, samples[index][0] / duration);
+    });
+    const values = indices.map((index, i) => i === indices.length - 1 ? 0 : 1 - lengths[index] / total);
+
+    return {
+        keyTimes: keyTimes.map(formatNumber).join(';'),
+        values: values.map(formatNumber).join(';')
+    };
+}
+
+function formatNumber(value) {
+    return String(Number(Number(value).toPrecision(6)));
+}
+
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
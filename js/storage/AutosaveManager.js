@@ -0,0 +1,270 @@
+import { getJSONDataString } from '../graph/GraphSaveUtils.js';
+
+/** 自動保存の形式のバージョン（形式を変えたときに古いデータを読まないようにする） */
+const AUTOSAVE_FORMAT = 1;
+
+/**
+ * 作業中のグラフの自動保存と復元
+ * 履歴が追加されるたびに少し待ってから localStorage に保存し、
+ * タブが裏に回ったとき（タブレットではそのまま破棄されることがある）はすぐに保存する
+ * 次回の起動時に保存されていない作業が残っていれば、復元するかを確認する
+ */
+export class AutosaveManager {
+    /**
+     * @param {Object} historyManager - 履歴マネージャー
+     * @param {Object} uiManager - UIマネージャー
+     * @param {Object} options
+     * @param {string} [options.storageKey] - 保存先の localStorage のキー
+     * @param {number} [options.delayMs] - 最後の操作から保存するまでの待ち時間
+     */
+    constructor(historyManager, uiManager, options = {}) {
+        this.historyManager = historyManager;
+        this.uiManager = uiManager;
+        this.storageKey = options.storageKey || 'grapen_autosave';
+        this.delayMs = options.delayMs ?? 2000;
+
+        // 復元の確認が終わるまでは保存しない（復元前のデータを上書きしないため）
+        this.enabled = false;
+        this._saveTimer = null;
+        this._dirty = false;
+        this._quotaWarned = false;
+        this._historySkippedWarned = false;
+        this._imageSkippedWarned = false;
+
+        this.historyManager.setAutosaveManager(this);
+        this._handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        };
+        this._handlePageHide = () => this.flush();
+    }
+
+    /**
+     * 自動保存を開始
+     */
+    start() {
+        if (this.enabled) return;
+        this.enabled = true;
+        document.addEventListener('visibilitychange', this._handleVisibilityChange);
+        window.addEventListener('pagehide', this._handlePageHide);
+    }
+
+    /**
+     * 自動保存を停止（保存済みのデータは残す）
+     */
+    stop() {
+        this.enabled = false;
+        this._cancelTimer();
+        document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+        window.removeEventListener('pagehide', this._handlePageHide);
+    }
+
+    /**
+     * 変更を記録し、一定時間後に保存する
+     */
+    scheduleSave() {
+        if (!this.enabled) return;
+        this._dirty = true;
+        this._cancelTimer();
+        this._saveTimer = window.setTimeout(() => {
+            this._saveTimer = null;
+            this.flush();
+        }, this.delayMs);
+    }
+
+    /**
+     * 保存待ちの変更があればすぐに保存する
+     */
+    flush() {
+        this._cancelTimer();
+        if (!this.enabled || !this._dirty) return;
+        this._dirty = false;
+
+        try {
+            const snapshot = this._collectSnapshot();
+            if (snapshot.curveCount === 0) {
+                // 曲線が無ければ復元するものも無い
+                this.clear();
+                return;
+            }
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(snapshot));
+            } catch (e) {
+                if (!e || e.name !== 'QuotaExceededError') throw e;
+                this._saveReducedSnapshot(e);
+            }
+        } catch (e) {
+            if (e && e.name === 'QuotaExceededError') {
+                if (!this._quotaWarned) {
+                    this._quotaWarned = true;
+                    console.warn('保存容量が不足しているため、自動保存できませんでした:', e);
+                    this._showWarning('保存容量が不足しているため、自動保存できませんでした。不要な保存済みグラフを削除してください。', 'autosave.quota_exceeded');
+                }
+            } else {
+                console.error('自動保存に失敗しました:', e);
+            }
+        }
+    }
+
+    /**
+     * 保存したグラフとして確定したときに呼ぶ（復元の対象から外す）
+     */
+    markSaved() {
+        this._cancelTimer();
+        this._dirty = false;
+        this.clear();
+    }
+
+    /**
+     * 自動保存したデータを削除
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            console.warn('自動保存データの削除に失敗:', e);
+        }
+    }
+
+    /**
+     * 自動保存したデータを取得
+     * @returns {Object|null} { format, savedAt, title, curveCount, json }
+     */
+    loadSnapshot() {
+        try {
+            const text = localStorage.getItem(this.storageKey);
+            if (!text) return null;
+            const snapshot = JSON.parse(text);
+            if (!snapshot || snapshot.format !== AUTOSAVE_FORMAT || typeof snapshot.json !== 'string') {
+                return null;
+            }
+            return snapshot;
+        } catch (e) {
+            console.warn('自動保存データの読み込みに失敗:', e);
+            return null;
+        }
+    }
+
+    /**
+     * 容量が足りない場合に、履歴、次に背景画像（写真はそれだけで容量を使い切ることがある）を除いて保存し直す
+     * 曲線だけでも残すためで、何を除いたかは一度だけ画面に表示する
+     * @private
+     * @param {Error} error - 最初の保存での容量超過のエラー
+     */
+    _saveReducedSnapshot(error) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this._collectSnapshot(false)));
+            if (!this._historySkippedWarned) {
+                this._historySkippedWarned = true;
+                console.warn('保存容量が不足しているため、履歴を除いて自動保存しました:', error);
+                this._showWarning('保存容量が不足しているため、元に戻す履歴を除いて自動保存しました。', 'autosave.history_skipped');
+            }
+        } catch (e) {
+            if (!e || e.name !== 'QuotaExceededError' || !this.uiManager.graphCalculator.getReferenceImage()) throw e;
+            localStorage.setItem(this.storageKey, JSON.stringify(this._collectSnapshot(false, false)));
+            if (!this._imageSkippedWarned) {
+                this._imageSkippedWarned = true;
+                console.warn('保存容量が不足しているため、履歴と背景画像を除いて自動保存しました:', e);
+                this._showWarning('保存容量が不足しているため、元に戻す履歴と背景画像を除いて自動保存しました。', 'autosave.image_skipped');
+            }
+        }
+    }
+
+    /**
+     * 保存されていない作業が残っていれば復元するかを確認する
+     * 確認が終わったら自動保存を開始する
+     * @returns {Promise<boolean>} 復元した場合 true
+     */
+    async offerRestore() {
+        let restored = false;
+        const snapshot = this.loadSnapshot();
+
+        try {
+            if (snapshot) {
+                const choice = await this.uiManager.askRestoreSession(snapshot);
+                if (choice === 'restore') {
+                    restored = await this.restore(snapshot);
+                } else if (choice === 'discard') {
+                    this.clear();
+                }
+                // 閉じた場合は次の操作まで残しておく
+            }
+        } finally {
+            this.start();
+        }
+        return restored;
+    }
+
+    /**
+     * 自動保存したデータからグラフを復元
+     * @param {Object} snapshot
+     * @returns {Promise<boolean>}
+     */
+    async restore(snapshot) {
+        try {
+            const jsonData = JSON.parse(snapshot.json);
+            const success = await this.uiManager.settingsManager.loadGraphFromJSON(jsonData, true);
+            if (!success) {
+                console.error('自動保存データの復元に失敗しました');
+                return false;
+            }
+
+            const titleDisplay = document.getElementById('graph-title-display');
+            if (snapshot.title && titleDisplay) {
+                titleDisplay.textContent = snapshot.title;
+                titleDisplay.classList.add('active');
+                document.title = `${snapshot.title} - GraPen`;
+            }
+            return true;
+        } catch (e) {
+            console.error('自動保存データの復元に失敗しました:', e);
+            return false;
+        }
+    }
+
+    /**
+     * 現在のグラフから保存するデータを作成
+     * @private
+     * @param {boolean} includeHistory - 元に戻す/やり直しの履歴を含めるかどうか
+     * @param {boolean} includeReferenceImage - 背景画像を含めるかどうか
+     */
+    _collectSnapshot(includeHistory = true, includeReferenceImage = true) {
+        const curves = this.uiManager.curveManager ? this.uiManager.curveManager.curves : [];
+        const settings = this.uiManager.settingsManager ? this.uiManager.settingsManager.settings : null;
+        const titleDisplay = document.getElementById('graph-title-display');
+
+        return {
+            format: AUTOSAVE_FORMAT,
+            savedAt: Date.now(),
+            title: titleDisplay && titleDisplay.classList.contains('active') ? titleDisplay.textContent : '',
+            curveCount: curves.filter(curve => curve).length,
+            json: getJSONDataString(this.uiManager.graphCalculator, settings, curves,
+                includeHistory ? this.historyManager.serializeHistoryTree() : null,
+                { includeReferenceImage })
+        };
+    }
+
+    /**
+     * 自動保存できなかったことを画面に表示する
+     * @private
+     * @param {string} message
+     * @param {string} i18nKey
+     */
+    _showWarning(message, i18nKey) {
+        if (!this.uiManager.alertModal) return;
+        this.uiManager.alertModal.show(message, {
+            type: 'warning',
+            position: 'center-top',
+            i18nKey
+        });
+    }
+
+    /**
+     * @private
+     */
+    _cancelTimer() {
+        if (this._saveTimer) {
+            window.clearTimeout(this._saveTimer);
+            this._saveTimer = null;
+        }
+    }
+}
@@ -1,88 +1,254 @@
-import { db } from '../firebase-config.js';
-import { collection, doc, getDoc } from "https://www.gstatic.com/firebasejs/11.8.0/firebase-firestore.js";
+import { FirestoreStorageAdapter } from './adapters/FirestoreStorageAdapter.js';
+import { LocalStorageAdapter } from './adapters/LocalStorageAdapter.js';
+import { IndexedDBStorageAdapter } from './adapters/IndexedDBStorageAdapter.js';
+import { MemoryStorageAdapter } from './adapters/MemoryStorageAdapter.js';
+import { HttpStorageAdapter } from './adapters/HttpStorageAdapter.js';
+import { LocalGraphLibrary } from './LocalGraphLibrary.js';
+
+/**
+ * グラフの保存先（ストレージアダプタ）のインターフェース
+ * @typedef {Object} GraphStorageAdapter
+ * @property {string} name - アダプタの種類（'firestore' | 'local' | 'indexeddb' | 'memory' | 'http'）
+ * @property {(hash: string) => Promise<Object|null>} getGraph - グラフを取得（見つからない場合は null）
+ * @property {(graphData: Object) => Promise<void>} saveGraph - グラフを保存（同じハッシュは上書き）
+ * @property {(hash: string) => Promise<void>} removeGraph - グラフを削除
+ */
+
+/** 公開版のURL（Firestore に保存したグラフの共有リンク） */
+const PUBLIC_APP_URL = 'https://teth-main.github.io/GraPen/';
+
+/** 1つのグラフに付けられるタグの数と長さの上限 */
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * タグを整える（前後の空白と先頭の # を除き、重複は大文字小文字を区別せず除く）
+ * @param {string|string[]} tags - 配列、またはカンマ・読点区切りの文字列
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,、，]/);
+    const seen = new Set();
+    const result = [];
+    list.forEach(tag => {
+        const value = String(tag).trim().replace(/^#+/, '').slice(0, MAX_TAG_LENGTH);
+        const key = value.toLowerCase();
+        if (!value || seen.has(key) || result.length >= MAX_TAGS) return;
+        seen.add(key);
+        result.push(value);
+    });
+    return result;
+}
+
+/** グラフ一覧の並べ替え（キー → 比較関数） */
+const GRAPH_SORTERS = {
+    'date-desc': (a, b) => graphTime(b) - graphTime(a),
+    'date-asc': (a, b) => graphTime(a) - graphTime(b),
+    'name-asc': (a, b) => compareTitle(a, b),
+    'name-desc': (a, b) => compareTitle(b, a)
+};
+
+function graphTime(graph) {
+    return graph.lastModified || graph.timestamp || 0;
+}
+
+function compareTitle(a, b) {
+    return String(a.title || '').localeCompare(String(b.title || ''), undefined, { numeric: true, sensitivity: 'base' })
+        || graphTime(b) - graphTime(a);
+}
+
+/**
+ * 配置時に決めたグラフの保存先を index.html の meta タグから読み込む
+ * 保存データが外部に送られないよう、URLパラメータでは切り替えられないようにしている
+ *   <meta name="grapen-storage" content="http" />
+ *   <meta name="grapen-storage-url" content="https://example.com/api" />
+ * @param {Document} doc
+ * @returns {{type: string, url: string|null}} 指定がない場合は Firestore
+ */
+export function readStorageConfig(doc = document) {
+    const read = (name) => {
+        const meta = doc.querySelector(`meta[name="${name}"]`);
+        const value = ((meta && meta.getAttribute('content')) || '').trim();
+        return value || null;
+    };
+    return {
+        type: read('grapen-storage') || 'firestore',
+        url: read('grapen-storage-url')
+    };
+}
+
+/**
+ * ストレージアダプタを生成
+ * @param {string} type - 'firestore' | 'local' | 'indexeddb' | 'memory' | 'http'
+ * @param {Object} options
+ * @param {string} [options.url] - http アダプタのサーバーURL
+ * @returns {GraphStorageAdapter}
+ */
+export function createStorageAdapter(type = 'firestore', options = {}) {
+    switch (type) {
+        case 'local':
+            return new LocalStorageAdapter(options.storageKey);
+        case 'indexeddb':
+            return new IndexedDBStorageAdapter();
+        case 'memory':
+            return new MemoryStorageAdapter(options.graphs);
+        case 'http':
+            if (!options.url) {
+                console.warn('http ストレージのURLが指定されていないため、メモリに保存します');
+                return new MemoryStorageAdapter();
+            }
+            return new HttpStorageAdapter(options.url);
+        case 'firestore':
+            return new FirestoreStorageAdapter();
+        default:
+            console.warn(`未対応のストレージ "${type}" のため、Firestoreを使用します`);
+            return new FirestoreStorageAdapter();
+    }
+}
 
 export class GraphStorageManager {
-    constructor(storageKey = 'grapen_saved_graphs') {
+    /**
+     * @param {string} storageKey - 以前の版でグラフ一覧を記録していた localStorage のキー（IndexedDB へ移行する）
+     * @param {GraphStorageAdapter|null} adapter - グラフの保存先（省略時は Firestore）
+     */
+    constructor(storageKey = 'grapen_saved_graphs', adapter = null) {
         this.storageKey = storageKey;
+        this.adapter = adapter || new FirestoreStorageAdapter();
+        this.library = new LocalGraphLibrary();
+        this.useLibrary = false;
         this.graphList = [];
-        this.initializeGraphList();
+        // 一覧の読み込み完了を待つための Promise
+        this.ready = this.initializeGraphList();
     }
 
     async initializeGraphList() {
-        const localGraphs = this.loadFromLocal();
+        try {
+            await this.migrateFromLocal();
+            this.graphList = await this.library.listGraphs();
+            this.useLibrary = true;
+        } catch (error) {
+            // IndexedDB が使えない環境（一部のプライベートブラウズなど）では従来通り localStorage を使う
+            console.warn('IndexedDB が使えないため localStorage に保存します:', error);
+            this.useLibrary = false;
+            this.graphList = this.loadFromLocal();
+            return;
+        }
 
-        // 各ハッシュに対してFirestoreを確認
-        for (const graph of localGraphs) {
-            try {
-                const result = await this.checkGraphInFirestore(graph.hash);
+        // 一覧の表示を待たせないよう、補完は裏で行う
+        this.backfillMissingGraphs();
+    }
 
-                if (result.success) {
-                    // Firestoreにデータがある場合、ローカルの詳細データを削除
-                    const cleanedGraph = { hash: graph.hash };
-                    this.updateLocalGraph(cleanedGraph);
-
-                    // Firestoreから取得したデータをグラフリストに追加
-                    this.graphList.push(result);
-                } else {
-                    // Firestoreにデータがない場合、ローカルデータをそのまま使用
-                    this.graphList.push(graph);
-                }
+    /**
+     * 移行時に保存先から取得できなかったグラフ（ハッシュのみ）を、次回以降の起動で補う
+     */
+    async backfillMissingGraphs() {
+        for (const graph of this.graphList.filter(g => !g.title)) {
+            const result = await this.getGraph(graph.hash);
+            if (!result.success) continue;
+            const { success, ...data } = result;
+            try {
+                const entry = await this.library.putGraph({ ...data, lastModified: data.timestamp });
+                Object.assign(graph, entry);
             } catch (error) {
-                console.error(`Error checking graph ${graph.hash}:`, error);
-                // エラー時はローカルデータを使用
-                this.graphList.push(graph);
+                console.warn('グラフデータの保存に失敗:', error);
             }
         }
-
-        // // 更新されたリストを保存
-        // this.saveToLocal(this.graphList);
     }
 
-    // ローカルストレージの特定のグラフを更新
-    updateLocalGraph(updatedGraph) {
-        const graphs = this.loadFromLocal();
-        const index = graphs.findIndex(g => g.hash === updatedGraph.hash);
-        if (index !== -1) {
-            graphs[index] = updatedGraph;
-            localStorage.setItem(this.storageKey, JSON.stringify(graphs));
+    /**
+     * localStorage に残っているグラフ一覧を IndexedDB に移す
+     * 以前の版でハッシュだけに縮めたデータは、保存先から取得して補う
+     */
+    async migrateFromLocal() {
+        const localGraphs = this.loadFromLocal();
+        if (localGraphs.length === 0) return;
+
+        for (const graph of localGraphs) {
+            let record = graph;
+            if (!graph.json) {
+                const result = await this.getGraph(graph.hash);
+                if (result.success) {
+                    const { success, ...data } = result;
+                    record = data;
+                }
+            }
+            await this.library.putGraph({
+                ...record,
+                lastModified: record.timestamp
+            });
         }
+
+        // すべて移せた場合のみ削除する
+        localStorage.removeItem(this.storageKey);
     }
 
-    // Firestoreでグラフを検索するメソッド
-    async checkGraphInFirestore(hash) {
+    /**
+     * 保存先でグラフを検索
+     * 見つからない場合やエラー時は、ローカルに残っているデータを success: false で返す
+     * @param {string} hash
+     * @returns {Promise<Object>}
+     */
+    async getGraph(hash) {
         try {
-            const docRef = doc(db, "graphs", hash);
-            const docSnap = await getDoc(docRef);
+            const data = await this.adapter.getGraph(hash);
 
-            if (docSnap.exists()) {
-                const data = docSnap.data();
+            if (data) {
                 return {
                     hash: data.hash,
                     title: data.title,
+                    tags: data.tags || [],
                     thumbnail: data.thumbnail,
                     json: data.json,
                     timestamp: data.timestamp,
                     success: true
                 };
-            } else {
-                // Firestoreにデータがない場合
-                const localGraphs = this.loadFromLocal();
-                const localGraph = localGraphs.find(g => g.hash === hash) || { hash };
-                return {
-                    ...localGraph,
-                    success: false
-                };
             }
         } catch (error) {
-            console.error("Error querying Firestore:", error);
-            // エラー時はローカルデータを使用
-            const localGraphs = this.loadFromLocal();
-            const localGraph = localGraphs.find(g => g.hash === hash) || { hash };
-            return {
-                ...localGraph,
-                success: false
-            };
+            console.error(`Error querying ${this.adapter.name} storage:`, error);
+        }
+
+        // 保存先にデータがない場合・エラー時はローカルデータを使用
+        const localGraph = await this.getLocalGraph(hash);
+        return {
+            ...(localGraph || { hash }),
+            success: false
+        };
+    }
+
+    /**
+     * @deprecated getGraph を使用（保存先は Firestore に限らない）
+     */
+    async checkGraphInFirestore(hash) {
+        return this.getGraph(hash);
+    }
+
+    /**
+     * ローカルに保存したグラフを取得（JSON・サムネイルを含む）
+     * @param {string} hash
+     * @returns {Promise<Object|null>}
+     */
+    async getLocalGraph(hash) {
+        if (this.useLibrary) {
+            try {
+                return await this.library.getGraph(hash);
+            } catch (error) {
+                console.warn('グラフデータの読み込みに失敗:', error);
+            }
         }
+        return this.loadFromLocal().find(g => g.hash === hash) || null;
+    }
+
+    /**
+     * サムネイルを取得（一覧で表示するときに読み込む）
+     * @param {string} hash
+     * @returns {Promise<string>}
+     */
+    async getThumbnail(hash) {
+        if (!this.useLibrary) {
+            const graph = this.graphList.find(g => g.hash === hash);
+            return graph ? graph.thumbnail || '' : '';
+        }
+        return this.library.getThumbnail(hash);
     }
 
     // ローカルストレージからグラフ一覧を取得
@@ -106,40 +272,156 @@ export class GraphStorageManager {
         }
     }
 
-    // グラフ一覧を取得
+    // グラフ一覧を取得（JSON・サムネイルは含まない場合がある）
     getGraphList() {
         // 新しい順にソート
-        return [...this.graphList].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+        return this.queryGraphList();
     }
 
-    // グラフを追加
-    addGraph(graphData) {
+    /**
+     * 条件に合うグラフ一覧を取得
+     * @param {Object} query
+     * @param {string} [query.search] - タイトル・タグに含まれる語（空白区切りはすべてを含むもの）
+     * @param {string[]} [query.tags] - すべて付いているグラフに絞り込むタグ
+     * @param {string} [query.sort] - 'date-desc' | 'date-asc' | 'name-asc' | 'name-desc'
+     * @returns {Object[]}
+     */
+    queryGraphList({ search = '', tags = [], sort = 'date-desc' } = {}) {
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+        const requiredTags = tags.map(tag => tag.toLowerCase());
+
+        const filtered = this.graphList.filter(graph => {
+            const graphTags = (graph.tags || []).map(tag => tag.toLowerCase());
+            if (!requiredTags.every(tag => graphTags.includes(tag))) return false;
+
+            const text = [graph.title || '', ...graphTags].join(' ').toLowerCase();
+            return terms.every(term => text.includes(term.replace(/^#/, '')));
+        });
+
+        return filtered.sort(GRAPH_SORTERS[sort] || GRAPH_SORTERS['date-desc']);
+    }
+
+    /**
+     * 保存したグラフに付いているタグの一覧（多い順）
+     * @returns {{tag: string, count: number}[]}
+     */
+    getAllTags() {
+        const counts = new Map();
+        this.graphList.forEach(graph => {
+            (graph.tags || []).forEach(tag => {
+                const key = tag.toLowerCase();
+                const entry = counts.get(key) || { tag, count: 0 };
+                entry.count++;
+                counts.set(key, entry);
+            });
+        });
+        return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * グラフのタグを変更（ローカルの一覧のみ）
+     * @param {string} hash
+     * @param {string|string[]} tags
+     * @returns {Promise<string[]>} 整えた後のタグ
+     */
+    async updateGraphTags(hash, tags) {
+        await this.ready;
+        const normalized = normalizeTags(tags);
+
+        if (this.useLibrary) {
+            await this.library.updateGraphMeta(hash, { tags: normalized });
+        } else {
+            const localGraphs = this.loadFromLocal();
+            const localGraph = localGraphs.find(g => g.hash === hash);
+            if (localGraph) {
+                localGraph.tags = normalized;
+                localStorage.setItem(this.storageKey, JSON.stringify(localGraphs));
+            }
+        }
+
+        const graph = this.graphList.find(g => g.hash === hash);
+        if (graph) graph.tags = normalized;
+        return normalized;
+    }
+
+    /**
+     * グラフを追加
+     * ローカルへの保存に失敗した場合（容量超過など）は例外を投げる
+     * @param {Object} graphData - { hash, title, tags, thumbnail, json, timestamp }
+     * @returns {Promise<boolean>} 保存先への送信に成功したかどうか（失敗してもローカルには残る）
+     */
+    async addGraph(graphData) {
         // timestampがなければ付与
         if (!graphData.timestamp) {
             graphData.timestamp = Date.now();
         }
+        graphData.tags = normalizeTags(graphData.tags);
 
-        // メモリ上のグラフリストに追加
-        this.graphList.push(graphData);
-
-        // ローカルストレージから現在のデータを読み込み
-        const localGraphs = this.loadFromLocal();
+        await this.ready;
 
-        // 新しいグラフデータを追加（同じハッシュがある場合は上書き）
-        const existingIndex = localGraphs.findIndex(g => g.hash === graphData.hash);
-        if (existingIndex >= 0) {
-            localGraphs[existingIndex] = graphData;
+        let entry = graphData;
+        if (this.useLibrary) {
+            entry = await this.library.putGraph(graphData);
         } else {
+            // 新しいグラフデータを追加（同じハッシュがある場合は上書き）
+            const localGraphs = this.loadFromLocal().filter(g => g.hash !== graphData.hash);
             localGraphs.push(graphData);
+            localStorage.setItem(this.storageKey, JSON.stringify(localGraphs));
         }
 
-        // 更新されたデータをローカルストレージに保存
-        localStorage.setItem(this.storageKey, JSON.stringify(localGraphs));
+        // メモリ上のグラフリストに追加
+        this.graphList = this.graphList.filter(g => g.hash !== graphData.hash);
+        this.graphList.push(entry);
+
+        // 保存先に送信（失敗してもローカルには残る）
+        try {
+            await this.adapter.saveGraph(graphData);
+            return true;
+        } catch (error) {
+            console.error(`Error saving graph to ${this.adapter.name} storage:`, error);
+            return false;
+        }
     }
 
     // グラフを削除（hashで削除）
-    removeGraphByHash(hash) {
+    async removeGraphByHash(hash) {
         this.graphList = this.graphList.filter(g => g.hash !== hash);
-        this.saveToLocal(this.graphList);
+        if (this.useLibrary) {
+            await this.library.removeGraph(hash).catch(error => {
+                console.warn('グラフデータの削除に失敗:', error);
+            });
+        } else {
+            this.saveToLocal(this.graphList);
+        }
+
+        await this.adapter.removeGraph(hash).catch(error => {
+            console.error(`Error removing graph from ${this.adapter.name} storage:`, error);
+        });
+    }
+
+    /**
+     * グラフを開くクエリ文字列を生成（例: ?hash=xxx）
+     * 保存先は配置ごとに決まっているため、クエリには含めない
+     * @param {string} hash
+     * @param {string} key - ハッシュのパラメータ名（'hash' | 'h'）
+     * @returns {string}
+     */
+    getGraphQuery(hash, key = 'hash') {
+        const params = new URLSearchParams();
+        params.set(key, hash);
+        return `?${params.toString()}`;
+    }
+
+    /**
+     * グラフを開くリンクを生成
+     * Firestore 以外の保存先は公開版から読めないため、同じ保存先を使う現在のページを基準にする
+     * @param {string} hash
+     * @returns {string}
+     */
+    getGraphUrl(hash) {
+        if (this.adapter.name === 'firestore') {
+            return `${PUBLIC_APP_URL}?h=${hash}`;
+        }
+        return `${window.location.pathname}${this.getGraphQuery(hash, 'h')}`;
     }
 }
@@ -0,0 +1,168 @@
+/**
+ * 保存したグラフのライブラリ（IndexedDB）
+ * localStorage は容量が小さく、サムネイルを含む一覧を1つのキーに入れると上限に達するため、
+ * グラフごとにレコードを分けて保存する
+ *
+ * ストア構成（キーはいずれも hash）
+ *   graphs     : { hash, title, tags, timestamp, lastModified } 一覧表示用の軽いデータ
+ *   graphData  : { hash, json } 復元用のJSON
+ *   thumbnails : { hash, thumbnail } サムネイル（一覧で表示されたときに読み込む）
+ */
+
+const DB_NAME = 'grapen-library';
+const DB_VERSION = 1;
+const STORES = ['graphs', 'graphData', 'thumbnails'];
+
+export class LocalGraphLibrary {
+    constructor(dbName = DB_NAME) {
+        this.dbName = dbName;
+        this._dbPromise = null;
+    }
+
+    /**
+     * IndexedDB が使えるか
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * データベースを開く（初回はストアを作成）
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                if (!LocalGraphLibrary.isSupported()) {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    STORES.forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, { keyPath: 'hash' });
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // 開けなかった場合は次回やり直せるようにする
+            this._dbPromise.catch(() => { this._dbPromise = null; });
+        }
+        return this._dbPromise;
+    }
+
+    /**
+     * トランザクションを実行し、完了を待つ
+     * @private
+     * @param {string[]} storeNames
+     * @param {IDBTransactionMode} mode
+     * @param {(stores: Object<string, IDBObjectStore>) => IDBRequest|void} operation
+     */
+    async _transaction(storeNames, mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => { stores[name] = transaction.objectStore(name); });
+            const request = operation(stores);
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * 一覧用のデータを全件取得（JSON・サムネイルは含まない）
+     * @returns {Promise<Object[]>}
+     */
+    async listGraphs() {
+        const graphs = await this._transaction(['graphs'], 'readonly', stores => stores.graphs.getAll());
+        return graphs || [];
+    }
+
+    /**
+     * グラフを1件取得（JSON・サムネイルを含む）
+     * @param {string} hash
+     * @returns {Promise<Object|null>}
+     */
+    async getGraph(hash) {
+        let meta, data, thumb;
+        await this._transaction(STORES, 'readonly', stores => {
+            stores.graphs.get(hash).onsuccess = e => { meta = e.target.result; };
+            stores.graphData.get(hash).onsuccess = e => { data = e.target.result; };
+            stores.thumbnails.get(hash).onsuccess = e => { thumb = e.target.result; };
+        });
+        if (!meta) return null;
+        return {
+            ...meta,
+            json: data ? data.json : '',
+            thumbnail: thumb ? thumb.thumbnail : ''
+        };
+    }
+
+    /**
+     * サムネイルを取得
+     * @param {string} hash
+     * @returns {Promise<string>} 無い場合は空文字
+     */
+    async getThumbnail(hash) {
+        const record = await this._transaction(['thumbnails'], 'readonly', stores => stores.thumbnails.get(hash));
+        return record ? record.thumbnail : '';
+    }
+
+    /**
+     * グラフを保存（同じハッシュは上書き）
+     * @param {Object} graphData - { hash, title, tags, thumbnail, json, timestamp, lastModified? }
+     * @returns {Promise<Object>} 保存した一覧用データ
+     */
+    async putGraph(graphData) {
+        const meta = {
+            hash: graphData.hash,
+            title: graphData.title,
+            tags: graphData.tags || [],
+            timestamp: graphData.timestamp || Date.now(),
+            lastModified: graphData.lastModified || Date.now()
+        };
+        await this._transaction(STORES, 'readwrite', stores => {
+            stores.graphs.put(meta);
+            stores.graphData.put({ hash: graphData.hash, json: graphData.json || '' });
+            stores.thumbnails.put({ hash: graphData.hash, thumbnail: graphData.thumbnail || '' });
+        });
+        return meta;
+    }
+
+    /**
+     * 一覧用のデータ（タイトル・タグなど）だけを更新（グラフの内容は変わらないため lastModified は更新しない）
+     * @param {string} hash
+     * @param {Object} changes - 上書きする項目
+     * @returns {Promise<Object|null>} 更新後の一覧用データ（グラフが無い場合は null）
+     */
+    async updateGraphMeta(hash, changes) {
+        let updated = null;
+        await this._transaction(['graphs'], 'readwrite', stores => {
+            const request = stores.graphs.get(hash);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                updated = { ...request.result, ...changes, hash };
+                stores.graphs.put(updated);
+            };
+        });
+        return updated;
+    }
+
+    /**
+     * グラフを削除
+     * @param {string} hash
+     */
+    async removeGraph(hash) {
+        await this._transaction(STORES, 'readwrite', stores => {
+            STORES.forEach(name => stores[name].delete(hash));
+        });
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Firestore ストレージアダプタ
+ * 読み込みは Firestore、書き込みは Google Apps Script のエンドポイント経由で行う
+ * Firebase のモジュールは使うときに読み込むため、オフライン環境で他のアダプタを使う場合はネットワークに接続しない
+ */
+
+/** 書き込み用の Google Apps Script エンドポイント */
+const GAS_ENDPOINT = 'https://script.google.com/macros/s/AKfycbz3jWTDf04HsPngELM5MgISbT2F-zPtbiCzpA2mRCBIBHoFv6IeR0H9reohvzZodKez-g/exec';
+
+export class FirestoreStorageAdapter {
+    constructor() {
+        this.name = 'firestore';
+        this._firestore = null;
+    }
+
+    /**
+     * Firebase のモジュールを読み込む
+     * @private
+     */
+    async _getFirestore() {
+        if (!this._firestore) {
+            const [{ db }, { doc, getDoc }] = await Promise.all([
+                import('../../firebase-config.js'),
+                import('https://www.gstatic.com/firebasejs/11.8.0/firebase-firestore.js')
+            ]);
+            this._firestore = { db, doc, getDoc };
+        }
+        return this._firestore;
+    }
+
+    /**
+     * グラフを取得
+     * @param {string} hash
+     * @returns {Promise<Object|null>} 見つからない場合は null
+     */
+    async getGraph(hash) {
+        const { db, doc, getDoc } = await this._getFirestore();
+        const docSnap = await getDoc(doc(db, 'graphs', hash));
+        if (!docSnap.exists()) return null;
+
+        const data = docSnap.data();
+        return {
+            hash: data.hash,
+            title: data.title,
+            thumbnail: data.thumbnail,
+            json: data.json,
+            timestamp: data.timestamp
+        };
+    }
+
+    /**
+     * グラフを保存（フォームPOSTで送信するためレスポンスは取得できない）
+     * @param {Object} graphData
+     */
+    async saveGraph(graphData) {
+        // フォームPOSTで送信（CORS回避）
+        const form = document.createElement('form');
+        form.method = 'POST';
+        form.action = GAS_ENDPOINT;
+        form.target = 'hidden-iframe-for-gas';
+
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = 'data';
+        input.value = JSON.stringify(graphData);
+        form.appendChild(input);
+
+        let iframe = document.getElementById('hidden-iframe-for-gas');
+        if (!iframe) {
+            iframe = document.createElement('iframe');
+            iframe.style.display = 'none';
+            iframe.name = 'hidden-iframe-for-gas';
+            iframe.id = 'hidden-iframe-for-gas';
+            document.body.appendChild(iframe);
+        }
+
+        document.body.appendChild(form);
+        form.submit();
+        document.body.removeChild(form);
+    }
+
+    /**
+     * グラフを削除
+     * 共有リンク（?h=）は他の人も参照するため、Firestore のデータは消さない
+     * @param {string} hash
+     */
+    async removeGraph(hash) {
+        // 何もしない
+    }
+}
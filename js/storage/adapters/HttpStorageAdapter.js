@@ -0,0 +1,50 @@
+/**
+ * HTTP ストレージアダプタ
+ * 自前のサーバー（学内サーバーやローカルのスタブサーバー）にグラフを保存する
+ *   GET    {baseUrl}/graphs/{hash} → グラフのJSON（見つからない場合は 404）
+ *   PUT    {baseUrl}/graphs/{hash} ← グラフのJSON
+ *   DELETE {baseUrl}/graphs/{hash}
+ */
+export class HttpStorageAdapter {
+    /**
+     * @param {string} baseUrl - サーバーのURL（例: http://localhost:8080/api）
+     */
+    constructor(baseUrl) {
+        this.name = 'http';
+        this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+    }
+
+    /**
+     * @private
+     */
+    _graphUrl(hash) {
+        return `${this.baseUrl}/graphs/${encodeURIComponent(hash)}`;
+    }
+
+    async getGraph(hash) {
+        const response = await fetch(this._graphUrl(hash));
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`グラフの取得に失敗しました (HTTP ${response.status})`);
+        }
+        return response.json();
+    }
+
+    async saveGraph(graphData) {
+        const response = await fetch(this._graphUrl(graphData.hash), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(graphData)
+        });
+        if (!response.ok) {
+            throw new Error(`グラフの保存に失敗しました (HTTP ${response.status})`);
+        }
+    }
+
+    async removeGraph(hash) {
+        const response = await fetch(this._graphUrl(hash), { method: 'DELETE' });
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`グラフの削除に失敗しました (HTTP ${response.status})`);
+        }
+    }
+}
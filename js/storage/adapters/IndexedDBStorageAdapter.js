@@ -0,0 +1,68 @@
+/**
+ * IndexedDB ストレージアダプタ
+ * localStorage より大きなグラフ（サムネイル・参照画像を含むもの）も保存できる
+ */
+export class IndexedDBStorageAdapter {
+    /**
+     * @param {string} dbName - データベース名
+     * @param {string} storeName - オブジェクトストア名（キーは hash）
+     */
+    constructor(dbName = 'grapen', storeName = 'graphs') {
+        this.name = 'indexeddb';
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this._dbPromise = null;
+    }
+
+    /**
+     * データベースを開く（初回はストアを作成）
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'hash' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this._dbPromise;
+    }
+
+    /**
+     * オブジェクトストアへのリクエストを Promise にする
+     * @private
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} operation
+     */
+    async _request(mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getGraph(hash) {
+        const graph = await this._request('readonly', store => store.get(hash));
+        return graph || null;
+    }
+
+    async saveGraph(graphData) {
+        await this._request('readwrite', store => store.put(graphData));
+    }
+
+    async removeGraph(hash) {
+        await this._request('readwrite', store => store.delete(hash));
+    }
+}
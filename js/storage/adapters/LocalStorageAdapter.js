@@ -0,0 +1,44 @@
+/**
+ * localStorage ストレージアダプタ
+ * グラフをハッシュごとにまとめて1つのキーに保存する（容量はブラウザの上限に依存）
+ */
+export class LocalStorageAdapter {
+    /**
+     * @param {string} storageKey - 保存先のキー
+     */
+    constructor(storageKey = 'grapen_graph_store') {
+        this.name = 'local';
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * @private
+     * @returns {Object<string, Object>} ハッシュ → グラフ
+     */
+    _load() {
+        try {
+            const json = localStorage.getItem(this.storageKey);
+            return json ? JSON.parse(json) : {};
+        } catch (e) {
+            console.warn('グラフデータの読み込みに失敗:', e);
+            return {};
+        }
+    }
+
+    async getGraph(hash) {
+        return this._load()[hash] || null;
+    }
+
+    async saveGraph(graphData) {
+        const graphs = this._load();
+        graphs[graphData.hash] = graphData;
+        // 容量超過（QuotaExceededError）は呼び出し側に伝える
+        localStorage.setItem(this.storageKey, JSON.stringify(graphs));
+    }
+
+    async removeGraph(hash) {
+        const graphs = this._load();
+        delete graphs[hash];
+        localStorage.setItem(this.storageKey, JSON.stringify(graphs));
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * メモリ上のストレージアダプタ
+ * ページを閉じると消える。ネットワークなしで保存・読み込みの流れを試すときに使う
+ */
+export class MemoryStorageAdapter {
+    /**
+     * @param {Object[]} initialGraphs - 最初から保存しておくグラフ
+     */
+    constructor(initialGraphs = []) {
+        this.name = 'memory';
+        this.graphs = new Map(initialGraphs.map(graph => [graph.hash, { ...graph }]));
+    }
+
+    async getGraph(hash) {
+        const graph = this.graphs.get(hash);
+        return graph ? { ...graph } : null;
+    }
+
+    async saveGraph(graphData) {
+        this.graphs.set(graphData.hash, { ...graphData });
+    }
+
+    async removeGraph(hash) {
+        this.graphs.delete(hash);
+    }
+}
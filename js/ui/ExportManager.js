@@ -2,7 +2,8 @@
  * Export Manager Class
  * グラフの出力、保存機能を管理
  */
-import { saveToPNG, saveToSVG, saveToJSON } from '../graph/GraphSaveUtils.js';
+import { saveToPNG, saveToSVG, saveToJSON, saveToDesmos, saveToTimelapseSVG, getShareJSONString } from '../graph/GraphSaveUtils.js';
+import { URLParamsUtil } from '../util/URLParamsUtil.js';
 
 export class ExportManager {
     constructor(graphCalculator, settingsManager = null) {
@@ -67,6 +68,30 @@ export class ExportManager {
               <span data-i18n="export_panel.json">JSON</span>
             </button>
           </div>
+          <div class="settings-item export-item">
+            <button id="export-desmos-btn" class="export-btn">
+              <i class="material-symbols-rounded">function</i>
+              <span data-i18n="export_panel.desmos">Desmos</span>
+            </button>
+          </div>
+          <div class="settings-item export-item">
+            <button id="export-share-btn" class="export-btn">
+              <i class="material-symbols-rounded">link</i>
+              <span data-i18n="export_panel.share">共有リンク</span>
+            </button>
+          </div>
+          <div class="settings-item export-item">
+            <button id="export-replay-btn" class="export-btn">
+              <i class="material-symbols-rounded">play_circle</i>
+              <span data-i18n="export_panel.replay">描画を再生</span>
+            </button>
+          </div>
+          <div class="settings-item export-item">
+            <button id="export-timelapse-btn" class="export-btn">
+              <i class="material-symbols-rounded">animation</i>
+              <span data-i18n="export_panel.timelapse_svg">タイムラプス (SVG)</span>
+            </button>
+          </div>
         </div>
       </div>
     `;
@@ -199,11 +224,17 @@ export class ExportManager {
                         curveData = this.settingsManager.curveManager.curves;
                     }
 
+                    // 元に戻す/やり直しの履歴
+                    const history = (this.settingsManager && this.settingsManager.historyManager)
+                        ? this.settingsManager.historyManager.serializeHistoryTree()
+                        : null;
+
                     const success = saveToJSON(
                         this.graphCalculator,
                         'grapen-data',
                         settings,
-                        curveData
+                        curveData,
+                        history
                     );
 
                     if (success) {
@@ -218,6 +249,60 @@ export class ExportManager {
             });
         }
 
+        // Desmos形式出力ボタン
+        const desmosBtn = document.getElementById('export-desmos-btn');
+        if (desmosBtn) {
+            desmosBtn.addEventListener('click', () => {
+                if (this.graphCalculator) {
+                    const curveData = (this.settingsManager && this.settingsManager.curveManager)
+                        ? this.settingsManager.curveManager.curves
+                        : [];
+
+                    const success = saveToDesmos(this.graphCalculator, 'desmos-state', curveData);
+                    if (success) {
+                        console.log('Desmos形式で保存しました');
+                    } else {
+                        console.error('Desmos形式での保存に失敗しました');
+                    }
+                } else {
+                    console.error('グラフ計算機が初期化されていません');
+                }
+                this.hidePanel();
+            });
+        }
+
+        // 共有リンクのコピーボタン
+        const shareBtn = document.getElementById('export-share-btn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => {
+                this.copyShareLink();
+                this.hidePanel();
+            });
+        }
+
+        // 描画の再生ボタン
+        const replayBtn = document.getElementById('export-replay-btn');
+        if (replayBtn) {
+            replayBtn.addEventListener('click', () => {
+                const uiManager = this._getUIManager();
+                if (uiManager) uiManager.startStrokeReplay();
+                this.hidePanel();
+            });
+        }
+
+        // タイムラプスのアニメーションSVG出力ボタン
+        const timelapseBtn = document.getElementById('export-timelapse-btn');
+        if (timelapseBtn) {
+            timelapseBtn.addEventListener('click', () => {
+                const uiManager = this._getUIManager();
+                const strokes = uiManager && uiManager.strokeRecorder ? uiManager.strokeRecorder.getStrokes() : [];
+                if (!saveToTimelapseSVG(strokes, 'grapen-timelapse')) {
+                    this._showAlert('再生できる描画の記録がありません', 'info', 'replay.empty');
+                }
+                this.hidePanel();
+            });
+        }
+
         // パネル外をクリックした時に閉じる
         document.addEventListener('click', (e) => {
             // export ボタンのクリックは無視する
@@ -242,6 +327,78 @@ export class ExportManager {
 
     }
 
+    /**
+     * グラフをURLに埋め込んだ共有リンクを作成してクリップボードにコピーする
+     * リンクが長すぎる場合は作成せず、JSON出力を案内する
+     * @returns {Promise<boolean>} コピーに成功したかどうか
+     */
+    async copyShareLink() {
+        if (!this.graphCalculator) {
+            console.error('グラフ計算機が初期化されていません');
+            return false;
+        }
+
+        const settings = this.settingsManager ? this.settingsManager.settings : null;
+        const curveData = (this.settingsManager && this.settingsManager.curveManager)
+            ? this.settingsManager.curveManager.curves
+            : null;
+        const titleDisplay = document.getElementById('graph-title-display');
+        const title = titleDisplay && titleDisplay.classList.contains('active') ? titleDisplay.textContent : '';
+
+        try {
+            const json = getShareJSONString(this.graphCalculator, settings, curveData);
+            if (!json) {
+                throw new Error('共有するグラフのデータを作成できませんでした');
+            }
+            // 背景画像はリンクに含めないため、その旨も伝える
+            const withoutImage = !!this.graphCalculator.getReferenceImage();
+            const share = await URLParamsUtil.createShareUrl(json, title);
+
+            if (share.tooLarge) {
+                this._showAlert('グラフが大きすぎるため共有リンクを作成できません。JSON出力を利用してください。', 'warning', 'share.too_large');
+                return false;
+            }
+
+            await navigator.clipboard.writeText(share.url);
+            if (share.tooLong && withoutImage) {
+                this._showAlert('共有リンクをコピーしました（背景画像は含まれません）。リンクが長いため、アプリによっては途中で切れる場合があります。', 'warning', 'share.copied_long_without_image');
+            } else if (share.tooLong) {
+                this._showAlert('共有リンクをコピーしました。リンクが長いため、アプリによっては途中で切れる場合があります。', 'warning', 'share.copied_long');
+            } else if (withoutImage) {
+                this._showAlert('共有リンクをコピーしました。背景画像はリンクに含まれません。', 'info', 'share.copied_without_image');
+            } else {
+                this._showAlert('共有リンクをコピーしました。', 'info', 'share.copied');
+            }
+            return true;
+        } catch (error) {
+            console.error('共有リンクの作成に失敗しました:', error);
+            this._showAlert('共有リンクの作成に失敗しました。', 'error', 'share.failed');
+            return false;
+        }
+    }
+
+    /**
+     * UIManagerのアラートでメッセージを表示する
+     * @private
+     */
+    _showAlert(message, type, i18nKey) {
+        const uiManager = this._getUIManager();
+        if (uiManager && uiManager.alertModal) {
+            uiManager.alertModal.show(message, { type, position: 'center-top', i18nKey });
+        } else {
+            alert(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getUIManager() {
+        return this.settingsManager && this.settingsManager.curveManager
+            ? this.settingsManager.curveManager.uiManager
+            : null;
+    }
+
     /**
      * 出力パネルを表示
      */
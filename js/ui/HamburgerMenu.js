@@ -1,7 +1,21 @@
+/** 一覧に一度に追加するグラフの数 */
+const GRAPH_PAGE_SIZE = 30;
+/** 検索欄の入力から一覧を更新するまでの待ち時間 (ms) */
+const SEARCH_DEBOUNCE_MS = 150;
+
 export class HamburgerMenu {
-    constructor(graphStorageManager) {
+    constructor(graphStorageManager, languageManager = null) {
         this.graphStorageManager = graphStorageManager;
+        this.languageManager = languageManager;
         this.currentDeletingHash = null;
+        // 遅延表示用の状態
+        this.pendingGraphs = [];
+        this.renderedCount = 0;
+        this.thumbnailObserver = null;
+        this.pageObserver = null;
+        // 検索・並べ替え・タグ絞り込みの条件
+        this.filter = { search: '', tags: [], sort: 'date-desc' };
+        this.searchTimer = null;
         this.init();
     }
 
@@ -19,6 +33,9 @@ export class HamburgerMenu {
         this.menu = document.getElementById('hamburger-menu');
         this.overlay = document.getElementById('hamburger-menu-overlay');
         this.closeBtn = document.getElementById('close-hamburger-menu');
+        this.searchInput = this.menu.querySelector('.menu-graph-search');
+        this.sortSelect = this.menu.querySelector('.menu-graph-sort');
+        this.tagFilter = this.menu.querySelector('.menu-tag-filter');
     }
 
     createDeleteModal() {
@@ -55,6 +72,25 @@ export class HamburgerMenu {
         this.closeBtn.addEventListener('click', () => this.closeMenu());
         this.overlay.addEventListener('click', () => this.closeMenu());
 
+        // 検索（入力が落ち着いてから一覧を更新）
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => {
+                    this.filter.search = this.searchInput.value.trim();
+                    this.renderGraphList();
+                }, SEARCH_DEBOUNCE_MS);
+            });
+        }
+
+        // 並べ替え
+        if (this.sortSelect) {
+            this.sortSelect.addEventListener('change', () => {
+                this.filter.sort = this.sortSelect.value;
+                this.renderGraphList();
+            });
+        }
+
         // Escキーでモーダルと閉じる
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -94,6 +130,14 @@ export class HamburgerMenu {
 
     deleteGraph(hash) {
         this.graphStorageManager.removeGraphByHash(hash);
+        if (this.pendingGraphs) {
+            // 表示済みのグラフを消した分、次のページの開始位置をずらす
+            const index = this.pendingGraphs.findIndex(g => g.hash === hash);
+            if (index !== -1) {
+                this.pendingGraphs = this.pendingGraphs.filter(g => g.hash !== hash);
+                if (index < this.renderedCount) this.renderedCount--;
+            }
+        }
         const block = document.querySelector(`.graph-block[data-hash="${hash}"]`);
         if (block) {
             const link = block.closest('.graph-block-link');
@@ -104,77 +148,307 @@ export class HamburgerMenu {
             }
         }
         // グラフリストが空になった場合のメッセージを表示
+        this.updateEmptyMessage();
+        this.renderTagFilter();
+    }
+
+    /**
+     * 一覧が空のときのメッセージを切り替える
+     * 保存したグラフが無い場合と、条件に一致するグラフが無い場合で分ける
+     */
+    updateEmptyMessage() {
         const listElem = document.querySelector('.menu-graph-list');
         const noGraphsSpan = listElem.querySelector('.menu-no-graphs');
-        if (listElem.querySelectorAll('.graph-block-link').length === 0) {
-            if (noGraphsSpan) noGraphsSpan.style.display = 'block';
+        const noMatchesSpan = listElem.querySelector('.menu-no-matches');
+        const hasGraphs = this.graphStorageManager.getGraphList().length > 0;
+        const hasMatches = this.pendingGraphs.length > 0;
+
+        if (noGraphsSpan) noGraphsSpan.style.display = hasGraphs ? 'none' : 'block';
+        if (noMatchesSpan) noMatchesSpan.style.display = hasGraphs && !hasMatches ? 'block' : 'none';
+    }
+
+    /**
+     * タグの絞り込みボタンを表示
+     * 選択したタグがすべて付いているグラフだけを一覧に出す
+     */
+    renderTagFilter() {
+        if (!this.tagFilter) return;
+        const allTags = this.graphStorageManager.getAllTags();
+        const known = new Set(allTags.map(({ tag }) => tag.toLowerCase()));
+
+        // 削除などで無くなったタグは条件から外す
+        this.filter.tags = this.filter.tags.filter(tag => known.has(tag.toLowerCase()));
+
+        this.tagFilter.innerHTML = '';
+        this.tagFilter.style.display = allTags.length > 0 ? '' : 'none';
+
+        allTags.forEach(({ tag, count }) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'menu-tag-chip';
+            chip.textContent = `#${tag} (${count})`;
+            const active = this.filter.tags.some(t => t.toLowerCase() === tag.toLowerCase());
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-pressed', String(active));
+            chip.addEventListener('click', () => this.toggleTagFilter(tag));
+            this.tagFilter.appendChild(chip);
+        });
+    }
+
+    /**
+     * タグの絞り込みを切り替える
+     * @param {string} tag
+     */
+    toggleTagFilter(tag) {
+        const key = tag.toLowerCase();
+        if (this.filter.tags.some(t => t.toLowerCase() === key)) {
+            this.filter.tags = this.filter.tags.filter(t => t.toLowerCase() !== key);
         } else {
-            if (noGraphsSpan) noGraphsSpan.style.display = 'none';
+            this.filter.tags = [...this.filter.tags, tag];
         }
+        this.renderGraphList();
     }
 
-    renderGraphList() {
-        const graphList = this.graphStorageManager.getGraphList();
+    async renderGraphList() {
+        // 一覧の読み込み（localStorage からの移行を含む）を待つ
+        await this.graphStorageManager.ready;
+
+        this.renderTagFilter();
+        const graphList = this.graphStorageManager.queryGraphList(this.filter);
         const listElem = document.querySelector('.menu-graph-list');
 
-        const noGraphsSpan = document.querySelector('.menu-no-graphs');
+        this.disconnectListObservers();
+        listElem.querySelectorAll('.graph-block-link, .graph-list-sentinel').forEach(el => el.remove());
 
-        listElem.querySelectorAll('.graph-block-link').forEach(el => el.remove());
+        this.pendingGraphs = graphList;
+        this.renderedCount = 0;
+        this.updateEmptyMessage();
 
-        if (!graphList || graphList.length === 0) {
-            noGraphsSpan.style.display = 'block';
+        if (graphList.length === 0) {
             // if (this.languageManager) this.languageManager.updatePageText();
             return;
+        }
+
+        if (typeof IntersectionObserver === 'undefined') {
+            // 遅延読み込みできない環境ではすべて表示する
+            graphList.forEach(graph => listElem.appendChild(this.createGraphBlock(graph)));
+            this.renderedCount = graphList.length;
+            return;
+        }
+
+        // サムネイルは表示領域に近づいたときに読み込む
+        this.thumbnailObserver = new IntersectionObserver((entries, observer) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                observer.unobserve(entry.target);
+                this.loadThumbnail(entry.target);
+            });
+        }, { root: listElem, rootMargin: '200px' });
+
+        // 末尾が見えたら次のページを追加
+        this.pageObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.renderNextPage(listElem);
+            }
+        }, { root: listElem, rootMargin: '200px' });
+
+        this.renderNextPage(listElem);
+    }
+
+    /**
+     * 一覧の次のページを追加
+     * @param {HTMLElement} listElem
+     */
+    renderNextPage(listElem) {
+        const sentinel = listElem.querySelector('.graph-list-sentinel');
+        if (sentinel) {
+            this.pageObserver.unobserve(sentinel);
+            sentinel.remove();
+        }
+
+        const page = this.pendingGraphs.slice(this.renderedCount, this.renderedCount + GRAPH_PAGE_SIZE);
+        this.renderedCount += page.length;
+        page.forEach(graph => listElem.appendChild(this.createGraphBlock(graph)));
+
+        if (this.renderedCount < this.pendingGraphs.length) {
+            const nextSentinel = document.createElement('div');
+            nextSentinel.className = 'graph-list-sentinel';
+            listElem.appendChild(nextSentinel);
+            this.pageObserver.observe(nextSentinel);
+        }
+    }
+
+    disconnectListObservers() {
+        if (this.thumbnailObserver) this.thumbnailObserver.disconnect();
+        if (this.pageObserver) this.pageObserver.disconnect();
+        this.thumbnailObserver = null;
+        this.pageObserver = null;
+    }
+
+    /**
+     * サムネイル画像を読み込む
+     * @param {HTMLImageElement} img - data-hash を持つ画像要素
+     */
+    async loadThumbnail(img) {
+        try {
+            const thumbnail = await this.graphStorageManager.getThumbnail(img.dataset.hash);
+            if (thumbnail) img.src = thumbnail;
+        } catch (error) {
+            console.warn('サムネイルの読み込みに失敗:', error);
+        }
+    }
+
+    /**
+     * グラフ1件分のブロックを作成
+     * @param {Object} graph - { hash, title }
+     * @returns {HTMLAnchorElement}
+     */
+    createGraphBlock(graph) {
+        // aタグでグラフブロック全体をラップ
+        const link = document.createElement('a');
+        link.href = this.graphStorageManager.getGraphUrl(graph.hash);
+        link.rel = 'noopener noreferrer';
+        link.className = 'graph-block-link';
+
+        const block = document.createElement('div');
+        block.className = 'graph-block';
+        block.tabIndex = 0;
+        block.dataset.hash = graph.hash;
+        block.innerHTML = `
+            <div class="graph-thumb">
+                <img alt="thumb" style="width:100%;height:100%;object-fit:cover;border-radius:8px;">
+                <span class="graph-hash thumb-hash">${graph.hash}</span>
+            </div>
+            <div class="graph-info">
+                <div class="graph-title">${graph.title}</div>
+            </div>
+            <div class="graph-tags"></div>
+            <button class="graph-delete-btn" title="削除" type="button">
+                <i class="material-symbols-rounded" aria-hidden="true">delete</i>
+                <span class="sr-only">削除</span>
+            </button>
+            <button class="graph-tag-edit-btn" title="タグを編集" type="button">
+                <i class="material-symbols-rounded" aria-hidden="true">sell</i>
+                <span class="sr-only">タグを編集</span>
+            </button>
+            <div class="graph-loading-indicator"></div>
+        `;
+
+        // 削除ボタンのイベントリスナー
+        const deleteBtn = block.querySelector('.graph-delete-btn');
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault(); // aタグ遷移防止
+            this.showDeleteModal(graph.hash);
+        });
+
+        // タグ編集ボタンのイベントリスナー
+        const tagEditBtn = block.querySelector('.graph-tag-edit-btn');
+        tagEditBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault(); // aタグ遷移防止
+            this.startTagEdit(block, graph);
+        });
+
+        this.renderBlockTags(block, graph.tags || []);
+
+        // クリック時のローディングUI
+        block.addEventListener('click', (e) => {
+            // 削除ボタン以外のクリックでローディング
+            if (block.classList.contains('loading') || block.classList.contains('editing-tags')) return;
+            document.querySelectorAll('.graph-block.loading').forEach(b => b.classList.remove('loading'));
+            block.classList.add('loading');
+            setTimeout(() => block.classList.remove('loading'), 1500);
+            // aタグのデフォルト遷移は許可（新規タブ）
+        });
+
+        const img = block.querySelector('.graph-thumb img');
+        img.dataset.hash = graph.hash;
+        if (this.thumbnailObserver) {
+            this.thumbnailObserver.observe(img);
         } else {
-            noGraphsSpan.style.display = 'none';
+            this.loadThumbnail(img);
         }
 
-        graphList.forEach(graph => {
-            // aタグでグラフブロック全体をラップ
-            const link = document.createElement('a');
-            link.href = `https://teth-main.github.io/GraPen/?h=${graph.hash}`;
-            link.rel = 'noopener noreferrer';
-            link.className = 'graph-block-link';
-
-            const block = document.createElement('div');
-            block.className = 'graph-block';
-            block.tabIndex = 0;
-            block.dataset.hash = graph.hash;
-            block.innerHTML = `
-                <div class="graph-thumb">
-                    <img src="${graph.thumbnail}" alt="thumb" style="width:100%;height:100%;object-fit:cover;border-radius:8px;">
-                    <span class="graph-hash thumb-hash">${graph.hash}</span>
-                </div>
-                <div class="graph-info">
-                    <div class="graph-title">${graph.title}</div>
-                </div>
-                <button class="graph-delete-btn" title="削除" type="button">
-                    <i class="material-symbols-rounded" aria-hidden="true">delete</i>
-                    <span class="sr-only">削除</span>
-                </button>
-                <div class="graph-loading-indicator"></div>
-            `;
-
-            // 削除ボタンのイベントリスナー
-            const deleteBtn = block.querySelector('.graph-delete-btn');
-            deleteBtn.addEventListener('click', (e) => {
+        link.appendChild(block);
+        return link;
+    }
+
+    /**
+     * グラフブロックにタグを表示（クリックでそのタグに絞り込む）
+     * @param {HTMLElement} block
+     * @param {string[]} tags
+     */
+    renderBlockTags(block, tags) {
+        const container = block.querySelector('.graph-tags');
+        container.innerHTML = '';
+        tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'graph-tag';
+            chip.textContent = `#${tag}`;
+            chip.addEventListener('click', (e) => {
                 e.stopPropagation();
                 e.preventDefault(); // aタグ遷移防止
-                this.showDeleteModal(graph.hash);
+                if (!this.filter.tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+                    this.toggleTagFilter(tag);
+                }
             });
+            container.appendChild(chip);
+        });
+    }
 
-            // クリック時のローディングUI
-            block.addEventListener('click', (e) => {
-                // 削除ボタン以外のクリックでローディング
-                if (block.classList.contains('loading')) return;
-                document.querySelectorAll('.graph-block.loading').forEach(b => b.classList.remove('loading'));
-                block.classList.add('loading');
-                setTimeout(() => block.classList.remove('loading'), 1500);
-                // aタグのデフォルト遷移は許可（新規タブ）
-            });
+    /**
+     * タグの編集欄を表示（カンマ区切り、Enterで確定・Escで取り消し）
+     * @param {HTMLElement} block
+     * @param {Object} graph
+     */
+    startTagEdit(block, graph) {
+        if (block.classList.contains('editing-tags')) return;
+        block.classList.add('editing-tags');
+
+        const container = block.querySelector('.graph-tags');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'graph-tag-input';
+        input.value = (graph.tags || []).join(', ');
+        input.dataset.i18nPlaceholder = 'menu.tags_placeholder';
+        input.placeholder = 'タグ（カンマ区切り）';
+        if (this.languageManager) this.languageManager.updateSpecificElement(input);
+        container.innerHTML = '';
+        container.appendChild(input);
+
+        let finished = false;
+        const finish = async (save) => {
+            if (finished) return;
+            finished = true;
+            block.classList.remove('editing-tags');
+            if (save) {
+                try {
+                    graph.tags = await this.graphStorageManager.updateGraphTags(graph.hash, input.value);
+                } catch (error) {
+                    console.error('タグの保存に失敗しました:', error);
+                }
+            }
+            this.renderBlockTags(block, graph.tags || []);
+            if (save) this.renderTagFilter();
+        };
 
-            link.appendChild(block);
-            listElem.appendChild(link);
+        // 入力欄のクリックでリンク先に移動しないようにする
+        input.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                // メニューを閉じないようにする
+                e.stopPropagation();
+                finish(false);
+            }
         });
+        input.addEventListener('blur', () => finish(true));
+        input.focus();
     }
 }
@@ -0,0 +1,286 @@
+import { getPNGBase64 } from '../graph/GraphSaveUtils.js';
+
+/** 履歴が変わってからサムネイルを撮るまでの待ち時間 (ms) */
+const THUMBNAIL_DELAY_MS = 300;
+/** サムネイルの大きさ (px) */
+const THUMBNAIL_SIZE = 64;
+
+/** 一括操作の種類から表示名のキーへの対応（操作の種類と名前が違うもの） */
+const COMPOUND_LABEL_KEYS = {
+    visibility: 'toggleVisibility',
+    move: 'moveCurve'
+};
+
+/**
+ * 履歴パネル
+ * HistoryManager の履歴の木を一覧表示し、項目をクリックするとその状態に移動する
+ * 元に戻してから別の操作をした場合、元の枝は字下げして表示する
+ */
+export class HistoryPanel {
+    constructor(historyManager, graphCalculator, languageManager = null) {
+        this.historyManager = historyManager;
+        this.graphCalculator = graphCalculator;
+        this.languageManager = languageManager;
+        this.thumbnailTimer = null;
+        this.init();
+    }
+
+    init() {
+        this.createPanel();
+        this.setupEventListeners();
+        // 起点（初期状態）のサムネイル
+        this.scheduleThumbnail();
+    }
+
+    createPanel() {
+        const panelHtml = `
+            <aside id="history-panel" class="history-panel" aria-hidden="true">
+                <div class="history-panel-header">
+                    <span class="history-panel-title" data-i18n="history.title">履歴</span>
+                    <button type="button" class="history-panel-close material-symbols-rounded">close</button>
+                </div>
+                <ol class="history-panel-list"></ol>
+            </aside>
+        `;
+        document.body.insertAdjacentHTML('beforeend', panelHtml);
+        this.panel = document.getElementById('history-panel');
+        this.list = this.panel.querySelector('.history-panel-list');
+        this.toggleBtn = document.getElementById('history-panel-btn');
+
+        this.updateLabels();
+    }
+
+    /**
+     * 見出しと閉じるボタンのラベルを現在の言語にする
+     */
+    updateLabels() {
+        if (this.languageManager) {
+            this.languageManager.updateSpecificElement(this.panel.querySelector('.history-panel-title'));
+        }
+        // 閉じるボタンの文字はアイコン名のため、ラベルは aria-label に入れる
+        const closeBtn = this.panel.querySelector('.history-panel-close');
+        const label = this.translate('close', '閉じる');
+        closeBtn.setAttribute('aria-label', label);
+        closeBtn.title = label;
+    }
+
+    setupEventListeners() {
+        if (this.toggleBtn) {
+            this.toggleBtn.addEventListener('click', () => this.toggle());
+        }
+        this.panel.querySelector('.history-panel-close').addEventListener('click', () => this.close());
+
+        // 項目のクリック・Enterでその状態に移動
+        this.list.addEventListener('click', (e) => {
+            const entry = e.target.closest('.history-entry');
+            if (entry) this.jumpTo(Number(entry.dataset.nodeId));
+        });
+        this.list.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            const entry = e.target.closest('.history-entry');
+            if (!entry) return;
+            e.preventDefault();
+            this.jumpTo(Number(entry.dataset.nodeId));
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+
+        document.addEventListener('grapen:history-changed', () => {
+            this.scheduleThumbnail();
+            if (this.isOpen()) this.render();
+        });
+
+        document.addEventListener('languageStateChanged', () => {
+            this.updateLabels();
+            if (this.isOpen()) this.render();
+        });
+    }
+
+    isOpen() {
+        return this.panel.classList.contains('open');
+    }
+
+    open() {
+        this.render();
+        this.panel.classList.add('open');
+        this.panel.setAttribute('aria-hidden', 'false');
+        if (this.toggleBtn) this.toggleBtn.classList.add('active');
+        this.scrollToCurrent();
+    }
+
+    close() {
+        this.panel.classList.remove('open');
+        this.panel.setAttribute('aria-hidden', 'true');
+        if (this.toggleBtn) this.toggleBtn.classList.remove('active');
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * 指定した状態に移動
+     * @param {number} nodeId
+     */
+    jumpTo(nodeId) {
+        if (Number.isNaN(nodeId)) return;
+        this.historyManager.jumpTo(nodeId);
+    }
+
+    /**
+     * 履歴の木を一覧に描画（行きがけ順。2番目以降の子は枝として字下げする）
+     */
+    render() {
+        const { nodes, rootId, currentId } = this.historyManager;
+        const donePath = new Set(this.historyManager.getPathFromRoot(currentId));
+        const redoPath = new Set();
+        for (let id = nodes.get(currentId).next; id !== null; id = nodes.get(id).next) {
+            redoPath.add(id);
+        }
+
+        const fragment = document.createDocumentFragment();
+        const stack = [{ id: rootId, level: 0 }];
+        while (stack.length) {
+            const { id, level } = stack.pop();
+            const node = nodes.get(id);
+
+            let state = 'is-branch';
+            if (id === currentId) state = 'is-current';
+            else if (donePath.has(id)) state = 'is-done';
+            else if (redoPath.has(id)) state = 'is-redo';
+            fragment.appendChild(this.createEntry(node, level, state));
+
+            // 先頭の子が上に来るよう逆順に積む
+            for (let i = node.children.length - 1; i >= 0; i--) {
+                stack.push({ id: node.children[i], level: i === 0 ? level : level + 1 });
+            }
+        }
+
+        this.list.innerHTML = '';
+        this.list.appendChild(fragment);
+    }
+
+    /**
+     * 一覧の項目を作成
+     * @param {Object} node - 履歴の状態
+     * @param {number} level - 枝の深さ
+     * @param {string} state - is-current / is-done / is-redo / is-branch
+     * @returns {HTMLLIElement}
+     */
+    createEntry(node, level, state) {
+        const entry = document.createElement('li');
+        entry.className = `history-entry ${state}`;
+        entry.dataset.nodeId = String(node.id);
+        entry.tabIndex = 0;
+        entry.style.setProperty('--branch-level', String(level));
+        if (state === 'is-current') entry.setAttribute('aria-current', 'step');
+
+        const thumb = document.createElement('span');
+        thumb.className = 'history-entry-thumb';
+        if (node.thumbnail) {
+            const img = document.createElement('img');
+            img.src = node.thumbnail;
+            img.alt = '';
+            thumb.appendChild(img);
+        } else {
+            const icon = document.createElement('i');
+            icon.className = 'material-symbols-rounded';
+            icon.textContent = node.parent === null ? 'flag' : 'gesture';
+            thumb.appendChild(icon);
+        }
+
+        const label = document.createElement('span');
+        label.className = 'history-entry-label';
+        label.textContent = this.getActionLabel(node);
+
+        const time = document.createElement('span');
+        time.className = 'history-entry-time';
+        time.textContent = node.time ? this.formatTime(node.time) : '';
+
+        entry.append(thumb, label, time);
+        return entry;
+    }
+
+    /**
+     * 操作の表示名
+     * @param {Object} node
+     * @returns {string}
+     */
+    getActionLabel(node) {
+        const action = node.action;
+        if (!action) return this.translate('history.initial', '初期状態');
+
+        if (action.type === 'compound') {
+            if (action.label) return action.label;
+            const operation = COMPOUND_LABEL_KEYS[action.operation] || action.operation;
+            const name = operation
+                ? this.translate(`history.action.${operation}`, null)
+                : null;
+            const count = Array.isArray(action.actions) ? action.actions.length : 0;
+            return `${name || this.translate('history.action.compound', '一括操作')} ×${count}`;
+        }
+        return this.translate(`history.action.${action.type}`, action.type);
+    }
+
+    /**
+     * @param {string} key
+     * @param {string|null} fallback
+     */
+    translate(key, fallback) {
+        const lm = this.languageManager;
+        const lang = lm ? lm.currentLang : null;
+        return (lm && lm.translations && lm.translations[lang] && lm.translations[lang][key]) || fallback;
+    }
+
+    formatTime(time) {
+        const lang = this.languageManager ? this.languageManager.currentLang : undefined;
+        return new Date(time).toLocaleTimeString(lang, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    scrollToCurrent() {
+        const current = this.list.querySelector('.history-entry.is-current');
+        if (current && typeof current.scrollIntoView === 'function') {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * 現在の状態のサムネイルを少し待ってから撮る（連続した操作では最後の状態だけ撮る）
+     */
+    scheduleThumbnail() {
+        clearTimeout(this.thumbnailTimer);
+        this.thumbnailTimer = setTimeout(() => this.captureThumbnail(), THUMBNAIL_DELAY_MS);
+    }
+
+    async captureThumbnail() {
+        const nodeId = this.historyManager.currentId;
+        const node = this.historyManager.nodes.get(nodeId);
+        // 同じ状態は同じ見た目になるため、一度撮れば十分
+        if (!node || node.thumbnail || !this.graphCalculator) return;
+
+        try {
+            // SVG の複製は呼び出し時に行われるため、撮影中に状態が変わっても nodeId の状態が写る
+            const thumbnail = await getPNGBase64(this.graphCalculator, THUMBNAIL_SIZE, THUMBNAIL_SIZE, 0.6);
+            if (!thumbnail) return;
+            this.historyManager.setNodeThumbnail(nodeId, thumbnail);
+
+            const thumb = this.list.querySelector(`.history-entry[data-node-id="${nodeId}"] .history-entry-thumb`);
+            if (thumb) {
+                const img = document.createElement('img');
+                img.src = thumbnail;
+                img.alt = '';
+                thumb.replaceChildren(img);
+            }
+        } catch (e) {
+            console.warn('履歴のサムネイル作成に失敗:', e);
+        }
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Raster Trace Manager Class
+ * PNG/JPEGの線画をトレースし、プレビューを確認してから曲線として取り込む
+ */
+import { loadRasterImage, traceRasterImage, mapTracedPolylines } from '../util/RasterTraceUtil.js';
+
+const OVERLAY_ID = 'raster-trace';
+
+export class RasterTraceManager {
+    constructor(graphCalculator, uiManager, languageManager = null) {
+        this.graphCalculator = graphCalculator;
+        this.uiManager = uiManager;
+        this.languageManager = languageManager;
+        this.panel = null;
+        this.isOpen = false;
+
+        // トレース対象の画像と、画像を配置する表示範囲
+        this.image = null;
+        this.domain = null;
+        // プレビュー中の点列（ドメイン座標）
+        this.polylines = [];
+        this.options = {
+            threshold: 128,
+            mode: 'centerline'
+        };
+        this._previewFrame = null;
+    }
+
+    /**
+     * 画像ファイルを選択してトレースを開始する
+     */
+    start() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'image/png,image/jpeg';
+        fileInput.style.display = 'none';
+        document.body.appendChild(fileInput);
+
+        fileInput.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            document.body.removeChild(fileInput);
+            if (!file) return;
+
+            try {
+                this.image = await loadRasterImage(file);
+                this.domain = this.graphCalculator.getDomain();
+                this.showPanel();
+                this.updatePreview();
+            } catch (error) {
+                console.error('画像の読み込みに失敗しました:', error);
+                alert('画像の読み込みに失敗しました。PNGまたはJPEGファイルを選択してください。');
+            }
+        });
+
+        fileInput.click();
+    }
+
+    /**
+     * トレース設定パネルのHTML構造を作成
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'raster-trace-panel';
+        panel.className = 'settings-panel';
+        panel.style.position = 'fixed';
+        panel.style.top = '80px';
+        panel.style.right = '20px';
+
+        panel.innerHTML = `
+      <div class="settings-header">
+        <i class="material-symbols-rounded">image_search</i>
+        <span><strong data-i18n="raster_trace.title">画像をトレース</strong></span>
+        <button id="close-raster-trace" class="close-btn">&times;</button>
+      </div>
+      <div class="settings-body">
+        <div class="settings-item">
+          <label for="raster-trace-mode" data-i18n="raster_trace.mode">トレース方法</label>
+          <select id="raster-trace-mode">
+            <option value="centerline" data-i18n="raster_trace.mode_centerline">中心線</option>
+            <option value="outline" data-i18n="raster_trace.mode_outline">輪郭</option>
+          </select>
+        </div>
+        <div class="settings-item">
+          <label for="raster-trace-threshold" data-i18n="raster_trace.threshold">しきい値</label>
+          <input type="range" id="raster-trace-threshold" min="1" max="254" step="1">
+          <span id="raster-trace-threshold-value"></span>
+        </div>
+        <div class="settings-item">
+          <span data-i18n="raster_trace.count">検出した線</span>: <span id="raster-trace-count">0</span>
+        </div>
+        <hr class="settings-divider">
+        <div class="settings-item export-item">
+          <button id="raster-trace-apply" class="export-btn import-btn">
+            <i class="material-symbols-rounded">check</i>
+            <span data-i18n="raster_trace.apply">取り込む</span>
+          </button>
+        </div>
+        <div class="settings-item export-item">
+          <button id="raster-trace-cancel" class="export-btn">
+            <i class="material-symbols-rounded">close</i>
+            <span data-i18n="raster_trace.cancel">キャンセル</span>
+          </button>
+        </div>
+      </div>
+    `;
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+
+        if (this.languageManager) {
+            panel.querySelectorAll('[data-i18n]').forEach(el => this.languageManager.updateSpecificElement(el));
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        const modeSelect = this.panel.querySelector('#raster-trace-mode');
+        modeSelect.value = this.options.mode;
+        modeSelect.addEventListener('change', () => {
+            this.options.mode = modeSelect.value;
+            this.schedulePreview();
+        });
+
+        const thresholdSlider = this.panel.querySelector('#raster-trace-threshold');
+        const thresholdValue = this.panel.querySelector('#raster-trace-threshold-value');
+        thresholdSlider.value = this.options.threshold;
+        thresholdValue.textContent = this.options.threshold;
+        thresholdSlider.addEventListener('input', () => {
+            this.options.threshold = Number(thresholdSlider.value);
+            thresholdValue.textContent = thresholdSlider.value;
+            this.schedulePreview();
+        });
+
+        this.panel.querySelector('#raster-trace-apply').addEventListener('click', () => this.apply());
+        this.panel.querySelector('#raster-trace-cancel').addEventListener('click', () => this.close());
+        this.panel.querySelector('#close-raster-trace').addEventListener('click', () => this.close());
+
+        // escキーでキャンセル
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen && e.key === 'Escape') {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * パネルを表示
+     */
+    showPanel() {
+        if (!this.panel) {
+            this.createPanel();
+        }
+        this.panel.classList.add('visible');
+        this.isOpen = true;
+    }
+
+    /**
+     * スライダー操作中は描画フレームごとに1回だけトレースし直す
+     */
+    schedulePreview() {
+        if (this._previewFrame !== null) return;
+        this._previewFrame = requestAnimationFrame(() => {
+            this._previewFrame = null;
+            this.updatePreview();
+        });
+    }
+
+    /**
+     * 現在の設定でトレースし、結果をグラフ上にプレビュー表示する
+     */
+    updatePreview() {
+        if (!this.image || !this.domain) return;
+
+        const traced = traceRasterImage(this.image, this.options);
+        this.polylines = mapTracedPolylines(traced, this.image, this.domain);
+        this.graphCalculator.setOverlay(OVERLAY_ID, this.polylines, { color: '#e91e63', width: 2, opacity: 0.8 });
+
+        const count = this.panel && this.panel.querySelector('#raster-trace-count');
+        if (count) count.textContent = this.polylines.length;
+    }
+
+    /**
+     * プレビュー中の点列を曲線として取り込む
+     * 拡張モードでは選択的曲線近似を優先し、それ以外は手書きの曲線と同じ近似器の選択に従う
+     */
+    apply() {
+        const items = this.polylines.map(points => ({ kind: 'points', points }));
+        const useAdvancedMode = this.uiManager.advancedModeManager.isAdvancedModeEnabled();
+        this.close();
+
+        if (items.length === 0) return;
+        this.uiManager.addImportedCurveItems(items, {
+            preferredApproximator: useAdvancedMode ? 'selectiveHybrid' : null
+        });
+    }
+
+    /**
+     * プレビューを消してパネルを閉じる
+     */
+    close() {
+        if (this._previewFrame !== null) {
+            cancelAnimationFrame(this._previewFrame);
+            this._previewFrame = null;
+        }
+        this.graphCalculator.removeOverlay(OVERLAY_ID);
+        if (this.panel) {
+            this.panel.classList.remove('visible');
+        }
+        this.isOpen = false;
+        this.image = null;
+        this.domain = null;
+        this.polylines = [];
+    }
+}
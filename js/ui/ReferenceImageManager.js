@@ -0,0 +1,248 @@
+/**
+ * Reference Image Manager Class
+ * グリッドの下に表示するトレース用の参照画像を管理
+ */
+
+/** 保存データに埋め込む画像の長辺の最大画素数（これを超える場合は縮小して再エンコードする） */
+const MAX_EMBED_SIZE = 1600;
+
+export class ReferenceImageManager {
+    constructor(graphCalculator, languageManager = null) {
+        this.graphCalculator = graphCalculator;
+        this.languageManager = languageManager;
+        this.panel = null;
+        this.isOpen = false;
+    }
+
+    /**
+     * 参照画像パネルを作成
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'reference-image-panel';
+        panel.className = 'settings-panel';
+        panel.style.position = 'fixed';
+        panel.style.top = '80px';
+        panel.style.right = '20px';
+
+        panel.innerHTML = `
+      <div class="settings-header">
+        <i class="material-symbols-rounded">wallpaper</i>
+        <span><strong data-i18n="reference_image.title">背景画像</strong></span>
+        <button id="close-reference-image" class="close-btn">&times;</button>
+      </div>
+      <div class="settings-body">
+        <div class="settings-item export-item">
+          <button id="reference-image-load" class="export-btn import-btn">
+            <i class="material-symbols-rounded">add_photo_alternate</i>
+            <span data-i18n="reference_image.load">画像を読み込む</span>
+          </button>
+        </div>
+        <div id="reference-image-controls">
+          <div class="settings-item">
+            <label for="reference-image-x">x</label>
+            <input type="number" id="reference-image-x" step="any" data-key="x">
+            <label for="reference-image-y">y</label>
+            <input type="number" id="reference-image-y" step="any" data-key="y">
+          </div>
+          <div class="settings-item">
+            <label for="reference-image-width" data-i18n="reference_image.width">幅</label>
+            <input type="number" id="reference-image-width" step="any" min="0" data-key="width">
+          </div>
+          <div class="settings-item">
+            <label for="reference-image-rotation" data-i18n="reference_image.rotation">回転</label>
+            <input type="range" id="reference-image-rotation" min="-180" max="180" step="1" data-key="rotation">
+          </div>
+          <div class="settings-item">
+            <label for="reference-image-opacity" data-i18n="reference_image.opacity">不透明度</label>
+            <input type="range" id="reference-image-opacity" min="0" max="1" step="0.05" data-key="opacity">
+          </div>
+          <div class="settings-item">
+            <label class="settings-checkbox">
+              <input type="checkbox" id="reference-image-visible" data-key="visible">
+              <span class="checkbox-custom"></span>
+              <i class="material-symbols-rounded">visibility</i>
+              <span data-i18n="reference_image.visible">表示する</span>
+            </label>
+          </div>
+          <div class="settings-item">
+            <label class="settings-checkbox">
+              <input type="checkbox" id="reference-image-export" data-key="includeInExport">
+              <span class="checkbox-custom"></span>
+              <i class="material-symbols-rounded">download</i>
+              <span data-i18n="reference_image.include_in_export">SVG/PNG出力に含める</span>
+            </label>
+          </div>
+          <hr class="settings-divider">
+          <div class="settings-item export-item">
+            <button id="reference-image-remove" class="export-btn">
+              <i class="material-symbols-rounded">delete</i>
+              <span data-i18n="reference_image.remove">画像を削除</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+
+        if (this.languageManager) {
+            panel.querySelectorAll('[data-i18n]').forEach(el => this.languageManager.updateSpecificElement(el));
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        this.panel.querySelector('#close-reference-image').addEventListener('click', () => this.hidePanel());
+        this.panel.querySelector('#reference-image-load').addEventListener('click', () => this.selectImage());
+        this.panel.querySelector('#reference-image-remove').addEventListener('click', () => {
+            this.graphCalculator.removeReferenceImage();
+            this.syncControls();
+        });
+
+        // 各入力は data-key のプロパティをそのまま更新する
+        this.panel.querySelectorAll('#reference-image-controls input[data-key]').forEach(input => {
+            const eventName = input.type === 'checkbox' ? 'change' : 'input';
+            input.addEventListener(eventName, () => {
+                const value = input.type === 'checkbox' ? input.checked : Number(input.value);
+                if (input.type !== 'checkbox' && !Number.isFinite(value)) return;
+                this.graphCalculator.updateReferenceImage({ [input.dataset.key]: value });
+            });
+        });
+
+        // escキーでパネルを閉じる
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen && e.key === 'Escape') {
+                this.hidePanel();
+            }
+        });
+    }
+
+    /**
+     * 画像ファイルを選択して参照画像に設定する
+     */
+    selectImage() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'image/*';
+        fileInput.style.display = 'none';
+        document.body.appendChild(fileInput);
+
+        fileInput.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            document.body.removeChild(fileInput);
+            if (!file) return;
+
+            try {
+                const { href, aspectRatio } = await readImageAsDataURL(file);
+                const current = this.graphCalculator.getReferenceImage();
+                // 画像を差し替える場合は位置・回転などを引き継ぐ
+                if (current) {
+                    this.graphCalculator.updateReferenceImage({ href, aspectRatio });
+                } else {
+                    this.graphCalculator.setReferenceImage(href, { aspectRatio });
+                }
+                this.syncControls();
+            } catch (error) {
+                console.error('参照画像の読み込みに失敗しました:', error);
+                alert('画像の読み込みに失敗しました。');
+            }
+        });
+
+        fileInput.click();
+    }
+
+    /**
+     * 入力欄を現在の参照画像の状態に合わせる
+     */
+    syncControls() {
+        if (!this.panel) return;
+        const state = this.graphCalculator.getReferenceImage();
+        const controls = this.panel.querySelector('#reference-image-controls');
+        controls.classList.toggle('disabled-section', !state);
+        if (!state) return;
+
+        controls.querySelectorAll('input[data-key]').forEach(input => {
+            const value = state[input.dataset.key];
+            if (input.type === 'checkbox') {
+                input.checked = !!value;
+            } else {
+                input.value = Number.isFinite(value) ? Math.round(value * 1000) / 1000 : '';
+            }
+        });
+    }
+
+    /**
+     * パネルを表示
+     */
+    showPanel() {
+        if (!this.panel) {
+            this.createPanel();
+        }
+        this.syncControls();
+        this.panel.classList.add('visible');
+        this.isOpen = true;
+    }
+
+    /**
+     * パネルを非表示
+     */
+    hidePanel() {
+        if (this.panel) {
+            this.panel.classList.remove('visible');
+        }
+        this.isOpen = false;
+    }
+
+    /**
+     * パネルの表示状態を切り替え
+     */
+    togglePanel() {
+        if (this.isOpen) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+}
+
+/**
+ * 画像ファイルをデータURLとして読み込む（大きい画像は縮小して再エンコードする）
+ * @private
+ * @param {File} file - 画像ファイル
+ * @returns {Promise<{href: string, aspectRatio: number}>}
+ */
+function readImageAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onerror = () => reject(new Error('ファイルの読み込みに失敗しました'));
+        reader.onload = () => {
+            const dataUrl = reader.result;
+            const img = new Image();
+            img.onerror = () => reject(new Error('画像を解析できませんでした'));
+            img.onload = () => {
+                const { naturalWidth: width, naturalHeight: height } = img;
+                const aspectRatio = height / width;
+                const scale = MAX_EMBED_SIZE / Math.max(width, height);
+                if (scale >= 1) {
+                    resolve({ href: dataUrl, aspectRatio });
+                    return;
+                }
+
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+                resolve({ href: canvas.toDataURL(type, 0.85), aspectRatio });
+            };
+            img.src = dataUrl;
+        };
+        reader.readAsDataURL(file);
+    });
+}
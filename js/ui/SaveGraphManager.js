@@ -1,4 +1,5 @@
 import { saveToPNG, saveToJSON, getPNGBase64, getJSONDataString } from '../graph/GraphSaveUtils.js';
+import { normalizeTags } from '../storage/GraphStorageManager.js';
 
 export class SaveGraphManager {
     constructor(graphCalculator, graphStorageManager, languageManager) {
@@ -69,6 +70,11 @@ export class SaveGraphManager {
                                data-i18n-placeholder="save_graph.title_placeholder"
                                placeholder="グラフのタイトルを入力">
                     </div>
+                    <div class="save-graph-field">
+                        <input type="text" id="graph-tags" class="save-graph-input"
+                               data-i18n-placeholder="save_graph.tags_placeholder"
+                               placeholder="タグ（カンマ区切り・任意）">
+                    </div>
                     <div class="save-graph-notice">
                         <small data-i18n="menu.save_notice">注意：保存直後はデータが一時保存されており、まだ確定していません。</small>
                     </div>
@@ -83,6 +89,7 @@ export class SaveGraphManager {
         this.modal = document.querySelector('.save-graph-modal');
         this.overlay = document.querySelector('.modal-overlay');
         this.input = this.modal.querySelector('#graph-title');
+        this.tagsInput = this.modal.querySelector('#graph-tags');
         this.saveBtn = this.modal.querySelector('.save-btn');
     }
 
@@ -120,13 +127,14 @@ export class SaveGraphManager {
         }
 
         // Enter キーでの保存
-        if (this.input) {
-            this.input.addEventListener('keypress', (e) => {
+        [this.input, this.tagsInput].forEach(input => {
+            if (!input) return;
+            input.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') {
                     this.saveGraph();
                 }
             });
-        }
+        });
     }
 
     showModal() {
@@ -134,6 +142,7 @@ export class SaveGraphManager {
             this.modal.classList.add('open');
             this.overlay.classList.add('open');
             this.input.value = '';
+            if (this.tagsInput) this.tagsInput.value = '';
             this.input.focus();
             this.isOpen = true;
         }
@@ -147,6 +156,19 @@ export class SaveGraphManager {
         }
     }
 
+    /**
+     * エラーや警告を表示（AlertModal が無い場合は alert）
+     * @private
+     */
+    _showAlert(message, i18nKey, type = 'error') {
+        const uiManager = this.historyManager ? this.historyManager.uiManager : null;
+        if (uiManager && uiManager.alertModal) {
+            uiManager.alertModal.show(message, { type, position: 'center-top', i18nKey });
+        } else {
+            alert(message);
+        }
+    }
+
     generateHash() {
         // 10文字のランダムな英数字を生成
         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
@@ -193,54 +215,45 @@ export class SaveGraphManager {
                 settings = this.historyManager.uiManager.settingsManager.settings;
             }
 
+            // 開き直したときに続けて元に戻せるよう、履歴も一緒に保存
+            const history = this.historyManager ? this.historyManager.serializeHistoryTree() : null;
+
             // 完全な復元に必要なデータを含むJSONを生成
-            json = getJSONDataString(this.graphCalculator, settings, curveData);
+            json = getJSONDataString(this.graphCalculator, settings, curveData, history);
         }
 
         const graphData = {
             timestamp,
             hash,
             title,
+            tags: normalizeTags(this.tagsInput ? this.tagsInput.value : ''),
             thumbnail,
             json
         };
 
-        const GAS_ENDPOINT = 'https://script.google.com/macros/s/AKfycbz3jWTDf04HsPngELM5MgISbT2F-zPtbiCzpA2mRCBIBHoFv6IeR0H9reohvzZodKez-g/exec';
-
+        let remoteSaved = true;
         try {
-            // フォームPOSTで送信（CORS回避）
-            const form = document.createElement('form');
-            form.method = 'POST';
-            form.action = GAS_ENDPOINT;
-            form.target = 'hidden-iframe-for-gas';
-
-            const input = document.createElement('input');
-            input.type = 'hidden';
-            input.name = 'data';
-            input.value = JSON.stringify(graphData);
-            form.appendChild(input);
-
-            let iframe = document.getElementById('hidden-iframe-for-gas');
-            if (!iframe) {
-                iframe = document.createElement('iframe');
-                iframe.style.display = 'none';
-                iframe.name = 'hidden-iframe-for-gas';
-                iframe.id = 'hidden-iframe-for-gas';
-                document.body.appendChild(iframe);
-            }
-
-            document.body.appendChild(form);
-            form.submit();
-            document.body.removeChild(form);
-
-            // 送信後すぐに次の処理（レスポンスは取得できない）
+            remoteSaved = await this.graphStorageManager.addGraph(graphData);
         } catch (e) {
-            console.error("Error saving graph: ", e);
+            // 容量超過などでローカルに保存できなかった場合は知らせる（モーダルは開いたままにする）
+            console.error('グラフの保存に失敗しました:', e);
+            if (e && e.name === 'QuotaExceededError') {
+                this._showAlert('保存容量が不足しているため、グラフを保存できませんでした。不要なグラフを削除してください。', 'save_graph.quota_exceeded');
+            } else {
+                this._showAlert('グラフの保存に失敗しました。', 'save_graph.failed');
+            }
             return;
         }
-
-        this.graphStorageManager.addGraph(graphData);
         this.hideModal();
+        if (!remoteSaved) {
+            // 端末には保存できているため保存済みとして扱い、保存先に送れなかったことだけ知らせる
+            this._showAlert('この端末には保存しましたが、保存先への保存に失敗しました。グラフが大きすぎる可能性があります。', 'save_graph.remote_failed', 'warning');
+        }
+
+        // 保存したグラフは自動保存からの復元の対象外にする
+        if (this.historyManager && this.historyManager.autosaveManager) {
+            this.historyManager.autosaveManager.markSaved();
+        }
 
         // ヘッダーのタイトル表示を更新
         const titleDisplay = document.getElementById('graph-title-display');
@@ -253,7 +266,7 @@ export class SaveGraphManager {
         document.title = `${title} - GraPen`;
         // ブラウザのurlも更新
         if (history && history.replaceState) {
-            history.replaceState(null, null, `?hash=${hash}`);
+            history.replaceState(null, null, this.graphStorageManager.getGraphQuery(hash));
         }
 
         // 保存後は保存ボタンを無効化
@@ -2,7 +2,8 @@
  * Settings Manager Class
  * グラフ表示設定と環境設定を管理
  */
-import { importJSONFile, loadFromJSON } from '../graph/GraphSaveUtils.js';
+import { importJSONFile, importDesmosFile, importSVGFile, loadFromJSON } from '../graph/GraphSaveUtils.js';
+import { migrateSaveData, validateSaveData, formatSaveDataErrors } from '../graph/GraphSaveSchema.js';
 
 export class SettingsManager {
     constructor(graphCalculator, curveManager = null, historyManager = null, approximatorManager = null) {
@@ -152,6 +153,30 @@ export class SettingsManager {
                     <span data-i18n="settings_panel.import_json">JSONをインポート</span>
                     </button>
                 </div>
+                <div class="settings-item">
+                    <button id="import-desmos-btn" class="export-btn import-btn">
+                    <i class="material-symbols-rounded">function</i>
+                    <span data-i18n="settings_panel.import_desmos">Desmosをインポート</span>
+                    </button>
+                </div>
+                <div class="settings-item">
+                    <button id="import-svg-btn" class="export-btn import-btn">
+                    <i class="material-symbols-rounded">shape_line</i>
+                    <span data-i18n="settings_panel.import_svg">SVGをインポート</span>
+                    </button>
+                </div>
+                <div class="settings-item">
+                    <button id="import-image-btn" class="export-btn import-btn">
+                    <i class="material-symbols-rounded">image_search</i>
+                    <span data-i18n="settings_panel.import_image">画像をトレース</span>
+                    </button>
+                </div>
+                <div class="settings-item">
+                    <button id="reference-image-btn" class="export-btn import-btn">
+                    <i class="material-symbols-rounded">wallpaper</i>
+                    <span data-i18n="settings_panel.reference_image">背景画像</span>
+                    </button>
+                </div>
             </div>
             `;
 
@@ -364,6 +389,60 @@ export class SettingsManager {
             });
         }
 
+        // Desmosインポートボタン
+        const importDesmosBtn = document.getElementById('import-desmos-btn');
+        if (importDesmosBtn) {
+            importDesmosBtn.addEventListener('click', () => {
+                if (this.graphCalculator) {
+                    this.importDesmos();
+                } else {
+                    console.error('グラフ計算機が初期化されていません');
+                }
+                this.hidePanel();
+            });
+        }
+
+        // SVGインポートボタン
+        const importSvgBtn = document.getElementById('import-svg-btn');
+        if (importSvgBtn) {
+            importSvgBtn.addEventListener('click', () => {
+                if (this.graphCalculator) {
+                    this.importSVG();
+                } else {
+                    console.error('グラフ計算機が初期化されていません');
+                }
+                this.hidePanel();
+            });
+        }
+
+        // 画像トレースボタン
+        const importImageBtn = document.getElementById('import-image-btn');
+        if (importImageBtn) {
+            importImageBtn.addEventListener('click', () => {
+                const uiManager = this.curveManager ? this.curveManager.uiManager : null;
+                if (uiManager && uiManager.rasterTraceManager) {
+                    uiManager.rasterTraceManager.start();
+                } else {
+                    console.error('UIManagerが初期化されていません');
+                }
+                this.hidePanel();
+            });
+        }
+
+        // 背景画像ボタン
+        const referenceImageBtn = document.getElementById('reference-image-btn');
+        if (referenceImageBtn) {
+            referenceImageBtn.addEventListener('click', () => {
+                const uiManager = this.curveManager ? this.curveManager.uiManager : null;
+                if (uiManager && uiManager.referenceImageManager) {
+                    uiManager.referenceImageManager.showPanel();
+                } else {
+                    console.error('UIManagerが初期化されていません');
+                }
+                this.hidePanel();
+            });
+        }
+
         // ドメイン範囲入力のイベントリスナー
         const xMinInput = document.getElementById('x-min-input');
         const xMaxInput = document.getElementById('x-max-input');
@@ -528,8 +607,8 @@ export class SettingsManager {
                 const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
                 console.log('JSONデータを読み込みました:', data);
 
-                // グラフデータのロード処理を実行
-                this.loadGraphFromJSON(data);
+                // 置き換えか追加かを選んでから読み込む
+                this.importGraphData(data);
             } catch (error) {
                 console.error('JSONデータの処理中にエラーが発生しました:', error);
                 console.log('エラーが発生したJSONデータ:', jsonData);
@@ -538,19 +617,99 @@ export class SettingsManager {
         });
     }
 
+    /**
+     * GraPen JSON のグラフデータを読み込む（ファイル選択・貼り付け・ドロップ共通）
+     * 既に曲線がある場合は、現在のグラフを置き換えるか曲線を追加するかを選択してもらう
+     * @param {Object} data - グラフデータ
+     * @returns {Promise<boolean>} 読み込んだかどうか（キャンセル時は false）
+     */
+    async importGraphData(data) {
+        // 形式が正しくないファイルは、どこが問題かを示して読み込まない
+        const { errors } = validateSaveData(migrateSaveData(data).data);
+        if (errors.length > 0) {
+            alert(`グラフデータの形式が正しくないため読み込めませんでした。\n\n${formatSaveDataErrors(errors)}`);
+            return false;
+        }
+
+        const uiManager = this.curveManager ? this.curveManager.uiManager : null;
+        const hasCurves = this.curveManager && this.curveManager.curves.some(Boolean);
+
+        let mode = 'replace';
+        if (hasCurves && uiManager) {
+            mode = await uiManager.askImportMode();
+            if (!mode) return false;
+        }
+
+        const success = await this.loadGraphFromJSON(data, true, { mode });
+        if (!success) {
+            alert('グラフデータの読み込みに失敗しました。');
+        }
+        return success;
+    }
+
+    /**
+     * DesmosのグラフJSONファイルをインポートする
+     * 未対応の式は読み込まずに一覧で通知する
+     */
+    importDesmos() {
+        const domain = this.graphCalculator ? this.graphCalculator.getDomain() : null;
+        importDesmosFile(async (data, report) => {
+            console.log('Desmosデータを変換しました:', report);
+
+            if (data.curves.length > 0) {
+                const success = await this.loadGraphFromJSON(data);
+                if (!success) {
+                    alert('グラフデータの読み込みに失敗しました。');
+                    return;
+                }
+            }
+
+            if (report.unsupported.length > 0) {
+                const lines = report.unsupported.map(entry => `・${entry.latex || entry.id}: ${entry.reason}`);
+                alert(`${report.imported} / ${report.total} 件の式を読み込みました。\n以下の式は未対応のため読み込めませんでした。\n\n${lines.join('\n')}`);
+            }
+        }, { domain });
+    }
+
+    /**
+     * SVGファイルをインポートする
+     * 現在のグラフに曲線として追加する（既存の曲線は残す）
+     */
+    importSVG() {
+        const uiManager = this.curveManager ? this.curveManager.uiManager : null;
+        if (!uiManager) {
+            console.error('UIManagerが初期化されていません');
+            return;
+        }
+
+        importSVGFile((items) => {
+            if (items.length === 0) {
+                alert('SVGファイルに読み込める図形がありませんでした。');
+                return;
+            }
+            uiManager.addImportedCurveItems(items);
+        }, { domain: this.graphCalculator.getDomain() });
+    }
+
     /**
      * JSON形式のデータからグラフを復元する
      * URLハッシュパラメータや外部ファイルからの読み込みで利用可能
      * @param {Object} jsonData - JSONデータオブジェクト
-     * @param {boolean} resetHistory - 履歴をリセットするかどうか
+     * @param {boolean} resetHistory - 履歴をリセットするかどうか（置き換え時のみ）
+     * @param {Object} [options]
+     * @param {'replace'|'merge'} [options.mode='replace'] - 'replace': 現在のグラフを置き換える / 'merge': 現在のグラフに曲線を追加する
      * @returns {Promise<boolean>} 復元に成功したかどうか
      */
-    async loadGraphFromJSON(jsonData, resetHistory = true) {
+    async loadGraphFromJSON(jsonData, resetHistory = true, options = {}) {
         if (!jsonData) {
             console.error('JSONデータが空です');
             return false;
         }
 
+        if (options.mode === 'merge') {
+            return this._mergeGraphFromJSON(jsonData);
+        }
+
         try {
             // GraphCalculatorのステートを復元
             const result = loadFromJSON(this.graphCalculator, jsonData,
@@ -571,6 +730,11 @@ export class SettingsManager {
                 // UIManagerがアクセス可能な場合は設定も更新
                 if (this.curveManager.uiManager) {
                     this.curveManager.uiManager.settings.nextCurveId = 0;
+
+                    // 描画の記録は置き換える前のグラフのものなので破棄する
+                    const { strokeReplayManager, strokeRecorder } = this.curveManager.uiManager;
+                    if (strokeReplayManager) strokeReplayManager.stop();
+                    if (strokeRecorder) strokeRecorder.clear();
                 }
 
                 // 復元された曲線データを処理
@@ -579,54 +743,7 @@ export class SettingsManager {
                     if (curveData.id && curveData.id.toString().startsWith('emphasis-')) {
                         return;
                     }
-
-                    // 曲線データから必要な情報を取得
-                    const curveId = this.curveManager.uiManager ?
-                        this.curveManager.uiManager.settings.nextCurveId++ :
-                        this.curveManager.curves.length;
-
-                    const color = curveData.color || '#000';
-                    const width = curveData.width || 4;
-                    const latexEquations = curveData.latexEquations || [];
-                    const knotPoints = curveData.knotPoints || [];
-                    const isHidden = curveData.isHidden !== undefined ? curveData.isHidden : (curveData.visibility === false);
-                    const isDetailShown = !!curveData.isDetailShown;
-                    const graphCurve = curveData.graphCurve;
-                    const svgPath = d3.select(graphCurve.path);
-                    const preKnots = curveData.preKnots || [];
-                    const minKnots = curveData.minKnots || 2;
-                    const maxKnots = curveData.maxKnots || 10;
-                    const originalPoints = curveData.originalPoints || [];
-
-                    // 曲線タイプ（不明な場合は'parametric'）
-                    const type = curveData.type || 'parametric';
-
-                    // CurveManagerに曲線を追加
-                    this.curveManager.addCurve({
-                        id: curveId,
-                        type: type,
-                        path: svgPath,
-                        color: color,
-                        size: width,
-                        graphCurve: graphCurve,
-                        latexEquations: latexEquations,
-                        approximatorSettings: {},
-                        preKnots: preKnots,
-                        minKnots: minKnots,
-                        maxKnots: maxKnots,
-                        originalPoints: originalPoints
-                    });
-
-                    // 節点データを保存
-                    if (knotPoints && Array.isArray(knotPoints)) {
-                        this.curveManager.curves[curveId].knotPoints = knotPoints;
-                    }
-
-                    // 表示/非表示状態を設定
-                    this.curveManager.setCurveVisibility(curveId, !isHidden);
-
-                    // 詳細表示状態を設定
-                    this.curveManager.setCurveDetailState(curveId, isDetailShown);
+                    this._addRestoredCurve(curveData);
                 });
 
                 // 曲線リストのUIを更新
@@ -635,13 +752,18 @@ export class SettingsManager {
                 // 履歴をリセットするオプションが有効な場合
                 if (resetHistory && this.historyManager && this.curveManager.uiManager) {
                     // 履歴をリセット（復元されたグラフは初期状態として扱う）
-                    this.historyManager.undoStack = [];
-                    this.historyManager.redoStack = [];
+                    this.historyManager.clear();
+
+                    // グラフと一緒に保存された履歴があれば、続けて元に戻せるよう復元する
+                    if (result.history) {
+                        this.historyManager.restoreHistoryTree(result.history);
+                    }
 
                     // UIManagerに状態更新を通知
                     this.curveManager.uiManager.updateHistoryButtons();
                 }
 
+                this._reportLoadNotes(result);
                 return true;
             } else {
                 console.error('JSONからの復元に失敗しました:', result);
@@ -653,6 +775,145 @@ export class SettingsManager {
         }
     }
 
+    /**
+     * JSON形式のグラフの曲線を現在のグラフに追加する
+     * 曲線には nextCurveId から新しいIDを割り当て、表示範囲や設定は現在のものを維持する
+     * 追加した曲線はまとめて1つの 'import' 履歴として記録する
+     * @private
+     * @param {Object|string} jsonData - JSONデータ
+     * @returns {boolean} 追加に成功したかどうか
+     */
+    _mergeGraphFromJSON(jsonData) {
+        const uiManager = this.curveManager ? this.curveManager.uiManager : null;
+        if (!uiManager) {
+            console.error('UIManagerが初期化されていません');
+            return false;
+        }
+
+        try {
+            const result = loadFromJSON(this.graphCalculator, jsonData, null, {
+                mode: 'merge',
+                nextCurveId: uiManager.settings.nextCurveId
+            });
+            if (!result || !result.success) {
+                console.error('JSONからの追加に失敗しました:', result);
+                return false;
+            }
+
+            const addedIds = result.curves.map(curveData => this._addRestoredCurve(curveData, false));
+            if (addedIds.length === 0) return true;
+
+            this.historyManager.addAction({
+                type: 'import',
+                curves: addedIds.map(id => this.curveManager.curves[id])
+            });
+
+            this.curveManager.updateCurveList();
+            this.curveManager.setCurveSelection(addedIds, addedIds[addedIds.length - 1]);
+            uiManager.updateHistoryButtons();
+            this._reportLoadNotes(result);
+            return true;
+        } catch (error) {
+            console.error('JSONデータの処理中にエラーが発生しました:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 読み込み時に変換・補完した内容（形式の変換と、復元できなかった節点など）があれば知らせる
+     * 内容は「詳細」から検証エラーと同じ「場所: 内容」の一覧で確認できる
+     * @private
+     * @param {Object} result - loadFromJSON の結果
+     */
+    _reportLoadNotes(result) {
+        const notes = [
+            ...((result.migration && result.migration.notes) || []),
+            ...(result.warnings || []).map(warning => ({
+                path: warning.path || `curves(id: ${warning.id})`,
+                message: warning.message
+            }))
+        ];
+        if (notes.length === 0) return;
+
+        const details = `読み込んだグラフデータの一部を変換・補完しました。\n\n${formatSaveDataErrors(notes)}`;
+        const uiManager = this.curveManager ? this.curveManager.uiManager : null;
+        if (!uiManager || !uiManager.alertModal) {
+            console.warn(details);
+            return;
+        }
+        uiManager.alertModal.show('一部の情報を変換・補完して読み込みました', {
+            type: 'warning',
+            position: 'center-top',
+            duration: 6000,
+            i18nKey: 'import_graph.converted',
+            link: {
+                text: '詳細',
+                i18nKey: 'alert.details',
+                onClick: () => alert(details)
+            }
+        });
+    }
+
+    /**
+     * JSONから復元したGraphCalculatorの曲線をCurveManagerに追加する
+     * @private
+     * @param {Object} curveData - loadFromJSON が返す曲線データ
+     * @param {boolean} recordHistory - 曲線ごとに 'add' 履歴を記録するかどうか
+     * @returns {number} 追加した曲線のID
+     */
+    _addRestoredCurve(curveData, recordHistory = true) {
+        // 曲線データから必要な情報を取得
+        const curveId = this.curveManager.uiManager ?
+            this.curveManager.uiManager.settings.nextCurveId++ :
+            this.curveManager.curves.length;
+
+        const color = curveData.color || '#000';
+        const width = curveData.width || 4;
+        const latexEquations = curveData.latexEquations || [];
+        const knotPoints = curveData.knotPoints || [];
+        const isHidden = curveData.isHidden !== undefined ? curveData.isHidden : (curveData.visibility === false);
+        const isDetailShown = !!curveData.isDetailShown;
+        const graphCurve = curveData.graphCurve;
+        const svgPath = d3.select(graphCurve.path);
+        const preKnots = curveData.preKnots || [];
+        const minKnots = curveData.minKnots || 2;
+        const maxKnots = curveData.maxKnots || 10;
+        const originalPoints = curveData.originalPoints || [];
+
+        // 曲線タイプ（不明な場合は'parametric'）
+        const type = curveData.type || 'parametric';
+
+        // CurveManagerに曲線を追加
+        this.curveManager.addCurve({
+            id: curveId,
+            type: type,
+            path: svgPath,
+            color: color,
+            size: width,
+            graphCurve: graphCurve,
+            latexEquations: latexEquations,
+            approximatorSettings: {},
+            preKnots: preKnots,
+            minKnots: minKnots,
+            maxKnots: maxKnots,
+            originalPoints: originalPoints,
+            recordHistory: recordHistory
+        });
+
+        // 節点データを保存
+        if (knotPoints && Array.isArray(knotPoints)) {
+            this.curveManager.curves[curveId].knotPoints = knotPoints;
+        }
+
+        // 表示/非表示状態を設定
+        this.curveManager.setCurveVisibility(curveId, !isHidden);
+
+        // 詳細表示状態を設定
+        this.curveManager.setCurveDetailState(curveId, isDetailShown);
+
+        return curveId;
+    }
+
     /**
      * ドメイン入力値を更新
      */
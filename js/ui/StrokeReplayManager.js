@@ -0,0 +1,282 @@
+import {
+    buildTimeline,
+    samplesUntil,
+    pointsToPath,
+    APPROXIMATION_FADE_MS,
+    RAW_STROKE_GHOST_OPACITY
+} from '../history/StrokeTimelapse.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** 再生に使うオーバーレイのID */
+const REPLAY_OVERLAY_ID = 'stroke-replay';
+
+/** 選べる再生速度 */
+const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+/**
+ * 描画の再生（タイムラプス）
+ * 記録したストロークを GraphCalculator 上で描いた順・速さで描き直し、描き終わった線を近似曲線に切り替える
+ * 再生中は既存の曲線を隠し、キャンバスの操作を受け付けない
+ */
+export class StrokeReplayManager {
+    constructor(graphCalculator, strokeRecorder, languageManager = null) {
+        this.graphCalculator = graphCalculator;
+        this.strokeRecorder = strokeRecorder;
+        this.languageManager = languageManager;
+
+        this.layer = null;
+        this.timeline = null;
+        this.elements = [];
+        this.speed = 1;
+        this.elapsed = 0;
+        this.playing = false;
+        this._frame = null;
+        this._lastTimestamp = null;
+
+        this.createControls();
+    }
+
+    /**
+     * 再生コントロール（キャンバス下部）を作成
+     */
+    createControls() {
+        const container = document.getElementById('canvas-container') || document.body;
+        const controls = document.createElement('div');
+        controls.id = 'stroke-replay-controls';
+        controls.className = 'stroke-replay-controls';
+        controls.hidden = true;
+        controls.innerHTML = `
+            <button type="button" class="stroke-replay-btn" data-replay="toggle"><i class="material-symbols-rounded">pause</i></button>
+            <button type="button" class="stroke-replay-btn" data-replay="restart"><i class="material-symbols-rounded">replay</i></button>
+            <div class="stroke-replay-progress"><div class="stroke-replay-progress-bar"></div></div>
+            <select class="stroke-replay-speed">
+                ${REPLAY_SPEEDS.map(speed => `<option value="${speed}">${speed}×</option>`).join('')}
+            </select>
+            <button type="button" class="stroke-replay-btn" data-replay="close"><i class="material-symbols-rounded">close</i></button>
+        `;
+        container.appendChild(controls);
+
+        this.controls = controls;
+        this.toggleBtn = controls.querySelector('[data-replay="toggle"]');
+        this.progressBar = controls.querySelector('.stroke-replay-progress-bar');
+        this.speedSelect = controls.querySelector('.stroke-replay-speed');
+
+        this.toggleBtn.addEventListener('click', () => this.togglePause());
+        controls.querySelector('[data-replay="restart"]').addEventListener('click', () => this.restart());
+        controls.querySelector('[data-replay="close"]').addEventListener('click', () => this.stop());
+        this.speedSelect.addEventListener('change', () => this.setSpeed(Number(this.speedSelect.value)));
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isActive()) this.stop();
+        });
+        document.addEventListener('languageStateChanged', () => this.updateLabels());
+        this.updateLabels();
+    }
+
+    updateLabels() {
+        const labels = {
+            toggle: this.translate(this.playing ? 'replay.pause' : 'replay.play', this.playing ? '一時停止' : '再生'),
+            restart: this.translate('replay.restart', '最初から'),
+            close: this.translate('replay.close', '再生を終了')
+        };
+        this.controls.querySelectorAll('[data-replay]').forEach(button => {
+            const label = labels[button.dataset.replay];
+            button.title = label;
+            button.setAttribute('aria-label', label);
+        });
+        this.speedSelect.title = this.translate('replay.speed', '再生速度');
+    }
+
+    /**
+     * 再生中（一時停止を含む）かどうか
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.layer !== null;
+    }
+
+    /**
+     * 再生を開始
+     * @returns {boolean} 再生できるストロークがあった場合 true
+     */
+    start() {
+        const strokes = this.strokeRecorder.getStrokes();
+        const svg = this.graphCalculator ? this.graphCalculator.getSvg() : null;
+        if (!strokes.length || !svg) return false;
+
+        this.stop();
+
+        // パン・ズームに追従させるため、曲線グループ内のオーバーレイとして描く
+        this.layer = this.graphCalculator.setOverlay(REPLAY_OVERLAY_ID, []);
+        if (!this.layer) return false;
+        svg.classList.add('stroke-replay-active');
+
+        this.elements = strokes.map(stroke => {
+            const raw = this._createPath(stroke);
+            let approximation = null;
+            if (stroke.approximation && stroke.approximation.d) {
+                approximation = this._createPath(stroke);
+                approximation.setAttribute('d', stroke.approximation.d);
+            }
+            return { raw, approximation };
+        });
+
+        this.controls.hidden = false;
+        this.speedSelect.value = String(this.speed);
+        this._buildTimeline();
+        this.restart();
+        return true;
+    }
+
+    /**
+     * 再生を終了し、元の表示に戻す
+     */
+    stop() {
+        this._cancelFrame();
+        this.playing = false;
+        if (this.layer) {
+            this.graphCalculator.removeOverlay(REPLAY_OVERLAY_ID);
+            this.layer = null;
+        }
+        const svg = this.graphCalculator ? this.graphCalculator.getSvg() : null;
+        if (svg) svg.classList.remove('stroke-replay-active');
+        this.elements = [];
+        this.timeline = null;
+        if (this.controls) this.controls.hidden = true;
+    }
+
+    restart() {
+        if (!this.isActive()) return;
+        this.elapsed = 0;
+        this._render();
+        this.play();
+    }
+
+    play() {
+        if (!this.isActive() || this.playing) return;
+        // 最後まで再生していたら最初から
+        if (this.elapsed >= this.timeline.duration + APPROXIMATION_FADE_MS) this.elapsed = 0;
+        this.playing = true;
+        this._lastTimestamp = null;
+        this._frame = requestAnimationFrame(timestamp => this._tick(timestamp));
+        this._updateToggleButton();
+    }
+
+    pause() {
+        this.playing = false;
+        this._cancelFrame();
+        this._updateToggleButton();
+    }
+
+    togglePause() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * 再生速度を変更（再生位置は保つ）
+     * @param {number} speed
+     */
+    setSpeed(speed) {
+        if (!REPLAY_SPEEDS.includes(speed)) return;
+        const progress = this.timeline && this.timeline.duration > 0 ? this.elapsed / this.timeline.duration : 0;
+        this.speed = speed;
+        if (!this.isActive()) return;
+        this._buildTimeline();
+        this.elapsed = progress * this.timeline.duration;
+        this._render();
+    }
+
+    /**
+     * @private
+     */
+    _buildTimeline() {
+        this.timeline = buildTimeline(this.strokeRecorder.getStrokes().slice(0, this.elements.length), { speed: this.speed });
+    }
+
+    /**
+     * @private
+     */
+    _tick(timestamp) {
+        if (!this.playing) return;
+        if (this._lastTimestamp !== null) {
+            this.elapsed += timestamp - this._lastTimestamp;
+        }
+        this._lastTimestamp = timestamp;
+        this._render();
+
+        if (this.elapsed >= this.timeline.duration + APPROXIMATION_FADE_MS) {
+            this.pause();
+            return;
+        }
+        this._frame = requestAnimationFrame(next => this._tick(next));
+    }
+
+    /**
+     * 現在の再生位置の状態を描画
+     * @private
+     */
+    _render() {
+        const fadeMs = APPROXIMATION_FADE_MS / this.speed;
+        this.timeline.items.forEach(({ stroke, start, end }, index) => {
+            const { raw, approximation } = this.elements[index];
+            if (this.elapsed < start) {
+                raw.setAttribute('d', '');
+                if (approximation) approximation.setAttribute('opacity', '0');
+                return;
+            }
+
+            // 記録した時刻は実時間のため、再生速度を掛けてストローク内の時刻にする
+            const strokeElapsed = (this.elapsed - start) * this.speed;
+            raw.setAttribute('d', pointsToPath(samplesUntil(stroke, strokeElapsed)));
+
+            if (approximation) {
+                const fade = this.elapsed <= end ? 0 : Math.min(1, (this.elapsed - end) / fadeMs);
+                approximation.setAttribute('opacity', String(fade));
+                raw.setAttribute('opacity', String(1 - (1 - RAW_STROKE_GHOST_OPACITY) * fade));
+            }
+        });
+
+        const progress = this.timeline.duration > 0 ? Math.min(1, this.elapsed / this.timeline.duration) : 1;
+        this.progressBar.style.width = `${progress * 100}%`;
+    }
+
+    /**
+     * @private
+     */
+    _createPath(stroke) {
+        const path = document.createElementNS(SVG_NS, 'path');
+        path.setAttribute('fill', 'none');
+        path.setAttribute('stroke', stroke.color || '#000');
+        path.setAttribute('stroke-width', String(stroke.size || 2));
+        path.setAttribute('stroke-linecap', 'round');
+        path.setAttribute('stroke-linejoin', 'round');
+        // ドメイン座標の変換で線の太さが変わらないようにする
+        path.setAttribute('vector-effect', 'non-scaling-stroke');
+        this.layer.appendChild(path);
+        return path;
+    }
+
+    _updateToggleButton() {
+        const icon = this.toggleBtn.querySelector('i');
+        if (icon) icon.textContent = this.playing ? 'pause' : 'play_arrow';
+        this.updateLabels();
+    }
+
+    _cancelFrame() {
+        if (this._frame !== null) {
+            cancelAnimationFrame(this._frame);
+            this._frame = null;
+        }
+    }
+
+    translate(key, fallback) {
+        const lm = this.languageManager;
+        const lang = lm ? lm.currentLang : null;
+        return (lm && lm.translations && lm.translations[lang] && lm.translations[lang][key]) || fallback;
+    }
+}
@@ -10,7 +10,17 @@ import { ApproximatorManager } from '../approximator/ApproximatorManager.js';
 import { AdvancedModeManager } from './AdvancedModeManager.js';
 import { AlertModal } from '../modal/AlertModal.js';
 import { HamburgerMenu } from './HamburgerMenu.js';
+import { HistoryPanel } from './HistoryPanel.js';
+import { StrokeReplayManager } from './StrokeReplayManager.js';
 import { SaveGraphManager } from './SaveGraphManager.js';
+import { RasterTraceManager } from './RasterTraceManager.js';
+import { ReferenceImageManager } from './ReferenceImageManager.js';
+import { buildDesmosCurveExpressions } from '../util/DesmosStateUtil.js';
+import { GRAPEN_CURVES_CLIPBOARD_TYPE, parseCurvesFromJSON, parseGraphFromJSON } from '../graph/GraphSaveUtils.js';
+import { StrokeRecorder, describeApproximation } from '../history/StrokeRecorder.js';
+
+/** 複製・貼り付けで曲線をずらす量（px） */
+const PASTE_OFFSET_PX = 20;
 
 export class UIManager {
     // curveMovementHandlerを引数に追加
@@ -22,8 +32,15 @@ export class UIManager {
         this.curveMovementHandler = curveMovementHandler;
         this.languageManager = languageManager;
         this.graphStorageManager = graphStorageManager;
-        this.hamburgerMenu = new HamburgerMenu(this.graphStorageManager);
+        // 最後にコピー・貼り付けした曲線データと貼り付け回数（貼り付け位置をずらすため）
+        this.clipboardState = null;
+        this.hamburgerMenu = new HamburgerMenu(this.graphStorageManager, this.languageManager);
         this.saveGraphManager = new SaveGraphManager(graphCalculator, graphStorageManager, this.languageManager);
+        this.historyPanel = new HistoryPanel(historyManager, graphCalculator, this.languageManager);
+
+        // 手書きのストロークの記録と再生（タイムラプス）
+        this.strokeRecorder = new StrokeRecorder();
+        this.strokeReplayManager = new StrokeReplayManager(graphCalculator, this.strokeRecorder, this.languageManager);
 
         // CurveManagerにGraphCalculatorを渡す
         this.curveManager.graphCalculator = this.graphCalculator;
@@ -43,6 +60,12 @@ export class UIManager {
         // ExportManagerの初期化
         this.exportManager = new ExportManager(graphCalculator, this.settingsManager);
 
+        // RasterTraceManagerの初期化
+        this.rasterTraceManager = new RasterTraceManager(graphCalculator, this, this.languageManager);
+
+        // ReferenceImageManagerの初期化
+        this.referenceImageManager = new ReferenceImageManager(graphCalculator, this.languageManager);
+
         // グラフ計算機があれば、曲線管理クラスにグラフ要素を設定
         if (this.graphCalculator) {
             // SVGのg要素を取得または作成
@@ -475,6 +498,7 @@ export class UIManager {
         this.setupDrawingEvents();
         this.setupToolbarEvents();
         this.setupResizeEvents();
+        this.setupFileDropEvents();
 
         // Undo/Redoボタンの初期状態を確認
         this.updateHistoryButtons();
@@ -515,53 +539,332 @@ export class UIManager {
             // Ctrl+C (copy formula item to dcg-copy-expression)
             if ((event.ctrlKey || event.metaKey) && !event.shiftKey && event.key.toLowerCase() === 'c') {
                 event.preventDefault();
-                const selectCurveId = this.settings.selectCurveId;
-                // 曲線が選択されている場合
-                if (selectCurveId !== null) {
-                    const curveItem = this.curveManager.curves[selectCurveId];
-                    if (!curveItem) return;
+                // 曲線が選択されている場合（複数選択中は選択中のすべて）
+                const selectedIds = this.curveManager.getSelectedCurveIds();
+                if (selectedIds.length > 0) {
                     // コピーのtypeを"dcg-copy-expression"で、string形式でコピー
-                    const expressionPayloads = (curveItem.latexEquations || [])
-                        .map(eq => this._buildExpressionCopyPayload(eq))
-                        .filter(payload => payload && payload.latex && payload.latex.length);
-
-                    if (!expressionPayloads.length) return;
-
-                    const folderId = `grapen-${selectCurveId}`; // フォルダIDは曲線IDに基づく
-                    const folder = {
-                        type: "folder",
-                        id: folderId, // 曲線IDをフォルダIDとして使用
-                    };
-                    const expressions = expressionPayloads.map((payload, index) => {
-                        const expression = {
-                            type: "expression",
-                            id: `${folderId}-${index}`,
-                            folderId: folderId,
-                            color: curveItem.color || "#000000",
-                            lineWidth: String(curveItem.size ?? 6),
-                            latex: payload.latex
-                        };
-                        if (payload.parametricDomain) {
-                            expression.parametricDomain = payload.parametricDomain;
-                        }
-                        if (payload.domain) {
-                            expression.domain = payload.domain;
-                        }
-                        return expression;
-                    });
+                    // フォルダIDは曲線IDに基づく
+                    const copyData = selectedIds.flatMap(id => buildDesmosCurveExpressions(this.curveManager.curves[id], `grapen-${id}`));
+                    if (!copyData.length) return;
 
-                    const copyData = [folder, ...expressions];
                     const copyDataString = JSON.stringify(copyData);
-                    const plainText = expressionPayloads.map(payload => payload.latex).join('\n');
+                    const plainText = copyData
+                        .filter(item => item.type === 'expression')
+                        .map(item => item.latex)
+                        .join('\n');
+
+                    // 別のタブのGraPenへ貼り付けられるよう、GraPen JSON 形式も同時にコピー
+                    const grapenData = this.curveManager.getCurvesJSON(selectedIds);
+                    this.clipboardState = { text: grapenData, pasteCount: 0 };
 
                     // カスタムMIMEタイプは現代的なClipboard APIではサポートされていないため
                     // 最初からフォールバック方式を使用
-                    this.fallbackCopyToClipboard(plainText, copyDataString);
+                    this.fallbackCopyToClipboard(plainText, copyDataString, grapenData);
                 }
             }
+            // Ctrl+D (duplicate selected curves)
+            if ((event.ctrlKey || event.metaKey) && !event.shiftKey && event.key.toLowerCase() === 'd') {
+                const selectedIds = this.curveManager.getSelectedCurveIds();
+                if (selectedIds.length > 0) {
+                    event.preventDefault();
+                    this.curveManager.duplicateCurves(selectedIds, this.getPasteOffset(1));
+                    this.updateHistoryButtons();
+                }
+            }
+        });
+
+        // Ctrl+V (paste curves copied as GraPen JSON)
+        document.addEventListener('paste', (event) => {
+            const tag = event.target.tagName;
+            if (tag === 'INPUT' || tag === 'TEXTAREA' || event.target.isContentEditable) return;
+            if (!event.clipboardData) return;
+
+            const text = event.clipboardData.getData(GRAPEN_CURVES_CLIPBOARD_TYPE) ||
+                event.clipboardData.getData('text/plain');
+
+            // 保存したグラフ全体の JSON はグラフとして読み込む
+            const graphData = parseGraphFromJSON(text);
+            if (graphData) {
+                event.preventDefault();
+                this.settingsManager.importGraphData(graphData);
+                return;
+            }
+
+            const entries = parseCurvesFromJSON(text);
+            if (!entries || entries.length === 0) return;
+
+            event.preventDefault();
+            this.pasteCurvesFromText(text, entries);
+        });
+    }
+
+    /**
+     * GraPen JSON 形式の曲線を貼り付ける
+     * 同じデータを繰り返し貼り付けるたびに少しずつずらし、このタブでコピーした曲線は元の曲線と重ならない位置に置く
+     * @param {string} text - クリップボードの文字列
+     * @param {Array} entries - 貼り付ける曲線データ
+     * @returns {number[]} 追加した曲線ID
+     */
+    pasteCurvesFromText(text, entries) {
+        if (this.clipboardState && this.clipboardState.text === text) {
+            this.clipboardState.pasteCount++;
+        } else {
+            this.clipboardState = { text, pasteCount: 0 };
+        }
+
+        const addedIds = this.curveManager.pasteCurves(entries, this.getPasteOffset(this.clipboardState.pasteCount));
+        this.updateHistoryButtons();
+        return addedIds;
+    }
+
+    /**
+     * JSONファイルのドロップによるグラフ読み込みの設定
+     */
+    setupFileDropEvents() {
+        const container = this.graphCalculator ? this.graphCalculator.container : null;
+        if (!container) return;
+
+        const hasFiles = (event) => event.dataTransfer &&
+            Array.from(event.dataTransfer.types || []).includes('Files');
+
+        container.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            container.classList.add('file-drag-over');
+        });
+
+        container.addEventListener('dragleave', (event) => {
+            // 子要素への移動では解除しない
+            if (container.contains(event.relatedTarget)) return;
+            container.classList.remove('file-drag-over');
+        });
+
+        container.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            container.classList.remove('file-drag-over');
+
+            const file = event.dataTransfer.files[0];
+            if (!file) return;
+            if (!/\.json$/i.test(file.name) && file.type !== 'application/json') {
+                this.alertModal.show('JSONファイルをドロップしてください。', {
+                    type: 'warning',
+                    position: 'center-top',
+                    i18nKey: 'import_graph.not_json'
+                });
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                const graphData = parseGraphFromJSON(e.target.result);
+                if (!graphData) {
+                    this.alertModal.show('GraPenのグラフデータではありません。', {
+                        type: 'error',
+                        position: 'center-top',
+                        i18nKey: 'import_graph.invalid'
+                    });
+                    return;
+                }
+                this.settingsManager.importGraphData(graphData);
+            };
+            reader.onerror = () => {
+                console.error('ファイルの読み込みに失敗しました:', reader.error);
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * グラフ読み込み方法の選択モーダルを生成
+     */
+    createImportModeModal() {
+        if (document.getElementById('import-mode-modal')) return;
+
+        const modalHtml = `
+            <div class="modal-overlay" id="import-mode-overlay"></div>
+            <div class="modal-content import-mode-modal" id="import-mode-modal">
+                <div class="modal-header">
+                    <h3>
+                        <i class="material-symbols-rounded">file_open</i>
+                        <span data-i18n="import_graph.title">グラフの読み込み</span>
+                    </h3>
+                    <button class="close-modal-btn" type="button">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p data-i18n="import_graph.message">現在のグラフを置き換えるか、曲線を現在のグラフに追加するかを選んでください。</p>
+                </div>
+                <div class="modal-footer">
+                    <button class="modal-button cancel-btn" data-mode="" data-i18n="import_graph.cancel">キャンセル</button>
+                    <button class="modal-button merge-btn" data-mode="merge" data-i18n="import_graph.merge">曲線を追加</button>
+                    <button class="modal-button replace-btn" data-mode="replace" data-i18n="import_graph.replace">置き換える</button>
+                </div>
+            </div>
+        `;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        this._importModeModal = document.getElementById('import-mode-modal');
+        this._importModeOverlay = document.getElementById('import-mode-overlay');
+
+        // i18n適用
+        this._importModeModal.querySelectorAll('[data-i18n]').forEach(el => {
+            this.languageManager.updateSpecificElement(el);
+        });
+
+        this._importModeModal.querySelectorAll('[data-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this._resolveImportMode(btn.dataset.mode || null));
+        });
+        this._importModeModal.querySelector('.close-modal-btn')
+            .addEventListener('click', () => this._resolveImportMode(null));
+        this._importModeOverlay.addEventListener('click', () => this._resolveImportMode(null));
+
+        // Escキーでキャンセル
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this._importModeModal.classList.contains('open')) {
+                this._resolveImportMode(null);
+            }
+        });
+    }
+
+    /**
+     * グラフの読み込み方法（置き換え・追加）を選択してもらう
+     * @returns {Promise<'replace'|'merge'|null>} 選択した方法（キャンセル時は null）
+     */
+    askImportMode() {
+        if (!this._importModeModal) {
+            this.createImportModeModal();
+        }
+        // 前回の選択待ちが残っていればキャンセル扱いにする
+        this._resolveImportMode(null);
+
+        this._importModeModal.classList.add('open');
+        this._importModeOverlay.classList.add('open');
+        return new Promise(resolve => {
+            this._importModeResolver = resolve;
+        });
+    }
+
+    /**
+     * 読み込み方法の選択を確定してモーダルを閉じる
+     * @private
+     * @param {'replace'|'merge'|null} mode
+     */
+    _resolveImportMode(mode) {
+        if (this._importModeModal) {
+            this._importModeModal.classList.remove('open');
+            this._importModeOverlay.classList.remove('open');
+        }
+        const resolve = this._importModeResolver;
+        this._importModeResolver = null;
+        if (resolve) resolve(mode);
+    }
+
+    /**
+     * 自動保存からの復元を確認するモーダルを作成
+     */
+    createRestoreSessionModal() {
+        if (document.getElementById('restore-session-modal')) return;
+
+        const modalHtml = `
+            <div class="modal-overlay" id="restore-session-overlay"></div>
+            <div class="modal-content restore-session-modal" id="restore-session-modal">
+                <div class="modal-header">
+                    <h3>
+                        <i class="material-symbols-rounded">restore_page</i>
+                        <span data-i18n="restore_session.title">作業の復元</span>
+                    </h3>
+                    <button class="close-modal-btn" type="button">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p data-i18n="restore_session.message">前回保存されていない作業が残っています。復元しますか？</p>
+                    <p class="restore-session-detail"></p>
+                </div>
+                <div class="modal-footer">
+                    <button class="modal-button discard-btn" data-choice="discard" data-i18n="restore_session.discard">破棄する</button>
+                    <button class="modal-button restore-btn" data-choice="restore" data-i18n="restore_session.restore">復元する</button>
+                </div>
+            </div>
+        `;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        this._restoreSessionModal = document.getElementById('restore-session-modal');
+        this._restoreSessionOverlay = document.getElementById('restore-session-overlay');
+
+        // i18n適用
+        this._restoreSessionModal.querySelectorAll('[data-i18n]').forEach(el => {
+            this.languageManager.updateSpecificElement(el);
+        });
+
+        this._restoreSessionModal.querySelectorAll('[data-choice]').forEach(btn => {
+            btn.addEventListener('click', () => this._resolveRestoreSession(btn.dataset.choice));
+        });
+        this._restoreSessionModal.querySelector('.close-modal-btn')
+            .addEventListener('click', () => this._resolveRestoreSession(null));
+
+        // Escキーで閉じる（データは残す）
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this._restoreSessionModal.classList.contains('open')) {
+                this._resolveRestoreSession(null);
+            }
+        });
+    }
+
+    /**
+     * 自動保存した作業を復元するかを確認する
+     * @param {Object} snapshot - AutosaveManager が保存したデータ
+     * @returns {Promise<'restore'|'discard'|null>} 選択（閉じた場合は null）
+     */
+    askRestoreSession(snapshot) {
+        if (!this._restoreSessionModal) {
+            this.createRestoreSessionModal();
+        }
+        this._resolveRestoreSession(null);
+
+        // 保存日時・タイトル・曲線数を表示
+        const lang = this.languageManager ? this.languageManager.currentLang : 'ja';
+        const translations = this.languageManager && this.languageManager.translations[lang];
+        const template = (translations && translations['restore_session.detail']) || '{time} に自動保存（曲線 {count} 本）';
+        const detail = template
+            .replace('{time}', new Date(snapshot.savedAt).toLocaleString(lang))
+            .replace('{count}', snapshot.curveCount);
+        this._restoreSessionModal.querySelector('.restore-session-detail').textContent =
+            snapshot.title ? `${snapshot.title} — ${detail}` : detail;
+
+        this._restoreSessionModal.classList.add('open');
+        this._restoreSessionOverlay.classList.add('open');
+        return new Promise(resolve => {
+            this._restoreSessionResolver = resolve;
         });
     }
 
+    /**
+     * 復元の選択を確定してモーダルを閉じる
+     * @private
+     * @param {'restore'|'discard'|null} choice
+     */
+    _resolveRestoreSession(choice) {
+        if (this._restoreSessionModal) {
+            this._restoreSessionModal.classList.remove('open');
+            this._restoreSessionOverlay.classList.remove('open');
+        }
+        const resolve = this._restoreSessionResolver;
+        this._restoreSessionResolver = null;
+        if (resolve) resolve(choice);
+    }
+
+    /**
+     * 複製・貼り付けで曲線をずらす量をドメイン座標で取得（画面上で右下にずらす）
+     * @param {number} steps - ずらす回数
+     * @returns {{dx: number, dy: number}}
+     */
+    getPasteOffset(steps = 1) {
+        if (!this.graphCalculator || steps === 0) return { dx: 0, dy: 0 };
+        const origin = this.graphCalculator.screenToDomain(0, 0);
+        const shifted = this.graphCalculator.screenToDomain(PASTE_OFFSET_PX * steps, PASTE_OFFSET_PX * steps);
+        return { dx: shifted.x - origin.x, dy: shifted.y - origin.y };
+    }
+
     /**
      * 描画イベントの設定
      */
@@ -573,6 +876,9 @@ export class UIManager {
 
         // マウスダウン / タッチ開始
         svg.on('mousedown touchstart', (event) => {
+            // 描画の再生中はキャンバスを操作しない
+            if (this.strokeReplayManager.isActive()) return;
+
             // カーブのドラッグジェスチャーが進行中の場合は描画/消去を行わない
             const isDragging = (this.curveMovementHandler && this.curveMovementHandler.dragState) ? !!this.curveMovementHandler.dragState.isDragging : false;
 
@@ -721,6 +1027,10 @@ export class UIManager {
         this.currentPath = [];
         this.currentPath.push(coords);
 
+        // 生の入力点を時刻つきで記録（タイムラプス用）
+        this.strokeRecorder.beginStroke({ color: this.settings.currentColor, size: this.settings.currentSize });
+        this._recordStrokeSample(coords);
+
         // 描画プレビュー用の一時的なパスをグラフ計算機のSVGに直接作成
         this.previewPath = svg.append('path')
             .attr('fill', 'none')
@@ -761,6 +1071,7 @@ export class UIManager {
 
         // 現在のパスにSVG座標を追加
         this.currentPath.push(coords);
+        this._recordStrokeSample(coords);
 
         // SVGパス文字列を取得（SVG座標のまま）
         const pathData = this.getPathData(this.currentPath);
@@ -787,6 +1098,7 @@ export class UIManager {
         // 点が少なすぎる場合は描画をキャンセル
         if (this.currentDomainPath === undefined || this.currentDomainPath.length < 2) {
             // 描画状態をリセット
+            this.strokeRecorder.cancelStroke();
             this.isDrawing = false;
             this.currentPath = null;
             this.currentDomainPath = [];
@@ -807,6 +1119,11 @@ export class UIManager {
             approximatorSettings: this.ApproximatorManager.getSettings()
         });
 
+        // 生のストロークを近似結果と一緒に記録（近似に失敗した場合は生のストロークのみ）
+        this.strokeRecorder.endStroke(curveResult.success
+            ? describeApproximation(this.curveManager.curves[curveId])
+            : null);
+
         if (curveResult.success) {
             // IDをインクリメント（ここではUIManagerが管理）
             this.settings.nextCurveId++;
@@ -844,6 +1161,99 @@ export class UIManager {
         this.currentDomainPath = [];
     }
 
+    /**
+     * 描画中の点をドメイン座標にしてストロークの記録に追加
+     * @param {Array<number>} coords - SVG座標 [x, y]
+     * @private
+     */
+    _recordStrokeSample(coords) {
+        const point = this.graphCalculator.screenToDomain(coords[0], coords[1]);
+        this.strokeRecorder.addSample(point.x, point.y);
+    }
+
+    /**
+     * 記録した描画を再生する
+     * @returns {boolean} 再生を開始できた場合 true
+     */
+    startStrokeReplay() {
+        if (this.strokeReplayManager.start()) return true;
+        this.alertModal.show('再生できる描画の記録がありません', {
+            type: 'info',
+            position: 'center-top',
+            i18nKey: 'replay.empty'
+        });
+        return false;
+    }
+
+    /**
+     * SVGや画像から読み込んだ図形を曲線として追加する
+     * 数式が確定しているもの（kind: 'equation'）はそのまま、点列（kind: 'points'）は手書きの曲線と同様に近似して追加する
+     * @param {Array<Object>} items - SvgImportUtil.buildSVGImportItems の結果と同じ形式の配列
+     * @param {Object} options - { preferredApproximator: 点列の近似で優先する近似器のラベル }
+     * @returns {{added: number, failed: number}} 追加できた曲線数と失敗した曲線数
+     */
+    addImportedCurveItems(items, options = {}) {
+        const useAdvancedMode = this.advancedModeManager.isAdvancedModeEnabled();
+        const approximatorSettings = this.ApproximatorManager.getSettings();
+        let failed = 0;
+        const addedIds = [];
+
+        (items || []).forEach(item => {
+            const curveId = this.settings.nextCurveId;
+            const color = item.color || this.settings.currentColor;
+            const size = this.settings.currentSize;
+
+            const curveResult = item.kind === 'equation'
+                ? this.curveManager.addEquationCurve({
+                    id: curveId,
+                    type: item.type,
+                    svgPath: item.svgPath,
+                    latexEquations: item.latexEquations,
+                    knots: item.knots,
+                    originalPoints: item.originalPoints,
+                    color,
+                    size,
+                    approximatorSettings,
+                    recordHistory: false
+                })
+                : this.curveManager.addHandDrawnCurve({
+                    id: curveId,
+                    domainPath: item.points,
+                    color,
+                    size,
+                    useAdvancedMode,
+                    approximatorSettings,
+                    preferredApproximator: options.preferredApproximator || null,
+                    recordHistory: false
+                });
+
+            if (curveResult.success) {
+                this.settings.nextCurveId++;
+                addedIds.push(curveId);
+            } else {
+                console.warn('読み込んだ図形を追加できませんでした:', curveResult.message);
+                failed++;
+            }
+        });
+
+        // 読み込んだ図形はまとめて1回の元に戻すで取り消せるよう、1つの 'import' 履歴として記録する
+        if (addedIds.length > 0) {
+            this.historyManager.addAction({
+                type: 'import',
+                curves: addedIds.map(id => this.curveManager.curves[id])
+            });
+            this.updateHistoryButtons();
+        }
+
+        const added = addedIds.length;
+        this.alertModal.show(`${added} 本の曲線を読み込みました` + (failed > 0 ? `（${failed} 本は近似に失敗しました）` : ''), {
+            type: failed > 0 ? 'warning' : 'info',
+            position: 'center-top'
+        });
+
+        return { added, failed };
+    }
+
     /**
      * パスデータの取得（スムージングを追加）
      */
@@ -976,6 +1386,8 @@ export class UIManager {
         d3.select('#zoom-in-button').on('click', () => this.zoomIn());
         d3.select('#zoom-out-button').on('click', () => this.zoomOut());
 
+        this.setupTransformToolEvents();
+
         d3.select('#undo').on('click', () => {
             if (this.penToolManager.isOpen) return; // ペンツールが開いている場合は無視
             if (!d3.select('#undo').classed('disabled')) {
@@ -1077,6 +1489,85 @@ export class UIManager {
         window.addEventListener('resize', resizeWindow);
     }
 
+    /**
+     * 曲線変形ツール群（拡大縮小・回転・反転）のイベントを設定
+     */
+    setupTransformToolEvents() {
+        const SCALE_STEP = 1.1;
+        const ROTATE_STEP = Math.PI / 12;
+        const scaleModes = [
+            { mode: 'uniform', icon: 'open_in_full' },
+            { mode: 'x', icon: 'width' },
+            { mode: 'y', icon: 'height' }
+        ];
+        const pivotModes = [
+            { mode: 'center', icon: 'filter_center_focus' },
+            { mode: 'origin', icon: 'my_location' }
+        ];
+        let scaleModeIndex = 0;
+        let pivotModeIndex = 0;
+
+        const panel = d3.select('#canvas-toolbar-transform');
+        d3.select('#transform-tools-toggle').on('click', () => {
+            const visible = !panel.classed('visible');
+            panel.classed('visible', visible).attr('aria-hidden', visible ? 'false' : 'true');
+            d3.select('#transform-tools-toggle').classed('toggled', visible);
+        });
+
+        d3.select('#transform-scale-mode').on('click', () => {
+            scaleModeIndex = (scaleModeIndex + 1) % scaleModes.length;
+            d3.select('#transform-scale-mode i').text(scaleModes[scaleModeIndex].icon);
+        });
+        d3.select('#transform-pivot').on('click', () => {
+            pivotModeIndex = (pivotModeIndex + 1) % pivotModes.length;
+            d3.select('#transform-pivot i').text(pivotModes[pivotModeIndex].icon);
+        });
+
+        // 選択中の曲線に変形を適用
+        const applyToSelected = (transform) => {
+            const curveId = this.settings.selectCurveId;
+            if (curveId === null || curveId === undefined || !this.curveManager.curves[curveId]) {
+                this.alertModal.show('変形する曲線を選択してください。', {
+                    type: 'warning',
+                    position: 'center-top',
+                    i18nKey: 'transform.no_selection'
+                });
+                return;
+            }
+            if (this.curveManager.curves[curveId].locked) return;
+            if (transform(curveId, pivotModes[pivotModeIndex].mode)) {
+                this.updateHistoryButtons();
+            } else {
+                // 変形できない数式を含む曲線などは何も変更されない
+                this.alertModal.show('この曲線は変形できません。', {
+                    type: 'warning',
+                    position: 'center-top',
+                    i18nKey: 'transform.unsupported'
+                });
+            }
+        };
+        const scale = (factor) => applyToSelected((curveId, pivot) => {
+            const mode = scaleModes[scaleModeIndex].mode;
+            return this.curveMovementHandler.scaleCurve(
+                curveId,
+                mode === 'y' ? 1 : factor,
+                mode === 'x' ? 1 : factor,
+                pivot
+            );
+        });
+
+        d3.select('#transform-scale-up').on('click', () => scale(SCALE_STEP));
+        d3.select('#transform-scale-down').on('click', () => scale(1 / SCALE_STEP));
+        d3.select('#transform-rotate-left').on('click', () => applyToSelected((curveId, pivot) =>
+            this.curveMovementHandler.rotateCurve(curveId, ROTATE_STEP, pivot)));
+        d3.select('#transform-rotate-right').on('click', () => applyToSelected((curveId, pivot) =>
+            this.curveMovementHandler.rotateCurve(curveId, -ROTATE_STEP, pivot)));
+        d3.select('#transform-mirror-horizontal').on('click', () => applyToSelected((curveId, pivot) =>
+            this.curveMovementHandler.mirrorCurve(curveId, 'horizontal', pivot)));
+        d3.select('#transform-mirror-vertical').on('click', () => applyToSelected((curveId, pivot) =>
+            this.curveMovementHandler.mirrorCurve(curveId, 'vertical', pivot)));
+    }
+
     /**
      * アクティブツールの設定
      */
@@ -1107,6 +1598,11 @@ export class UIManager {
                 svg.style('cursor', 'move');
             }
         }
+
+        // ベジェ制御点ハンドルはカーソルツールのときだけ表示する
+        if (this.curveManager.bezierHandleEditor) {
+            this.curveManager.bezierHandleEditor.refresh();
+        }
     }
 
     /**
@@ -1234,160 +1730,13 @@ export class UIManager {
         }
     }
 
-    _buildExpressionCopyPayload(eq) {
-        if (!eq) {
-            return null;
-        }
-
-        const rawSource = (eq.latex || eq.formula || '').toString();
-        if (!rawSource) {
-            return null;
-        }
-
-        const normalizedLatex = this._normalizeLatexForCopy(rawSource);
-        const isParametric = this._isParametricCopyTarget(eq, normalizedLatex);
-        const payload = { latex: normalizedLatex };
-
-        if (isParametric) {
-            const range = this._getOrderedParametricRange(eq);
-            if (range) {
-                payload.parametricDomain = range;
-                payload.domain = { ...range };
-            }
-            return payload;
-        }
-
-        const axis = (eq.domainAxis || (eq.type === 'vertical' ? 'y' : 'x')) || 'x';
-        const range = this._getOrderedDomain(eq);
-        if (range) {
-            payload.latex = `${normalizedLatex} \\left\\{${range.min} \\le ${axis} \\le ${range.max}\\right\\}`;
-        }
-
-        return payload;
-    }
-
-    _normalizeLatexForCopy(raw) {
-        const LEFT_PLACEHOLDER = '__LEFT_PLACEHOLDER__';
-        const RIGHT_PLACEHOLDER = '__RIGHT_PLACEHOLDER__';
-        let source = raw.replace(/\\left\(/g, LEFT_PLACEHOLDER).replace(/\\right\)/g, RIGHT_PLACEHOLDER);
-        let formatted = source.replace(/\(/g, '\\left(').replace(/\)/g, '\\right)');
-        formatted = formatted.replace(new RegExp(LEFT_PLACEHOLDER, 'g'), '\\left(');
-        formatted = formatted.replace(new RegExp(RIGHT_PLACEHOLDER, 'g'), '\\right)');
-        return formatted;
-    }
-
-    _isParametricCopyTarget(eq, latex) {
-        if (!eq) {
-            return false;
-        }
-
-        const type = eq.type;
-        if (type === 'parametric' || type === 'arc' || type === 'ellipse') {
-            return true;
-        }
-
-        const source = (latex || '').trim();
-        if (/^\\left\(/.test(source) && source.includes(',')) {
-            return true;
-        }
-
-        const formula = ((eq.formula || '').toString()).trim();
-        return /^\\left\(/.test(formula) && formula.includes(',');
-    }
-
-    _getOrderedDomain(eq) {
-        if (!eq || !eq.domain || eq.domain.start == null || eq.domain.end == null) {
-            return null;
-        }
-
-        const start = this._evaluateDomainBound(eq.domain.start);
-        const end = this._evaluateDomainBound(eq.domain.end);
-        if (!start.text || !end.text) {
-            return null;
-        }
-
-        let minText = start.text;
-        let maxText = end.text;
-
-        if (start.numeric != null && end.numeric != null && start.numeric > end.numeric) {
-            minText = end.text;
-            maxText = start.text;
-        }
-
-        return { min: minText, max: maxText };
-    }
-
-    _getOrderedParametricRange(eq) {
-        const source = (eq && eq.parameterRange) ? eq.parameterRange : (eq ? eq.domain : null);
-        if (!source || source.start == null || source.end == null) {
-            return null;
-        }
-
-        const start = this._evaluateDomainBound(source.start);
-        const end = this._evaluateDomainBound(source.end);
-        if (!start.text || !end.text) {
-            return null;
-        }
-
-        let minText = start.text;
-        let maxText = end.text;
-
-        if (start.numeric != null && end.numeric != null && start.numeric > end.numeric) {
-            minText = end.text;
-            maxText = start.text;
-        }
-
-        return { min: minText, max: maxText };
-    }
-
-    _evaluateDomainBound(value) {
-        const text = this._stringifyDomainValue(value);
-        if (!text) {
-            return { text: '', numeric: null };
-        }
-
-        let numeric = Number(text);
-        if (!Number.isFinite(numeric)) {
-            let expression = text.replace(/\\pi/g, 'Math.PI').replace(/π/g, 'Math.PI');
-            expression = expression.replace(/(?<=\d)\s*(?=Math\.PI)/g, '*').replace(/Math\.PI(?=\d)/g, 'Math.PI*');
-            try {
-                const evaluated = Function('"use strict"; return (' + expression + ');')();
-                if (Number.isFinite(evaluated)) {
-                    numeric = evaluated;
-                } else {
-                    numeric = null;
-                }
-            } catch (err) {
-                numeric = null;
-            }
-        }
-
-        if (!Number.isFinite(numeric)) {
-            numeric = null;
-        }
-
-        return { text, numeric };
-    }
-
-    _stringifyDomainValue(value) {
-        if (value == null) {
-            return '';
-        }
-        if (typeof value === 'string') {
-            return value.trim();
-        }
-        if (typeof value === 'number') {
-            return Number.isInteger(value) ? String(value) : String(value);
-        }
-        return String(value).trim();
-    }
-
     /**
      * フォールバック用のクリップボードコピー方法
      * @param {string} plainText - プレーンテキスト
      * @param {string} dcgData - dcg-copy-expression用データ
+     * @param {string|null} grapenData - GraPen JSON 形式の曲線データ（別タブへの貼り付け用）
      */
-    fallbackCopyToClipboard(plainText, dcgData) {
+    fallbackCopyToClipboard(plainText, dcgData, grapenData = null) {
         // 一時的なテキストエリアを作成してコピー
         const tempTextarea = document.createElement('textarea');
         tempTextarea.value = plainText;
@@ -1398,6 +1747,9 @@ export class UIManager {
         const handleCopy = (e) => {
             e.clipboardData.setData('text/plain', plainText);
             e.clipboardData.setData('dcg-copy-expression', dcgData);
+            if (grapenData) {
+                e.clipboardData.setData(GRAPEN_CURVES_CLIPBOARD_TYPE, grapenData);
+            }
             e.preventDefault();
             document.removeEventListener('copy', handleCopy);
         };
@@ -4,7 +4,9 @@ const PANEL_KEYS = ['showKnotsDefault', 'snap', 'errorThreshold', 'maxKnots', 's
 const CATEGORY_KEYS = [
     'linear',
     'piecewiseLinear',
+    'polynomial',
     'quadraticBSpline',
+    'cubicSpline',
     'singleQuadratic',
     'singleCircle',
     'quadraticChain',
@@ -34,11 +36,29 @@ const DEFAULT_MODEL = {
         horizontalSlopeThreshold: 0.1,
         quantizeControlAxis: false
     },
+    polynomial: {
+        enabled: false,
+        minDegree: 2,
+        maxDegree: 4,
+        autoDegree: true,
+        quantizeCoefficients: true,
+        errorToleranceRatio: 0.01,
+        maxErrorRatio: 0.03,
+        monotonicToleranceRatio: 0.05,
+        smoothWindow: 3,
+        resampleCount: 96
+    },
     quadraticBSpline: {
         minKnots: 2,
         maxKnots: 10,
         minKnotDistance: 0.05
     },
+    cubicSpline: {
+        enabled: false,
+        minKnots: 2,
+        maxKnots: 10,
+        minKnotDistance: 0.05
+    },
     singleQuadratic: {
         quantization: 'auto',
         allowSelfIntersection: false,
@@ -0,0 +1,1177 @@
+/**
+ * Desmos連携ユーティリティ
+ * GraPenの数式データとDesmosの式・グラフ状態（calculator state）形式を相互に変換する
+ */
+import { EquationBuilder } from './EquationBuilder.js';
+import { leastSquares } from './LeastSquaresUtil.js';
+import { SAVE_DATA_VERSION } from '../graph/GraphSaveSchema.js';
+
+/** Desmos calculator state のバージョン */
+export const DESMOS_STATE_VERSION = 11;
+
+/**
+ * 数式1件をDesmosの式として貼り付け可能な形式に変換する
+ * @param {Object} eq - latexEquationsの要素
+ * @returns {{latex: string, parametricDomain?: Object, domain?: Object}|null} 変換結果
+ */
+export function buildDesmosExpressionPayload(eq) {
+    if (!eq) {
+        return null;
+    }
+
+    const rawSource = (eq.latex || eq.formula || '').toString();
+    if (!rawSource) {
+        return null;
+    }
+
+    const normalizedLatex = normalizeLatexForDesmos(rawSource);
+    const isParametric = isParametricTarget(eq, normalizedLatex);
+    const payload = { latex: normalizedLatex };
+
+    if (isParametric) {
+        const range = getOrderedParametricRange(eq);
+        if (range) {
+            payload.parametricDomain = range;
+            payload.domain = { ...range };
+        }
+        return payload;
+    }
+
+    const axis = (eq.domainAxis || (eq.type === 'vertical' ? 'y' : 'x')) || 'x';
+    const range = getOrderedDomain(eq);
+    if (range) {
+        payload.latex = `${normalizedLatex} \\left\\{${range.min} \\le ${axis} \\le ${range.max}\\right\\}`;
+    }
+
+    return payload;
+}
+
+/**
+ * 曲線1本をDesmosのフォルダと式のリストに変換する
+ * @param {Object} curve - CurveManagerの曲線オブジェクト
+ * @param {string} folderId - フォルダID
+ * @param {Object} options - { title: フォルダ名, collapsed: 折りたたむか, includeHidden: 非表示状態を反映するか }
+ * @returns {Array<Object>} フォルダと式の配列（式がない場合は空配列）
+ */
+export function buildDesmosCurveExpressions(curve, folderId, options = {}) {
+    if (!curve) {
+        return [];
+    }
+
+    const payloads = (curve.latexEquations || [])
+        .map(eq => buildDesmosExpressionPayload(eq))
+        .filter(payload => payload && payload.latex && payload.latex.length);
+
+    if (!payloads.length) {
+        return [];
+    }
+
+    const folder = {
+        type: 'folder',
+        id: folderId
+    };
+    if (options.title) {
+        folder.title = options.title;
+    }
+    if (options.collapsed) {
+        folder.collapsed = true;
+    }
+
+    const hidden = options.includeHidden ? !!curve.isHidden : false;
+    const expressions = payloads.map((payload, index) => {
+        const expression = {
+            type: 'expression',
+            id: `${folderId}-${index}`,
+            folderId: folderId,
+            color: curve.color || '#000000',
+            lineWidth: String(curve.size ?? 6),
+            latex: payload.latex
+        };
+        if (payload.parametricDomain) {
+            expression.parametricDomain = payload.parametricDomain;
+        }
+        if (payload.domain) {
+            expression.domain = payload.domain;
+        }
+        if (hidden) {
+            expression.hidden = true;
+        }
+        return expression;
+    });
+
+    return [folder, ...expressions];
+}
+
+/**
+ * グラフ全体をDesmosのcalculator state形式に変換する
+ * @param {GraphCalculator} calculator - グラフ計算機のインスタンス
+ * @param {Array<Object>} curves - CurveManagerの曲線配列
+ * @returns {Object} Desmos calculator state
+ */
+export function buildDesmosState(calculator, curves = []) {
+    const list = [];
+    (curves || []).forEach((curve, index) => {
+        if (!curve) return;
+        const id = curve.id ?? index;
+        const items = buildDesmosCurveExpressions(curve, `grapen-${id}`, {
+            title: `GraPen ${id}`,
+            collapsed: true,
+            includeHidden: true
+        });
+        list.push(...items);
+    });
+
+    const state = {
+        version: DESMOS_STATE_VERSION,
+        graph: {},
+        expressions: { list }
+    };
+
+    const domain = calculator && typeof calculator.getDomain === 'function'
+        ? calculator.getDomain()
+        : null;
+    if (domain && [domain.xMin, domain.xMax, domain.yMin, domain.yMax].every(Number.isFinite)) {
+        state.graph.viewport = {
+            xmin: domain.xMin,
+            ymin: domain.yMin,
+            xmax: domain.xMax,
+            ymax: domain.yMax
+        };
+    }
+
+    return state;
+}
+
+/**
+ * Desmosのグラフ状態をGraPenの保存データ形式（loadFromJSONで読み込める形式）に変換する
+ * 対応する式: y=一次・二次関数（{a≤x≤b}の制限付き）、x=定数、媒介変数表示のベジェ曲線・円弧・楕円、円・楕円の方程式
+ * RPNとpreKnotsはloadFromJSONの読み込み時補完で生成される
+ * @param {Object|Array} state - Desmos calculator state（またはdcg-copy-expression形式の配列）
+ * @param {Object} options - { domain: 制限のない式に使う範囲 {xMin, xMax, yMin, yMax} }
+ * @returns {{data: Object, report: {total: number, imported: number, unsupported: Array<{id: string, latex: string, reason: string}>}}}
+ */
+export function convertDesmosStateToGraPen(state, options = {}) {
+    const list = Array.isArray(state)
+        ? state
+        : (state && state.expressions && Array.isArray(state.expressions.list) ? state.expressions.list : null);
+    if (!list) {
+        throw new Error('Desmosのグラフ状態ではありません');
+    }
+
+    const viewport = (!Array.isArray(state) && state.graph && state.graph.viewport) ? state.graph.viewport : null;
+    const domain = resolveImportDomain(viewport, options.domain);
+
+    const report = { total: 0, imported: 0, unsupported: [] };
+    const folders = new Map();
+    const groups = [];
+    const groupIndex = new Map();
+
+    list.forEach((item, index) => {
+        if (!item) return;
+        if (item.type === 'folder') {
+            folders.set(item.id, item);
+            return;
+        }
+        if (item.type === 'text') return;
+
+        const id = item.id != null ? String(item.id) : String(index);
+        const latex = typeof item.latex === 'string' ? item.latex : '';
+        if (item.type && item.type !== 'expression') {
+            report.total++;
+            report.unsupported.push({ id, latex, reason: `未対応の項目です（${item.type}）` });
+            return;
+        }
+        if (!latex.trim()) return;
+        report.total++;
+
+        let entry;
+        try {
+            entry = convertDesmosExpression(latex, item, domain);
+        } catch (error) {
+            report.unsupported.push({ id, latex, reason: error.message });
+            return;
+        }
+        report.imported++;
+
+        // フォルダ単位で1本の曲線にまとめる（フォルダ外の式は1式1曲線）
+        const key = item.folderId != null ? `folder:${item.folderId}` : `expression:${id}`;
+        let group = groupIndex.get(key);
+        if (!group) {
+            const folder = item.folderId != null ? folders.get(item.folderId) : null;
+            group = { hidden: !!(folder && folder.hidden), entries: [] };
+            groupIndex.set(key, group);
+            groups.push(group);
+        }
+        group.entries.push(entry);
+    });
+
+    const curves = [];
+    groups.forEach(group => {
+        splitEntriesByCurveType(group.entries).forEach(run => {
+            curves.push(buildImportedCurve(curves.length, run.type, run.entries, group.hidden));
+        });
+    });
+
+    const data = {
+        version: SAVE_DATA_VERSION,
+        timestamp: new Date().toISOString(),
+        domain: { ...domain },
+        curves
+    };
+
+    return { data, report };
+}
+
+/**
+ * 括弧を\left( \right)に揃える
+ * @private
+ */
+function normalizeLatexForDesmos(raw) {
+    const LEFT_PLACEHOLDER = '__LEFT_PLACEHOLDER__';
+    const RIGHT_PLACEHOLDER = '__RIGHT_PLACEHOLDER__';
+    let source = raw.replace(/\\left\(/g, LEFT_PLACEHOLDER).replace(/\\right\)/g, RIGHT_PLACEHOLDER);
+    let formatted = source.replace(/\(/g, '\\left(').replace(/\)/g, '\\right)');
+    formatted = formatted.replace(new RegExp(LEFT_PLACEHOLDER, 'g'), '\\left(');
+    formatted = formatted.replace(new RegExp(RIGHT_PLACEHOLDER, 'g'), '\\right)');
+    return formatted;
+}
+
+/**
+ * 媒介変数表示の式かどうかを判定
+ * @private
+ */
+function isParametricTarget(eq, latex) {
+    if (!eq) {
+        return false;
+    }
+
+    const type = eq.type;
+    if (type === 'parametric' || type === 'arc' || type === 'ellipse') {
+        return true;
+    }
+
+    const source = (latex || '').trim();
+    if (/^\\left\(/.test(source) && source.includes(',')) {
+        return true;
+    }
+
+    const formula = ((eq.formula || '').toString()).trim();
+    return /^\\left\(/.test(formula) && formula.includes(',');
+}
+
+/**
+ * 定義域を小さい順に並べて返す
+ * @private
+ */
+function getOrderedDomain(eq) {
+    if (!eq || !eq.domain || eq.domain.start == null || eq.domain.end == null) {
+        return null;
+    }
+    return orderRange(eq.domain.start, eq.domain.end);
+}
+
+/**
+ * 媒介変数の範囲を小さい順に並べて返す
+ * @private
+ */
+function getOrderedParametricRange(eq) {
+    const source = (eq && eq.parameterRange) ? eq.parameterRange : (eq ? eq.domain : null);
+    if (!source || source.start == null || source.end == null) {
+        return null;
+    }
+    return orderRange(source.start, source.end);
+}
+
+/**
+ * @private
+ */
+function orderRange(startValue, endValue) {
+    const start = evaluateDomainBound(startValue);
+    const end = evaluateDomainBound(endValue);
+    if (!start.text || !end.text) {
+        return null;
+    }
+
+    let minText = start.text;
+    let maxText = end.text;
+
+    if (start.numeric != null && end.numeric != null && start.numeric > end.numeric) {
+        minText = end.text;
+        maxText = start.text;
+    }
+
+    return { min: minText, max: maxText };
+}
+
+/**
+ * 定義域の端点を文字列と数値の組に変換（\piを含む式も評価）
+ * @private
+ */
+function evaluateDomainBound(value) {
+    const text = stringifyDomainValue(value);
+    if (!text) {
+        return { text: '', numeric: null };
+    }
+
+    let numeric = Number(text);
+    if (!Number.isFinite(numeric)) {
+        let expression = text.replace(/\\pi/g, 'Math.PI').replace(/π/g, 'Math.PI');
+        expression = expression.replace(/(?<=\d)\s*(?=Math\.PI)/g, '*').replace(/Math\.PI(?=\d)/g, 'Math.PI*');
+        try {
+            const evaluated = Function('"use strict"; return (' + expression + ');')();
+            if (Number.isFinite(evaluated)) {
+                numeric = evaluated;
+            } else {
+                numeric = null;
+            }
+        } catch (err) {
+            numeric = null;
+        }
+    }
+
+    if (!Number.isFinite(numeric)) {
+        numeric = null;
+    }
+
+    return { text, numeric };
+}
+
+/**
+ * @private
+ */
+function stringifyDomainValue(value) {
+    if (value == null) {
+        return '';
+    }
+    if (typeof value === 'string') {
+        return value.trim();
+    }
+    return String(value).trim();
+}
+
+// ----------------------------
+// Desmos読み込み用ヘルパ
+// ----------------------------
+
+/** Desmosの既定の線幅 */
+const DESMOS_DEFAULT_LINE_WIDTH = 2.5;
+/** 1式あたりの元データ点のサンプル数 */
+const IMPORT_SAMPLE_COUNT = 24;
+/** 多項式・三角関数の当てはめ判定に用いる相対許容誤差 */
+const FIT_TOLERANCE = 1e-7;
+
+const LATEX_VARIABLES = new Set(['x', 'y', 't']);
+const LATEX_FUNCTIONS = {
+    '\\sin': Math.sin,
+    '\\cos': Math.cos,
+    '\\tan': Math.tan
+};
+const LATEX_FACTOR_COMMANDS = new Set(['\\pi', '\\frac', '\\sqrt', '\\sin', '\\cos', '\\tan']);
+
+/**
+ * 曲線1本にまとめられる式タイプの組み合わせ（生成されるSVGパスの種類ごと）
+ * @private
+ */
+const CURVE_TYPE_FAMILIES = [
+    { type: 'piecewiseLinear', members: new Set(['linear', 'constant', 'vertical']) },
+    { type: 'quadratic', members: new Set(['linear', 'constant', 'quadratic']) }
+];
+const SINGLE_EQUATION_TYPES = new Set(['circle', 'ellipse']);
+
+/**
+ * @private
+ */
+function resolveImportDomain(viewport, fallback) {
+    if (viewport && [viewport.xmin, viewport.xmax, viewport.ymin, viewport.ymax].every(Number.isFinite)) {
+        return { xMin: viewport.xmin, xMax: viewport.xmax, yMin: viewport.ymin, yMax: viewport.ymax };
+    }
+    if (fallback && [fallback.xMin, fallback.xMax, fallback.yMin, fallback.yMax].every(Number.isFinite)) {
+        return { xMin: fallback.xMin, xMax: fallback.xMax, yMin: fallback.yMin, yMax: fallback.yMax };
+    }
+    return { xMin: -10, xMax: 10, yMin: -10, yMax: 10 };
+}
+
+/**
+ * Desmosの式1件を数式・元データ点・節点に変換する（未対応の場合は理由付きで例外を投げる）
+ * @private
+ */
+function convertDesmosExpression(latex, item, domain) {
+    const { body, restrictions } = splitRestrictions(latex);
+    const ranges = resolveRestrictions(restrictions);
+    const sides = body.split('=');
+    if (sides.length > 2) {
+        throw new Error('等号を複数含む式には未対応です');
+    }
+
+    let entry;
+    if (sides.length === 1) {
+        const compiled = compileLatex(body);
+        if (compiled.variables.has('t')) {
+            assertVariables(compiled, ['t']);
+            entry = convertParametric(compiled, item, ranges);
+        } else {
+            assertVariables(compiled, ['x']);
+            if (Array.isArray(compiled.evaluate({ x: 0, y: 0, t: 0 }))) {
+                throw new Error('点には未対応です');
+            }
+            entry = convertFunctionOfX(compiled, ranges, domain);
+        }
+    } else {
+        const lhs = normalizeLatexSource(sides[0]).trim();
+        const rhs = normalizeLatexSource(sides[1]).trim();
+        if (lhs === 'y' || rhs === 'y') {
+            const compiled = compileLatex(lhs === 'y' ? sides[1] : sides[0]);
+            assertVariables(compiled, ['x']);
+            entry = convertFunctionOfX(compiled, ranges, domain);
+        } else if (/^[a-zA-Z]\(x\)$/.test(lhs)) {
+            const compiled = compileLatex(sides[1]);
+            assertVariables(compiled, ['x']);
+            entry = convertFunctionOfX(compiled, ranges, domain);
+        } else if (lhs === 'x' || rhs === 'x') {
+            const compiled = compileLatex(lhs === 'x' ? sides[1] : sides[0]);
+            assertVariables(compiled, ['y']);
+            entry = convertFunctionOfY(compiled, ranges, domain);
+        } else {
+            const left = compileLatex(sides[0]);
+            const right = compileLatex(sides[1]);
+            assertVariables(left, ['x', 'y']);
+            assertVariables(right, ['x', 'y']);
+            entry = convertImplicit(left, right, ranges, domain);
+        }
+    }
+
+    entry.item = item;
+    return entry;
+}
+
+/**
+ * 末尾の \left\{...\right\} を定義域の制限として切り出す
+ * @private
+ */
+function splitRestrictions(latex) {
+    const OPEN = '\\left\\{';
+    const CLOSE = '\\right\\}';
+    let body = latex.trim();
+    const restrictions = [];
+
+    while (body.endsWith(CLOSE)) {
+        const closeIndex = body.length - CLOSE.length;
+        let depth = 0;
+        let openIndex = -1;
+        for (let i = closeIndex - 1; i >= 0; i--) {
+            if (body.startsWith(CLOSE, i)) {
+                depth++;
+            } else if (body.startsWith(OPEN, i)) {
+                if (depth === 0) {
+                    openIndex = i;
+                    break;
+                }
+                depth--;
+            }
+        }
+        if (openIndex < 0) break;
+        restrictions.unshift(body.slice(openIndex + OPEN.length, closeIndex));
+        body = body.slice(0, openIndex).trim();
+    }
+
+    return { body, restrictions };
+}
+
+/**
+ * 制限の不等式を変数ごとの範囲 { x: [min, max], y: [min, max] } に変換する
+ * @private
+ */
+function resolveRestrictions(restrictions) {
+    const ranges = {};
+    const relationRe = /(\\leq?|\\geq?|\\lt|\\gt|<|>|≤|≥)/;
+
+    restrictions.forEach(text => {
+        const tokens = text.split(relationRe).map(part => part.trim());
+        const parts = tokens.filter((_, i) => i % 2 === 0);
+        const relations = tokens.filter((_, i) => i % 2 === 1);
+        const isLess = (rel) => /\\le|\\lt|<|≤/.test(rel);
+        const varIndex = parts.findIndex(part => LATEX_VARIABLES.has(part));
+        if (varIndex < 0 || parts.length < 2 || parts.length > 3) {
+            throw new Error('定義域の制限を解析できません');
+        }
+        const name = parts[varIndex];
+        if (name === 't') {
+            throw new Error('tに対する制限には未対応です');
+        }
+
+        let lower = null;
+        let upper = null;
+        if (parts.length === 3) {
+            if (varIndex !== 1) {
+                throw new Error('定義域の制限を解析できません');
+            }
+            const a = evaluateConstant(parts[0]);
+            const b = evaluateConstant(parts[2]);
+            lower = Math.min(a, b);
+            upper = Math.max(a, b);
+        } else {
+            const value = evaluateConstant(parts[varIndex === 0 ? 1 : 0]);
+            const less = isLess(relations[0]);
+            // x < c または c > x なら上限、それ以外は下限
+            if ((varIndex === 0) === less) {
+                upper = value;
+            } else {
+                lower = value;
+            }
+        }
+
+        const current = ranges[name] || [null, null];
+        if (lower !== null) current[0] = current[0] === null ? lower : Math.max(current[0], lower);
+        if (upper !== null) current[1] = current[1] === null ? upper : Math.min(current[1], upper);
+        ranges[name] = current;
+    });
+
+    return ranges;
+}
+
+/**
+ * 制限範囲の未指定側を表示範囲で補う
+ * @private
+ */
+function resolveRange(range, fallbackMin, fallbackMax) {
+    const start = range && range[0] !== null ? range[0] : fallbackMin;
+    const end = range && range[1] !== null ? range[1] : fallbackMax;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || !(end > start)) {
+        throw new Error('定義域が空です');
+    }
+    return [start, end];
+}
+
+/**
+ * y = f(x) を一次・二次関数として変換する
+ * @private
+ */
+function convertFunctionOfX(compiled, ranges, domain) {
+    if (ranges.y) {
+        throw new Error('y = f(x) に対するyの制限には未対応です');
+    }
+    const [start, end] = resolveRange(ranges.x, domain.xMin, domain.xMax);
+    const width = end - start;
+    const us = linspace(0, 1, 9);
+    const ys = us.map(u => evaluateScalar(compiled, { x: start + width * u }));
+    const scale = Math.max(1, ...ys.map(Math.abs));
+    const fit = fitPolynomial(us, ys, 2);
+    if (!fit || fit.maxResidual > FIT_TOLERANCE * scale) {
+        throw new Error('一次・二次関数以外の関数には未対応です');
+    }
+
+    const [p0, p1, p2] = fit.coeffs;
+    let equation;
+    if (Math.abs(p2) <= FIT_TOLERANCE * scale) {
+        if (Math.abs(p1) <= FIT_TOLERANCE * scale) {
+            equation = EquationBuilder.horizontal({ y: cleanNumber(p0), xRange: [start, end] });
+        } else {
+            equation = EquationBuilder.linear({
+                slope: cleanNumber(p1 / width),
+                point: [start, cleanNumber(p0)],
+                domain: [start, end]
+            });
+        }
+    } else {
+        // 正規化変数 u = (x - start) / width での係数から頂点形式に変換
+        equation = EquationBuilder.quadraticVertex({
+            a: cleanNumber(p2 / (width * width)),
+            vertex: [cleanNumber(start - (p1 * width) / (2 * p2)), cleanNumber(p0 - (p1 * p1) / (4 * p2))],
+            domain: [start, end]
+        });
+    }
+
+    const samples = linspace(start, end, IMPORT_SAMPLE_COUNT)
+        .map(x => [x, evaluateScalar(compiled, { x })]);
+    return {
+        equation,
+        samples,
+        knots: [samples[0], samples[samples.length - 1]]
+    };
+}
+
+/**
+ * x = c を垂直線として変換する
+ * @private
+ */
+function convertFunctionOfY(compiled, ranges, domain) {
+    if (ranges.x) {
+        throw new Error('x = c に対するxの制限には未対応です');
+    }
+    const [start, end] = resolveRange(ranges.y, domain.yMin, domain.yMax);
+    const xs = linspace(start, end, 5).map(y => evaluateScalar(compiled, { y }));
+    const scale = Math.max(1, ...xs.map(Math.abs));
+    if (xs.some(x => Math.abs(x - xs[0]) > FIT_TOLERANCE * scale)) {
+        throw new Error('x = f(y) の形の関数には未対応です');
+    }
+
+    const x = cleanNumber(xs[0]);
+    const samples = linspace(start, end, IMPORT_SAMPLE_COUNT).map(y => [x, y]);
+    return {
+        equation: EquationBuilder.vertical({ x, yRange: [start, end] }),
+        samples,
+        knots: [[x, start], [x, end]]
+    };
+}
+
+/**
+ * 媒介変数表示 (X(t), Y(t)) をベジェ曲線・円弧・楕円として変換する
+ * @private
+ */
+function convertParametric(compiled, item, ranges) {
+    if (ranges.x || ranges.y) {
+        throw new Error('媒介変数表示に対するx, yの制限には未対応です');
+    }
+    const source = item.parametricDomain || item.domain || null;
+    const t0 = source && source.min != null ? evaluateConstant(String(source.min)) : 0;
+    const t1 = source && source.max != null ? evaluateConstant(String(source.max)) : 1;
+    const span = t1 - t0;
+    if (!(Math.abs(span) > 0)) {
+        throw new Error('媒介変数の範囲が空です');
+    }
+
+    const us = linspace(0, 1, 13);
+    const points = us.map(u => evaluatePoint(compiled, t0 + span * u));
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const scale = Math.max(1, ...xs.map(Math.abs), ...ys.map(Math.abs));
+    const tolerance = FIT_TOLERANCE * scale;
+    const samples = linspace(0, 1, IMPORT_SAMPLE_COUNT).map(u => evaluatePoint(compiled, t0 + span * u));
+
+    // 三次以下の多項式ならベジェ曲線（正規化変数 u ∈ [0, 1] で制御点を求める）
+    const fitX = fitPolynomial(us, xs, 3);
+    const fitY = fitPolynomial(us, ys, 3);
+    if (fitX && fitY && fitX.maxResidual <= tolerance && fitY.maxResidual <= tolerance) {
+        const c = fitX.coeffs.map((cx, i) => [cx, fitY.coeffs[i]]);
+        const isZero = (p) => Math.abs(p[0]) <= tolerance && Math.abs(p[1]) <= tolerance;
+        const combine = (...terms) => [
+            cleanNumber(terms.reduce((sum, [k, p]) => sum + k * p[0], 0)),
+            cleanNumber(terms.reduce((sum, [k, p]) => sum + k * p[1], 0))
+        ];
+        const p0 = combine([1, c[0]]);
+        let equation;
+        let end;
+        if (!isZero(c[3])) {
+            const p1 = combine([1, c[0]], [1 / 3, c[1]]);
+            const p2 = combine([1, c[0]], [2 / 3, c[1]], [1 / 3, c[2]]);
+            end = combine([1, c[0]], [1, c[1]], [1, c[2]], [1, c[3]]);
+            equation = EquationBuilder.cubicBezier({ p0, p1, p2, p3: end });
+        } else if (!isZero(c[2])) {
+            const p1 = combine([1, c[0]], [1 / 2, c[1]]);
+            end = combine([1, c[0]], [1, c[1]], [1, c[2]]);
+            equation = EquationBuilder.quadraticBezier({ p0, p1, p2: end });
+        } else if (!isZero(c[1])) {
+            end = combine([1, c[0]], [1, c[1]]);
+            equation = EquationBuilder.linearThroughPoints(p0, end);
+        } else {
+            throw new Error('点には未対応です');
+        }
+        return { equation, samples, knots: [p0, end] };
+    }
+
+    // X = cx + A cos t + B sin t, Y = cy + C cos t + D sin t の形なら円・円弧・楕円
+    const ts = us.map(u => t0 + span * u);
+    const trigX = fitTrigonometric(ts, xs);
+    const trigY = fitTrigonometric(ts, ys);
+    if (!trigX || !trigY || trigX.maxResidual > tolerance || trigY.maxResidual > tolerance) {
+        throw new Error('ベジェ曲線・円弧・楕円以外の媒介変数表示には未対応です');
+    }
+
+    const [cx, A, B] = trigX.coeffs;
+    const [cy, C, D] = trigY.coeffs;
+    const center = [cleanNumber(cx), cleanNumber(cy)];
+    const isFull = Math.abs(span) >= Math.PI * 2 - 1e-6;
+    const quarterKnots = [0, 1, 2, 3].map(k => evaluatePoint(compiled, t0 + (span * k) / 4));
+    const counterClockwise = Math.abs(A - D) <= tolerance && Math.abs(B + C) <= tolerance;
+    const clockwise = Math.abs(A + D) <= tolerance && Math.abs(B - C) <= tolerance;
+
+    if (counterClockwise || clockwise) {
+        const radius = cleanNumber(Math.hypot(A, C));
+        if (isFull) {
+            return { equation: EquationBuilder.circle({ center, radius }), samples, knots: quarterKnots };
+        }
+        const phase = Math.atan2(C, A);
+        const direction = (counterClockwise ? 1 : -1) * Math.sign(span);
+        const startAngle = counterClockwise ? t0 + phase : phase - t0;
+        const endAngle = counterClockwise ? t1 + phase : phase - t1;
+        return {
+            equation: EquationBuilder.arc({ center, radius, startAngle, endAngle, direction }),
+            samples,
+            knots: [samples[0], samples[samples.length - 1]]
+        };
+    }
+
+    if (!isFull) {
+        throw new Error('楕円弧には未対応です');
+    }
+    // 単位円を行列 [[A, B], [C, D]] で写した楕円の主軸を求める
+    const s00 = A * A + B * B;
+    const s01 = A * C + B * D;
+    const s11 = C * C + D * D;
+    const rotation = 0.5 * Math.atan2(2 * s01, s00 - s11);
+    const mean = (s00 + s11) / 2;
+    const diff = Math.hypot((s00 - s11) / 2, s01);
+    return {
+        equation: EquationBuilder.ellipse({
+            center,
+            radiusX: cleanNumber(Math.sqrt(mean + diff)),
+            radiusY: cleanNumber(Math.sqrt(Math.max(0, mean - diff))),
+            rotation
+        }),
+        samples,
+        knots: quarterKnots
+    };
+}
+
+/**
+ * 陰関数 L(x, y) = R(x, y) を円・楕円として変換する
+ * @private
+ */
+function convertImplicit(left, right, ranges, domain) {
+    if (ranges.x || ranges.y) {
+        throw new Error('制限付きの陰関数には未対応です');
+    }
+
+    // 表示範囲の中心付近で正規化した座標 (X, Y) に対して二次曲線の係数を求める
+    const ox = (domain.xMin + domain.xMax) / 2;
+    const oy = (domain.yMin + domain.yMax) / 2;
+    const unit = Math.max(domain.xMax - domain.xMin, domain.yMax - domain.yMin) / 2 || 1;
+    const grid = [-1, -0.35, 0.3, 0.9];
+    const rows = [];
+    const values = [];
+    grid.forEach(X => {
+        grid.forEach(Y => {
+            const env = { x: ox + unit * X, y: oy + unit * Y };
+            rows.push([X * X, X * Y, Y * Y, X, Y, 1]);
+            values.push(evaluateScalar(left, env) - evaluateScalar(right, env));
+        });
+    });
+    const fit = leastSquares(rows, values);
+    const scale = Math.max(1, ...values.map(Math.abs));
+    if (!fit || fit.maxResidual > FIT_TOLERANCE * scale) {
+        throw new Error('円・楕円以外の陰関数には未対応です');
+    }
+
+    const norm = Math.max(...fit.coeffs.map(Math.abs)) || 1;
+    const [a, b, c, d, e, f] = fit.coeffs.map(v => v / norm);
+    const det = 4 * a * c - b * b;
+    if (!(det > 1e-12)) {
+        throw new Error('円・楕円以外の陰関数には未対応です');
+    }
+    const X0 = (b * e - 2 * c * d) / det;
+    const Y0 = (b * d - 2 * a * e) / det;
+    const f0 = a * X0 * X0 + b * X0 * Y0 + c * Y0 * Y0 + d * X0 + e * Y0 + f;
+    const rotation = 0.5 * Math.atan2(b, a - c);
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const lambda1 = a * cos * cos + b * cos * sin + c * sin * sin;
+    const lambda2 = a * sin * sin - b * cos * sin + c * cos * cos;
+    const rx2 = -f0 / lambda1;
+    const ry2 = -f0 / lambda2;
+    if (!(rx2 > 0) || !(ry2 > 0)) {
+        throw new Error('実数解を持たない方程式です');
+    }
+
+    const center = [cleanNumber(ox + unit * X0), cleanNumber(oy + unit * Y0)];
+    const radiusX = cleanNumber(unit * Math.sqrt(rx2));
+    const radiusY = cleanNumber(unit * Math.sqrt(ry2));
+    const pointAt = (theta) => [
+        center[0] + radiusX * Math.cos(theta) * cos - radiusY * Math.sin(theta) * sin,
+        center[1] + radiusX * Math.cos(theta) * sin + radiusY * Math.sin(theta) * cos
+    ];
+    const samples = linspace(0, Math.PI * 2, IMPORT_SAMPLE_COUNT).map(pointAt);
+    const knots = [0, 1, 2, 3].map(k => pointAt((Math.PI * k) / 2));
+
+    const equation = Math.abs(radiusX - radiusY) <= FIT_TOLERANCE * Math.max(1, radiusX)
+        ? EquationBuilder.circle({ center, radius: radiusX })
+        : EquationBuilder.ellipse({ center, radiusX, radiusY, rotation });
+    return { equation, samples, knots };
+}
+
+/**
+ * 変換済みの式を、同じ種類のSVGパスで描ける連続区間ごとに分割する
+ * @private
+ */
+function splitEntriesByCurveType(entries) {
+    const runs = [];
+    let current = null;
+    entries.forEach(entry => {
+        if (current) {
+            const type = resolveCurveType([...current.entries, entry]);
+            if (type) {
+                current.entries.push(entry);
+                current.type = type;
+                return;
+            }
+        }
+        current = { type: resolveCurveType([entry]), entries: [entry] };
+        runs.push(current);
+    });
+    return runs;
+}
+
+/**
+ * @private
+ */
+function resolveCurveType(entries) {
+    const types = entries.map(entry => entry.equation.type);
+    if (types.length === 1) {
+        return types[0];
+    }
+    const family = CURVE_TYPE_FAMILIES.find(candidate => types.every(type => candidate.members.has(type)));
+    if (family) {
+        return family.type;
+    }
+    const unique = new Set(types);
+    if (unique.size === 1 && !SINGLE_EQUATION_TYPES.has(types[0])) {
+        return types[0];
+    }
+    return null;
+}
+
+/**
+ * 保存データ形式の曲線オブジェクトを作成
+ * @private
+ */
+function buildImportedCurve(index, type, entries, folderHidden) {
+    const source = entries[0].item || {};
+    const hidden = folderHidden || !!source.hidden;
+    const width = Number.parseFloat(source.lineWidth);
+
+    const knotPoints = [];
+    entries.forEach(entry => {
+        entry.knots.forEach(([x, y]) => {
+            const duplicated = knotPoints.some(k => Math.abs(k.x - x) < 1e-9 && Math.abs(k.y - y) < 1e-9);
+            if (!duplicated) {
+                knotPoints.push({ x, y });
+            }
+        });
+    });
+
+    return {
+        id: String(index),
+        color: typeof source.color === 'string' && source.color ? source.color : '#000000',
+        width: Number.isFinite(width) && width > 0 ? width : DESMOS_DEFAULT_LINE_WIDTH,
+        opacity: 1,
+        visibility: !hidden,
+        isHidden: hidden,
+        isDetailShown: false,
+        type,
+        latexEquations: entries.map(entry => entry.equation),
+        knotPoints,
+        originalPoints: entries.flatMap(entry => entry.samples)
+    };
+}
+
+/**
+ * @private
+ */
+function assertVariables(compiled, allowed) {
+    compiled.variables.forEach(name => {
+        if (!allowed.includes(name)) {
+            throw new Error(`変数 ${name} を含む式には未対応です`);
+        }
+    });
+}
+
+/**
+ * @private
+ */
+function evaluateConstant(latex) {
+    const compiled = compileLatex(latex);
+    assertVariables(compiled, []);
+    return evaluateScalar(compiled, {});
+}
+
+/**
+ * @private
+ */
+function evaluateScalar(compiled, env) {
+    const value = compiled.evaluate({ x: 0, y: 0, t: 0, ...env });
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error('範囲内で値が定義されていない式です');
+    }
+    return value;
+}
+
+/**
+ * @private
+ */
+function evaluatePoint(compiled, t) {
+    const value = compiled.evaluate({ x: 0, y: 0, t });
+    if (!Array.isArray(value) || !value.every(Number.isFinite)) {
+        throw new Error('範囲内で値が定義されていない媒介変数表示です');
+    }
+    return value;
+}
+
+/**
+ * @private
+ */
+function linspace(start, end, count) {
+    return Array.from({ length: count }, (_, i) => start + ((end - start) * i) / (count - 1));
+}
+
+/**
+ * 浮動小数点の丸め誤差を落とす
+ * @private
+ */
+function cleanNumber(value) {
+    return Number(Number(value).toPrecision(12));
+}
+
+/**
+ * @private
+ */
+function fitPolynomial(us, values, degree) {
+    const rows = us.map(u => Array.from({ length: degree + 1 }, (_, k) => Math.pow(u, k)));
+    return leastSquares(rows, values);
+}
+
+/**
+ * @private
+ */
+function fitTrigonometric(ts, values) {
+    const rows = ts.map(t => [1, Math.cos(t), Math.sin(t)]);
+    return leastSquares(rows, values);
+}
+
+/**
+ * \left \right や演算子の表記ゆれを揃える
+ * @private
+ */
+function normalizeLatexSource(latex) {
+    return String(latex)
+        .replace(/\\left|\\right/g, '')
+        .replace(/\\cdot|\\times/g, '*')
+        .replace(/\\operatorname\{([a-zA-Z]+)\}/g, '\\$1')
+        .replace(/\\[,;:! ]/g, ' ');
+}
+
+/**
+ * @private
+ */
+function tokenizeLatex(source) {
+    const tokens = [];
+    const re = /\s*(\d+\.?\d*|\.\d+|\\[a-zA-Z]+|[a-zA-Z]|[-+*/^(){},])/y;
+    let index = 0;
+    while (index < source.length) {
+        if (/^\s*$/.test(source.slice(index))) break;
+        re.lastIndex = index;
+        const match = re.exec(source);
+        if (!match) {
+            throw new Error(`未対応の記号 ${source.slice(index).trim()[0]} を含んでいます`);
+        }
+        tokens.push(match[1]);
+        index = re.lastIndex;
+    }
+    return tokens;
+}
+
+/**
+ * Desmosの式（LaTeX）を評価関数にコンパイルする
+ * 数値、x・y・t、四則演算、累乗、\frac、\sqrt、\sin・\cos・\tan、\pi、点 (a, b) に対応
+ * @private
+ * @returns {{evaluate: function(Object): (number|number[]), variables: Set<string>}}
+ */
+function compileLatex(latex) {
+    const tokens = tokenizeLatex(normalizeLatexSource(latex));
+    const variables = new Set();
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (token) => {
+        if (tokens[pos] !== token) {
+            throw new Error('式を解析できません');
+        }
+        pos++;
+    };
+    const startsFactor = (token) => token !== undefined && (
+        /^[\d.]/.test(token) || /^[a-zA-Z]$/.test(token) || token === '(' || token === '{' || LATEX_FACTOR_COMMANDS.has(token)
+    );
+
+    const parseExpression = () => {
+        let left = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            const op = next();
+            const lhs = left;
+            const rhs = parseTerm();
+            left = op === '+'
+                ? env => addValues(lhs(env), rhs(env))
+                : env => addValues(lhs(env), scaleValue(rhs(env), -1));
+        }
+        return left;
+    };
+
+    const parseTerm = () => {
+        let left = parseUnary();
+        for (;;) {
+            const token = peek();
+            const lhs = left;
+            if (token === '*' || token === '/') {
+                next();
+                const rhs = parseUnary();
+                left = token === '*'
+                    ? env => multiplyValues(lhs(env), rhs(env))
+                    : env => divideValues(lhs(env), rhs(env));
+            } else if (startsFactor(token)) {
+                // 暗黙の乗算
+                const rhs = parsePower();
+                left = env => multiplyValues(lhs(env), rhs(env));
+            } else {
+                return left;
+            }
+        }
+    };
+
+    const parseUnary = () => {
+        if (peek() === '-') {
+            next();
+            const operand = parseUnary();
+            return env => scaleValue(operand(env), -1);
+        }
+        if (peek() === '+') {
+            next();
+            return parseUnary();
+        }
+        return parsePower();
+    };
+
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek() !== '^') return base;
+        next();
+        // x^23 のような波括弧なしの指数は先頭の1桁のみが指数
+        const token = peek();
+        if (token && /^\d{2,}/.test(token)) {
+            tokens.splice(pos, 1, token[0], token.slice(1));
+        }
+        const exponent = peek() === '{' ? parseGroup() : parsePrimary();
+        return env => powerValues(base(env), exponent(env));
+    };
+
+    const parseGroup = () => {
+        expect('{');
+        const inner = parseExpression();
+        expect('}');
+        return inner;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token === undefined) {
+            throw new Error('式を解析できません');
+        }
+        if (/^[\d.]/.test(token)) {
+            const value = Number(token);
+            return () => value;
+        }
+        if (token === '(') {
+            const first = parseExpression();
+            if (peek() === ',') {
+                next();
+                const second = parseExpression();
+                expect(')');
+                return env => [toScalar(first(env)), toScalar(second(env))];
+            }
+            expect(')');
+            return first;
+        }
+        if (token === '{') {
+            pos--;
+            return parseGroup();
+        }
+        if (/^[a-zA-Z]$/.test(token)) {
+            if (token === 'e') {
+                return () => Math.E;
+            }
+            if (!LATEX_VARIABLES.has(token)) {
+                throw new Error(`未定義の変数 ${token} を含んでいます`);
+            }
+            variables.add(token);
+            return env => env[token];
+        }
+        if (token === '\\pi') {
+            return () => Math.PI;
+        }
+        if (token === '\\frac') {
+            const numerator = parseGroup();
+            const denominator = parseGroup();
+            return env => divideValues(numerator(env), denominator(env));
+        }
+        if (token === '\\sqrt') {
+            const argument = parseGroup();
+            return env => Math.sqrt(toScalar(argument(env)));
+        }
+        if (LATEX_FUNCTIONS[token]) {
+            const fn = LATEX_FUNCTIONS[token];
+            const argument = parsePower();
+            return env => fn(toScalar(argument(env)));
+        }
+        throw new Error(`未対応の記号 ${token} を含んでいます`);
+    };
+
+    if (tokens.length === 0) {
+        throw new Error('式が空です');
+    }
+    const evaluate = parseExpression();
+    if (pos < tokens.length) {
+        throw new Error(`未対応の記号 ${tokens[pos]} を含んでいます`);
+    }
+    return { evaluate, variables };
+}
+
+/**
+ * @private
+ */
+function toScalar(value) {
+    if (Array.isArray(value)) {
+        throw new Error('点を数値として扱うことはできません');
+    }
+    return value;
+}
+
+/**
+ * @private
+ */
+function addValues(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return [a[0] + b[0], a[1] + b[1]];
+    }
+    return toScalar(a) + toScalar(b);
+}
+
+/**
+ * @private
+ */
+function scaleValue(value, k) {
+    return Array.isArray(value) ? [value[0] * k, value[1] * k] : value * k;
+}
+
+/**
+ * @private
+ */
+function multiplyValues(a, b) {
+    if (Array.isArray(a)) {
+        return scaleValue(a, toScalar(b));
+    }
+    if (Array.isArray(b)) {
+        return scaleValue(b, a);
+    }
+    return a * b;
+}
+
+/**
+ * @private
+ */
+function divideValues(a, b) {
+    return scaleValue(a, 1 / toScalar(b));
+}
+
+/**
+ * @private
+ */
+function powerValues(a, b) {
+    return Math.pow(toScalar(a), toScalar(b));
+}
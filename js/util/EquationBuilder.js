@@ -1,5 +1,13 @@
+import {
+    composePolynomialAffine,
+    polynomialToCubicControlPoints,
+    trimPolynomial
+} from "./PolynomialUtil.js";
+
 const DEFAULT_DECIMALS = 3;
 const EPSILON = 1e-9;
+/** 多項式の係数を表示するときの有効数字の最大桁数（これより細かい桁は浮動小数点の誤差になる） */
+const MAX_COEFFICIENT_DIGITS = 15;
 
 function trimTrailingZeros(text) {
     if (!text.includes(".")) {
@@ -58,6 +66,33 @@ function createDomain(start, end, decimals = DEFAULT_DECIMALS) {
     return Object.keys(domain).length > 0 ? domain : undefined;
 }
 
+/**
+ * 多項式の係数を書式化する（小さい係数は有効数字3桁が残る桁数まで表示する）
+ * 有効数字が MAX_COEFFICIENT_DIGITS 桁を超える桁は表示しない
+ */
+function formatCoefficient(value, decimals = DEFAULT_DECIMALS) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= EPSILON) {
+        return formatFixed(value, decimals);
+    }
+    const exponent = Math.floor(Math.log10(magnitude));
+    const needed = magnitude >= 1 ? decimals : Math.max(decimals, -exponent + 2);
+    return formatFixed(value, Math.max(0, Math.min(needed, MAX_COEFFICIENT_DIGITS - 1 - exponent)));
+}
+
+/**
+ * 多項式の k 次の項の係数を表示する小数点以下の桁数
+ * 定義域内（|x| <= radius）で、表示した係数による y のずれが全項の合計でも y の表示精度（小数点以下 decimals 桁）の
+ * 半分以内に収まる桁数にする。丸めた係数は末尾の0が省かれるため、丸めた値のまま表示される
+ * @param {number} k - 次数
+ * @param {number} termCount - 項の数
+ * @param {number} radius - 定義域での |x| の最大値
+ * @param {number} decimals - y の表示精度
+ */
+function polynomialTermDecimals(k, termCount, radius, decimals) {
+    return Math.max(decimals, Math.ceil(decimals + Math.log10(termCount) + k * Math.log10(radius)));
+}
+
 function formatPoint(point, decimals = DEFAULT_DECIMALS) {
     if (!Array.isArray(point) || point.length < 2) {
         return "(0, 0)";
@@ -169,6 +204,104 @@ function cloneParameterRange(range) {
     };
 }
 
+/**
+ * アフィン行列 {a, b, c, d, e, f} を点に適用する（x' = a x + c y + e, y' = b x + d y + f）
+ */
+function applyMatrix(matrix, point) {
+    if (!Array.isArray(point) || point.length < 2) {
+        return point;
+    }
+    const px = Number(point[0]);
+    const py = Number(point[1]);
+    return [
+        matrix.a * px + matrix.c * py + matrix.e,
+        matrix.b * px + matrix.d * py + matrix.f
+    ];
+}
+
+function isAxisAligned(matrix) {
+    return Math.abs(matrix.b) <= EPSILON && Math.abs(matrix.c) <= EPSILON;
+}
+
+/**
+ * "2\pi" や "\frac{\pi}{2}" を含まない単純な角度表記を数値に変換する
+ */
+function parseAngle(value) {
+    if (typeof value === "number") {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== "string") {
+        return null;
+    }
+    const trimmed = value.trim();
+    if (trimmed.includes("\\pi")) {
+        const coefficient = trimmed.replace("\\pi", "").trim();
+        if (coefficient === "" || coefficient === "+") {
+            return Math.PI;
+        }
+        if (coefficient === "-") {
+            return -Math.PI;
+        }
+        const parsed = parseNumeric(coefficient);
+        return parsed == null ? null : parsed * Math.PI;
+    }
+    return parseNumeric(trimmed);
+}
+
+/**
+ * 楕円 c + R(rotation) diag(radiusX, radiusY) (cos t, sin t) に行列の線形部分を掛けた結果を
+ * 2x2 特異値分解で楕円の形に戻す。
+ * 変換後のパラメータは mirrored が false のとき t' = t - shift、true のとき t' = shift - t となる。
+ */
+function decomposeEllipse(matrix, radiusX, radiusY, rotation = 0) {
+    const cosPhi = Math.cos(rotation);
+    const sinPhi = Math.sin(rotation);
+    // K = L R(phi) diag(rx, ry)
+    const r00 = cosPhi * radiusX;
+    const r01 = -sinPhi * radiusY;
+    const r10 = sinPhi * radiusX;
+    const r11 = cosPhi * radiusY;
+    const k00 = matrix.a * r00 + matrix.c * r10;
+    const k01 = matrix.a * r01 + matrix.c * r11;
+    const k10 = matrix.b * r00 + matrix.d * r10;
+    const k11 = matrix.b * r01 + matrix.d * r11;
+
+    const shift = 0.5 * Math.atan2(
+        2 * (k00 * k01 + k10 * k11),
+        (k00 * k00 + k10 * k10) - (k01 * k01 + k11 * k11)
+    );
+    const cosShift = Math.cos(shift);
+    const sinShift = Math.sin(shift);
+    const u1 = [k00 * cosShift + k01 * sinShift, k10 * cosShift + k11 * sinShift];
+    const u2 = [-k00 * sinShift + k01 * cosShift, -k10 * sinShift + k11 * cosShift];
+    const sigma1 = Math.hypot(u1[0], u1[1]);
+    const sigma2 = Math.hypot(u2[0], u2[1]);
+    const mirrored = (u1[0] * u2[1] - u1[1] * u2[0]) < 0;
+
+    return {
+        radiusX: sigma1,
+        radiusY: sigma2,
+        rotation: Math.atan2(u1[1], u1[0]),
+        shift,
+        mirrored
+    };
+}
+
+/**
+ * 定義域を持たない直線を2点から作成する（縦・横・一般の直線を判定）
+ */
+function lineThroughPoints(start, end, meta, decimals) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    if (Math.abs(dx) <= EPSILON) {
+        return EquationBuilder.vertical({ x: start[0], meta }, { decimals });
+    }
+    if (Math.abs(dy) <= EPSILON) {
+        return EquationBuilder.horizontal({ y: start[1], meta }, { decimals });
+    }
+    return EquationBuilder.linear({ slope: dy / dx, point: start, meta }, { decimals });
+}
+
 function mergeEquation(original, updated) {
     if (!updated) {
         return null;
@@ -326,6 +459,58 @@ export const EquationBuilder = {
         });
     },
 
+    /**
+     * 多項式 y = c_n x^n + ... + c_1 x + c_0
+     * @param {Object} args
+     * @param {number[]} args.coefficients - 次数の低い順の係数 [c0, c1, ..., cn]
+     * @param {Array<number>} [args.domain] - x の定義域（係数の表示桁数もこの範囲で式と曲線が一致するように決める）
+     * @param {number} [args.origin] - 指定した場合は x - origin の多項式 c_n (x - x_0)^n + ... + c_0 として表示する
+     *                                  （原点から離れた区間でも係数が大きくならず、少ない桁で曲線と一致する）
+     */
+    polynomial({ coefficients, domain, origin, meta }, options = {}) {
+        const decimals = options.decimals ?? DEFAULT_DECIMALS;
+        const values = trimPolynomial((Array.isArray(coefficients) ? coefficients : [0])
+            .map((c) => (Number.isFinite(c) ? c : 0)));
+
+        // 表示する x_0 の値で展開し直すことで、丸めた x_0 でも式と曲線が一致するようにする
+        const shift = Number.isFinite(origin) ? Number(formatFixed(origin, decimals)) : 0;
+        const local = shift !== 0 ? trimPolynomial(composePolynomialAffine(values, 1, shift)) : values;
+        const variable = shift !== 0 ? `(x ${formatSigned(-shift, decimals)})` : "x";
+        const radius = Math.max(1, ...(Array.isArray(domain) ? domain : [])
+            .filter(Number.isFinite)
+            .map((x) => Math.abs(x - shift)));
+
+        const terms = [];
+        for (let k = local.length - 1; k >= 0; k--) {
+            const text = formatCoefficient(Math.abs(local[k]),
+                polynomialTermDecimals(k, local.length, radius, decimals));
+            if (text === "0") {
+                continue;
+            }
+            const power = k === 0 ? "" : (k === 1 ? variable : `${variable}^${k > 9 ? `{${k}}` : k}`);
+            const magnitude = k > 0 && text === "1" ? power : `${text}${power}`;
+            if (terms.length === 0) {
+                terms.push(local[k] < 0 ? `-${magnitude}` : magnitude);
+            } else {
+                terms.push(local[k] < 0 ? `- ${magnitude}` : `+ ${magnitude}`);
+            }
+        }
+        const latex = `y = ${terms.length ? terms.join(" ") : "0"}`;
+
+        return finalizeEquation({
+            type: "polynomial",
+            latex,
+            formula: latex,
+            domain: createDomain(domain?.[0], domain?.[1], decimals),
+            domainAxis: "x",
+            params: shift !== 0
+                ? { coefficients: values, degree: values.length - 1, origin: shift }
+                : { coefficients: values, degree: values.length - 1 },
+            meta,
+            precision: decimals
+        });
+    },
+
     circle({ center, radius, meta }, options = {}) {
         const decimals = options.decimals ?? DEFAULT_DECIMALS;
         const [cx, cy] = Array.isArray(center) ? center : [0, 0];
@@ -616,6 +801,26 @@ export const EquationBuilder = {
                 }, { decimals });
                 return wrap(rebuilt);
             }
+            case "polynomial": {
+                const coefficients = equation.params && Array.isArray(equation.params.coefficients)
+                    ? equation.params.coefficients
+                    : null;
+                if (!coefficients || !coefficients.every(Number.isFinite)) {
+                    return null;
+                }
+                // q(x) = p(x - dx) + dy
+                const shifted = composePolynomialAffine(coefficients, 1, -deltaX);
+                shifted[0] += deltaY;
+                const range = parseDomainRange(equation.domain);
+                const origin = equation.params.origin;
+                const rebuilt = EquationBuilder.polynomial({
+                    coefficients: shifted,
+                    domain: shiftRange(range, deltaX),
+                    origin: Number.isFinite(origin) ? origin + deltaX : undefined,
+                    meta
+                }, { decimals });
+                return wrap(rebuilt);
+            }
             case "circle": {
                 const center = equation.params && Array.isArray(equation.params.center)
                     ? equation.params.center
@@ -728,6 +933,274 @@ export const EquationBuilder = {
         }
     },
 
+    /**
+     * 数式にアフィン変換（拡大縮小・回転・反転）を解析的に適用する。
+     * y=f(x) の形を保てない変換（回転など）では媒介変数表示に変換する。
+     * @param {Object} equation - EquationBuilder が生成した数式オブジェクト
+     * @param {{a:number,b:number,c:number,d:number,e:number,f:number}} matrix - x' = a x + c y + e, y' = b x + d y + f
+     * @param {Object} options - { decimals }
+     * @returns {Object|null} 変換後の数式（未対応の場合は null）
+     */
+    transformEquation(equation, matrix, options = {}) {
+        if (!equation || typeof equation !== "object" || !matrix) {
+            return null;
+        }
+
+        const type = equation.type;
+        if (!type) {
+            return null;
+        }
+
+        const decimals = options.decimals ?? equation.precision ?? DEFAULT_DECIMALS;
+        const meta = equation.meta;
+        const params = equation.params || {};
+        const determinant = matrix.a * matrix.d - matrix.b * matrix.c;
+        if (!Number.isFinite(determinant) || Math.abs(determinant) <= EPSILON) {
+            return null;
+        }
+
+        const wrap = (rebuilt) => mergeEquation(equation, rebuilt);
+        const range = parseDomainRange(equation.domain);
+        const bounded = Array.isArray(range) && Number.isFinite(range[0]) && Number.isFinite(range[1]);
+
+        switch (type) {
+            case "constant":
+            case "vertical":
+            case "linear": {
+                let pointAt;
+                if (type === "constant") {
+                    const y = parseNumeric(params.y);
+                    if (!Number.isFinite(y)) return null;
+                    pointAt = (x) => [x, y];
+                } else if (type === "vertical") {
+                    const x = parseNumeric(params.x);
+                    if (!Number.isFinite(x)) return null;
+                    pointAt = (y) => [x, y];
+                } else {
+                    if (!Number.isFinite(params.slope)) return null;
+                    const intercept = Number.isFinite(params.intercept)
+                        ? params.intercept
+                        : (Array.isArray(params.point) ? params.point[1] - params.slope * params.point[0] : 0);
+                    pointAt = (x) => [x, params.slope * x + intercept];
+                }
+                if (bounded) {
+                    const rebuilt = EquationBuilder.linearThroughPoints(
+                        applyMatrix(matrix, pointAt(range[0])),
+                        applyMatrix(matrix, pointAt(range[1])),
+                        { decimals, meta }
+                    );
+                    return wrap(rebuilt);
+                }
+                const rebuilt = lineThroughPoints(
+                    applyMatrix(matrix, pointAt(0)),
+                    applyMatrix(matrix, pointAt(1)),
+                    meta,
+                    decimals
+                );
+                return wrap(rebuilt);
+            }
+            case "quadratic": {
+                const a = Number.isFinite(params.a) ? params.a : null;
+                const vertex = Array.isArray(params.vertex) ? params.vertex : null;
+                if (!Number.isFinite(a) || !vertex) {
+                    return null;
+                }
+                if (isAxisAligned(matrix)) {
+                    // y = a(x - h)^2 + k は軸方向の拡大縮小・反転では同じ形を保つ
+                    const newRange = bounded
+                        ? [matrix.a * range[0] + matrix.e, matrix.a * range[1] + matrix.e].sort((p, q) => p - q)
+                        : undefined;
+                    const rebuilt = EquationBuilder.quadraticVertex({
+                        a: a * matrix.d / (matrix.a * matrix.a),
+                        vertex: applyMatrix(matrix, vertex),
+                        domain: newRange,
+                        meta
+                    }, { decimals });
+                    return wrap(rebuilt);
+                }
+                if (!bounded) {
+                    return null;
+                }
+                // 回転などでは定義域の両端と接線の交点を制御点とする二次ベジェ曲線に変換する
+                const f = (x) => a * (x - vertex[0]) * (x - vertex[0]) + vertex[1];
+                const [x0, x1] = range;
+                const xm = (x0 + x1) / 2;
+                const control = [xm, f(x0) + 2 * a * (x0 - vertex[0]) * (xm - x0)];
+                const rebuilt = EquationBuilder.quadraticBezier({
+                    p0: applyMatrix(matrix, [x0, f(x0)]),
+                    p1: applyMatrix(matrix, control),
+                    p2: applyMatrix(matrix, [x1, f(x1)]),
+                    meta
+                }, { decimals });
+                return wrap(rebuilt);
+            }
+            case "polynomial": {
+                const coefficients = Array.isArray(params.coefficients) ? params.coefficients : null;
+                if (!coefficients || !coefficients.every(Number.isFinite)) {
+                    return null;
+                }
+                if (isAxisAligned(matrix)) {
+                    // y' = d p((x' - e) / a) + f
+                    const composed = composePolynomialAffine(coefficients, 1 / matrix.a, -matrix.e / matrix.a)
+                        .map((c) => c * matrix.d);
+                    composed[0] += matrix.f;
+                    const newRange = bounded
+                        ? [matrix.a * range[0] + matrix.e, matrix.a * range[1] + matrix.e].sort((p, q) => p - q)
+                        : undefined;
+                    // x - x_0 の形で表示していた場合は、変形後の区間の始点を x_0 にする
+                    const origin = Number.isFinite(params.origin)
+                        ? (newRange ? newRange[0] : matrix.a * params.origin + matrix.e)
+                        : undefined;
+                    const rebuilt = EquationBuilder.polynomial({
+                        coefficients: composed,
+                        domain: newRange,
+                        origin,
+                        meta
+                    }, { decimals });
+                    return wrap(rebuilt);
+                }
+                if (!bounded) {
+                    return null;
+                }
+                // 回転などでは三次以下に限り、同じ曲線の三次ベジェ曲線に変換する
+                const controlPoints = polynomialToCubicControlPoints(coefficients, range[0], range[1]);
+                if (!controlPoints) {
+                    return null;
+                }
+                const transformed = controlPoints.map((pt) => applyMatrix(matrix, pt));
+                const rebuilt = EquationBuilder.cubicBezier({
+                    p0: transformed[0],
+                    p1: transformed[1],
+                    p2: transformed[2],
+                    p3: transformed[3],
+                    meta
+                }, { decimals });
+                return wrap(rebuilt);
+            }
+            case "circle":
+            case "ellipse":
+            case "arc": {
+                const center = Array.isArray(params.center) ? params.center : null;
+                const radiusX = type === "ellipse" ? params.radiusX : params.radius;
+                const radiusY = type === "ellipse" ? params.radiusY : params.radius;
+                const rotation = type === "ellipse" && Number.isFinite(params.rotation) ? params.rotation : 0;
+                if (!center || !Number.isFinite(radiusX) || !Number.isFinite(radiusY)) {
+                    return null;
+                }
+
+                const newCenter = applyMatrix(matrix, center);
+                const shape = decomposeEllipse(matrix, radiusX, radiusY, rotation);
+                const mapAngle = (t) => (shape.mirrored ? shape.shift - t : t - shape.shift);
+                const isCircle = Math.abs(shape.radiusX - shape.radiusY) <= EPSILON * Math.max(1, shape.radiusX);
+
+                // 部分的な範囲（円弧・範囲付き楕円）を求める
+                let startAngle = null;
+                let endAngle = null;
+                let direction = Number(params.direction) < 0 ? -1 : 1;
+                if (type === "arc") {
+                    startAngle = parseAngle(params.startAngle);
+                    endAngle = parseAngle(params.endAngle);
+                } else if (equation.parameterRange) {
+                    startAngle = parseAngle(equation.parameterRange.start);
+                    endAngle = parseAngle(equation.parameterRange.end);
+                    const fullTurn = Number.isFinite(startAngle) && Number.isFinite(endAngle) &&
+                        Math.abs(Math.abs(endAngle - startAngle) - Math.PI * 2) <= 1e-6;
+                    if (fullTurn) {
+                        startAngle = null;
+                        endAngle = null;
+                    }
+                }
+                const partial = Number.isFinite(startAngle) && Number.isFinite(endAngle);
+
+                if (!partial) {
+                    const rebuilt = isCircle
+                        ? EquationBuilder.circle({ center: newCenter, radius: shape.radiusX, meta }, { decimals })
+                        : EquationBuilder.ellipse({
+                            center: newCenter,
+                            radiusX: shape.radiusX,
+                            radiusY: shape.radiusY,
+                            rotation: shape.rotation,
+                            meta
+                        }, { decimals });
+                    return wrap(rebuilt);
+                }
+
+                if (type === "arc") {
+                    // 方向に合わせて終了角を開始角からの連続値にそろえる
+                    if (direction > 0 && endAngle < startAngle) endAngle += Math.PI * 2;
+                    if (direction < 0 && endAngle > startAngle) endAngle -= Math.PI * 2;
+                }
+                const newStart = mapAngle(startAngle);
+                const newEnd = mapAngle(endAngle);
+                if (shape.mirrored) {
+                    direction = -direction;
+                }
+
+                if (type === "arc" && isCircle) {
+                    // 相似変換では円弧のまま（楕円の回転角が円の角度のずれになる）
+                    const offset = shape.mirrored ? shape.rotation + shape.shift : shape.rotation - shape.shift;
+                    const rebuilt = EquationBuilder.arc({
+                        center: newCenter,
+                        radius: shape.radiusX,
+                        startAngle: shape.mirrored ? offset - startAngle : startAngle + offset,
+                        endAngle: shape.mirrored ? offset - endAngle : endAngle + offset,
+                        direction,
+                        meta
+                    }, { decimals });
+                    return wrap(rebuilt);
+                }
+
+                const rebuilt = EquationBuilder.ellipse({
+                    center: newCenter,
+                    radiusX: shape.radiusX,
+                    radiusY: shape.radiusY,
+                    rotation: shape.rotation,
+                    meta
+                }, { decimals });
+                const low = Math.min(newStart, newEnd);
+                const high = Math.max(newStart, newEnd);
+                rebuilt.parameterRange = {
+                    symbol: "t",
+                    start: formatFixed(low, decimals),
+                    end: formatFixed(high, decimals)
+                };
+                rebuilt.domain = createDomain(low, high, decimals);
+                return wrap(rebuilt);
+            }
+            case "quadraticBezier":
+            case "cubicBezier": {
+                const cps = Array.isArray(params.controlPoints) ? params.controlPoints : null;
+                const required = type === "cubicBezier" ? 4 : 3;
+                if (!cps || cps.length < required) {
+                    return null;
+                }
+                const transformed = cps.map((pt) => applyMatrix(matrix, pt));
+                const builder = type === "cubicBezier" ? EquationBuilder.cubicBezier : EquationBuilder.quadraticBezier;
+                const rebuilt = builder({
+                    p0: transformed[0],
+                    p1: transformed[1],
+                    p2: transformed[2],
+                    p3: transformed[3],
+                    parameterRange: cloneParameterRange(equation.parameterRange),
+                    meta
+                }, { decimals });
+                return wrap(rebuilt);
+            }
+            default:
+                return null;
+        }
+    },
+
+    transformEquations(equations, matrix, options = {}) {
+        if (!Array.isArray(equations)) {
+            return null;
+        }
+        return equations.map((eq) => {
+            const transformed = EquationBuilder.transformEquation(eq, matrix, options);
+            return transformed || eq;
+        });
+    },
+
     translateEquations(equations, deltaX = 0, deltaY = 0, options = {}) {
         if (!Array.isArray(equations)) {
             return null;
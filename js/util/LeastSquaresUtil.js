@@ -0,0 +1,72 @@
+/**
+ * 最小二乗法と連立一次方程式の計算
+ * 多項式近似（PolynomialApproximator）と Desmos の式の読み込み（DesmosStateUtil）で共通に使う
+ */
+
+/** ピボットがこれより小さい場合は解けない（特異）とみなす */
+const PIVOT_EPSILON = 1e-12;
+
+/**
+ * 連立一次方程式 A x = b を部分ピボット付きのガウスの消去法で解く
+ * @param {number[][]} matrix - 係数行列 A（n × n）
+ * @param {number[]} vector - 右辺 b
+ * @returns {number[]|null} 解（特異な場合や有限の値にならない場合は null）
+ */
+export function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const m = matrix.map((row, i) => [...row, vector[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        if (Math.abs(m[pivot][col]) < PIVOT_EPSILON) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) {
+                m[row][k] -= factor * m[col][k];
+            }
+        }
+    }
+
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = m[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= m[row][k] * solution[k];
+        }
+        solution[row] = sum / m[row][row];
+    }
+    return solution.every(Number.isFinite) ? solution : null;
+}
+
+/**
+ * 正規方程式 (A^T A) x = A^T b による最小二乗解と最大残差
+ * @param {number[][]} rows - 行列 A の各行（観測ごとの説明変数）
+ * @param {number[]} values - 観測値 b
+ * @returns {{coeffs: number[], maxResidual: number}|null} 解けない場合は null
+ */
+export function leastSquares(rows, values) {
+    if (rows.length === 0) return null;
+    const n = rows[0].length;
+    const ata = Array.from({ length: n }, () => new Array(n).fill(0));
+    const atb = new Array(n).fill(0);
+    rows.forEach((row, r) => {
+        for (let i = 0; i < n; i++) {
+            atb[i] += row[i] * values[r];
+            for (let j = 0; j < n; j++) {
+                ata[i][j] += row[i] * row[j];
+            }
+        }
+    });
+
+    const coeffs = solveLinearSystem(ata, atb);
+    if (!coeffs) return null;
+    let maxResidual = 0;
+    rows.forEach((row, r) => {
+        const predicted = row.reduce((sum, v, i) => sum + v * coeffs[i], 0);
+        maxResidual = Math.max(maxResidual, Math.abs(predicted - values[r]));
+    });
+    return { coeffs, maxResidual };
+}
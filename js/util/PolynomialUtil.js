@@ -0,0 +1,119 @@
+/**
+ * 多項式 y = c0 + c1 x + c2 x^2 + ... の計算
+ * 係数は次数の低い順の配列 [c0, c1, ..., cn] で表す
+ */
+
+/**
+ * 多項式の値（ホーナー法）
+ * @param {number[]} coefficients - 次数の低い順の係数
+ * @param {number} x
+ * @returns {number}
+ */
+export function evaluatePolynomial(coefficients, x) {
+    let value = 0;
+    for (let k = coefficients.length - 1; k >= 0; k--) {
+        value = value * x + coefficients[k];
+    }
+    return value;
+}
+
+/**
+ * 導関数の係数
+ * @param {number[]} coefficients
+ * @returns {number[]}
+ */
+export function differentiatePolynomial(coefficients) {
+    if (coefficients.length <= 1) return [0];
+    return coefficients.slice(1).map((c, k) => c * (k + 1));
+}
+
+/**
+ * 最高次の 0 の係数を取り除く（定数項は残す）
+ * @param {number[]} coefficients
+ * @returns {number[]}
+ */
+export function trimPolynomial(coefficients) {
+    let degree = coefficients.length - 1;
+    while (degree > 0 && coefficients[degree] === 0) degree--;
+    return coefficients.slice(0, degree + 1);
+}
+
+/**
+ * p(a x + b) の係数（x 方向の拡大縮小・平行移動）
+ * @param {number[]} coefficients - p の係数
+ * @param {number} a
+ * @param {number} b
+ * @returns {number[]}
+ */
+export function composePolynomialAffine(coefficients, a, b) {
+    const result = new Array(coefficients.length).fill(0);
+    // (a x + b)^k を二項展開して足し合わせる
+    let power = [1];
+    coefficients.forEach((c, k) => {
+        if (k > 0) {
+            const next = new Array(power.length + 1).fill(0);
+            power.forEach((value, j) => {
+                next[j] += value * b;
+                next[j + 1] += value * a;
+            });
+            power = next;
+        }
+        power.forEach((value, j) => {
+            result[j] += c * value;
+        });
+    });
+    return result;
+}
+
+/**
+ * 区間 [x0, x1] の多項式のグラフを三次ベジェのSVGパスにする
+ * 各区間の両端の値と傾きを合わせるため、三次以下の多項式は1区間で正確に表せる
+ * @param {number[]} coefficients
+ * @param {number} x0
+ * @param {number} x1
+ * @param {Object} options
+ * @param {number} [options.segments] - 分割数（省略時は次数から決める）
+ * @param {Function} [options.format] - 座標の書式
+ * @returns {string}
+ */
+export function polynomialToBezierPath(coefficients, x0, x1, options = {}) {
+    const degree = trimPolynomial(coefficients).length - 1;
+    const segments = options.segments || (degree <= 3 ? 1 : degree * 2);
+    const format = options.format || (value => String(Number(value.toFixed(6))));
+    const derivative = differentiatePolynomial(coefficients);
+    const point = (x, y) => `${format(x)},${format(y)}`;
+
+    const parts = [`M ${point(x0, evaluatePolynomial(coefficients, x0))}`];
+    for (let i = 0; i < segments; i++) {
+        const a = x0 + (x1 - x0) * i / segments;
+        const b = x0 + (x1 - x0) * (i + 1) / segments;
+        const h = (b - a) / 3;
+        const ya = evaluatePolynomial(coefficients, a);
+        const yb = evaluatePolynomial(coefficients, b);
+        const c1 = point(a + h, ya + h * evaluatePolynomial(derivative, a));
+        const c2 = point(b - h, yb - h * evaluatePolynomial(derivative, b));
+        parts.push(`C ${c1} ${c2} ${point(b, yb)}`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * 区間 [x0, x1] の三次以下の多項式を三次ベジェの制御点にする
+ * @param {number[]} coefficients
+ * @param {number} x0
+ * @param {number} x1
+ * @returns {Array<[number, number]>|null} 制御点（四次以上の場合は null）
+ */
+export function polynomialToCubicControlPoints(coefficients, x0, x1) {
+    if (trimPolynomial(coefficients).length - 1 > 3) return null;
+    const derivative = differentiatePolynomial(coefficients);
+    const h = (x1 - x0) / 3;
+    const y0 = evaluatePolynomial(coefficients, x0);
+    const y1 = evaluatePolynomial(coefficients, x1);
+    return [
+        [x0, y0],
+        [x0 + h, y0 + h * evaluatePolynomial(derivative, x0)],
+        [x1 - h, y1 - h * evaluatePolynomial(derivative, x1)],
+        [x1, y1]
+    ];
+}
@@ -0,0 +1,341 @@
+/**
+ * ラスター画像トレースユーティリティ
+ * PNG/JPEGの線画を二値化し、中心線または輪郭の点列に変換する
+ */
+import { createViewBoxMapper } from './SvgImportUtil.js';
+
+/** トレース時に画像を縮小する長辺の最大画素数 */
+const MAX_TRACE_SIZE = 512;
+/** これより短い（画素単位）点列はノイズとして捨てる */
+const DEFAULT_MIN_LENGTH = 10;
+/** 出力する点列の点間隔（画素単位） */
+const RESAMPLE_SPACING = 2;
+
+/**
+ * 画像ファイルを読み込み、トレース用に縮小した画素データを返す
+ * @param {File|Blob} file - PNG/JPEG画像ファイル
+ * @param {number} maxSize - 長辺の最大画素数
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>}
+ */
+export function loadRasterImage(file, maxSize = MAX_TRACE_SIZE) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            try {
+                const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+                const width = Math.max(1, Math.round(img.naturalWidth * scale));
+                const height = Math.max(1, Math.round(img.naturalHeight * scale));
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0, width, height);
+                resolve({ width, height, data: ctx.getImageData(0, 0, width, height).data });
+            } catch (error) {
+                reject(error);
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('画像を読み込めませんでした'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * 画素データをトレースして点列（画素座標）の配列を返す
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - loadRasterImageの結果
+ * @param {Object} options - { threshold: 0〜255の二値化しきい値, mode: 'centerline' | 'outline', minLength: 最小の長さ }
+ * @returns {Array<Array<Array<number>>>} 点列の配列
+ */
+export function traceRasterImage(image, options = {}) {
+    const threshold = Number.isFinite(options.threshold) ? options.threshold : 128;
+    const mode = options.mode === 'outline' ? 'outline' : 'centerline';
+    const minLength = Number.isFinite(options.minLength) ? options.minLength : DEFAULT_MIN_LENGTH;
+
+    const mask = binarize(image, threshold);
+    const polylines = mode === 'outline'
+        ? traceOutlines(mask, image.width, image.height)
+        : traceCenterlines(thin(mask, image.width, image.height), image.width, image.height);
+
+    return polylines
+        .map(points => resample(smooth(points), RESAMPLE_SPACING))
+        .filter(points => points.length >= 2 && polylineLength(points) >= minLength);
+}
+
+/**
+ * 画素座標の点列を表示範囲の中央に配置したドメイン座標に変換する
+ * @param {Array<Array<Array<number>>>} polylines - traceRasterImageの結果
+ * @param {{width: number, height: number}} image - 画像の大きさ
+ * @param {Object} domain - 配置先の表示範囲 {xMin, xMax, yMin, yMax}
+ * @returns {Array<Array<Array<number>>>} ドメイン座標の点列の配列
+ */
+export function mapTracedPolylines(polylines, image, domain) {
+    const toDomain = createViewBoxMapper({ x: 0, y: 0, width: image.width, height: image.height }, domain);
+    return polylines.map(points => points.map(toDomain));
+}
+
+/**
+ * 輝度がしきい値未満の画素を1とする二値画像を作る（透過部分は白とみなす）
+ * @private
+ */
+function binarize(image, threshold) {
+    const { width, height, data } = image;
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        const alpha = data[i * 4 + 3] / 255;
+        const luminance = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) * alpha + 255 * (1 - alpha);
+        mask[i] = luminance < threshold ? 1 : 0;
+    }
+    return mask;
+}
+
+// ----------------------------
+// 中心線トレース
+// ----------------------------
+
+/**
+ * Zhang-Suen法で線を1画素幅に細線化する
+ * @private
+ */
+function thin(source, width, height) {
+    const mask = source.slice();
+    const at = (x, y) => (x >= 0 && y >= 0 && x < width && y < height ? mask[y * width + x] : 0);
+    let changed = true;
+
+    while (changed) {
+        changed = false;
+        for (let pass = 0; pass < 2; pass++) {
+            const removal = [];
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    if (!mask[y * width + x]) continue;
+                    // P2〜P9（上から時計回り）
+                    const p = [at(x, y - 1), at(x + 1, y - 1), at(x + 1, y), at(x + 1, y + 1),
+                        at(x, y + 1), at(x - 1, y + 1), at(x - 1, y), at(x - 1, y - 1)];
+                    const count = p.reduce((sum, v) => sum + v, 0);
+                    if (count < 2 || count > 6) continue;
+                    let transitions = 0;
+                    for (let i = 0; i < 8; i++) {
+                        if (p[i] === 0 && p[(i + 1) % 8] === 1) transitions++;
+                    }
+                    if (transitions !== 1) continue;
+                    if (pass === 0 && (p[0] * p[2] * p[4] !== 0 || p[2] * p[4] * p[6] !== 0)) continue;
+                    if (pass === 1 && (p[0] * p[2] * p[6] !== 0 || p[0] * p[4] * p[6] !== 0)) continue;
+                    removal.push(y * width + x);
+                }
+            }
+            removal.forEach(index => { mask[index] = 0; });
+            if (removal.length > 0) changed = true;
+        }
+    }
+    return mask;
+}
+
+/**
+ * 細線化した画像を端点・分岐点で区切った点列に分解する
+ * @private
+ */
+function traceCenterlines(skeleton, width, height) {
+    const filled = (x, y) => x >= 0 && y >= 0 && x < width && y < height && skeleton[y * width + x] === 1;
+
+    // 斜めの隣接は、共有する上下左右の画素を経由して繋がっている場合は除外する（階段状の三角形を防ぐ）
+    const neighbors = (index) => {
+        const x = index % width;
+        const y = (index - x) / width;
+        const result = [];
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if ((dx === 0 && dy === 0) || !filled(x + dx, y + dy)) continue;
+                if (dx !== 0 && dy !== 0 && (filled(x + dx, y) || filled(x, y + dy))) continue;
+                result.push((y + dy) * width + (x + dx));
+            }
+        }
+        return result;
+    };
+
+    const adjacency = new Map();
+    for (let i = 0; i < skeleton.length; i++) {
+        if (skeleton[i]) adjacency.set(i, neighbors(i));
+    }
+
+    const visitedEdges = new Set();
+    const edgeKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+    const toPoint = (index) => [index % width + 0.5, Math.floor(index / width) + 0.5];
+    const polylines = [];
+
+    const walk = (start, next) => {
+        const chain = [start, next];
+        visitedEdges.add(edgeKey(start, next));
+        let prev = start;
+        let current = next;
+        while (adjacency.get(current).length === 2) {
+            const following = adjacency.get(current).find(n => n !== prev && !visitedEdges.has(edgeKey(current, n)));
+            if (following === undefined) break;
+            visitedEdges.add(edgeKey(current, following));
+            chain.push(following);
+            prev = current;
+            current = following;
+        }
+        return chain;
+    };
+
+    // 端点・分岐点から辿る
+    adjacency.forEach((list, index) => {
+        if (list.length === 2) return;
+        list.forEach(next => {
+            if (!visitedEdges.has(edgeKey(index, next))) {
+                polylines.push(walk(index, next).map(toPoint));
+            }
+        });
+    });
+
+    // 残りは閉じた線
+    adjacency.forEach((list, index) => {
+        if (list.length !== 2) return;
+        const next = list.find(n => !visitedEdges.has(edgeKey(index, n)));
+        if (next !== undefined) {
+            polylines.push(walk(index, next).map(toPoint));
+        }
+    });
+
+    return polylines;
+}
+
+// ----------------------------
+// 輪郭トレース
+// ----------------------------
+
+/**
+ * マーチングスクエア法のセグメント表（セルの角 左上=8, 右上=4, 右下=2, 左下=1）
+ * 辺は 0:上, 1:右, 2:下, 3:左
+ * @private
+ */
+const MARCHING_SEGMENTS = [
+    [], [[3, 2]], [[2, 1]], [[3, 1]], [[0, 1]], [[3, 0], [2, 1]], [[0, 2]], [[3, 0]],
+    [[3, 0]], [[0, 2]], [[0, 1], [3, 2]], [[0, 1]], [[3, 1]], [[2, 1]], [[3, 2]], []
+];
+
+/**
+ * 二値画像の境界を閉じた点列として抽出する
+ * @private
+ */
+function traceOutlines(mask, width, height) {
+    const at = (x, y) => (x >= 0 && y >= 0 && x < width && y < height ? mask[y * width + x] : 0);
+    // 辺の中点を2倍した整数座標で表す
+    const edgePoint = (x, y, edge) => {
+        switch (edge) {
+            case 0: return [2 * x + 1, 2 * y];
+            case 1: return [2 * x + 2, 2 * y + 1];
+            case 2: return [2 * x + 1, 2 * y + 2];
+            default: return [2 * x, 2 * y + 1];
+        }
+    };
+    const keyOf = ([x, y]) => `${x},${y}`;
+
+    const links = new Map();
+    const addLink = (a, b) => {
+        const ka = keyOf(a);
+        const kb = keyOf(b);
+        if (!links.has(ka)) links.set(ka, { point: a, next: [] });
+        if (!links.has(kb)) links.set(kb, { point: b, next: [] });
+        links.get(ka).next.push(kb);
+        links.get(kb).next.push(ka);
+    };
+
+    // 画像の外側を含めるため1画素分広く走査する
+    for (let y = -1; y < height; y++) {
+        for (let x = -1; x < width; x++) {
+            const index = at(x, y) * 8 + at(x + 1, y) * 4 + at(x + 1, y + 1) * 2 + at(x, y + 1);
+            MARCHING_SEGMENTS[index].forEach(([from, to]) => addLink(edgePoint(x, y, from), edgePoint(x, y, to)));
+        }
+    }
+
+    const visited = new Set();
+    const polylines = [];
+    links.forEach((node, startKey) => {
+        if (visited.has(startKey)) return;
+        const chain = [node.point];
+        visited.add(startKey);
+        let currentKey = startKey;
+        for (;;) {
+            const nextKey = links.get(currentKey).next.find(k => !visited.has(k));
+            if (nextKey === undefined) break;
+            visited.add(nextKey);
+            chain.push(links.get(nextKey).point);
+            currentKey = nextKey;
+        }
+        if (links.get(currentKey).next.includes(startKey)) {
+            chain.push(node.point);
+        }
+        // 画素の中心を (x + 0.5, y + 0.5) とする座標に戻す
+        polylines.push(chain.map(([x, y]) => [x / 2 + 0.5, y / 2 + 0.5]));
+    });
+    return polylines;
+}
+
+// ----------------------------
+// 点列の整形
+// ----------------------------
+
+/**
+ * 画素の階段状のギザギザを移動平均でならす（端点は固定）
+ * @private
+ */
+function smooth(points, iterations = 2) {
+    let result = points;
+    for (let iter = 0; iter < iterations; iter++) {
+        if (result.length < 3) break;
+        result = result.map((pt, i) => {
+            if (i === 0 || i === result.length - 1) return pt;
+            return [
+                (result[i - 1][0] + pt[0] * 2 + result[i + 1][0]) / 4,
+                (result[i - 1][1] + pt[1] * 2 + result[i + 1][1]) / 4
+            ];
+        });
+    }
+    return result;
+}
+
+/**
+ * 点列を一定間隔で再標本化する
+ * @private
+ */
+function resample(points, spacing) {
+    if (points.length < 2) return points.slice();
+    const result = [points[0]];
+    let carried = 0;
+    for (let i = 1; i < points.length; i++) {
+        const [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i];
+        const length = Math.hypot(x1 - x0, y1 - y0);
+        let position = spacing - carried;
+        while (position <= length) {
+            const t = position / length;
+            result.push([x0 + (x1 - x0) * t, y0 + (y1 - y0) * t]);
+            position += spacing;
+        }
+        carried = length - (position - spacing);
+    }
+    const last = points[points.length - 1];
+    const tail = result[result.length - 1];
+    if (Math.hypot(last[0] - tail[0], last[1] - tail[1]) > spacing * 0.25) {
+        result.push(last);
+    }
+    return result;
+}
+
+/**
+ * @private
+ */
+function polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    return length;
+}
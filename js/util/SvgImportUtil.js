@@ -0,0 +1,680 @@
+/**
+ * SVG読み込みユーティリティ
+ * SVGファイルの図形要素をサブパスに分解し、グラフのドメイン座標へ変換する
+ */
+import { EquationBuilder } from './EquationBuilder.js';
+
+/** 読み込み対象外の要素（定義のみで描画されない要素） */
+const SKIPPED_CONTAINERS = new Set(['defs', 'clipPath', 'mask', 'symbol', 'marker', 'pattern', 'metadata', 'title', 'desc', 'style']);
+/** 円弧を三次ベジェに分割する際の最大角度 */
+const MAX_ARC_SEGMENT_ANGLE = Math.PI / 2;
+/** 表示範囲に対してSVGを配置する大きさの比率 */
+const DEFAULT_FIT_RATIO = 0.9;
+/** 手書き近似に渡す点列の、表示範囲の対角線に対する点間隔の比率 */
+const SAMPLE_SPACING_RATIO = 1 / 300;
+
+/**
+ * SVG文字列を解析し、変換行列を適用済みのサブパス一覧を返す
+ * @param {string} svgText - SVGファイルの内容
+ * @returns {{viewBox: {x: number, y: number, width: number, height: number}, subpaths: Array<Object>}}
+ */
+export function parseSVG(svgText) {
+    const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+    const root = doc.documentElement;
+    if (!root || root.nodeName.toLowerCase() !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('SVGファイルを解析できませんでした');
+    }
+
+    const subpaths = [];
+    walkElement(root, IDENTITY_MATRIX, subpaths, true);
+
+    const viewBox = resolveViewBox(root, subpaths);
+    return { viewBox, subpaths };
+}
+
+/**
+ * サブパスをドメイン座標に配置し、曲線追加用のデータに変換する
+ * 二次・三次ベジェのコマンドを含むサブパスはベジェ曲線の数式に直接変換し、
+ * それ以外（直線・円弧・基本図形）は手書き近似に渡す点列に変換する
+ * @param {{viewBox: Object, subpaths: Array<Object>}} parsed - parseSVGの結果
+ * @param {Object} domain - 配置先の表示範囲 {xMin, xMax, yMin, yMax}
+ * @param {Object} options - { fitRatio: 表示範囲に対する大きさの比率 }
+ * @returns {Array<Object>} { kind: 'equation', type, latexEquations, svgPath, knots, originalPoints, color } または { kind: 'points', points, color }
+ */
+export function buildSVGImportItems(parsed, domain, options = {}) {
+    const toDomain = createViewBoxMapper(parsed.viewBox, domain, options.fitRatio ?? DEFAULT_FIT_RATIO);
+    const diagonal = Math.hypot(domain.xMax - domain.xMin, domain.yMax - domain.yMin);
+    const spacing = diagonal * SAMPLE_SPACING_RATIO;
+
+    return parsed.subpaths
+        .map(subpath => {
+            const segments = subpath.segments.map(seg => ({ ...seg, points: seg.points.map(toDomain) }));
+            if (subpath.hasBezier) {
+                return { kind: 'equation', color: subpath.color, ...buildBezierCurveData(segments) };
+            }
+            return { kind: 'points', color: subpath.color, points: sampleSegments(segments, spacing) };
+        })
+        .filter(item => (item.kind === 'equation' ? item.latexEquations.length > 0 : item.points.length >= 2));
+}
+
+/**
+ * ベジェ曲線のサブパスを数式・SVGパス・節点に変換する
+ * 三次ベジェを含む場合は全区間を三次に、二次のみの場合は二次に次数を揃える
+ * @private
+ */
+function buildBezierCurveData(segments) {
+    const useCubic = segments.some(seg => seg.type === 'cubic');
+    const type = useCubic ? 'cubicBezier' : 'quadraticBezier';
+    const latexEquations = [];
+    const commands = [];
+    const knots = [];
+    const originalPoints = [];
+
+    segments.forEach((seg, index) => {
+        const cps = useCubic ? toCubicControlPoints(seg) : toQuadraticControlPoints(seg);
+        if (index === 0 || !samePoint(cps[0], knots[knots.length - 1])) {
+            commands.push(`M ${cps[0][0]} ${cps[0][1]}`);
+            knots.push(cps[0]);
+        }
+        if (useCubic) {
+            latexEquations.push(EquationBuilder.cubicBezier({ p0: cps[0], p1: cps[1], p2: cps[2], p3: cps[3] }));
+            commands.push(`C ${cps[1][0]} ${cps[1][1]} ${cps[2][0]} ${cps[2][1]} ${cps[3][0]} ${cps[3][1]}`);
+        } else {
+            latexEquations.push(EquationBuilder.quadraticBezier({ p0: cps[0], p1: cps[1], p2: cps[2] }));
+            commands.push(`Q ${cps[1][0]} ${cps[1][1]} ${cps[2][0]} ${cps[2][1]}`);
+        }
+        knots.push(cps[cps.length - 1]);
+        for (let i = 0; i <= 8; i++) {
+            originalPoints.push(evaluateBezier(cps, i / 8));
+        }
+    });
+
+    return { type, latexEquations, svgPath: commands.join(' '), knots, originalPoints };
+}
+
+/**
+ * @private
+ */
+function toCubicControlPoints(seg) {
+    const p = seg.points;
+    if (seg.type === 'cubic') return p;
+    if (seg.type === 'quadratic') {
+        return [p[0], lerp(p[0], p[1], 2 / 3), lerp(p[2], p[1], 2 / 3), p[2]];
+    }
+    return [p[0], lerp(p[0], p[1], 1 / 3), lerp(p[0], p[1], 2 / 3), p[1]];
+}
+
+/**
+ * @private
+ */
+function toQuadraticControlPoints(seg) {
+    const p = seg.points;
+    if (seg.type === 'quadratic') return p;
+    return [p[0], lerp(p[0], p[1], 0.5), p[1]];
+}
+
+/**
+ * 区間を一定間隔の点列に変換する
+ * @private
+ */
+function sampleSegments(segments, spacing) {
+    const points = [];
+    const push = (pt) => {
+        if (points.length === 0 || !samePoint(points[points.length - 1], pt)) {
+            points.push(pt);
+        }
+    };
+
+    segments.forEach(seg => {
+        const cps = seg.points;
+        const chord = cps.slice(1).reduce((sum, pt, i) => sum + Math.hypot(pt[0] - cps[i][0], pt[1] - cps[i][1]), 0);
+        const count = Math.max(1, Math.ceil(chord / (spacing || 1)));
+        push(cps[0]);
+        for (let i = 1; i <= count; i++) {
+            push(seg.type === 'line' ? lerp(cps[0], cps[1], i / count) : evaluateBezier(cps, i / count));
+        }
+    });
+    return points;
+}
+
+/**
+ * @private
+ */
+function evaluateBezier(cps, t) {
+    let pts = cps;
+    while (pts.length > 1) {
+        pts = pts.slice(1).map((pt, i) => lerp(pts[i], pt, t));
+    }
+    return pts[0];
+}
+
+/**
+ * @private
+ */
+function lerp(a, b, t) {
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+/**
+ * @private
+ */
+function samePoint(a, b) {
+    return !!a && !!b && Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9;
+}
+
+/**
+ * viewBoxを表示範囲の中央にアスペクト比を保って配置する写像（y軸は反転）
+ * 画像の画素座標を配置する場合は viewBox に { x: 0, y: 0, width, height } を渡す
+ * @param {{x: number, y: number, width: number, height: number}} viewBox - 元の座標範囲
+ * @param {Object} domain - 配置先の表示範囲 {xMin, xMax, yMin, yMax}
+ * @param {number} fitRatio - 表示範囲に対する大きさの比率
+ * @returns {Function} [x, y] をドメイン座標に変換する関数
+ */
+export function createViewBoxMapper(viewBox, domain, fitRatio = DEFAULT_FIT_RATIO) {
+    const domainWidth = domain.xMax - domain.xMin;
+    const domainHeight = domain.yMax - domain.yMin;
+    const scale = Math.min(domainWidth / (viewBox.width || 1), domainHeight / (viewBox.height || 1)) * fitRatio;
+    const vbCenterX = viewBox.x + viewBox.width / 2;
+    const vbCenterY = viewBox.y + viewBox.height / 2;
+    const domainCenterX = (domain.xMin + domain.xMax) / 2;
+    const domainCenterY = (domain.yMin + domain.yMax) / 2;
+    return ([x, y]) => [
+        domainCenterX + (x - vbCenterX) * scale,
+        domainCenterY - (y - vbCenterY) * scale
+    ];
+}
+
+/**
+ * viewBox属性、width/height属性、図形の外接矩形の順で座標範囲を決める
+ * @private
+ */
+function resolveViewBox(root, subpaths) {
+    const viewBoxAttr = (root.getAttribute('viewBox') || '').trim();
+    if (viewBoxAttr) {
+        const values = viewBoxAttr.split(/[\s,]+/).map(Number);
+        if (values.length === 4 && values.every(Number.isFinite) && values[2] > 0 && values[3] > 0) {
+            return { x: values[0], y: values[1], width: values[2], height: values[3] };
+        }
+    }
+
+    const width = parseFloat(root.getAttribute('width'));
+    const height = parseFloat(root.getAttribute('height'));
+    if (width > 0 && height > 0) {
+        return { x: 0, y: 0, width, height };
+    }
+
+    const xs = [];
+    const ys = [];
+    subpaths.forEach(subpath => subpath.segments.forEach(seg => seg.points.forEach(([x, y]) => {
+        xs.push(x);
+        ys.push(y);
+    })));
+    if (xs.length === 0) {
+        return { x: 0, y: 0, width: 1, height: 1 };
+    }
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    return {
+        x: minX,
+        y: minY,
+        width: Math.max(Math.max(...xs) - minX, 1e-9),
+        height: Math.max(Math.max(...ys) - minY, 1e-9)
+    };
+}
+
+// ----------------------------
+// 要素の走査
+// ----------------------------
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+/**
+ * 要素を再帰的に走査し、図形要素をサブパスとして収集する
+ * @private
+ */
+function walkElement(element, parentMatrix, subpaths, isRoot = false) {
+    const name = element.localName || element.nodeName;
+    if (SKIPPED_CONTAINERS.has(name)) return;
+    if (element.getAttribute && (element.getAttribute('display') === 'none' || /display\s*:\s*none/.test(element.getAttribute('style') || ''))) {
+        return;
+    }
+
+    const matrix = isRoot
+        ? parentMatrix
+        : multiplyMatrix(parentMatrix, parseTransform(element.getAttribute('transform') || ''));
+
+    const pathData = shapeToPathData(element, name);
+    if (pathData) {
+        const color = resolveStrokeColor(element);
+        parsePathData(pathData).forEach(subpath => {
+            subpaths.push({
+                ...subpath,
+                color,
+                segments: subpath.segments.map(seg => ({
+                    ...seg,
+                    points: seg.points.map(pt => applyMatrix(matrix, pt))
+                }))
+            });
+        });
+        return;
+    }
+
+    Array.from(element.children || []).forEach(child => walkElement(child, matrix, subpaths));
+}
+
+/**
+ * 基本図形をパスデータに変換する
+ * @private
+ */
+function shapeToPathData(element, name) {
+    const num = (attr) => parseFloat(element.getAttribute(attr)) || 0;
+    switch (name) {
+        case 'path':
+            return element.getAttribute('d') || null;
+        case 'line':
+            return `M ${num('x1')} ${num('y1')} L ${num('x2')} ${num('y2')}`;
+        case 'polyline':
+        case 'polygon': {
+            const values = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number).filter(Number.isFinite);
+            if (values.length < 4) return null;
+            const pairs = [];
+            for (let i = 0; i + 1 < values.length; i += 2) {
+                pairs.push(`${values[i]} ${values[i + 1]}`);
+            }
+            return `M ${pairs.join(' L ')}${name === 'polygon' ? ' Z' : ''}`;
+        }
+        case 'circle':
+        case 'ellipse': {
+            const cx = num('cx');
+            const cy = num('cy');
+            const rx = name === 'circle' ? num('r') : num('rx');
+            const ry = name === 'circle' ? num('r') : num('ry');
+            if (!(rx > 0) || !(ry > 0)) return null;
+            return `M ${cx + rx} ${cy} A ${rx} ${ry} 0 1 1 ${cx - rx} ${cy} A ${rx} ${ry} 0 1 1 ${cx + rx} ${cy} Z`;
+        }
+        case 'rect': {
+            const x = num('x');
+            const y = num('y');
+            const w = num('width');
+            const h = num('height');
+            if (!(w > 0) || !(h > 0)) return null;
+            let rx = element.hasAttribute('rx') ? num('rx') : num('ry');
+            let ry = element.hasAttribute('ry') ? num('ry') : rx;
+            rx = Math.min(Math.max(rx, 0), w / 2);
+            ry = Math.min(Math.max(ry, 0), h / 2);
+            if (rx === 0 || ry === 0) {
+                return `M ${x} ${y} H ${x + w} V ${y + h} H ${x} Z`;
+            }
+            return [
+                `M ${x + rx} ${y}`, `H ${x + w - rx}`, `A ${rx} ${ry} 0 0 1 ${x + w} ${y + ry}`,
+                `V ${y + h - ry}`, `A ${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h}`,
+                `H ${x + rx}`, `A ${rx} ${ry} 0 0 1 ${x} ${y + h - ry}`,
+                `V ${y + ry}`, `A ${rx} ${ry} 0 0 1 ${x + rx} ${y}`, 'Z'
+            ].join(' ');
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * stroke（なければfill）の色を祖先要素も含めて取得する
+ * @private
+ */
+function resolveStrokeColor(element) {
+    const readProperty = (el, prop) => {
+        const style = el.getAttribute ? (el.getAttribute('style') || '') : '';
+        const match = style.match(new RegExp(`(?:^|;)\\s*${prop}\\s*:\\s*([^;]+)`));
+        if (match) return match[1].trim();
+        return el.getAttribute ? el.getAttribute(prop) : null;
+    };
+    const isColor = (value) => !!value && (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) || /^rgba?\(/i.test(value));
+
+    for (const prop of ['stroke', 'fill']) {
+        for (let el = element; el && el.nodeType === 1; el = el.parentNode) {
+            const value = readProperty(el, prop);
+            if (value) {
+                if (isColor(value)) return value;
+                break;
+            }
+        }
+    }
+    return null;
+}
+
+// ----------------------------
+// 変換行列
+// ----------------------------
+
+/**
+ * transform属性を行列 [a, b, c, d, e, f] に変換する
+ * @private
+ */
+function parseTransform(text) {
+    let matrix = IDENTITY_MATRIX;
+    const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        const args = match[2].trim().split(/[\s,]+/).filter(Boolean).map(Number);
+        let m = IDENTITY_MATRIX;
+        switch (match[1]) {
+            case 'matrix':
+                if (args.length === 6) m = args;
+                break;
+            case 'translate':
+                m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                break;
+            case 'scale':
+                m = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+                break;
+            case 'rotate': {
+                const angle = ((args[0] || 0) * Math.PI) / 180;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                m = [cos, sin, -sin, cos, 0, 0];
+                if (args.length >= 3) {
+                    m = multiplyMatrix(multiplyMatrix([1, 0, 0, 1, args[1], args[2]], m), [1, 0, 0, 1, -args[1], -args[2]]);
+                }
+                break;
+            }
+            case 'skewX':
+                m = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+                break;
+            case 'skewY':
+                m = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+                break;
+        }
+        matrix = multiplyMatrix(matrix, m);
+    }
+    return matrix;
+}
+
+/**
+ * @private
+ */
+function multiplyMatrix(m1, m2) {
+    const [a1, b1, c1, d1, e1, f1] = m1;
+    const [a2, b2, c2, d2, e2, f2] = m2;
+    return [
+        a1 * a2 + c1 * b2,
+        b1 * a2 + d1 * b2,
+        a1 * c2 + c1 * d2,
+        b1 * c2 + d1 * d2,
+        a1 * e2 + c1 * f2 + e1,
+        b1 * e2 + d1 * f2 + f1
+    ];
+}
+
+/**
+ * @private
+ */
+function applyMatrix(m, [x, y]) {
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+// ----------------------------
+// パスデータの解析
+// ----------------------------
+
+/**
+ * パスデータをサブパス（M から次の M まで）ごとの区間に分解する
+ * 区間は { type: 'line' | 'quadratic' | 'cubic', points } で表し、円弧は三次ベジェに変換する
+ * @private
+ */
+function parsePathData(d) {
+    const tokens = tokenizePathData(d);
+    const subpaths = [];
+    let current = null;
+    let pos = 0;
+    let command = null;
+    let point = [0, 0];
+    let start = [0, 0];
+    let lastControl = null;
+    let lastType = null;
+
+    const isCommand = (tok) => typeof tok === 'string' && /^[MmLlHhVvCcSsQqTtAaZz]$/.test(tok);
+    const readNumber = () => {
+        const tok = tokens[pos++];
+        const value = Number(tok);
+        if (tok === undefined || isCommand(tok) || !Number.isFinite(value)) {
+            throw new Error('パスデータを解析できませんでした');
+        }
+        return value;
+    };
+    const readFlag = () => {
+        // 円弧のフラグは区切りなしで連続する場合がある（例: "011"）
+        const tok = tokens[pos];
+        if (typeof tok === 'string' && /^[01]/.test(tok) && tok.length > 1) {
+            tokens[pos] = tok.slice(1);
+            return Number(tok[0]);
+        }
+        return readNumber();
+    };
+    const beginSubpath = (pt) => {
+        current = { segments: [], hasBezier: false, closed: false };
+        subpaths.push(current);
+        start = pt;
+    };
+    const addSegment = (type, points) => {
+        if (!current) beginSubpath(points[0]);
+        current.segments.push({ type, points });
+        if (type !== 'line' && !points.fromArc) {
+            current.hasBezier = true;
+        }
+    };
+
+    while (pos < tokens.length) {
+        if (isCommand(tokens[pos])) {
+            command = tokens[pos++];
+        } else if (command === null) {
+            throw new Error('パスデータを解析できませんでした');
+        }
+
+        const relative = command === command.toLowerCase();
+        const base = relative ? point : [0, 0];
+        const readPoint = () => {
+            const x = readNumber();
+            const y = readNumber();
+            return [base[0] + x, base[1] + y];
+        };
+
+        switch (command.toUpperCase()) {
+            case 'M': {
+                point = readPoint();
+                beginSubpath(point);
+                lastType = null;
+                // 後続の座標は暗黙の L として扱う
+                command = relative ? 'l' : 'L';
+                break;
+            }
+            case 'L': {
+                const next = readPoint();
+                addSegment('line', [point, next]);
+                point = next;
+                lastType = null;
+                break;
+            }
+            case 'H': {
+                const x = readNumber() + (relative ? point[0] : 0);
+                const next = [x, point[1]];
+                addSegment('line', [point, next]);
+                point = next;
+                lastType = null;
+                break;
+            }
+            case 'V': {
+                const y = readNumber() + (relative ? point[1] : 0);
+                const next = [point[0], y];
+                addSegment('line', [point, next]);
+                point = next;
+                lastType = null;
+                break;
+            }
+            case 'C': {
+                const c1 = readPoint();
+                const c2 = readPoint();
+                const next = readPoint();
+                addSegment('cubic', [point, c1, c2, next]);
+                lastControl = c2;
+                lastType = 'cubic';
+                point = next;
+                break;
+            }
+            case 'S': {
+                const c1 = lastType === 'cubic' ? reflect(lastControl, point) : point;
+                const c2 = readPoint();
+                const next = readPoint();
+                addSegment('cubic', [point, c1, c2, next]);
+                lastControl = c2;
+                lastType = 'cubic';
+                point = next;
+                break;
+            }
+            case 'Q': {
+                const c = readPoint();
+                const next = readPoint();
+                addSegment('quadratic', [point, c, next]);
+                lastControl = c;
+                lastType = 'quadratic';
+                point = next;
+                break;
+            }
+            case 'T': {
+                const c = lastType === 'quadratic' ? reflect(lastControl, point) : point;
+                const next = readPoint();
+                addSegment('quadratic', [point, c, next]);
+                lastControl = c;
+                lastType = 'quadratic';
+                point = next;
+                break;
+            }
+            case 'A': {
+                const rx = readNumber();
+                const ry = readNumber();
+                const rotation = readNumber();
+                const largeArc = readFlag();
+                const sweep = readFlag();
+                const next = readPoint();
+                arcToCubics(point, next, rx, ry, rotation, largeArc, sweep).forEach(cps => {
+                    cps.fromArc = true;
+                    addSegment('cubic', cps);
+                });
+                point = next;
+                lastType = null;
+                break;
+            }
+            case 'Z': {
+                if (current) {
+                    if (!samePoint(point, start)) {
+                        addSegment('line', [point, start]);
+                    }
+                    current.closed = true;
+                }
+                point = start;
+                lastType = null;
+                current = null;
+                // Z の後に M 以外が続く場合は同じ始点から新しいサブパスを開始する
+                command = null;
+                if (pos < tokens.length && !isCommand(tokens[pos])) {
+                    throw new Error('パスデータを解析できませんでした');
+                }
+                break;
+            }
+            default:
+                throw new Error('パスデータを解析できませんでした');
+        }
+    }
+
+    return subpaths.filter(subpath => subpath.segments.length > 0);
+}
+
+/**
+ * @private
+ */
+function tokenizePathData(d) {
+    return String(d).match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+}
+
+/**
+ * @private
+ */
+function reflect(control, about) {
+    return [2 * about[0] - control[0], 2 * about[1] - control[1]];
+}
+
+/**
+ * SVGの円弧（端点パラメータ表記）を三次ベジェの列に変換する
+ * @private
+ */
+function arcToCubics(p0, p1, rx, ry, rotationDeg, largeArc, sweep) {
+    if (samePoint(p0, p1)) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) {
+        return [[p0, lerp(p0, p1, 1 / 3), lerp(p0, p1, 2 / 3), p1]];
+    }
+
+    const phi = (rotationDeg * Math.PI) / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    const dx = (p0[0] - p1[0]) / 2;
+    const dy = (p0[1] - p1[1]) / 2;
+    const x1p = cosPhi * dx + sinPhi * dy;
+    const y1p = -sinPhi * dx + cosPhi * dy;
+
+    // 半径が足りない場合は拡大する
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        const s = Math.sqrt(lambda);
+        rx *= s;
+        ry *= s;
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coef = Math.sqrt(Math.max(0, numerator / denominator));
+    if (!!largeArc === !!sweep) coef = -coef;
+    const cxp = (coef * rx * y1p) / ry;
+    const cyp = (-coef * ry * x1p) / rx;
+    const cx = cosPhi * cxp - sinPhi * cyp + (p0[0] + p1[0]) / 2;
+    const cy = sinPhi * cxp + cosPhi * cyp + (p0[1] + p1[1]) / 2;
+
+    const angle = (ux, uy, vx, vy) => {
+        const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+        const dot = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+        return sign * Math.acos(Math.min(1, Math.max(-1, dot)));
+    };
+    const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= Math.PI * 2;
+    if (sweep && delta < 0) delta += Math.PI * 2;
+
+    const count = Math.max(1, Math.ceil(Math.abs(delta) / MAX_ARC_SEGMENT_ANGLE));
+    const step = delta / count;
+    const k = (4 / 3) * Math.tan(step / 4);
+    const pointAt = (theta) => [
+        cx + rx * Math.cos(theta) * cosPhi - ry * Math.sin(theta) * sinPhi,
+        cy + rx * Math.cos(theta) * sinPhi + ry * Math.sin(theta) * cosPhi
+    ];
+    const derivativeAt = (theta) => [
+        -rx * Math.sin(theta) * cosPhi - ry * Math.cos(theta) * sinPhi,
+        -rx * Math.sin(theta) * sinPhi + ry * Math.cos(theta) * cosPhi
+    ];
+
+    const cubics = [];
+    for (let i = 0; i < count; i++) {
+        const a = theta1 + step * i;
+        const b = a + step;
+        const start = i === 0 ? p0 : pointAt(a);
+        const end = i === count - 1 ? p1 : pointAt(b);
+        const da = derivativeAt(a);
+        const db = derivativeAt(b);
+        cubics.push([
+            start,
+            [start[0] + k * da[0], start[1] + k * da[1]],
+            [end[0] - k * db[0], end[1] - k * db[1]],
+            end
+        ]);
+    }
+    return cubics;
+}
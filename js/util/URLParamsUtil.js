@@ -1,3 +1,12 @@
+/** 共有リンクでグラフデータを格納するURLフラグメントのキー（#graph=...） */
+const SHARE_FRAGMENT_KEY = 'graph';
+
+/** この長さを超える共有リンクは、チャットやメールで途中が切れる可能性があるため警告する */
+export const SHARE_URL_WARN_LENGTH = 8000;
+
+/** この長さを超える共有リンクは開けないブラウザがあるため作成しない */
+export const SHARE_URL_MAX_LENGTH = 65536;
+
 /**
  * URLパラメータを扱うユーティリティクラス
  */
@@ -98,8 +107,8 @@ export class URLParamsUtil {
             // ローディングインジケータを表示
             this.toggleLoadingOverlay(true);
 
-            // Firestoreからグラフデータを検索
-            const result = await graphStorageManager.checkGraphInFirestore(hashParam);
+            // 保存先からグラフデータを検索
+            const result = await graphStorageManager.getGraph(hashParam);
 
             if (result && result.json) {
                 // JSONデータをパース (文字列の場合)
@@ -131,6 +140,116 @@ export class URLParamsUtil {
         }
     }
 
+    /**
+     * グラフのJSON文字列から共有リンクを作成する（サーバー不要）
+     * JSONは deflate で圧縮し、base64url にしてURLフラグメント（#graph=...）に格納する
+     * フラグメントはサーバーに送信されないため、オフライン環境でもリンクだけで共有できる
+     * @param {string} jsonString - getJSONDataString で取得したJSON文字列
+     * @param {string} [title] - グラフのタイトル
+     * @returns {Promise<{url: string|null, length: number, tooLong: boolean, tooLarge: boolean}>}
+     *          作成したURL（長すぎる場合は null）と長さ、警告が必要かどうか
+     */
+    static async createShareUrl(jsonString, title = '') {
+        const payload = await encodeSharePayload(jsonString);
+        let fragment = `${SHARE_FRAGMENT_KEY}=${payload}`;
+        if (title) {
+            fragment += `&title=${encodeURIComponent(title)}`;
+        }
+
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${fragment}`;
+        const tooLarge = url.length > SHARE_URL_MAX_LENGTH;
+        return {
+            url: tooLarge ? null : url,
+            length: url.length,
+            tooLong: url.length > SHARE_URL_WARN_LENGTH,
+            tooLarge
+        };
+    }
+
+    /**
+     * URLフラグメントから共有リンクのデータを取得
+     * @returns {{payload: string, title: string|null}|null} 共有リンクでない場合はnull
+     */
+    static getShareFragment() {
+        const hash = window.location.hash.replace(/^#/, '');
+        if (!hash) return null;
+
+        const params = new URLSearchParams(hash);
+        const payload = params.get(SHARE_FRAGMENT_KEY);
+        if (!payload) return null;
+        return { payload, title: params.get('title') };
+    }
+
+    /**
+     * 共有リンクのURLフラグメントからグラフを読み込む
+     * 読み込み後はフラグメントをアドレスバーから取り除き、再読み込みで編集内容が上書きされないようにする
+     * @param {Object} uiManager - UIマネージャー
+     * @param {Object} [options]
+     * @param {boolean} [options.askImportMode=false] - 曲線がある場合に置き換えるか追加するかを選んでもらう（開いているページでの読み込み用）
+     * @returns {Promise<boolean>} 読み込み成功時true
+     */
+    static async loadGraphFromShareFragment(uiManager, options = {}) {
+        const shared = this.getShareFragment();
+        if (!shared) {
+            return false;
+        }
+
+        try {
+            this.toggleLoadingOverlay(true);
+
+            const jsonString = await decodeSharePayload(shared.payload);
+            const data = JSON.parse(jsonString);
+
+            if (options.askImportMode) {
+                // 選択中は読み込み中の表示を消し、キャンセルしてもフラグメントが残らないよう先に取り除く
+                // （キャンセル・失敗時の通知は importGraphData が行う）
+                this.toggleLoadingOverlay(false);
+                window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+                const imported = await uiManager.settingsManager.importGraphData(data);
+                if (imported && shared.title) {
+                    this.updatePageTitle(shared.title);
+                }
+                return imported;
+            }
+
+            const success = await uiManager.settingsManager.loadGraphFromJSON(data, true);
+            if (!success) {
+                console.error('共有リンクからグラフの復元に失敗しました');
+                return false;
+            }
+
+            if (shared.title) {
+                this.updatePageTitle(shared.title);
+            }
+            window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+            return true;
+        } catch (error) {
+            console.error('共有リンクの読み込みに失敗しました:', error);
+            if (uiManager.alertModal) {
+                uiManager.alertModal.show('共有リンクが壊れているため、グラフを読み込めませんでした。', {
+                    type: 'error',
+                    position: 'center-top',
+                    i18nKey: 'share.load_failed'
+                });
+            }
+            return false;
+        } finally {
+            this.toggleLoadingOverlay(false);
+        }
+    }
+
+    /**
+     * 開いているページに共有リンクが貼り付けられた場合（フラグメントだけが変わった場合）も読み込む
+     * 編集中のグラフを失わないよう、曲線がある場合は置き換えるか追加するかを選んでもらう
+     * @param {Object} uiManager - UIマネージャー
+     */
+    static watchShareFragment(uiManager) {
+        window.addEventListener('hashchange', () => {
+            if (!this.getShareFragment()) return;
+            this.loadGraphFromShareFragment(uiManager, { askImportMode: true });
+        });
+    }
+
     /**
      * URLパラメータに基づいてCurveManagerの近似設定を更新
      * @param {Object} curveManager - CurveManagerインスタンス
@@ -158,3 +277,64 @@ export class URLParamsUtil {
         }
     }
 }
+
+// ----------------------------
+// 共有リンクのエンコード
+// ----------------------------
+
+/**
+ * 圧縮形式の接頭辞
+ * z: deflate-raw で圧縮 / u: 非圧縮（CompressionStream 非対応のブラウザ用）
+ */
+const SHARE_FORMAT_DEFLATE = 'z';
+const SHARE_FORMAT_PLAIN = 'u';
+
+async function encodeSharePayload(text) {
+    const bytes = new TextEncoder().encode(text);
+    if (typeof CompressionStream === 'undefined') {
+        return `${SHARE_FORMAT_PLAIN}.${bytesToBase64Url(bytes)}`;
+    }
+    const compressed = await pipeBytes(bytes, new CompressionStream('deflate-raw'));
+    return `${SHARE_FORMAT_DEFLATE}.${bytesToBase64Url(compressed)}`;
+}
+
+async function decodeSharePayload(payload) {
+    const separator = payload.indexOf('.');
+    const format = payload.slice(0, separator);
+    const bytes = base64UrlToBytes(payload.slice(separator + 1));
+
+    if (format === SHARE_FORMAT_PLAIN) {
+        return new TextDecoder().decode(bytes);
+    }
+    if (format === SHARE_FORMAT_DEFLATE) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('このブラウザは圧縮された共有リンクに対応していません');
+        }
+        return new TextDecoder().decode(await pipeBytes(bytes, new DecompressionStream('deflate-raw')));
+    }
+    throw new Error(`未対応の共有リンク形式です: ${format}`);
+}
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}